@@ -0,0 +1,1063 @@
+/**
+ * Mock ClickUp API v2 server for local development and tests
+ *
+ * Implements the team, space, folder, list, task, comment, checklist, tag,
+ * dependency, link and custom field endpoints that ClickUpService uses,
+ * seeded from fixture JSON. Writes change the in-memory
+ * state, so a created task shows up in later reads. Requests need one of the
+ * fixture tokens in the Authorization header and are rate limited per token
+ * like the real API.
+ *
+ * The OAuth app flow is mocked too: GET /api stands in for ClickUp's
+ * authorisation page and approves straight away, redirecting back with a
+ * code that POST /api/v2/oauth/token exchanges for an access token. The token
+ * only sees the workspaces that were authorised.
+ *
+ * Webhooks can be registered, listed and deleted. Task and comment writes
+ * are then delivered to the matching webhooks' endpoints as signed events.
+ *
+ * Fixture dates may be written relative to startup, e.g. "now-2d", "now+3h"
+ * or "now-30m", so that due and updated dates stay meaningful.
+ *
+ * Run it with `npm run mock`, then start the service with
+ * CLICKUP_API_BASE_URL=http://localhost:3100/api/v2 and CLICKUP_API_TOKEN=pk_mock_alice.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('../src/utils/logger');
+const logger = getLogger('mock-clickup');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, 'fixtures', 'clickup.json');
+
+// ClickUp returns at most this many tasks per page
+const PAGE_SIZE = 100;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const PRIORITIES = [
+  null,
+  { id: '1', priority: 'urgent', color: '#f50000', orderindex: '1' },
+  { id: '2', priority: 'high', color: '#ffcc00', orderindex: '2' },
+  { id: '3', priority: 'normal', color: '#6fddff', orderindex: '3' },
+  { id: '4', priority: 'low', color: '#d8d8d8', orderindex: '4' }
+];
+
+const TASK_DATE_FIELDS = ['date_created', 'date_updated', 'date_closed', 'date_done', 'due_date', 'start_date'];
+
+// Task sort orders of the team task endpoint
+const ORDER_FIELDS = { created: 'date_created', updated: 'date_updated', due_date: 'due_date', id: 'id' };
+
+/**
+ * Resolve a fixture date, either epoch milliseconds or relative to now
+ * @returns {string|null} Epoch milliseconds as a string, as ClickUp sends them
+ */
+function resolveFixtureDate(value, now) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const relative = String(value).match(/^now(?:([+-])(\d+)([mhd]))?$/);
+  if (!relative) {
+    return String(value);
+  }
+
+  const offset = relative[1] ? parseInt(relative[2], 10) * UNIT_MS[relative[3]] : 0;
+  return String(relative[1] === '-' ? now - offset : now + offset);
+}
+
+/**
+ * Build the mutable server state from fixtures
+ */
+function loadState(fixtures, now) {
+  const state = JSON.parse(JSON.stringify(fixtures));
+
+  state.tasks.forEach(task => {
+    TASK_DATE_FIELDS.forEach(field => {
+      task[field] = resolveFixtureDate(task[field], now);
+    });
+  });
+  state.comments.forEach(comment => {
+    comment.date = resolveFixtureDate(comment.date, now);
+  });
+  state.oauthApps = state.oauthApps || [];
+  // Access tokens issued through the OAuth flow, and codes not yet exchanged
+  state.oauthGrants = {};
+  state.oauthCodes = {};
+  state.webhooks = state.webhooks || [];
+  state.nextId = 1;
+
+  return state;
+}
+
+function clickUpError(res, status, err, ecode) {
+  return res.status(status).json({ err, ECODE: ecode });
+}
+
+// Read a query value that may be sent once or as a repeated "name[]" parameter
+function queryList(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return [].concat(value).map(String);
+}
+
+/**
+ * Create the mock ClickUp app
+ *
+ * @param {object} options Server options
+ * @param {object} options.fixtures Fixture data, defaults to mock/fixtures/clickup.json
+ * @param {number} options.rateLimitPerMinute Requests allowed per token per minute (default: 100)
+ * @param {number} options.now Time that relative fixture dates are resolved against
+ * @returns {express.Application} The app, with its state in app.locals.state
+ */
+function createMockClickUpServer(options = {}) {
+  const fixtures = options.fixtures || JSON.parse(fs.readFileSync(DEFAULT_FIXTURES_FILE, 'utf8'));
+  const rateLimitPerMinute = options.rateLimitPerMinute || 100;
+  const state = loadState(fixtures, options.now || Date.now());
+  const rateWindows = new Map();
+
+  const findById = (items, id) => items.find(item => String(item.id) === String(id));
+
+  const userJson = id => {
+    const user = findById(state.users, id);
+    if (!user) {
+      return null;
+    }
+    const initials = user.username.split(' ').map(part => part.charAt(0)).join('').toUpperCase();
+    return { ...user, initials };
+  };
+
+  const listFolderJson = list => {
+    const folder = list.folder_id ? findById(state.folders, list.folder_id) : null;
+    // Folderless lists live in a hidden folder, as in ClickUp
+    return folder
+      ? { id: folder.id, name: folder.name, hidden: !!folder.hidden, access: true }
+      : { id: `hidden-${list.space_id}`, name: 'hidden', hidden: true, access: true };
+  };
+
+  const taskStatusJson = task => {
+    const list = findById(state.lists, task.list_id);
+    const space = findById(state.spaces, list.space_id);
+    const status = space.statuses.find(s => s.status === task.status) || space.statuses[0];
+    return { status: status.status, color: status.color, type: status.type, orderindex: status.orderindex };
+  };
+
+  const isClosed = task => taskStatusJson(task).type === 'closed';
+
+  const taskJson = (task, includeSubtasks = false) => {
+    const list = findById(state.lists, task.list_id);
+    const space = findById(state.spaces, list.space_id);
+    const json = {
+      id: task.id,
+      custom_id: task.custom_id || null,
+      name: task.name,
+      text_content: task.description || '',
+      description: task.description || '',
+      status: taskStatusJson(task),
+      date_created: task.date_created,
+      date_updated: task.date_updated,
+      date_closed: task.date_closed || null,
+      date_done: task.date_done || task.date_closed || null,
+      archived: !!task.archived,
+      creator: userJson(task.assignees && task.assignees[0]),
+      assignees: (task.assignees || []).map(userJson).filter(Boolean),
+      tags: (task.tags || []).map(name => ({ name, tag_fg: '#ffffff', tag_bg: '#7c4dff' })),
+      parent: task.parent || null,
+      priority: PRIORITIES[task.priority] || null,
+      due_date: task.due_date || null,
+      start_date: task.start_date || null,
+      time_estimate: task.time_estimate || null,
+      custom_fields: task.custom_fields || [],
+      dependencies: task.dependencies || [],
+      linked_tasks: task.linked_tasks || [],
+      checklists: (task.checklists || []).map(checklistJson),
+      team_id: space.team_id,
+      url: `https://app.clickup.com/t/${task.id}`,
+      list: { id: list.id, name: list.name, access: true },
+      folder: listFolderJson(list),
+      space: { id: space.id }
+    };
+
+    if (task.due_date_time !== undefined) {
+      json.due_date_time = task.due_date_time;
+    }
+    if (task.start_date_time !== undefined) {
+      json.start_date_time = task.start_date_time;
+    }
+    if (includeSubtasks) {
+      json.subtasks = state.tasks.filter(t => t.parent === task.id).map(t => taskJson(t));
+    }
+
+    return json;
+  };
+
+  const checklistJson = checklist => ({
+    id: checklist.id,
+    task_id: checklist.task_id,
+    name: checklist.name,
+    orderindex: checklist.orderindex,
+    resolved: checklist.items.filter(item => item.resolved).length,
+    unresolved: checklist.items.filter(item => !item.resolved).length,
+    items: checklist.items.map(item => ({ ...item, assignee: item.assignee ? userJson(item.assignee) : null, children: [] }))
+  });
+
+  const listJson = list => {
+    const space = findById(state.spaces, list.space_id);
+    return {
+      id: list.id,
+      name: list.name,
+      content: list.content || '',
+      status: null,
+      task_count: state.tasks.filter(task => task.list_id === list.id && !task.archived).length,
+      archived: false,
+      folder: listFolderJson(list),
+      space: { id: space.id, name: space.name, access: true }
+    };
+  };
+
+  const folderJson = folder => {
+    const space = findById(state.spaces, folder.space_id);
+    const lists = state.lists.filter(list => list.folder_id === folder.id);
+    return {
+      id: folder.id,
+      name: folder.name,
+      hidden: !!folder.hidden,
+      space: { id: space.id, name: space.name },
+      task_count: String(state.tasks.filter(task => lists.some(list => list.id === task.list_id)).length),
+      lists: lists.map(listJson)
+    };
+  };
+
+  const spaceJson = space => ({
+    id: space.id,
+    name: space.name,
+    private: false,
+    statuses: space.statuses,
+    multiple_assignees: true,
+    archived: false
+  });
+
+  const commentJson = comment => ({
+    id: comment.id,
+    comment: [{ text: comment.comment_text }],
+    comment_text: comment.comment_text,
+    user: userJson(comment.user),
+    resolved: false,
+    assignee: null,
+    reactions: [],
+    date: comment.date
+  });
+
+  // Spaces, lists and tasks the caller's workspaces contain
+  const teamsOf = userId => state.teams.filter(team => team.members.map(String).includes(String(userId)));
+  // The user's teams, limited to the authorised ones for OAuth tokens
+  const teamsFor = req => teamsOf(req.mockUserId)
+    .filter(team => !req.mockAuthorizedTeams || req.mockAuthorizedTeams.includes(team.id));
+  const canSeeSpace = (req, space) => space && teamsFor(req).some(team => team.id === space.team_id);
+  const visibleList = (req, id) => {
+    const list = findById(state.lists, id);
+    return list && canSeeSpace(req, findById(state.spaces, list.space_id)) ? list : null;
+  };
+  const visibleTask = (req, task) => task && visibleList(req, task.list_id) ? task : null;
+
+  /**
+   * Filter, sort and page tasks with the team task endpoint's query parameters
+   */
+  const queryTasks = (tasks, query) => {
+    const statuses = queryList(query.statuses);
+    const assignees = queryList(query.assignees);
+    const tags = queryList(query.tags);
+    const spaceIds = queryList(query.space_ids);
+    const folderIds = queryList(query.project_ids);
+    const listIds = queryList(query.list_ids);
+    const search = query.search ? String(query.search).toLowerCase() : null;
+    const ranges = [
+      ['due_date', query.due_date_gt, query.due_date_lt],
+      ['date_updated', query.date_updated_gt, query.date_updated_lt],
+      ['date_created', query.date_created_gt, query.date_created_lt]
+    ];
+
+    const matching = tasks.filter(task => {
+      const list = findById(state.lists, task.list_id);
+      const status = taskStatusJson(task);
+
+      if (task.archived && query.archived !== 'true') return false;
+      if (isClosed(task) && query.include_closed !== 'true') return false;
+      if (task.parent && query.subtasks !== 'true') return false;
+      if (statuses && !statuses.map(s => s.toLowerCase()).includes(status.status.toLowerCase())) return false;
+      if (assignees && !(task.assignees || []).some(id => assignees.includes(String(id)))) return false;
+      if (tags && !(task.tags || []).some(tag => tags.includes(tag))) return false;
+      if (spaceIds && !spaceIds.includes(String(list.space_id))) return false;
+      if (folderIds && !folderIds.includes(String(list.folder_id))) return false;
+      if (listIds && !listIds.includes(String(list.id))) return false;
+      if (search && !`${task.name} ${task.description || ''}`.toLowerCase().includes(search)) return false;
+
+      return ranges.every(([field, after, before]) => {
+        const value = parseInt(task[field], 10);
+        if (after !== undefined && !(value > parseInt(after, 10))) return false;
+        if (before !== undefined && !(value < parseInt(before, 10))) return false;
+        return true;
+      });
+    });
+
+    // Tasks without a value for the sort field come last
+    const field = ORDER_FIELDS[query.order_by] || ORDER_FIELDS.created;
+    const direction = query.reverse === 'true' ? -1 : 1;
+    matching.sort((a, b) => {
+      const left = field === 'id' ? a.id : parseInt(a[field], 10);
+      const right = field === 'id' ? b.id : parseInt(b[field], 10);
+      if (isNaN(left) || isNaN(right)) {
+        return isNaN(left) - isNaN(right);
+      }
+      return (left < right ? -1 : left > right ? 1 : 0) * direction;
+    });
+
+    const page = Math.max(parseInt(query.page || '0', 10) || 0, 0);
+    const pageTasks = matching.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+    return {
+      tasks: pageTasks.map(task => taskJson(task)),
+      last_page: (page + 1) * PAGE_SIZE >= matching.length
+    };
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.locals.state = state;
+
+  const router = express.Router();
+
+  const findOAuthApp = clientId => state.oauthApps.find(oauthApp => oauthApp.client_id === clientId);
+
+  // ClickUp's authorisation page. Test requests may choose the approving user
+  // (default: the first fixture user), the workspaces to authorise as a
+  // comma-separated "teams" list (default: all of the user's) or deny=1.
+  app.get('/api', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state: oauthState } = req.query;
+    if (!findOAuthApp(clientId) || !redirectUri) {
+      return clickUpError(res, 400, 'Invalid client_id or redirect_uri', 'OAUTH_001');
+    }
+
+    const redirect = new URL(redirectUri);
+    if (oauthState) {
+      redirect.searchParams.set('state', oauthState);
+    }
+    if (req.query.deny) {
+      redirect.searchParams.set('error', 'access_denied');
+      return res.redirect(302, redirect.toString());
+    }
+
+    const userId = req.query.user || state.users[0].id;
+    const teams = teamsOf(userId)
+      .map(team => team.id)
+      .filter(id => !req.query.teams || req.query.teams.split(',').includes(id));
+    const code = `mock_code_${state.nextId++}`;
+    state.oauthCodes[code] = { clientId, userId, teams };
+
+    redirect.searchParams.set('code', code);
+    res.redirect(302, redirect.toString());
+  });
+
+  // Exchange an authorisation code for an access token, with the client
+  // credentials and code in the query string as ClickUp documents
+  app.post('/api/v2/oauth/token', (req, res) => {
+    const params = req.query;
+    const oauthApp = findOAuthApp(params.client_id);
+    if (!oauthApp || oauthApp.client_secret !== params.client_secret) {
+      return clickUpError(res, 401, 'Client not found or client secret invalid', 'OAUTH_010');
+    }
+
+    const grant = state.oauthCodes[params.code];
+    if (!grant || grant.clientId !== params.client_id) {
+      return clickUpError(res, 400, 'Code not found or already used', 'OAUTH_014');
+    }
+    delete state.oauthCodes[params.code];
+
+    const accessToken = `${grant.userId}_mock_oauth_${state.nextId++}`;
+    state.oauthGrants[accessToken] = { userId: grant.userId, teams: grant.teams };
+    res.json({ access_token: accessToken });
+  });
+
+  // Authenticate with a fixture or OAuth token and apply the per-token rate limit
+  router.use((req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+    const grant = state.oauthGrants[token];
+    const userId = token && (grant ? grant.userId : state.tokens[token]);
+
+    if (!userId) {
+      return clickUpError(res, 401, 'Token invalid', 'OAUTH_025');
+    }
+
+    const now = Date.now();
+    let window = rateWindows.get(token);
+    if (!window || now >= window.resetAt) {
+      window = { resetAt: now + 60 * 1000, count: 0 };
+      rateWindows.set(token, window);
+    }
+    window.count += 1;
+
+    res.set({
+      'X-RateLimit-Limit': String(rateLimitPerMinute),
+      'X-RateLimit-Remaining': String(Math.max(rateLimitPerMinute - window.count, 0)),
+      'X-RateLimit-Reset': String(Math.ceil(window.resetAt / 1000))
+    });
+
+    if (window.count > rateLimitPerMinute) {
+      return clickUpError(res, 429, 'Rate limit reached', 'APP_002');
+    }
+
+    req.mockUserId = userId;
+    req.mockAuthorizedTeams = grant ? grant.teams : null;
+    next();
+  });
+
+  router.get('/user', (req, res) => {
+    res.json({ user: userJson(req.mockUserId) });
+  });
+
+  router.get('/team', (req, res) => {
+    const teams = teamsFor(req).map(team => ({
+      id: team.id,
+      name: team.name,
+      color: team.color,
+      avatar: null,
+      members: team.members.map(id => ({ user: userJson(id) }))
+    }));
+    res.json({ teams });
+  });
+
+  router.get('/team/:teamId/space', (req, res) => {
+    if (!teamsFor(req).some(team => team.id === req.params.teamId)) {
+      return clickUpError(res, 401, 'Team not authorized', 'OAUTH_027');
+    }
+    res.json({ spaces: state.spaces.filter(space => space.team_id === req.params.teamId).map(spaceJson) });
+  });
+
+  router.get('/space/:spaceId', (req, res) => {
+    const space = findById(state.spaces, req.params.spaceId);
+    if (!canSeeSpace(req, space)) {
+      return clickUpError(res, 404, 'Space not found', 'PROJ_001');
+    }
+    res.json(spaceJson(space));
+  });
+
+  router.get('/space/:spaceId/folder', (req, res) => {
+    const space = findById(state.spaces, req.params.spaceId);
+    if (!canSeeSpace(req, space)) {
+      return clickUpError(res, 404, 'Space not found', 'PROJ_001');
+    }
+    res.json({ folders: state.folders.filter(folder => folder.space_id === space.id).map(folderJson) });
+  });
+
+  router.get('/space/:spaceId/list', (req, res) => {
+    const space = findById(state.spaces, req.params.spaceId);
+    if (!canSeeSpace(req, space)) {
+      return clickUpError(res, 404, 'Space not found', 'PROJ_001');
+    }
+    res.json({ lists: state.lists.filter(list => list.space_id === space.id && !list.folder_id).map(listJson) });
+  });
+
+  router.get('/folder/:folderId/list', (req, res) => {
+    const folder = findById(state.folders, req.params.folderId);
+    if (!folder || !canSeeSpace(req, findById(state.spaces, folder.space_id))) {
+      return clickUpError(res, 404, 'Folder not found', 'CAT_001');
+    }
+    res.json({ lists: state.lists.filter(list => list.folder_id === folder.id).map(listJson) });
+  });
+
+  router.get('/list/:listId', (req, res) => {
+    const list = visibleList(req, req.params.listId);
+    if (!list) {
+      return clickUpError(res, 404, 'List not found', 'SUBCAT_016');
+    }
+    res.json(listJson(list));
+  });
+
+  router.get('/list/:listId/task', (req, res) => {
+    const list = visibleList(req, req.params.listId);
+    if (!list) {
+      return clickUpError(res, 404, 'List not found', 'SUBCAT_016');
+    }
+    res.json(queryTasks(state.tasks.filter(task => task.list_id === list.id), req.query));
+  });
+
+  router.get('/team/:teamId/task', (req, res) => {
+    if (!teamsFor(req).some(team => team.id === req.params.teamId)) {
+      return clickUpError(res, 401, 'Team not authorized', 'OAUTH_027');
+    }
+    const teamTasks = state.tasks.filter(task => {
+      const list = findById(state.lists, task.list_id);
+      return findById(state.spaces, list.space_id).team_id === req.params.teamId;
+    });
+    res.json(queryTasks(teamTasks, req.query));
+  });
+
+  // Look up a task by ID, or by custom ID within a workspace
+  const findTask = (req, res) => {
+    const { taskId } = req.params;
+
+    if (req.query.custom_task_ids === 'true') {
+      if (!req.query.team_id) {
+        clickUpError(res, 400, 'Team ID is required when using custom task IDs', 'ITEM_114');
+        return null;
+      }
+      const task = visibleTask(req, state.tasks.find(t => t.custom_id === taskId));
+      if (!task || findById(state.spaces, findById(state.lists, task.list_id).space_id).team_id !== req.query.team_id) {
+        clickUpError(res, 404, 'Task not found, deleted', 'ITEM_013');
+        return null;
+      }
+      return task;
+    }
+
+    const task = visibleTask(req, findById(state.tasks, taskId));
+    if (!task) {
+      clickUpError(res, 404, 'Task not found, deleted', 'ITEM_013');
+    }
+    return task;
+  };
+
+  router.get('/task/:taskId', (req, res) => {
+    const task = findTask(req, res);
+    if (task) {
+      res.json(taskJson(task, req.query.include_subtasks === 'true'));
+    }
+  });
+
+  // Apply task fields from a create or update body, returning an error message if invalid
+  const applyTaskFields = (task, body) => {
+    const list = findById(state.lists, task.list_id);
+    const space = findById(state.spaces, list.space_id);
+
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) {
+        return 'Task name invalid';
+      }
+      task.name = body.name;
+    }
+    if (body.description !== undefined) {
+      task.description = String(body.description);
+    }
+    if (body.status !== undefined) {
+      const status = space.statuses.find(s => s.status.toLowerCase() === String(body.status).toLowerCase());
+      if (!status) {
+        return 'Status does not exist';
+      }
+      task.status = status.status;
+      task.date_closed = status.type === 'closed' ? String(Date.now()) : null;
+    }
+    if (body.priority !== undefined) {
+      if (body.priority !== null && !PRIORITIES[body.priority]) {
+        return 'Priority invalid';
+      }
+      task.priority = body.priority;
+    }
+    ['due_date', 'start_date'].forEach(field => {
+      if (body[field] !== undefined) {
+        task[field] = body[field] === null ? null : String(body[field]);
+      }
+    });
+    ['due_date_time', 'start_date_time', 'archived'].forEach(field => {
+      if (body[field] !== undefined) {
+        task[field] = !!body[field];
+      }
+    });
+    if (Array.isArray(body.tags)) {
+      task.tags = body.tags.map(String);
+    }
+    if (Array.isArray(body.assignees)) {
+      task.assignees = body.assignees;
+    } else if (body.assignees && typeof body.assignees === 'object') {
+      // Updates add and remove assignees rather than replacing them
+      const removed = (body.assignees.rem || []).map(String);
+      task.assignees = (task.assignees || [])
+        .filter(id => !removed.includes(String(id)))
+        .concat((body.assignees.add || []).filter(id => !(task.assignees || []).map(String).includes(String(id))));
+    }
+    if (body.parent !== undefined) {
+      task.parent = body.parent;
+    }
+
+    task.date_updated = String(Date.now());
+    return null;
+  };
+
+  router.post('/list/:listId/task', (req, res) => {
+    const list = visibleList(req, req.params.listId);
+    if (!list) {
+      return clickUpError(res, 404, 'List not found', 'SUBCAT_016');
+    }
+    if (!req.body || typeof req.body.name !== 'string' || !req.body.name.trim()) {
+      return clickUpError(res, 400, 'Task name invalid', 'INPUT_005');
+    }
+
+    const now = String(Date.now());
+    const task = {
+      id: `86mock${String(state.nextId++).padStart(3, '0')}`,
+      list_id: list.id,
+      name: req.body.name,
+      status: findById(state.spaces, list.space_id).statuses[0].status,
+      assignees: [],
+      tags: [],
+      date_created: now,
+      date_updated: now
+    };
+
+    const problem = applyTaskFields(task, req.body);
+    if (problem) {
+      return clickUpError(res, 400, problem, 'INPUT_005');
+    }
+
+    state.tasks.push(task);
+    res.json(taskJson(task));
+    deliverEvent(task, 'taskCreated', [historyItem(req, 'task_creation', null, null)]);
+  });
+
+  router.put('/task/:taskId', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    // Validate on a copy so that a rejected update changes nothing
+    const updated = { ...task };
+    const problem = applyTaskFields(updated, req.body || {});
+    if (problem) {
+      return clickUpError(res, 400, problem, 'INPUT_005');
+    }
+
+    const statusBefore = task.status;
+    Object.assign(task, updated);
+    res.json(taskJson(task));
+
+    if (task.status !== statusBefore) {
+      deliverEvent(task, 'taskStatusUpdated', [historyItem(req, 'status', { status: statusBefore }, { status: task.status })]);
+    }
+    deliverEvent(task, 'taskUpdated', [historyItem(req, Object.keys(req.body || {})[0] || 'content', null, null)]);
+  });
+
+  router.get('/task/:taskId/comment', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    // Newest first, as ClickUp returns them
+    const comments = state.comments
+      .filter(comment => comment.task_id === task.id)
+      .sort((a, b) => parseInt(b.date, 10) - parseInt(a.date, 10))
+      .map(commentJson);
+    res.json({ comments });
+  });
+
+  router.post('/task/:taskId/comment', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    if (!req.body || typeof req.body.comment_text !== 'string' || !req.body.comment_text.trim()) {
+      return clickUpError(res, 400, 'Comment text invalid', 'INPUT_005');
+    }
+
+    const comment = {
+      id: String(90000 + state.nextId++),
+      task_id: task.id,
+      user: req.mockUserId,
+      comment_text: req.body.comment_text,
+      date: String(Date.now())
+    };
+    state.comments.push(comment);
+    task.date_updated = comment.date;
+
+    res.json({ id: comment.id, hist_id: `hist-${comment.id}`, date: Number(comment.date) });
+    deliverEvent(task, 'taskCommentPosted', [historyItem(req, 'comment', null, { id: comment.id })]);
+  });
+
+  // Deleting a task deletes its subtasks and comments too
+  router.delete('/task/:taskId', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    const deleted = [task.id, ...state.tasks.filter(t => t.parent === task.id).map(t => t.id)];
+    state.tasks = state.tasks.filter(t => !deleted.includes(t.id));
+    state.comments = state.comments.filter(comment => !deleted.includes(comment.task_id));
+
+    res.status(204).end();
+    deliverEvent(task, 'taskDeleted', []);
+  });
+
+  const findChecklist = (req, res) => {
+    const task = state.tasks.find(t => (t.checklists || []).some(checklist => checklist.id === req.params.checklistId));
+    if (!visibleTask(req, task)) {
+      clickUpError(res, 404, 'Checklist not found', 'CHECK_001');
+      return null;
+    }
+    return { task, checklist: task.checklists.find(checklist => checklist.id === req.params.checklistId) };
+  };
+
+  // Apply checklist item fields from a create or update body, returning an error message if invalid
+  const applyChecklistItemFields = (item, body) => {
+    if (body.name !== undefined) {
+      if (typeof body.name !== 'string' || !body.name.trim()) {
+        return 'Checklist item name invalid';
+      }
+      item.name = body.name;
+    }
+    if (body.assignee !== undefined) {
+      if (body.assignee !== null && !findById(state.users, body.assignee)) {
+        return 'Assignee not found';
+      }
+      item.assignee = body.assignee;
+    }
+    if (body.resolved !== undefined) {
+      item.resolved = !!body.resolved;
+    }
+    return null;
+  };
+
+  router.post('/task/:taskId/checklist', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    if (!req.body || typeof req.body.name !== 'string' || !req.body.name.trim()) {
+      return clickUpError(res, 400, 'Checklist name invalid', 'CHECK_002');
+    }
+
+    task.checklists = task.checklists || [];
+    const checklist = { id: crypto.randomUUID(), task_id: task.id, name: req.body.name, orderindex: task.checklists.length, items: [] };
+    task.checklists.push(checklist);
+    task.date_updated = String(Date.now());
+
+    res.json({ checklist: checklistJson(checklist) });
+    deliverEvent(task, 'taskUpdated', [historyItem(req, 'checklist', null, { id: checklist.id })]);
+  });
+
+  router.post('/checklist/:checklistId/checklist_item', (req, res) => {
+    const found = findChecklist(req, res);
+    if (!found) {
+      return;
+    }
+    if (!req.body || typeof req.body.name !== 'string' || !req.body.name.trim()) {
+      return clickUpError(res, 400, 'Checklist item name invalid', 'CHECK_003');
+    }
+
+    const item = { id: crypto.randomUUID(), name: '', orderindex: found.checklist.items.length, assignee: null, resolved: false, parent: null, date_created: String(Date.now()) };
+    const problem = applyChecklistItemFields(item, req.body);
+    if (problem) {
+      return clickUpError(res, 400, problem, 'CHECK_003');
+    }
+    found.checklist.items.push(item);
+    found.task.date_updated = String(Date.now());
+
+    res.json({ checklist: checklistJson(found.checklist) });
+    deliverEvent(found.task, 'taskUpdated', [historyItem(req, 'checklist_item', null, { id: item.id })]);
+  });
+
+  router.put('/checklist/:checklistId/checklist_item/:itemId', (req, res) => {
+    const found = findChecklist(req, res);
+    if (!found) {
+      return;
+    }
+    const item = found.checklist.items.find(candidate => candidate.id === req.params.itemId);
+    if (!item) {
+      return clickUpError(res, 404, 'Checklist item not found', 'CHECK_004');
+    }
+
+    // Validate on a copy so that a rejected update changes nothing
+    const updated = { ...item };
+    const problem = applyChecklistItemFields(updated, req.body || {});
+    if (problem) {
+      return clickUpError(res, 400, problem, 'CHECK_003');
+    }
+    Object.assign(item, updated);
+    found.task.date_updated = String(Date.now());
+
+    res.json({ checklist: checklistJson(found.checklist) });
+    deliverEvent(found.task, 'taskUpdated', [historyItem(req, 'checklist_item_resolved', null, { id: item.id, resolved: item.resolved })]);
+  });
+
+  // Tags are added by name; the mock accepts any name
+  router.post('/task/:taskId/tag/:tagName', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    const tagName = req.params.tagName.toLowerCase();
+    if (!(task.tags || []).includes(tagName)) {
+      task.tags = [...(task.tags || []), tagName];
+      task.date_updated = String(Date.now());
+      deliverEvent(task, 'taskTagUpdated', [historyItem(req, 'tag', null, [{ name: tagName }])]);
+    }
+    res.json({});
+  });
+
+  router.delete('/task/:taskId/tag/:tagName', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    const tagName = req.params.tagName.toLowerCase();
+    if ((task.tags || []).includes(tagName)) {
+      task.tags = task.tags.filter(tag => tag !== tagName);
+      task.date_updated = String(Date.now());
+      deliverEvent(task, 'taskTagUpdated', [historyItem(req, 'tag_removed', [{ name: tagName }], null)]);
+    }
+    res.json({});
+  });
+
+  // A dependency is listed on both tasks: task_id waits on depends_on
+  router.post('/task/:taskId/dependency', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    const { depends_on: dependsOn, dependency_of: dependencyOf } = req.body || {};
+    if (!dependsOn === !dependencyOf) {
+      return clickUpError(res, 400, 'Either depends_on or dependency_of is required', 'DEPEND_001');
+    }
+    const other = visibleTask(req, findById(state.tasks, dependsOn || dependencyOf));
+    if (!other || other.id === task.id) {
+      return clickUpError(res, 404, 'Dependency task not found', 'DEPEND_002');
+    }
+
+    const [waiting, blocking] = dependsOn ? [task, other] : [other, task];
+    const exists = (waiting.dependencies || []).some(dependency => dependency.task_id === waiting.id && dependency.depends_on === blocking.id);
+    if (!exists) {
+      const dependency = { task_id: waiting.id, depends_on: blocking.id, type: 1, date_created: String(Date.now()), userid: String(req.mockUserId) };
+      waiting.dependencies = [...(waiting.dependencies || []), dependency];
+      blocking.dependencies = [...(blocking.dependencies || []), dependency];
+      waiting.date_updated = blocking.date_updated = String(Date.now());
+      deliverEvent(task, 'taskUpdated', [historyItem(req, 'dependency', null, dependency)]);
+    }
+    res.json({});
+  });
+
+  router.delete('/task/:taskId/dependency', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    const { depends_on: dependsOn, dependency_of: dependencyOf } = req.query;
+    if (!dependsOn === !dependencyOf) {
+      return clickUpError(res, 400, 'Either depends_on or dependency_of is required', 'DEPEND_001');
+    }
+
+    const [waitingId, blockingId] = dependsOn ? [task.id, dependsOn] : [dependencyOf, task.id];
+    const isRemoved = dependency => dependency.task_id === waitingId && dependency.depends_on === blockingId;
+    [findById(state.tasks, waitingId), findById(state.tasks, blockingId)].filter(Boolean).forEach(t => {
+      t.dependencies = (t.dependencies || []).filter(dependency => !isRemoved(dependency));
+      t.date_updated = String(Date.now());
+    });
+    res.json({});
+    deliverEvent(task, 'taskUpdated', [historyItem(req, 'dependency_removed', { task_id: waitingId, depends_on: blockingId }, null)]);
+  });
+
+  // A link is listed on both tasks
+  router.post('/task/:taskId/link/:linksTo', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    const other = visibleTask(req, findById(state.tasks, req.params.linksTo));
+    if (!other || other.id === task.id) {
+      return clickUpError(res, 404, 'Linked task not found', 'LINK_001');
+    }
+
+    const isLink = link => [link.task_id, link.link_id].includes(task.id) && [link.task_id, link.link_id].includes(other.id);
+    if (!(task.linked_tasks || []).some(isLink)) {
+      const link = { task_id: task.id, link_id: other.id, date_created: String(Date.now()), userid: String(req.mockUserId) };
+      task.linked_tasks = [...(task.linked_tasks || []), link];
+      other.linked_tasks = [...(other.linked_tasks || []), link];
+      task.date_updated = other.date_updated = String(Date.now());
+      deliverEvent(task, 'taskUpdated', [historyItem(req, 'linked_task', null, link)]);
+    }
+    res.json({ task: taskJson(task) });
+  });
+
+  router.delete('/task/:taskId/link/:linksTo', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    const isLink = link => [link.task_id, link.link_id].includes(task.id) && [link.task_id, link.link_id].includes(req.params.linksTo);
+    [task, findById(state.tasks, req.params.linksTo)].filter(Boolean).forEach(t => {
+      t.linked_tasks = (t.linked_tasks || []).filter(link => !isLink(link));
+      t.date_updated = String(Date.now());
+    });
+    res.json({ task: taskJson(task) });
+    deliverEvent(task, 'taskUpdated', [historyItem(req, 'linked_task_removed', { link_id: req.params.linksTo }, null)]);
+  });
+
+  // Custom fields belong to a list, so a field any task in the list has can be
+  // set on the others. Dropdown values are set by option ID and read as the
+  // option's orderindex, and numeric fields only take numbers.
+  const findListField = (task, fieldId) => state.tasks
+    .filter(t => t.list_id === task.list_id)
+    .reduce((fields, t) => fields.concat(t.custom_fields || []), [])
+    .find(field => field.id === fieldId);
+
+  router.post('/task/:taskId/field/:fieldId', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    const field = findListField(task, req.params.fieldId);
+    if (!field) {
+      return clickUpError(res, 400, 'Custom field not found on the task\'s list', 'FIELD_033');
+    }
+
+    let value = req.body ? req.body.value : undefined;
+    if (value === undefined || value === null) {
+      return clickUpError(res, 400, 'Value must be set', 'FIELD_001');
+    }
+    if (field.type === 'drop_down') {
+      const option = ((field.type_config || {}).options || []).find(candidate => candidate.id === value);
+      if (!option) {
+        return clickUpError(res, 400, 'Value is not a valid option', 'FIELD_009');
+      }
+      value = option.orderindex;
+    }
+    if (['number', 'currency'].includes(field.type) && typeof value !== 'number') {
+      return clickUpError(res, 400, 'Value must be a number', 'FIELD_010');
+    }
+
+    task.custom_fields = (task.custom_fields || []).filter(candidate => candidate.id !== field.id)
+      .concat({ ...field, value });
+    task.date_updated = String(Date.now());
+    res.json({});
+    deliverEvent(task, 'taskUpdated', [historyItem(req, 'custom_field', null, { id: field.id })]);
+  });
+
+  router.delete('/task/:taskId/field/:fieldId', (req, res) => {
+    const task = findTask(req, res);
+    if (!task) {
+      return;
+    }
+    const field = findListField(task, req.params.fieldId);
+    if (!field) {
+      return clickUpError(res, 400, 'Custom field not found on the task\'s list', 'FIELD_033');
+    }
+
+    task.custom_fields = (task.custom_fields || []).map(candidate => {
+      if (candidate.id !== field.id) {
+        return candidate;
+      }
+      const { value, ...definition } = candidate;
+      return definition;
+    });
+    task.date_updated = String(Date.now());
+    res.json({});
+    deliverEvent(task, 'taskUpdated', [historyItem(req, 'custom_field', { id: field.id }, null)]);
+  });
+
+  const webhookJson = webhook => ({ ...webhook, userid: Number(webhook.userid) });
+
+  // Send an event to the team's webhooks that subscribe to it, signed with
+  // each webhook's secret. Deliveries are not awaited and failures only logged.
+  const deliverEvent = (task, event, historyItems) => {
+    const list = findById(state.lists, task.list_id);
+    const space = findById(state.spaces, list.space_id);
+
+    state.webhooks
+      .filter(webhook => webhook.team_id === space.team_id)
+      .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event))
+      .filter(webhook => (!webhook.space_id || String(webhook.space_id) === String(space.id))
+        && (!webhook.folder_id || String(webhook.folder_id) === String(list.folder_id))
+        && (!webhook.list_id || String(webhook.list_id) === String(list.id))
+        && (!webhook.task_id || String(webhook.task_id) === String(task.id)))
+      .forEach(webhook => {
+        const body = JSON.stringify({ event, history_items: historyItems, task_id: task.id, webhook_id: webhook.id });
+        const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+        fetch(webhook.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Signature': signature },
+          body
+        }).catch(error => logger.warn(`Could not deliver ${event} to ${webhook.endpoint}`, { error: error.message }));
+      });
+  };
+
+  const historyItem = (req, field, before, after) => ({
+    id: String(8000000 + state.nextId++),
+    type: 1,
+    date: String(Date.now()),
+    field,
+    user: userJson(req.mockUserId),
+    before,
+    after
+  });
+
+  router.post('/team/:teamId/webhook', (req, res) => {
+    if (!teamsFor(req).some(team => team.id === req.params.teamId)) {
+      return clickUpError(res, 401, 'Team not authorized', 'OAUTH_027');
+    }
+    const { endpoint, events, space_id: spaceId, folder_id: folderId, list_id: listId, task_id: taskId } = req.body || {};
+    if (typeof endpoint !== 'string' || !endpoint) {
+      return clickUpError(res, 400, 'Endpoint invalid', 'INPUT_001');
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      userid: req.mockUserId,
+      team_id: req.params.teamId,
+      endpoint,
+      client_id: `mock_webhook_client_${state.nextId++}`,
+      events: Array.isArray(events) && events.length > 0 ? events : ['*'],
+      task_id: taskId || null,
+      list_id: listId ? Number(listId) : null,
+      folder_id: folderId ? Number(folderId) : null,
+      space_id: spaceId ? Number(spaceId) : null,
+      health: { status: 'active', fail_count: 0 },
+      secret: crypto.randomBytes(24).toString('hex').toUpperCase()
+    };
+    state.webhooks.push(webhook);
+    res.json({ id: webhook.id, webhook: webhookJson(webhook) });
+  });
+
+  router.get('/team/:teamId/webhook', (req, res) => {
+    if (!teamsFor(req).some(team => team.id === req.params.teamId)) {
+      return clickUpError(res, 401, 'Team not authorized', 'OAUTH_027');
+    }
+    res.json({ webhooks: state.webhooks.filter(webhook => webhook.team_id === req.params.teamId).map(webhookJson) });
+  });
+
+  router.delete('/webhook/:webhookId', (req, res) => {
+    const webhook = state.webhooks.find(hook => hook.id === req.params.webhookId);
+    if (!webhook || !teamsFor(req).some(team => team.id === webhook.team_id)) {
+      return clickUpError(res, 404, 'Webhook not found', 'WH_002');
+    }
+    state.webhooks = state.webhooks.filter(hook => hook !== webhook);
+    res.json({});
+  });
+
+  app.use('/api/v2', router);
+
+  app.use((req, res) => clickUpError(res, 404, 'Route not found', 'APP_001'));
+
+  return app;
+}
+
+// Run standalone with `npm run mock`
+if (require.main === module) {
+  const port = process.env.MOCK_CLICKUP_PORT || 3100;
+  const fixturesFile = process.env.MOCK_CLICKUP_FIXTURES || DEFAULT_FIXTURES_FILE;
+  const app = createMockClickUpServer({
+    fixtures: JSON.parse(fs.readFileSync(fixturesFile, 'utf8')),
+    rateLimitPerMinute: parseInt(process.env.MOCK_CLICKUP_RATE_LIMIT || '100', 10)
+  });
+
+  app.listen(port, () => {
+    logger.info(`Mock ClickUp API listening on http://localhost:${port}/api/v2 with fixtures from ${fixturesFile}`);
+  });
+}
+
+module.exports = {
+  createMockClickUpServer
+};
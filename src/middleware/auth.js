@@ -3,6 +3,7 @@
  */
 
 const { getLogger } = require('../utils/logger');
+const { AuthError } = require('../utils/errors');
 const logger = getLogger('auth');
 
 // Load API keys from environment or configuration
@@ -32,10 +33,7 @@ function validateApiKey(req, res, next) {
       requestId: req.requestId
     });
     
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'API key is required' 
-    });
+    return next(new AuthError('API key is required'));
   }
   
   // Check if the API key is valid
@@ -47,10 +45,7 @@ function validateApiKey(req, res, next) {
       apiKeyLength: apiKey ? apiKey.length : 0
     });
     
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'Invalid API key' 
-    });
+    return next(new AuthError('Invalid API key'));
   }
   
   // API key is valid, proceed
@@ -70,18 +65,12 @@ function validateClickUpToken(req, res, next) {
   const userId = req.headers['x-user-id'] || req.query.user_id;
   
   if (!userId) {
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'User ID is required' 
-    });
+    return next(new AuthError('User ID is required'));
   }
   
   // Check if the user has a stored token
   if (!tokenManager.hasToken(userId)) {
-    return res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'ClickUp token not found for this user. Please register your token first.' 
-    });
+    return next(new AuthError('ClickUp token not found for this user. Please register your token first.'));
   }
   
   // Add the userId to the request for later use
@@ -0,0 +1,92 @@
+/**
+ * Central error handling, reporting every error as application/problem+json (RFC 9457)
+ */
+
+const { AppError, NotFoundError, ValidationError } = require('../utils/errors');
+const { getLogger } = require('../utils/logger');
+const logger = getLogger('errors');
+
+/**
+ * Wrap an async route handler so that its errors reach the error middleware
+ * @param {function} handler The async (req, res, next) handler
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Middleware for requests no route matched
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+}
+
+// Turn errors not thrown by this service, e.g. a malformed JSON body, into typed ones
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('The request body is not valid JSON');
+  }
+
+  const typed = new AppError(error.message);
+  typed.stack = error.stack;
+  return typed;
+}
+
+/**
+ * Error middleware that responds with a problem+json body
+ *
+ * The body always has type, title, status, detail, instance and requestId.
+ * Errors from ClickUp add upstreamStatus and ecode, validation errors add
+ * errors, and rate-limited or unavailable responses get a Retry-After header.
+ */
+function errorHandler(err, req, res, next) {
+  const error = toAppError(err);
+  const context = { requestId: req.requestId, method: req.method, url: req.originalUrl, status: error.status };
+
+  if (error.status >= 500) {
+    logger.error(`Request failed: ${error.message}`, { ...context, error: err.stack });
+  } else {
+    logger.warn(`Request rejected: ${error.message}`, { ...context, ecode: error.ecode });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const problem = {
+    type: `/problems/${error.type}`,
+    title: error.title,
+    status: error.status,
+    // Unexpected errors may reveal internals, so production only says that one happened
+    detail: error.constructor === AppError && process.env.NODE_ENV === 'production'
+      ? 'An unexpected error occurred'
+      : error.message,
+    instance: req.originalUrl,
+    requestId: req.requestId
+  };
+
+  if (error.upstreamStatus) {
+    problem.upstreamStatus = error.upstreamStatus;
+  }
+  if (error.ecode) {
+    problem.ecode = error.ecode;
+  }
+  if (error.errors && error.errors.length > 0) {
+    problem.errors = error.errors;
+  }
+  if (error.retryAfterMs !== null) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+
+  res.status(error.status).type('application/problem+json').json(problem);
+}
+
+module.exports = {
+  asyncHandler,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const clickupOAuthService = require('../services/clickup-oauth.service');
+const { validateApiKey } = require('../middleware/auth');
+const { getUserIdFromRequest } = require('../utils/auth-helpers');
+const { asyncHandler } = require('../middleware/errors');
+
+const router = express.Router();
+
+// Send the user to ClickUp to authorise the OAuth app. Needs an API key, and
+// the user ID that the access token will be stored for.
+router.get('/start', validateApiKey, (req, res) => {
+  res.redirect(302, clickupOAuthService.startAuthorization(getUserIdFromRequest(req)));
+});
+
+// ClickUp sends the user back here. The state, not an API key, identifies
+// the flow and its user.
+router.get('/callback', asyncHandler(async (req, res) => {
+  const { code, state, error } = req.query;
+  const { userId, workspaces } = await clickupOAuthService.completeAuthorization({ code, state, error });
+
+  res.status(200).json({
+    success: true,
+    message: 'ClickUp authorised successfully',
+    userId,
+    workspaces
+  });
+}));
+
+module.exports = { authRoutes: router };
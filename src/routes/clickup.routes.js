@@ -1,172 +1,327 @@
 const express = require('express');
 const clickupService = require('../services/clickup.service');
+const webhookService = require('../services/webhook.service');
 const { getUserIdFromRequest } = require('../utils/auth-helpers');
+const { parseTaskFilters } = require('../utils/task-filters');
+const { withReadableCustomFields } = require('../utils/custom-fields');
+const {
+  validateChecklist,
+  validateChecklistItem,
+  validateCustomFieldValue,
+  validateDependency,
+  validateLink,
+  validateSubtask,
+  validateTagName
+} = require('../utils/task-validation');
+const { ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errors');
 
 const router = express.Router();
 
+// ClickUp returns at most 100 tasks per page
+const RECENT_TASKS_MAX_LIMIT = 100;
+
+// Add readable custom field values to every task in a task list response
+function withReadableTaskList(response) {
+  return response && Array.isArray(response.tasks)
+    ? { ...response, tasks: response.tasks.map(withReadableCustomFields) }
+    : response;
+}
+
 // Get user's workspaces
-router.get('/workspaces', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const workspaces = await clickupService.getWorkspaces(userId);
-    res.json(workspaces);
-  } catch (error) {
-    console.error('Error fetching workspaces:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/workspaces', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const workspaces = await clickupService.getWorkspaces(userId);
+  res.json(workspaces);
+}));
 
 // Get spaces in a workspace
-router.get('/workspaces/:workspaceId/spaces', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { workspaceId } = req.params;
-    const spaces = await clickupService.getSpaces(workspaceId, userId);
-    res.json(spaces);
-  } catch (error) {
-    console.error('Error fetching spaces:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/workspaces/:workspaceId/spaces', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { workspaceId } = req.params;
+  const spaces = await clickupService.getSpaces(workspaceId, userId);
+  res.json(spaces);
+}));
 
 // Get folders in a space
-router.get('/spaces/:spaceId/folders', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { spaceId } = req.params;
-    const folders = await clickupService.getFolders(spaceId, userId);
-    res.json(folders);
-  } catch (error) {
-    console.error('Error fetching folders:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/spaces/:spaceId/folders', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { spaceId } = req.params;
+  const folders = await clickupService.getFolders(spaceId, userId);
+  res.json(folders);
+}));
 
 // Get folderless lists in a space
-router.get('/spaces/:spaceId/lists', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { spaceId } = req.params;
-    const lists = await clickupService.getFolderlessLists(spaceId, userId);
-    res.json(lists);
-  } catch (error) {
-    console.error('Error fetching folderless lists:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/spaces/:spaceId/lists', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { spaceId } = req.params;
+  const lists = await clickupService.getFolderlessLists(spaceId, userId);
+  res.json(lists);
+}));
 
 // Get lists in a folder
-router.get('/folders/:folderId/lists', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { folderId } = req.params;
-    const lists = await clickupService.getLists(folderId, userId);
-    res.json(lists);
-  } catch (error) {
-    console.error('Error fetching lists:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/folders/:folderId/lists', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { folderId } = req.params;
+  const lists = await clickupService.getLists(folderId, userId);
+  res.json(lists);
+}));
 
 // Get tasks in a list
-router.get('/lists/:listId/tasks', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { listId } = req.params;
-    const { page = 0, limit = 100 } = req.query;
-    const tasks = await clickupService.getTasks(listId, userId, page, limit);
-    res.json(tasks);
-  } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/lists/:listId/tasks', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { listId } = req.params;
+  const { page = 0, limit = 100 } = req.query;
+  const tasks = await clickupService.getTasks(listId, userId, page, limit);
+  res.json(withReadableTaskList(tasks));
+}));
 
 // Get a specific task
-router.get('/tasks/:taskId', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { taskId } = req.params;
-    const task = await clickupService.getTask(taskId, userId);
-    res.json(task);
-  } catch (error) {
-    console.error('Error fetching task:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/tasks/:taskId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId } = req.params;
+  const task = await clickupService.getTask(taskId, userId);
+  res.json(withReadableCustomFields(task));
+}));
 
 // Create a task in a list
-router.post('/lists/:listId/tasks', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { listId } = req.params;
-    const taskData = req.body;
-    const newTask = await clickupService.createTask(listId, taskData, userId);
-    res.status(201).json(newTask);
-  } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/lists/:listId/tasks', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { listId } = req.params;
+  const taskData = req.body;
+  const newTask = await clickupService.createTask(listId, taskData, userId);
+  res.status(201).json(newTask);
+}));
 
 // Update a task
-router.put('/tasks/:taskId', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { taskId } = req.params;
-    const taskData = req.body;
-    const updatedTask = await clickupService.updateTask(taskId, taskData, userId);
-    res.json(updatedTask);
-  } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.put('/tasks/:taskId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId } = req.params;
+  const taskData = req.body;
+  const updatedTask = await clickupService.updateTask(taskId, taskData, userId);
+  res.json(updatedTask);
+}));
 
 // Get recent tasks from a workspace
-router.get('/workspaces/:workspaceId/recent-tasks', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { workspaceId } = req.params;
-    const { limit = 10 } = req.query;
-    const tasks = await clickupService.getRecentTasks(workspaceId, userId, limit);
-    res.json(tasks);
-  } catch (error) {
-    console.error('Error fetching recent tasks:', error);
-    res.status(500).json({ error: error.message });
+router.get('/workspaces/:workspaceId/recent-tasks', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { workspaceId } = req.params;
+  const { limit = '10' } = req.query;
+  const { filters, errors } = parseTaskFilters(req.query);
+  
+  if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > RECENT_TASKS_MAX_LIMIT) {
+    throw new ValidationError(`limit must be an integer from 1 to ${RECENT_TASKS_MAX_LIMIT}`);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid task filters', errors);
   }
-});
+  
+  const tasks = await clickupService.getRecentTasks(workspaceId, userId, Number(limit), { filters });
+  res.json(withReadableTaskList(tasks));
+}));
 
 // Get comments for a task
-router.get('/tasks/:taskId/comments', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { taskId } = req.params;
-    const comments = await clickupService.getTaskComments(taskId, userId);
-    res.json(comments);
-  } catch (error) {
-    console.error('Error fetching task comments:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.get('/tasks/:taskId/comments', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId } = req.params;
+  const comments = await clickupService.getTaskComments(taskId, userId);
+  res.json(comments);
+}));
 
 // Add a comment to a task
-router.post('/tasks/:taskId/comments', async (req, res) => {
-  try {
-    const userId = getUserIdFromRequest(req);
-    const { taskId } = req.params;
-    const { comment_text } = req.body;
-    
-    if (!comment_text) {
-      return res.status(400).json({ error: 'comment_text is required' });
-    }
-    
-    const newComment = await clickupService.addTaskComment(taskId, comment_text, userId);
-    res.status(201).json(newComment);
-  } catch (error) {
-    console.error('Error adding task comment:', error);
-    res.status(500).json({ error: error.message });
+router.post('/tasks/:taskId/comments', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId } = req.params;
+  const { comment_text } = req.body;
+  
+  if (!comment_text) {
+    throw new ValidationError('comment_text is required');
+  }
+  
+  const newComment = await clickupService.addTaskComment(taskId, comment_text, userId);
+  res.status(201).json(newComment);
+}));
+
+// Delete a task, with its subtasks
+router.delete('/tasks/:taskId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  await clickupService.deleteTask(req.params.taskId, userId);
+  res.status(204).end();
+}));
+
+// Create a subtask in the parent task's list
+router.post('/tasks/:taskId/subtasks', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const problems = validateSubtask(req.body);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid subtask', problems);
+  }
+  
+  const subtask = await clickupService.createSubtask(req.params.taskId, req.body, userId);
+  res.status(201).json(subtask);
+}));
+
+// Add a checklist to a task
+router.post('/tasks/:taskId/checklists', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const problems = validateChecklist(req.body);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid checklist', problems);
+  }
+  
+  const checklist = await clickupService.createChecklist(req.params.taskId, req.body.name, userId);
+  res.status(201).json(checklist);
+}));
+
+// Add an item to a checklist
+router.post('/checklists/:checklistId/items', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const problems = validateChecklistItem(req.body);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid checklist item', problems);
   }
-});
+  
+  const { name, assignee } = req.body;
+  const checklist = await clickupService.createChecklistItem(req.params.checklistId, { name, assignee }, userId);
+  res.status(201).json(checklist);
+}));
+
+// Rename, assign, or resolve and reopen a checklist item
+router.put('/checklists/:checklistId/items/:itemId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const problems = validateChecklistItem(req.body, { update: true });
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid checklist item', problems);
+  }
+  
+  const { checklistId, itemId } = req.params;
+  const { name, assignee, resolved } = req.body;
+  const checklist = await clickupService.updateChecklistItem(checklistId, itemId, { name, assignee, resolved }, userId);
+  res.json(checklist);
+}));
+
+// Add a tag to a task
+router.post('/tasks/:taskId/tags/:tagName', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId, tagName } = req.params;
+  const problems = validateTagName(tagName);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid tag', problems);
+  }
+  
+  await clickupService.addTaskTag(taskId, tagName, userId);
+  res.status(204).end();
+}));
+
+// Remove a tag from a task
+router.delete('/tasks/:taskId/tags/:tagName', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId, tagName } = req.params;
+  const problems = validateTagName(tagName);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid tag', problems);
+  }
+  
+  await clickupService.removeTaskTag(taskId, tagName, userId);
+  res.status(204).end();
+}));
+
+// Make a task wait on another ({"depends_on": id}) or block another ({"dependency_of": id})
+router.post('/tasks/:taskId/dependencies', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId } = req.params;
+  const problems = validateDependency(taskId, req.body);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid dependency', problems);
+  }
+  
+  const { depends_on, dependency_of } = req.body;
+  await clickupService.addTaskDependency(taskId, depends_on !== undefined ? { depends_on } : { dependency_of }, userId);
+  res.status(204).end();
+}));
+
+// Remove a dependency, given as ?depends_on=id or ?dependency_of=id
+router.delete('/tasks/:taskId/dependencies', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId } = req.params;
+  const problems = validateDependency(taskId, req.query);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid dependency', problems);
+  }
+  
+  const { depends_on, dependency_of } = req.query;
+  await clickupService.removeTaskDependency(taskId, depends_on !== undefined ? { depends_on } : { dependency_of }, userId);
+  res.status(204).end();
+}));
+
+// Link a task to another
+router.post('/tasks/:taskId/links/:linkedTaskId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId, linkedTaskId } = req.params;
+  const problems = validateLink(taskId, linkedTaskId);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid link', problems);
+  }
+  
+  const { task } = await clickupService.addTaskLink(taskId, linkedTaskId, userId);
+  res.json(withReadableCustomFields(task));
+}));
+
+// Remove the link between two tasks
+router.delete('/tasks/:taskId/links/:linkedTaskId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId, linkedTaskId } = req.params;
+  const problems = validateLink(taskId, linkedTaskId);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid link', problems);
+  }
+  
+  const { task } = await clickupService.removeTaskLink(taskId, linkedTaskId, userId);
+  res.json(withReadableCustomFields(task));
+}));
+
+// Set a custom field's value on a task
+router.put('/tasks/:taskId/custom-fields/:fieldId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const problems = validateCustomFieldValue(req.body);
+  if (problems.length > 0) {
+    throw new ValidationError('Invalid custom field value', problems);
+  }
+  
+  const { taskId, fieldId } = req.params;
+  await clickupService.setCustomFieldValue(taskId, fieldId, req.body.value, userId, req.body.value_options);
+  res.status(204).end();
+}));
+
+// Clear a custom field's value on a task
+router.delete('/tasks/:taskId/custom-fields/:fieldId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { taskId, fieldId } = req.params;
+  await clickupService.clearCustomFieldValue(taskId, fieldId, userId);
+  res.status(204).end();
+}));
+
+// List the webhooks registered for a workspace
+router.get('/workspaces/:workspaceId/webhooks', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { workspaceId } = req.params;
+  const webhooks = await webhookService.listWebhooks(workspaceId, userId);
+  res.json({ webhooks });
+}));
+
+// Register a webhook for a workspace, keeping its secret to verify its events
+router.post('/workspaces/:workspaceId/webhooks', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { workspaceId } = req.params;
+  const webhook = await webhookService.registerWebhook(workspaceId, req.body, userId);
+  res.status(201).json(webhook);
+}));
+
+// Delete a webhook
+router.delete('/webhooks/:webhookId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  await webhookService.deleteWebhook(req.params.webhookId, userId);
+  res.status(204).end();
+}));
 
 module.exports = { clickupRoutes: router }; 
\ No newline at end of file
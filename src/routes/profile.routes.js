@@ -0,0 +1,57 @@
+const express = require('express');
+const { profileStore } = require('../utils/profile-store');
+const { getLogger } = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errors');
+
+const logger = getLogger('profile-routes');
+const router = express.Router();
+
+// List all context profiles
+router.get('/', (req, res) => {
+  res.json({ profiles: profileStore.listProfiles() });
+});
+
+// Get a context profile
+router.get('/:name', (req, res) => {
+  const { name } = req.params;
+  const profile = profileStore.getProfile(name);
+
+  if (!profile) {
+    throw new NotFoundError(`Profile not found: ${name}`);
+  }
+
+  res.json({ name, ...profile });
+});
+
+// Create or replace a context profile
+router.put('/:name', asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!profileStore.isValidName(name)) {
+    logger.warn(`Rejected invalid profile name "${name}"`, { requestId: req.requestId });
+    throw new ValidationError('Profile name must be 1-64 letters, digits, dashes or underscores');
+  }
+
+  const problems = profileStore.validateProfile(req.body);
+
+  if (problems.length > 0) {
+    logger.warn(`Rejected invalid profile "${name}"`, { problems, requestId: req.requestId });
+    throw new ValidationError('Invalid profile', problems);
+  }
+
+  await profileStore.saveProfile(name, req.body);
+  res.status(200).json({ success: true, name });
+}));
+
+// Delete a context profile
+router.delete('/:name', asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!(await profileStore.removeProfile(name))) {
+    throw new NotFoundError(`Profile not found: ${name}`);
+  }
+  res.status(204).end();
+}));
+
+module.exports = { profileRoutes: router };
@@ -0,0 +1,40 @@
+const express = require('express');
+const syncService = require('../services/sync.service');
+const { getUserIdFromRequest } = require('../utils/auth-helpers');
+const { NotFoundError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errors');
+
+const router = express.Router();
+
+// Sync state of every mirrored workspace
+router.get('/', (req, res) => {
+  res.json({ mirrors: syncService.listStatuses() });
+});
+
+// Sync state of one workspace
+router.get('/:workspaceId', (req, res) => {
+  const status = syncService.getStatus(req.params.workspaceId);
+  if (!status) {
+    throw new NotFoundError(`Workspace ${req.params.workspaceId} is not mirrored`);
+  }
+  res.json(status);
+});
+
+// Sync a workspace now with the caller's credential, in full with ?full=true.
+// The sync runs in the background unless ?wait=true.
+router.post('/:workspaceId', asyncHandler(async (req, res) => {
+  const userId = getUserIdFromRequest(req);
+  const { workspaceId } = req.params;
+  const sync = syncService.sync(workspaceId, { userId, full: req.query.full === 'true' });
+
+  if (req.query.wait === 'true') {
+    await sync;
+    return res.status(200).json(syncService.getStatus(workspaceId));
+  }
+
+  // A background sync reports its failure through the sync state
+  sync.catch(() => {});
+  res.status(202).json(syncService.getStatus(workspaceId));
+}));
+
+module.exports = { syncRoutes: router };
@@ -0,0 +1,59 @@
+const express = require('express');
+const { templateStore } = require('../utils/template-store');
+const { getApiKeyFromRequest } = require('../utils/auth-helpers');
+const { getLogger } = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const logger = getLogger('template-routes');
+const router = express.Router();
+
+// List the templates stored for the calling API key
+router.get('/', (req, res) => {
+  const templates = templateStore.listTemplates(getApiKeyFromRequest(req));
+  res.json({ templates });
+});
+
+// Get a template's source
+router.get('/:name', (req, res) => {
+  const { name } = req.params;
+  const template = templateStore.getTemplate(getApiKeyFromRequest(req), name);
+
+  if (!template) {
+    throw new NotFoundError(`Template not found: ${name}`);
+  }
+
+  res.json({ name, template: template.source, updatedAt: template.updatedAt });
+});
+
+// Create or replace a template, validating it first
+router.put('/:name', (req, res) => {
+  const { name } = req.params;
+  const { template } = req.body || {};
+
+  if (typeof template !== 'string') {
+    logger.warn('Template upload without a template string', { name, requestId: req.requestId });
+    throw new ValidationError('template is required as a string in the request body');
+  }
+
+  try {
+    templateStore.saveTemplate(getApiKeyFromRequest(req), name, template);
+  } catch (error) {
+    logger.warn(`Rejected invalid template "${name}"`, { error: error.message, requestId: req.requestId });
+    throw new ValidationError(`Invalid template: ${error.message}`);
+  }
+
+  res.status(200).json({ success: true, name });
+});
+
+// Delete a template
+router.delete('/:name', (req, res) => {
+  const { name } = req.params;
+
+  if (!templateStore.removeTemplate(getApiKeyFromRequest(req), name)) {
+    throw new NotFoundError(`Template not found: ${name}`);
+  }
+
+  res.status(204).end();
+});
+
+module.exports = { templateRoutes: router };
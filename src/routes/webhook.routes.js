@@ -0,0 +1,18 @@
+const express = require('express');
+const webhookService = require('../services/webhook.service');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Events pushed by ClickUp. They carry no API key; the X-Signature HMAC of the
+// raw body, kept by the JSON body parser, authenticates them instead.
+router.post('/clickup', (req, res) => {
+  if (!req.rawBody) {
+    throw new ValidationError('Webhook events must be sent as application/json');
+  }
+
+  const { id, duplicate } = webhookService.receiveEvent(req.rawBody, req.get('x-signature'));
+  res.status(200).json({ received: true, id, duplicate });
+});
+
+module.exports = { webhookRoutes: router };
@@ -2,23 +2,227 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const { clickupRoutes } = require('./routes/clickup.routes');
-const { formatResponseForTypingMind } = require('./utils/formatters');
+const { templateRoutes } = require('./routes/template.routes');
+const { profileRoutes } = require('./routes/profile.routes');
+const { authRoutes } = require('./routes/auth.routes');
+const { webhookRoutes } = require('./routes/webhook.routes');
+const { syncRoutes } = require('./routes/sync.routes');
+const { formatResponseForTypingMind, formatters } = require('./utils/formatters');
+const { parseMaxTokens } = require('./utils/token-budget');
+const { parseFormat, FORMATS } = require('./utils/context-renderers');
+const { analyzeIntent } = require('./utils/intent-analyzer');
+const { parseSearchMode, SEARCH_MODES } = require('./utils/task-ranker');
+const { parseTaskFilters } = require('./utils/task-filters');
+const { parseTimeZone } = require('./utils/dates');
+const { findEntityReferences } = require('./utils/entity-references');
+const { parseContextSource, CONTEXT_SOURCES } = require('./utils/workspace-mirror');
+const { templateStore, DEFAULT_TEMPLATE_NAME } = require('./utils/template-store');
+const { profileStore } = require('./utils/profile-store');
+const { contextSnapshotStore, snapshotKey, unavailableNotice } = require('./utils/context-snapshots');
+const { getApiKeyFromRequest } = require('./utils/auth-helpers');
 const { validateApiKey } = require('./middleware/auth');
-const { getLogger, requestLoggerMiddleware } = require('./utils/logger');
+const { asyncHandler, notFoundHandler, errorHandler } = require('./middleware/errors');
+const { ValidationError, NotFoundError, UnavailableError } = require('./utils/errors');
+const { getLogger, requestLoggerMiddleware, getRequestContext } = require('./utils/logger');
 
 // Initialize logger
 const logger = getLogger('server');
 
+// Data types on /context/clickup that describe a single task selected by x-task-id
+const TASK_DATA_TYPES = ['task', 'comments'];
+
+// Clamp the hierarchy depth to spaces (1), folders (2) or lists in folders (3)
+const parseHierarchyDepth = (value) => Math.min(Math.max(parseInt(value || '3', 10) || 3, 1), 3);
+
+/**
+ * Read the parameters of a context request from its headers, then its query
+ * params, then its context profile, and check them. Which of them are
+ * required, such as the workspace, is up to each endpoint.
+ * @param {object} req The request
+ * @returns {object} The parameters
+ * @throws {ValidationError} When a parameter is invalid or a named profile or template does not exist
+ */
+function parseContextParams(req) {
+  const invalid = (message, details) => {
+    logger.warn(`Invalid context request: ${message}`, { errors: details, requestId: req.requestId });
+    return new ValidationError(message, details);
+  };
+
+  const profileName = req.headers['x-context-profile'] || req.query.profile;
+  const namedProfile = profileName ? profileStore.getProfile(profileName) : null;
+  if (profileName && !namedProfile) {
+    throw invalid(`Unknown context profile: ${profileName}`);
+  }
+  const profile = namedProfile || {};
+
+  const params = {
+    profileName,
+    profile,
+    workspaceId: req.headers['x-workspace-id'] || req.query.workspaceId || profile.workspaceId || process.env.DEFAULT_WORKSPACE_ID,
+    dataType: req.headers['x-data-type'] || req.query.dataType || profile.dataType || 'tasks',
+    dataTypes: (req.headers['x-data-types'] || req.query.dataTypes || (profile.dataTypes || []).join(',') || 'tasks,lists,spaces')
+      .split(',')
+      .map(dataType => dataType.trim()),
+    taskId: req.headers['x-task-id'] || req.query.taskId,
+    intentEnabled: (req.headers['x-intent'] || req.query.intent || 'on') !== 'off',
+    limit: parseInt(req.headers['x-limit'] || req.query.limit || profile.limit || '10', 10),
+    lastUserMessage: req.headers['x-last-user-message'] || '',
+    userId: req.headers['x-user-id'] || req.query.userId || 'default',
+    maxTokens: parseMaxTokens(req.headers['x-max-tokens'] || req.query.maxTokens || profile.maxTokens),
+    format: parseFormat(req.headers['x-format'] || req.query.format || profile.format),
+    searchMode: parseSearchMode(req.headers['x-search-mode'] || req.query.searchMode || profile.searchMode),
+    hierarchyDepth: parseHierarchyDepth(req.headers['x-hierarchy-depth'] || req.query.depth || profile.depth),
+    timeZone: parseTimeZone(req.headers['x-timezone'] || req.query.timezone || profile.timezone),
+    source: parseContextSource(req.headers['x-context-source'] || req.query.source || profile.source)
+  };
+
+  const templateName = req.headers['x-template'] || req.query.template || profile.template;
+  params.template = templateStore.getTemplate(getApiKeyFromRequest(req), templateName || DEFAULT_TEMPLATE_NAME);
+
+  const { filters, errors: filterErrors } = parseTaskFilters({ ...profile.filters, ...req.query });
+  params.taskFilters = filters;
+
+  if (params.maxTokens === undefined) {
+    throw invalid('x-max-tokens must be a positive integer');
+  }
+  if (!params.format) {
+    throw invalid(`x-format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (!params.searchMode) {
+    throw invalid(`x-search-mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  if (!params.timeZone) {
+    throw invalid('x-timezone must be an IANA time zone such as Europe/Berlin');
+  }
+  if (templateName && !params.template) {
+    throw invalid(`Unknown template: ${templateName}`);
+  }
+  if (filterErrors.length > 0) {
+    throw invalid('Invalid task filters', filterErrors);
+  }
+  if (!params.source) {
+    throw invalid(`x-context-source must be one of: ${CONTEXT_SOURCES.join(', ')}`);
+  }
+
+  return params;
+}
+
+/**
+ * Fetch the tasks, lists and spaces referenced by ID or URL in the last user message
+ * These only add to the context, so a failure is logged rather than failing the request.
+ * @returns {Promise<object|null>} The entities, or null when the message references none that exist
+ */
+async function fetchReferencedEntities(clickupService, message, options) {
+  const { workspaceId, userId, excludeTaskId, requestId } = options;
+  const references = findEntityReferences(message, { exclude: [excludeTaskId] });
+  if (references.count === 0) {
+    return null;
+  }
+  
+  try {
+    const entities = await clickupService.getReferencedEntities(references, workspaceId, userId);
+    const found = entities.tasks.length + entities.lists.length + entities.spaces.length;
+    
+    logger.info(`Found ${found} of ${references.count} entities referenced in the user message`, { requestId });
+    return found > 0 ? entities : null;
+  } catch (error) {
+    logger.warn('Could not fetch entities referenced in the user message', { error: error.message, requestId });
+    return null;
+  }
+}
+
+/**
+ * Serve the last context rendered for a request, marked as out of date, while ClickUp is unavailable
+ * @returns {boolean} Whether there was a context to serve
+ */
+function serveContextSnapshot(res, key, options) {
+  const { format, timeZone, requestId } = options;
+  const snapshot = contextSnapshotStore.get(key);
+  if (!snapshot) {
+    return false;
+  }
+  
+  const asOf = new Date(snapshot.savedAt).toISOString();
+  const context = formatters.addNotice(snapshot.context, unavailableNotice(snapshot.savedAt, timeZone), { format });
+  
+  logger.warn('ClickUp unavailable, serving the last good context', { asOf, requestId });
+  
+  res.set('X-Estimated-Tokens', String(context.estimatedTokens));
+  res.status(200).json({ ...context, degraded: true, asOf });
+  return true;
+}
+
+/**
+ * Fetch context data from the workspace mirror when it is preferred, otherwise from ClickUp
+ * Data a preferred mirror does not hold is fetched from ClickUp, unless the mirror was
+ * asked for, and a mirror that was not preferred stands in while ClickUp is unavailable.
+ * @param {function} fetchData Fetches the data from a source, the mirror or the ClickUp service
+ * @returns {Promise<{data: object, mirror: object|null, unavailable: boolean}>} The data, the mirror
+ *   that served it, if any, and whether it did so because ClickUp is unavailable
+ */
+async function fetchContextData(fetchData, clickupService, options) {
+  const { mirror, preferred, source, requestId } = options;
+  
+  if (mirror && preferred) {
+    try {
+      return { data: await fetchData(mirror), mirror, unavailable: false };
+    } catch (error) {
+      if (!(error instanceof NotFoundError) || source === 'mirror') {
+        throw error;
+      }
+      logger.debug('Data not in the workspace mirror, fetching it from ClickUp', { error: error.message, requestId });
+    }
+  }
+  
+  try {
+    return { data: await fetchData(clickupService), mirror: null, unavailable: false };
+  } catch (error) {
+    if (!(error instanceof UnavailableError) || !mirror) {
+      throw error;
+    }
+    
+    try {
+      const data = await fetchData(mirror);
+      logger.warn('ClickUp unavailable, serving context from the workspace mirror', { requestId });
+      return { data, mirror, unavailable: true };
+    } catch (mirrorError) {
+      throw error;
+    }
+  }
+}
+
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
 
-// Use request logger middleware instead of morgan for better logging
+// Use request logger middleware instead of morgan for better logging.
+// It runs first so that every error response, even for a malformed body, has a request ID
 app.use(requestLoggerMiddleware());
+// The raw body is kept for verifying webhook signatures
+app.use(express.json({ verify: (req, res, body) => { req.rawBody = body; } }));
+
+// Report how the ClickUp calls made for a request were served by the response
+// cache, e.g. "X-Cache: hit=3, stale=1, miss=0", and which ClickUp credential
+// made them, e.g. "X-ClickUp-Credential: user:alice#3f2a9c1b0d4e5f6a". Headers
+// are added just before they are written, once the request's ClickUp calls have been made.
+app.use((req, res, next) => {
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    const context = getRequestContext();
+    if (context && context.cache && !res.headersSent) {
+      const { hit, stale, miss } = context.cache;
+      res.setHeader('X-Cache', `hit=${hit}, stale=${stale}, miss=${miss}`);
+    }
+    if (context && context.credential && !res.headersSent) {
+      res.setHeader('X-ClickUp-Credential', context.credential);
+    }
+    return writeHead.apply(this, args);
+  };
+  next();
+});
 
 // API Key validation middleware for protected routes
 app.use('/api', validateApiKey);
@@ -50,8 +254,14 @@ app.get('/health/clickup', validateApiKey, async (req, res) => {
   }
 });
 
+// ClickUp call metrics, such as how many calls request coalescing saved
+app.get('/metrics', validateApiKey, (req, res) => {
+  const clickupService = require('./services/clickup.service');
+  res.status(200).json(clickupService.getMetrics());
+});
+
 // Token registration endpoint
-app.post('/api/register-token', validateApiKey, async (req, res) => {
+app.post('/api/register-token', validateApiKey, asyncHandler(async (req, res) => {
   const { userId, token } = req.body;
   
   logger.info('Token registration requested', { userId });
@@ -62,76 +272,122 @@ app.post('/api/register-token', validateApiKey, async (req, res) => {
       hasToken: !!token 
     });
     
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Both userId and token are required'
-    });
+    throw new ValidationError('Both userId and token are required');
   }
   
-  try {
-    const { tokenManager } = require('./utils/token-manager');
-    
-    // Validate the token format
-    if (!tokenManager.isValidTokenFormat(token)) {
-      logger.warn('Token registration failed: invalid token format', { userId });
-      
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid ClickUp token format. Token should start with "pk_"'
-      });
-    }
-    
-    // Store the token
-    tokenManager.storeToken(userId, token);
-    logger.info('Token registration successful', { userId });
-    
-    return res.status(200).json({
-      success: true,
-      message: 'ClickUp token registered successfully'
-    });
-  } catch (error) {
-    logger.error('Error registering token', { error: error.stack, userId });
+  const { tokenManager } = require('./utils/token-manager');
+  
+  // Validate the token format
+  if (!tokenManager.isValidTokenFormat(token)) {
+    logger.warn('Token registration failed: invalid token format', { userId });
     
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
-    });
+    throw new ValidationError('Invalid ClickUp token format. Token should start with "pk_", OAuth users authorise through /auth/clickup/start');
   }
-});
+  
+  // Store the token
+  tokenManager.storeToken(userId, token);
+  logger.info('Token registration successful', { userId });
+  
+  return res.status(200).json({
+    success: true,
+    message: 'ClickUp token registered successfully'
+  });
+}));
 
 // ClickUp API routes
 app.use('/api/clickup', clickupRoutes);
 
+// Context template routes
+app.use('/api/templates', templateRoutes);
+
+// Context profile routes
+app.use('/api/profiles', profileRoutes);
+
+// ClickUp OAuth authorisation, as an alternative to registering a personal token
+app.use('/auth/clickup', authRoutes);
+
+// Events pushed by ClickUp webhooks
+app.use('/webhooks', webhookRoutes);
+
+// Local workspace mirrors and their syncs
+app.use('/api/sync', syncRoutes);
+
 // Dynamic Context endpoint for TypingMind
-app.get('/context/clickup', validateApiKey, async (req, res) => {
+app.get('/context/clickup', validateApiKey, async (req, res, next) => {
   try {
-    // Extract parameters from headers with query params as fallback
-    const workspaceId = req.headers['x-workspace-id'] || req.query.workspaceId || process.env.DEFAULT_WORKSPACE_ID;
-    const dataType = req.headers['x-data-type'] || req.query.dataType || 'tasks';
-    const limit = parseInt(req.headers['x-limit'] || req.query.limit || '10', 10);
-    const lastUserMessage = req.headers['x-last-user-message'] || '';
-    const userId = req.headers['x-user-id'] || req.query.userId || 'default';
+    const {
+      profileName,
+      profile,
+      workspaceId,
+      dataType,
+      taskId,
+      limit,
+      lastUserMessage,
+      userId,
+      maxTokens,
+      format,
+      searchMode,
+      hierarchyDepth,
+      timeZone,
+      template,
+      taskFilters,
+      source
+    } = parseContextParams(req);
+    const isTaskScoped = TASK_DATA_TYPES.includes(dataType);
+    const contextKey = snapshotKey({
+      endpoint: req.path,
+      apiKey: getApiKeyFromRequest(req),
+      userId,
+      workspaceId,
+      profile: profileName,
+      dataType,
+      taskId,
+      format,
+      template: template ? template.name : null,
+      maxTokens,
+      timeZone
+    });
     
     logger.info('Dynamic context endpoint called', { 
+      profile: profileName,
       workspaceId, 
       dataType, 
+      taskId,
+      source,
       limit,
+      maxTokens,
+      format,
+      searchMode,
+      timeZone,
+      template: template ? template.name : null,
       userId,
       requestId: req.requestId,
       hasLastUserMessage: !!lastUserMessage
     });
     
-    if (!workspaceId) {
+    // Task-scoped data types are looked up by task ID and need no workspace
+    if (isTaskScoped && !taskId) {
+      logger.warn(`Missing task ID for ${dataType} context`, { requestId: req.requestId });
+      throw new ValidationError(`taskId is required in headers or query params for ${dataType}`);
+    }
+    
+    if (!workspaceId && !isTaskScoped) {
       logger.warn('Missing workspace ID for context endpoint', { requestId: req.requestId });
-      return res.status(400).json({ error: 'workspaceId is required in headers or query params' });
+      throw new ValidationError('workspaceId is required in headers or query params');
     }
-
-    // Get data from our ClickUp service
+    
+    // Get data from our ClickUp service, or the workspace's mirror
     const clickupService = require('./services/clickup.service');
+    const syncService = require('./services/sync.service');
     let data;
     
-    // Use the last user message to potentially contextualize the query
-    const contextualizedQuery = lastUserMessage ? { query: lastUserMessage } : {};
+    // Use the last user message to potentially contextualize the query,
+    // narrowed by the requested task filters
+    const contextualizedQuery = {
+      ...(lastUserMessage ? { query: lastUserMessage } : {}),
+      searchMode,
+      filters: taskFilters
+    };
     
     logger.debug('Fetching ClickUp data', { 
       dataType, 
@@ -141,34 +397,58 @@ app.get('/context/clickup', validateApiKey, async (req, res) => {
       requestId: req.requestId 
     });
     
-    try {
+    // Entities the message points at are fetched alongside the requested data
+    // and shown ahead of it; the task a task-scoped context is about is not repeated
+    const referencedEntities = fetchReferencedEntities(clickupService, lastUserMessage, {
+      workspaceId,
+      userId,
+      excludeTaskId: isTaskScoped ? taskId : null,
+      requestId: req.requestId
+    });
+    
+    // The data comes from the workspace mirror or ClickUp, which answer the same calls
+    const fetchData = (dataSource) => {
       switch (dataType) {
         case 'tasks':
-          data = await clickupService.getRecentTasks(workspaceId, userId, limit, contextualizedQuery);
-          break;
+          return dataSource.getRecentTasks(workspaceId, userId, limit, contextualizedQuery);
         case 'spaces':
-          data = await clickupService.getSpaces(workspaceId, userId);
-          break;
+          return dataSource.getSpaces(workspaceId, userId);
         case 'lists':
-          data = await clickupService.getLists(workspaceId, userId);
-          break;
+          return dataSource.getLists(workspaceId, userId);
+        case 'task':
+          return dataSource.getTaskContext(taskId, userId);
+        case 'hierarchy':
+          return dataSource.getHierarchy(workspaceId, userId, { maxDepth: hierarchyDepth, maxSpaces: limit });
+        case 'my-work':
+          return dataSource.getMyWork(workspaceId, userId);
+        case 'changes':
+          return dataSource.getChanges(workspaceId, userId);
+        case 'comments':
+          return dataSource.getTaskComments(taskId, userId);
         default:
-          data = await clickupService.getRecentTasks(workspaceId, userId, limit);
+          return dataSource.getRecentTasks(workspaceId, userId, limit);
       }
-    } catch (error) {
-      logger.error(`Error fetching ${dataType} from ClickUp`, { 
-        error: error.stack, 
-        workspaceId, 
-        dataType,
+    };
+    
+    let mirror = null;
+    let clickupUnavailable = false;
+    try {
+      const choice = syncService.chooseMirror({ workspaceId, taskId: isTaskScoped ? taskId : null, userId, source, dataType });
+      ({ data, mirror, unavailable: clickupUnavailable } = await fetchContextData(fetchData, clickupService, {
+        ...choice,
+        source,
         requestId: req.requestId
-      });
-      
-      return res.status(500).json({ 
-        error: `Failed to fetch ${dataType} from ClickUp`, 
-        message: error.message 
-      });
+      }));
+    } catch (error) {
+      // While ClickUp is unavailable, the last good context beats an error
+      if (error instanceof UnavailableError && serveContextSnapshot(res, contextKey, { format, timeZone, requestId: req.requestId })) {
+        return;
+      }
+      throw error;
     }
     
+    const referenced = await referencedEntities;
+    
     // Format the data for TypingMind dynamic context
     logger.debug('Formatting response for TypingMind', { 
       dataType, 
@@ -176,42 +456,92 @@ app.get('/context/clickup', validateApiKey, async (req, res) => {
       requestId: req.requestId 
     });
     
-    const formattedData = formatResponseForTypingMind(data, dataType);
+    const formatOptions = { maxTokens, format, template, timeZone, customFields: profile.customFields };
+    let formattedData = referenced
+      ? formatters.combineFormattedResponses(
+        formatters.formatSectionsForTypingMind({ references: referenced, [dataType]: data }, formatOptions),
+        { format }
+      )
+      : formatResponseForTypingMind(data, dataType, formatOptions);
+    
+    // The changes are only marked as seen once they have been rendered
+    if (dataType === 'changes' && !mirror) {
+      await clickupService.saveChangesCursor(data);
+    }
+    
+    // Context read from a mirror says how fresh it is; only ClickUp's data is kept as the last good context
+    if (mirror) {
+      const freshness = mirror.freshness();
+      if (clickupUnavailable) {
+        formattedData = formatters.addNotice(formattedData, unavailableNotice(mirror.data.syncedAt, timeZone), { format });
+      }
+      formattedData = { ...formattedData, source: 'mirror', ...freshness, ...(clickupUnavailable ? { degraded: true } : {}) };
+    } else {
+      contextSnapshotStore.save(contextKey, formattedData);
+    }
     
     logger.info('Dynamic context successfully provided', { 
       dataType, 
       itemCount: Array.isArray(formattedData) ? formattedData.length : 'N/A',
+      estimatedTokens: formattedData.estimatedTokens,
+      omittedItems: formattedData.omittedItems || 0,
+      source: mirror ? 'mirror' : 'live',
       requestId: req.requestId 
     });
     
+    res.set('X-Context-Source', mirror ? 'mirror' : 'live');
+    res.set('X-Estimated-Tokens', String(formattedData.estimatedTokens));
     res.status(200).json(formattedData);
   } catch (error) {
-    logger.error('Unhandled error in dynamic context endpoint', { 
-      error: error.stack,
-      requestId: req.requestId
-    });
-    
-    res.status(500).json({ 
-      error: 'Failed to fetch ClickUp data',
-      message: error.message 
-    });
+    next(error);
   }
 });
 
 // Comprehensive Dynamic Context endpoint that aggregates multiple data types
-app.get('/context/clickup-all', validateApiKey, async (req, res) => {
+app.get('/context/clickup-all', validateApiKey, async (req, res, next) => {
   try {
-    // Extract parameters from headers with query params as fallback
-    const workspaceId = req.headers['x-workspace-id'] || req.query.workspaceId || process.env.DEFAULT_WORKSPACE_ID;
-    const dataTypes = (req.headers['x-data-types'] || req.query.dataTypes || 'tasks,lists,spaces').split(',');
-    const limit = parseInt(req.headers['x-limit'] || req.query.limit || '10', 10);
-    const lastUserMessage = req.headers['x-last-user-message'] || '';
-    const userId = req.headers['x-user-id'] || req.query.userId || 'default';
+    const {
+      profileName,
+      profile,
+      workspaceId,
+      dataTypes: requestedDataTypes,
+      intentEnabled,
+      limit,
+      lastUserMessage,
+      userId,
+      maxTokens,
+      format,
+      searchMode,
+      hierarchyDepth,
+      timeZone,
+      template,
+      taskFilters,
+      source
+    } = parseContextParams(req);
+    const contextKey = snapshotKey({
+      endpoint: req.path,
+      apiKey: getApiKeyFromRequest(req),
+      userId,
+      workspaceId,
+      profile: profileName,
+      dataType: requestedDataTypes.join(','),
+      format,
+      template: template ? template.name : null,
+      maxTokens,
+      timeZone
+    });
     
     logger.info('Comprehensive context endpoint called', { 
+      profile: profileName,
       workspaceId, 
-      dataTypes: dataTypes.join(','), 
+      dataTypes: requestedDataTypes.join(','), 
+      source,
       limit,
+      maxTokens,
+      format,
+      searchMode,
+      timeZone,
+      template: template ? template.name : null,
       userId,
       requestId: req.requestId,
       hasLastUserMessage: !!lastUserMessage
@@ -219,89 +549,180 @@ app.get('/context/clickup-all', validateApiKey, async (req, res) => {
     
     if (!workspaceId) {
       logger.warn('Missing workspace ID for context endpoint', { requestId: req.requestId });
-      return res.status(400).json({ error: 'workspaceId is required in headers or query params' });
+      throw new ValidationError('workspaceId is required in headers or query params');
     }
-
-    // Get data from our ClickUp service
+    
+    // Get data from our ClickUp service, or the workspace's mirror
     const clickupService = require('./services/clickup.service');
-    const contextualizedQuery = lastUserMessage ? { query: lastUserMessage } : {};
+    const syncService = require('./services/sync.service');
+    let dataTypes = requestedDataTypes;
+    let contextualizedQuery = {
+      ...(lastUserMessage ? { query: lastUserMessage } : {}),
+      searchMode,
+      filters: taskFilters
+    };
+    let intent = null;
     
-    // Results object to store all data
-    const results = {};
+    // Work out from the last user message which of the requested data types
+    // and which task filters are actually relevant to this turn
+    if (lastUserMessage && intentEnabled) {
+      let catalog = {};
+      try {
+        catalog = await clickupService.getWorkspaceCatalog(workspaceId, userId, limit);
+      } catch (error) {
+        logger.warn('Could not build entity catalog, analyzing intent without it', { 
+          error: error.message,
+          workspaceId,
+          requestId: req.requestId
+        });
+      }
+      
+      intent = analyzeIntent(lastUserMessage, catalog, { timeZone });
+      
+      if (intent.dataTypes) {
+        const relevant = requestedDataTypes.filter(dataType => intent.dataTypes.includes(dataType));
+        if (relevant.length > 0) {
+          dataTypes = relevant;
+        }
+      }
+      
+      contextualizedQuery = { query: intent.query, filters: { ...intent.filters, ...taskFilters }, searchMode };
+      
+      logger.info('Selected data types from user message intent', { 
+        dataTypes: dataTypes.join(','),
+        reasons: intent.reasons,
+        requestId: req.requestId 
+      });
+    }
+    
+    // Only expand the spaces the message is about, if it named any
+    const selectSpaces = (spaces) => {
+      const spaceIds = contextualizedQuery.filters && contextualizedQuery.filters.spaceIds;
+      const matching = spaceIds ? spaces.filter(space => spaceIds.includes(space.id)) : spaces;
+      return matching.slice(0, limit);
+    };
+    
+    // Raw data per data type, formatted together once everything is fetched
+    // so that the token budget can be split between the sections
+    const fetchedData = {};
+    const errors = {};
+    let clickupUnavailable = false;
+    
+    // The data types read from the workspace mirror, and whether it stood in for ClickUp
+    const mirroredDataTypes = [];
+    let servingMirror = null;
+    let mirrorStoodIn = false;
+    
+    // Entities the message points at are fetched alongside the data types
+    // and become the first section
+    const referencedEntities = fetchReferencedEntities(clickupService, lastUserMessage, {
+      workspaceId,
+      userId,
+      requestId: req.requestId
+    });
     
     // Process each requested data type
     await Promise.all(dataTypes.map(async (dataType) => {
       try {
-        dataType = dataType.trim(); // Remove any whitespace
         logger.debug(`Fetching ClickUp data for ${dataType}`, { 
           workspaceId, 
           limit, 
           requestId: req.requestId 
         });
         
-        let data;
-        switch (dataType) {
-          case 'tasks':
-            data = await clickupService.getRecentTasks(workspaceId, userId, limit, contextualizedQuery);
-            break;
-          case 'spaces':
-            data = await clickupService.getSpaces(workspaceId, userId);
-            break;
-          case 'lists':
-            // For lists, we need to get spaces first and then get lists for each space
-            const spaces = await clickupService.getSpaces(workspaceId, userId);
-            if (spaces && spaces.spaces) {
-              // Get the first few spaces based on limit
-              const limitedSpaces = spaces.spaces.slice(0, limit);
-              const spaceListsPromises = limitedSpaces.map(space => 
-                clickupService.getFolderlessLists(space.id, userId)
-              );
-              const spacesLists = await Promise.all(spaceListsPromises);
-              // Combine all lists from all spaces
-              data = { lists: [] };
-              spacesLists.forEach(spaceList => {
-                if (spaceList && spaceList.lists) {
-                  data.lists = [...data.lists, ...spaceList.lists];
-                }
-              });
-            } else {
-              data = { lists: [] };
-            }
-            break;
-          case 'folders':
-            // Similar to lists, get spaces first and then folders for each space
-            const spacesForFolders = await clickupService.getSpaces(workspaceId, userId);
-            if (spacesForFolders && spacesForFolders.spaces) {
-              const limitedSpaces = spacesForFolders.spaces.slice(0, limit);
-              const spaceFoldersPromises = limitedSpaces.map(space => 
-                clickupService.getFolders(space.id, userId)
-              );
-              const spacesFolders = await Promise.all(spaceFoldersPromises);
-              // Combine all folders from all spaces
-              data = { folders: [] };
-              spacesFolders.forEach(spaceFolder => {
-                if (spaceFolder && spaceFolder.folders) {
-                  data.folders = [...data.folders, ...spaceFolder.folders];
-                }
-              });
-            } else {
-              data = { folders: [] };
-            }
-            break;
-          default:
-            logger.warn(`Unknown data type: ${dataType}, skipping`, { requestId: req.requestId });
-            return;
-        }
+        // The data comes from the workspace mirror or ClickUp, which answer the same calls
+        const fetchData = async (dataSource) => {
+          let data;
+          switch (dataType) {
+            case 'tasks':
+              data = await dataSource.getRecentTasks(workspaceId, userId, limit, contextualizedQuery);
+              break;
+            case 'spaces':
+              data = await dataSource.getSpaces(workspaceId, userId);
+              break;
+            case 'lists':
+              // For lists, we need to get spaces first and then get lists for each space
+              const spaces = await dataSource.getSpaces(workspaceId, userId);
+              if (spaces && spaces.spaces) {
+                // Get the first few spaces based on limit
+                const limitedSpaces = selectSpaces(spaces.spaces);
+                // Folderless lists plus the lists inside each folder
+                const spaceListsPromises = limitedSpaces.map(async space => {
+                  const [folderless, folders] = await Promise.all([
+                    dataSource.getFolderlessLists(space.id, userId),
+                    dataSource.getFolders(space.id, userId)
+                  ]);
+                  const folderLists = (folders.folders || []).reduce((lists, folder) => [...lists, ...(folder.lists || [])], []);
+                  return { lists: [...(folderless.lists || []), ...folderLists] };
+                });
+                const spacesLists = await Promise.all(spaceListsPromises);
+                // Combine all lists from all spaces
+                data = { lists: [] };
+                spacesLists.forEach(spaceList => {
+                  if (spaceList && spaceList.lists) {
+                    data.lists = [...data.lists, ...spaceList.lists];
+                  }
+                });
+              } else {
+                data = { lists: [] };
+              }
+              break;
+            case 'folders':
+              // Similar to lists, get spaces first and then folders for each space
+              const spacesForFolders = await dataSource.getSpaces(workspaceId, userId);
+              if (spacesForFolders && spacesForFolders.spaces) {
+                const limitedSpaces = selectSpaces(spacesForFolders.spaces);
+                const spaceFoldersPromises = limitedSpaces.map(space => 
+                  dataSource.getFolders(space.id, userId)
+                );
+                const spacesFolders = await Promise.all(spaceFoldersPromises);
+                // Combine all folders from all spaces
+                data = { folders: [] };
+                spacesFolders.forEach(spaceFolder => {
+                  if (spaceFolder && spaceFolder.folders) {
+                    data.folders = [...data.folders, ...spaceFolder.folders];
+                  }
+                });
+              } else {
+                data = { folders: [] };
+              }
+              break;
+            case 'hierarchy':
+              data = await dataSource.getHierarchy(workspaceId, userId, { maxDepth: hierarchyDepth, maxSpaces: limit });
+              break;
+            case 'my-work':
+              data = await dataSource.getMyWork(workspaceId, userId);
+              break;
+            case 'changes':
+              data = await dataSource.getChanges(workspaceId, userId);
+              break;
+            default:
+              return null;
+          }
+          return data;
+        };
         
-        // Format the data for this data type
-        const formattedData = formatResponseForTypingMind(data, dataType);
+        const choice = syncService.chooseMirror({ workspaceId, userId, source, dataType });
+        const { data, mirror, unavailable } = await fetchContextData(fetchData, clickupService, {
+          ...choice,
+          source,
+          requestId: req.requestId
+        });
+        if (!data) {
+          logger.warn(`Unknown data type: ${dataType}, skipping`, { requestId: req.requestId });
+          return;
+        }
         
-        // Add to results
-        results[dataType] = formattedData;
+        fetchedData[dataType] = data;
+        if (mirror) {
+          mirroredDataTypes.push(dataType);
+          servingMirror = mirror;
+          mirrorStoodIn = mirrorStoodIn || unavailable;
+        }
         
-        logger.info(`Fetched and formatted ${dataType} data`, { 
+        logger.info(`Fetched ${dataType} data`, { 
           dataType, 
-          resultSize: JSON.stringify(formattedData).length,
+          dataSize: JSON.stringify(data).length,
           requestId: req.requestId 
         });
       } catch (error) {
@@ -312,55 +733,88 @@ app.get('/context/clickup-all', validateApiKey, async (req, res) => {
           requestId: req.requestId
         });
         // Still add error information to results
-        results[dataType] = { 
+        errors[dataType] = { 
           text: `Error fetching ${dataType}: ${error.message}`,
           error: true
         };
+        clickupUnavailable = clickupUnavailable || error instanceof UnavailableError;
       }
     }));
     
+    // While ClickUp is unavailable, the last complete context beats a partial one
+    if (clickupUnavailable && serveContextSnapshot(res, contextKey, { format, timeZone, requestId: req.requestId })) {
+      return;
+    }
+    
+    const referenced = await referencedEntities;
+    if (referenced) {
+      fetchedData.references = referenced;
+    }
+    
+    // Format each data type within its share of the token budget
+    const formattedSections = formatters.formatSectionsForTypingMind(fetchedData, { maxTokens, format, template, timeZone, customFields: profile.customFields });
+    
+    // The changes are only marked as seen once they have been rendered
+    if (fetchedData.changes && !mirroredDataTypes.includes('changes')) {
+      await clickupService.saveChangesCursor(fetchedData.changes);
+    }
+    
+    // Keep sections in the order they were requested, after any referenced entities
+    const results = {};
+    (referenced ? ['references', ...dataTypes] : dataTypes).forEach(dataType => {
+      if (formattedSections[dataType]) {
+        results[dataType] = formattedSections[dataType];
+      } else if (errors[dataType]) {
+        results[dataType] = errors[dataType];
+      }
+    });
+    
     // Combine all formatted data into one comprehensive response
-    const { formatters } = require('./utils/formatters');
-    const comprehensiveResponse = formatters.combineFormattedResponses(results);
+    let comprehensiveResponse = formatters.combineFormattedResponses(results, { format });
+    
+    // Context read from a mirror says how fresh it is; only ClickUp's data is kept as the last good context
+    if (servingMirror) {
+      if (mirrorStoodIn) {
+        comprehensiveResponse = formatters.addNotice(comprehensiveResponse, unavailableNotice(servingMirror.data.syncedAt, timeZone), { format });
+      }
+      comprehensiveResponse = {
+        ...comprehensiveResponse,
+        mirror: { ...servingMirror.freshness(), dataTypes: dataTypes.filter(dataType => mirroredDataTypes.includes(dataType)) },
+        ...(mirrorStoodIn ? { degraded: true } : {})
+      };
+    } else if (Object.keys(errors).length === 0) {
+      contextSnapshotStore.save(contextKey, comprehensiveResponse);
+    }
     
     logger.info('Comprehensive context successfully provided', { 
       dataTypes: dataTypes.join(','),
       responseSize: JSON.stringify(comprehensiveResponse).length,
+      estimatedTokens: comprehensiveResponse.estimatedTokens,
+      mirroredDataTypes,
       requestId: req.requestId 
     });
     
-    res.status(200).json(comprehensiveResponse);
+    const fetchedDataTypes = dataTypes.filter(dataType => fetchedData[dataType]);
+    res.set('X-Context-Source', mirroredDataTypes.length === 0 ? 'live'
+      : mirroredDataTypes.length === fetchedDataTypes.length ? 'mirror' : 'mixed');
+    res.set('X-Estimated-Tokens', String(comprehensiveResponse.estimatedTokens));
+    res.status(200).json(intent ? { ...comprehensiveResponse, intent } : comprehensiveResponse);
   } catch (error) {
-    logger.error('Unhandled error in comprehensive context endpoint', { 
-      error: error.stack,
-      requestId: req.requestId
-    });
-    
-    res.status(500).json({ 
-      error: 'Failed to fetch ClickUp data',
-      message: error.message 
-    });
+    next(error);
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Unhandled server error', { 
-    error: err.stack, 
-    url: req.url,
-    method: req.method,
-    requestId: req.requestId
-  });
-  
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : err.message
-  });
-});
+// Every error, and every request no route matched, is answered with problem+json
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-// Start the server
-app.listen(PORT, () => {
-  logger.info(`Server is running on port ${PORT}`);
-});
+// Start the server when run directly; tests import the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server is running on port ${PORT}`);
+    require('./services/sync.service').start();
+  });
+}
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
+ 
\ No newline at end of file
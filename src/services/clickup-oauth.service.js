@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const clickupService = require('./clickup.service');
+const { tokenManager } = require('../utils/token-manager');
+const { getLogger } = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+// Create a logger for the ClickUp OAuth flow
+const logger = getLogger('clickup-oauth');
+
+const DEFAULT_AUTHORIZE_URL = 'https://app.clickup.com/api';
+
+// How long a user has to approve the app before its state expires
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// ClickUp OAuth app flow: users are sent to ClickUp to authorise the app for
+// one or more workspaces, and ClickUp sends them back with a code that is
+// exchanged for an access token. ClickUp access tokens do not expire.
+class ClickUpOAuthService {
+  /**
+   * @param {object} options OAuth app settings, by default from the environment
+   * @param {string} options.clientId The OAuth app's client ID
+   * @param {string} options.clientSecret The OAuth app's client secret
+   * @param {string} options.redirectUri Where ClickUp sends users back to, i.e. /auth/clickup/callback
+   * @param {string} options.authorizeUrl ClickUp's authorisation page, e.g. the mock server's
+   * @param {object} options.clickup The ClickUp service used to exchange codes and list workspaces
+   * @param {object} options.tokenStore Where access tokens are stored, with storeToken(userId, token, options)
+   */
+  constructor(options = {}) {
+    this.clientId = options.clientId || process.env.CLICKUP_OAUTH_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.CLICKUP_OAUTH_CLIENT_SECRET;
+    this.redirectUri = options.redirectUri || process.env.CLICKUP_OAUTH_REDIRECT_URI;
+    this.authorizeUrl = options.authorizeUrl || process.env.CLICKUP_OAUTH_AUTHORIZE_URL || DEFAULT_AUTHORIZE_URL;
+    this.clickup = options.clickup || clickupService;
+    this.tokenStore = options.tokenStore || tokenManager;
+
+    // Flows waiting for ClickUp to send the user back, by state
+    this.pendingStates = new Map();
+
+    if (this.isConfigured()) {
+      logger.info(`ClickUp OAuth enabled for client ${this.clientId}`);
+    }
+  }
+
+  // Whether an OAuth app is configured
+  isConfigured() {
+    return !!(this.clientId && this.clientSecret && this.redirectUri);
+  }
+
+  // Start a flow for a user, returning the ClickUp URL to send them to
+  startAuthorization(userId) {
+    if (!this.isConfigured()) {
+      throw new NotFoundError('ClickUp OAuth is not configured on this server');
+    }
+
+    this.dropExpiredStates();
+
+    // The state ties ClickUp's callback to the user who started the flow
+    const state = crypto.randomBytes(24).toString('hex');
+    this.pendingStates.set(state, { userId, expiresAt: Date.now() + STATE_TTL_MS });
+    logger.info(`Starting ClickUp OAuth flow`, { userId });
+
+    const url = new URL(this.authorizeUrl);
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('state', state);
+    return url.toString();
+  }
+
+  // Finish a flow: check the state, exchange the code for an access token,
+  // look up the workspaces the user authorised and store the token for the user
+  async completeAuthorization({ code, state, error }) {
+    if (!this.isConfigured()) {
+      throw new NotFoundError('ClickUp OAuth is not configured on this server');
+    }
+
+    const pending = state && this.pendingStates.get(state);
+    if (pending) {
+      // A state can only be used once
+      this.pendingStates.delete(state);
+    }
+    if (!pending || pending.expiresAt <= Date.now()) {
+      logger.warn('ClickUp OAuth callback with an unknown or expired state');
+      throw new ValidationError('Unknown or expired OAuth state, please start the authorisation again');
+    }
+
+    const { userId } = pending;
+    if (error) {
+      logger.warn(`ClickUp OAuth authorisation was not granted: ${error}`, { userId });
+      throw new ValidationError(`ClickUp authorisation was not granted: ${error}`);
+    }
+    if (!code) {
+      throw new ValidationError('The OAuth callback has no code');
+    }
+
+    // ClickUp takes the client credentials and code as query parameters; the
+    // service masks the client secret and code wherever it logs the URL
+    const tokenUrl = new URL(`${this.clickup.baseUrlV2}/oauth/token`);
+    tokenUrl.searchParams.set('client_id', this.clientId);
+    tokenUrl.searchParams.set('client_secret', this.clientSecret);
+    tokenUrl.searchParams.set('code', code);
+    const { access_token: accessToken } = await this.clickup.fetchFromClickUp(
+      tokenUrl.toString(),
+      'POST',
+      { 'Content-Type': 'application/json' }
+    );
+
+    // An OAuth token only sees the workspaces the user authorised the app for
+    const { teams } = await this.clickup.fetchFromClickUp(
+      `${this.clickup.baseUrlV2}/team`,
+      'GET',
+      this.clickup.getHeadersForToken(accessToken)
+    );
+    const workspaces = (teams || []).map(team => ({ id: team.id, name: team.name }));
+
+    this.tokenStore.storeToken(userId, accessToken, { type: 'oauth', workspaces });
+    logger.info(`ClickUp OAuth flow completed for ${workspaces.length} workspaces`, { userId });
+
+    return { userId, workspaces };
+  }
+
+  dropExpiredStates() {
+    const now = Date.now();
+    this.pendingStates.forEach((pending, state) => {
+      if (pending.expiresAt <= now) {
+        this.pendingStates.delete(state);
+      }
+    });
+  }
+}
+
+module.exports = new ClickUpOAuthService();
+module.exports.ClickUpOAuthService = ClickUpOAuthService;
@@ -1,126 +1,269 @@
 const fetch = require('node-fetch');
 const { tokenManager } = require('../utils/token-manager');
-const { getLogger } = require('../utils/logger');
+const { getLogger, getCurrentRequestId } = require('../utils/logger');
+const { rankTasks, DEFAULT_SEARCH_MODE } = require('../utils/task-ranker');
+const { cursorStore } = require('../utils/cursor-store');
+const { buildTaskFilterQuery } = require('../utils/task-filters');
+const { createRetryPolicy, getRetryDelay, parseRateLimitReset } = require('../utils/retry-policy');
+const { RateLimiter } = require('../utils/rate-limiter');
+const { ResponseCache, resourceKind, tokenIdentity } = require('../utils/response-cache');
+const { RequestCoalescer } = require('../utils/request-coalescer');
+const { CircuitBreaker } = require('../utils/circuit-breaker');
+const { changeHistory } = require('../utils/change-history');
+const { ClickUpApiError, ValidationError, fromClickUpResponse } = require('../utils/errors');
+const { TokenResolver, TOKEN_MODES, parseTokenMode, authorizationHeader } = require('../utils/token-resolver');
 
 // Create a logger for ClickUp service
 const logger = getLogger('clickup-service');
 
+// Without a cursor, the first changes context covers this far back
+const CHANGES_INITIAL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Comments are only checked on this many of the most recently updated tasks
+const CHANGES_MAX_COMMENT_LOOKUPS = 10;
+
+// Task statuses remembered per cursor for before/after reporting
+const CHANGES_MAX_KNOWN_STATUSES = 1000;
+
+// Pages of changed tasks fetched per changes context; the cursor stops at the
+// last task served when there are more
+const CHANGES_MAX_PAGES = 5;
+const CHANGES_PAGE_SIZE = 100;
+
+// Parse CLICKUP_USER_MAPPING, a comma-separated list of typingmindUserId:clickupMemberId pairs
+function parseUserMapping(value) {
+  const mapping = new Map();
+
+  (value || '').split(',').forEach(pair => {
+    const [userId, memberId] = pair.split(':').map(part => part && part.trim());
+    if (userId && memberId) {
+      mapping.set(userId, memberId);
+    }
+  });
+
+  return mapping;
+}
+
+// Mask the OAuth client secret and authorisation code, which ClickUp takes as
+// query parameters, in URLs that are logged
+const redactUrl = url => url.replace(/([?&](?:client_secret|code)=)[^&#]*/g, '$1****');
+
+const DEFAULT_BASE_URL = 'https://api.clickup.com/api/v2';
+
 class ClickUpService {
-  constructor() {
-    this.baseUrlV2 = 'https://api.clickup.com/api/v2';
+  /**
+   * @param {object} options Service options, mainly for pointing it at another ClickUp
+   * @param {string} options.baseUrl ClickUp API v2 base URL, e.g. the bundled mock server
+   * @param {function} options.transport fetch-compatible function used for every ClickUp call
+   */
+  constructor(options = {}) {
+    this.baseUrlV2 = (options.baseUrl || process.env.CLICKUP_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.transport = options.transport || fetch;
+    
+    // How many recent tasks to fetch as candidates for local relevance ranking
+    this.rankingCandidates = parseInt(process.env.TASK_RANKING_CANDIDATES || '100', 10);
+    
+    // Configured mapping of TypingMind user IDs to ClickUp member IDs, plus
+    // members looked up through /user, keyed by the token they own, so that a
+    // user who registers a token or authorises the app is looked up again
+    this.userMapping = parseUserMapping(process.env.CLICKUP_USER_MAPPING);
+    this.resolvedMembers = new Map();
+    
+    // Where "changes" cursors are kept, replaceable with any get/set store,
+    // and the events webhooks pushed, which fill in what polling cannot see
+    this.cursorStore = cursorStore;
+    this.changeHistory = changeHistory;
     
-    // In the updated version, we'll use the environment token directly
+    // How failed calls are retried, and how many calls each token may make per minute
+    this.retryPolicy = createRetryPolicy();
+    this.rateLimiter = new RateLimiter(parseInt(process.env.CLICKUP_RATE_LIMIT_PER_MINUTE || '100', 10));
+    
+    // Cached GET responses, with TTLs per resource kind
+    this.cache = new ResponseCache();
+    
+    // Identical GETs in flight at the same time share one ClickUp call
+    this.coalescer = new RequestCoalescer();
+    
+    // Calls to an endpoint family fail fast while ClickUp keeps failing them,
+    // and calls that take longer than the timeout count as failures
+    this.circuitBreaker = new CircuitBreaker();
+    this.requestTimeoutMs = parseInt(process.env.CLICKUP_REQUEST_TIMEOUT_MS || '15000', 10);
+    
+    // Which token each call is made with: the environment token, the user's
+    // registered token, or the user's token falling back to the environment one
     this.token = process.env.CLICKUP_API_TOKEN;
+    this.tokenMode = parseTokenMode(process.env.CLICKUP_TOKEN_MODE);
+    this.tokenResolver = new TokenResolver({ mode: this.tokenMode, envToken: this.token, tokenStore: tokenManager });
     
+    if (this.baseUrlV2 !== DEFAULT_BASE_URL) {
+      logger.info(`ClickUp service using API base URL ${this.baseUrlV2}`);
+    }
+    
+    logger.info(`ClickUp service using ${this.tokenMode} token mode`);
     if (this.token) {
       logger.info('ClickUp service initialized with token from environment');
-    } else {
+    } else if (this.tokenMode !== TOKEN_MODES.USER) {
       logger.warn('No ClickUp API token found in environment variables');
     }
   }
 
-  // Get the headers for ClickUp API requests
-  getHeaders(userId) {
-    let token;
-    
-    // First try to get token from environment
-    if (this.token) {
-      token = this.token;
-      logger.debug('Using ClickUp token from environment');
-    } 
-    // Then try to get it from the token manager if userId is provided
-    else if (userId) {
-      token = tokenManager.getToken(userId);
-      if (token) {
-        logger.debug(`Using ClickUp token for user ${userId}`);
-      } else {
-        logger.error(`No ClickUp API token found for user ${userId}`);
-        throw new Error('No ClickUp API token found for this user');
-      }
-    } 
-    // If neither is available, throw an error
-    else {
-      logger.error('No ClickUp API token available (not in env, no userId provided)');
-      throw new Error('No ClickUp API token available');
-    }
-    
+  // Get the headers for ClickUp API requests, with the token the token mode picks
+  // for the user. Calls about a workspace pass it, so that an OAuth token not
+  // authorised for it is refused.
+  getHeaders(userId, workspaceId) {
+    const { token } = this.tokenResolver.resolve(userId, { workspaceId });
+    return this.getHeadersForToken(token);
+  }
+  
+  // Get the headers for ClickUp API requests made with a given personal or OAuth token
+  getHeadersForToken(token) {
     return {
-      'Authorization': token,
+      'Authorization': authorizationHeader(token),
       'Content-Type': 'application/json'
     };
   }
 
-  // Fetch data from the ClickUp API
-  async fetchFromClickUp(url, method, headers, body = null, requestId = null) {
+  // Fetch data from the ClickUp API. Reads go through the response cache and
+  // join identical reads in flight, writes invalidate the cached responses
+  // they make out of date. Calls that reach ClickUp go through the circuit
+  // breaker of their endpoint family, so cached reads are served while it is open.
+  async fetchFromClickUp(url, method, headers, body = null, requestId = getCurrentRequestId()) {
+    const token = headers && headers.Authorization;
+    const send = () => this.circuitBreaker.run(
+      resourceKind(url) || 'other',
+      () => this.requestFromClickUp(url, method, headers, body, requestId),
+      requestId
+    );
+    
+    if (method === 'GET') {
+      const load = () => this.coalescer.run(`${tokenIdentity(token)} ${url}`, send, requestId);
+      return this.cache.fetch(url, token, load, requestId);
+    }
+    
+    const data = await send();
+    this.cache.invalidate(url);
+    return data;
+  }
+  
+  // Send a request to the ClickUp API, waiting for the token's rate limit and
+  // retrying rate-limited and failed calls according to the retry policy
+  async requestFromClickUp(url, method, headers, body = null, requestId = getCurrentRequestId()) {
     const options = {
       method,
       headers,
       body: body ? JSON.stringify(body) : null
     };
     
-    // Log the API call (without including the actual token)
+    // Log the API call (without including the actual personal or OAuth token)
     const sanitizedHeaders = { ...headers };
     if (sanitizedHeaders.Authorization) {
-      sanitizedHeaders.Authorization = 'pk_****';
+      sanitizedHeaders.Authorization = '****';
     }
     
-    logger.debug(`API Request: ${method} ${url}`, { 
+    logger.debug(`API Request: ${method} ${redactUrl(url)}`, { 
       requestId, 
       headers: sanitizedHeaders,
       bodySize: body ? JSON.stringify(body).length : 0
     });
     
-    try {
-      const startTime = Date.now();
-      const response = await fetch(url, options);
-      const responseTime = Date.now() - startTime;
-      
-      // Log response status and time
-      logger.debug(`API Response: ${response.status} (${responseTime}ms)`, { 
-        requestId,
-        status: response.status,
-        responseTime
-      });
-      
-      if (!response.ok) {
-        let errorData;
-        try {
-          errorData = await response.json();
-          logger.error(`ClickUp API error: ${response.status}`, { 
-            requestId,
-            status: response.status,
-            error: errorData
-          });
-        } catch (e) {
-          errorData = { err: response.statusText };
-          logger.error(`ClickUp API error: ${response.status} (failed to parse response)`, { 
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendToClickUp(url, options, requestId);
+      } catch (error) {
+        const delay = getRetryDelay(error, attempt, method, this.retryPolicy);
+        
+        if (delay === null) {
+          logger.error(`ClickUp API request failed: ${error.message}`, {
             requestId,
-            status: response.status,
-            statusText: response.statusText
+            url: redactUrl(url),
+            method,
+            attempts: attempt + 1,
+            error: error.stack
           });
+          throw error;
         }
         
-        throw new Error(errorData.err || `HTTP error ${response.status}`);
+        logger.warn(`Retrying ${method} ${redactUrl(url)} in ${delay}ms (retry ${attempt + 1} of ${this.retryPolicy.maxRetries})`, {
+          requestId,
+          status: error.upstreamStatus,
+          reason: error.message
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-      
-      const data = await response.json();
-      
-      // Log successful data retrieval (without logging the entire payload)
-      logger.debug(`API data received successfully`, { 
-        requestId,
-        dataSize: JSON.stringify(data).length
-      });
-      
-      return data;
+    }
+  }
+  
+  // Send one request to the ClickUp API. Errors carry the HTTP status, and
+  // for rate-limited calls the time until the limit resets.
+  async sendToClickUp(url, options, requestId) {
+    const token = options.headers && options.headers.Authorization;
+    const credential = token ? tokenIdentity(token) : null;
+    const waited = await this.rateLimiter.acquire(credential);
+    if (waited > 0) {
+      logger.debug(`Waited ${waited}ms for the ClickUp rate limit`, { requestId });
+    }
+    
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+    let response;
+    try {
+      response = await this.transport(url, { ...options, signal: controller.signal });
     } catch (error) {
-      logger.error(`ClickUp API request failed: ${error.message}`, {
-        requestId,
-        url,
-        method,
-        error: error.stack
-      });
-      throw error;
+      const message = controller.signal.aborted
+        ? `ClickUp did not respond within ${this.requestTimeoutMs}ms`
+        : `Could not reach ClickUp: ${error.message}`;
+      throw new ClickUpApiError(message, { isNetworkError: true });
+    } finally {
+      clearTimeout(timeout);
+    }
+    const responseTime = Date.now() - startTime;
+    
+    // Log response status and time
+    logger.debug(`API Response: ${response.status} (${responseTime}ms)`, { 
+      requestId,
+      status: response.status,
+      responseTime
+    });
+    
+    // Hold back further calls with this credential once ClickUp says the limit is used up
+    const resetInMs = parseRateLimitReset(response.headers);
+    if (resetInMs !== null && (response.status === 429 || response.headers.get('x-ratelimit-remaining') === '0')) {
+      logger.warn(`ClickUp rate limit reached, pausing calls for ${resetInMs}ms`, { requestId });
+      this.rateLimiter.pause(credential, resetInMs);
+    }
+    
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+        logger.error(`ClickUp API error: ${response.status}`, { 
+          requestId,
+          status: response.status,
+          error: errorData
+        });
+      } catch (e) {
+        errorData = { err: response.statusText };
+        logger.error(`ClickUp API error: ${response.status} (failed to parse response)`, { 
+          requestId,
+          status: response.status,
+          statusText: response.statusText
+        });
+      }
+      
+      throw fromClickUpResponse(response.status, errorData, resetInMs);
     }
+    
+    // Some deletes answer with no content
+    const data = response.status === 204 ? {} : await response.json();
+    
+    // Log successful data retrieval (without logging the entire payload)
+    logger.debug(`API data received successfully`, { 
+      requestId,
+      dataSize: JSON.stringify(data).length
+    });
+    
+    return data;
   }
 
   // Health check for ClickUp API
@@ -128,12 +271,12 @@ class ClickUpService {
     try {
       logger.info('Performing ClickUp API health check');
       
-      // Try using environment token first
+      // Try using the environment token first, where the token mode allows it
       let headers;
       try {
         headers = this.getHeaders();
       } catch (e) {
-        logger.warn('No token in environment, trying to use first registered token');
+        logger.warn('No usable token in environment, trying to use first registered token');
         // If no environment token, try the first user token we can find (if any)
         const userIds = tokenManager.getAllUserIds();
         
@@ -142,35 +285,46 @@ class ClickUpService {
           return { 
             status: 'ERROR', 
             message: 'No ClickUp API tokens available', 
-            configurationStatus: this.getConfigurationStatus() 
+            configurationStatus: this.getConfigurationStatus(),
+            circuitBreakers: this.circuitBreaker.getState()
           };
         }
         
         headers = this.getHeaders(userIds[0]);
       }
       
-      // Make a simple API call to check connectivity
-      await this.fetchFromClickUp(`${this.baseUrlV2}/user`, 'GET', headers);
+      // Make a simple API call to check connectivity, bypassing the cache
+      await this.requestFromClickUp(`${this.baseUrlV2}/user`, 'GET', headers);
       
       logger.info('ClickUp API health check successful');
       return { 
         status: 'OK', 
         message: 'Connected to ClickUp API successfully',
-        configurationStatus: this.getConfigurationStatus()
+        configurationStatus: this.getConfigurationStatus(),
+        circuitBreakers: this.circuitBreaker.getState()
       };
     } catch (error) {
       logger.error(`ClickUp API health check failed: ${error.message}`, { error: error.stack });
       return { 
         status: 'ERROR', 
         message: error.message,
-        configurationStatus: this.getConfigurationStatus()
+        configurationStatus: this.getConfigurationStatus(),
+        circuitBreakers: this.circuitBreaker.getState()
       };
     }
   }
   
+  // Get counters describing how ClickUp calls were made since startup
+  getMetrics() {
+    return {
+      requestCoalescing: this.coalescer.getMetrics()
+    };
+  }
+  
   // Get configuration status
   getConfigurationStatus() {
     return {
+      tokenMode: this.tokenMode,
       environmentToken: !!this.token,
       userTokensCount: tokenManager.getAllUserIds().length
     };
@@ -186,10 +340,17 @@ class ClickUpService {
   // Get all spaces in a workspace
   async getSpaces(workspaceId, userId) {
     logger.info(`Fetching spaces for workspace ${workspaceId}`, { userId, workspaceId });
-    const headers = this.getHeaders(userId);
+    const headers = this.getHeaders(userId, workspaceId);
     return this.fetchFromClickUp(`${this.baseUrlV2}/team/${workspaceId}/space`, 'GET', headers);
   }
 
+  // Get a specific space
+  async getSpace(spaceId, userId) {
+    logger.info(`Fetching space ${spaceId}`, { userId, spaceId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/space/${spaceId}`, 'GET', headers);
+  }
+
   // Get all lists in a space (folderless)
   async getFolderlessLists(spaceId, userId) {
     logger.info(`Fetching folderless lists for space ${spaceId}`, { userId, spaceId });
@@ -211,50 +372,370 @@ class ClickUpService {
     return this.fetchFromClickUp(`${this.baseUrlV2}/folder/${folderId}/list`, 'GET', headers);
   }
 
-  // Get all tasks in a list
-  async getTasks(listId, userId, page = 0, limit = 100) {
+  // Get a specific list
+  async getList(listId, userId) {
+    logger.info(`Fetching list ${listId}`, { userId, listId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/list/${listId}`, 'GET', headers);
+  }
+
+  // Get all tasks in a list, optionally narrowed or widened by task filters
+  async getTasks(listId, userId, page = 0, limit = 100, filters = {}) {
     logger.info(`Fetching tasks for list ${listId}`, { userId, listId, page, limit });
     const headers = this.getHeaders(userId);
     return this.fetchFromClickUp(
-      `${this.baseUrlV2}/list/${listId}/task?page=${page}&limit=${limit}`,
+      `${this.baseUrlV2}/list/${listId}/task?page=${page}&limit=${limit}` + buildTaskFilterQuery(filters),
       'GET',
       headers
     );
   }
 
+  // Get a page of the tasks updated in a workspace since a time, closed tasks
+  // and subtasks included, most recently updated first
+  async getUpdatedTasks(workspaceId, userId, since, page = 0) {
+    logger.info(`Fetching tasks updated in workspace ${workspaceId} since ${new Date(since).toISOString()}`, { userId, workspaceId, page });
+    const headers = this.getHeaders(userId, workspaceId);
+    const url = `${this.baseUrlV2}/team/${workspaceId}/task?page=${page}&order_by=updated&reverse=true`
+      + buildTaskFilterQuery({ includeClosed: true, subtasks: true, dateUpdatedGt: since });
+    return this.fetchFromClickUp(url, 'GET', headers);
+  }
+
   // Get recent tasks from a workspace - this combines multiple API calls
+  // context.query is the user's message and context.filters narrows the task query.
+  // By default a wider candidate set is fetched and ranked locally against the
+  // query; context.searchMode = 'exact' passes the query to ClickUp's own search.
   async getRecentTasks(workspaceId, userId, limit = 10, context = {}) {
+    const searchMode = context.searchMode || DEFAULT_SEARCH_MODE;
+    const rankLocally = !!context.query && searchMode === 'rank';
+    
     logger.info(`Fetching recent tasks for workspace ${workspaceId}`, { 
       userId, 
       workspaceId, 
       limit,
-      hasContext: !!context.query
+      hasContext: !!context.query,
+      searchMode,
+      filters: context.filters ? Object.keys(context.filters) : []
     });
     
-    // Get headers (will try env token first, then user token)
-    const headers = this.token ? this.getHeaders() : this.getHeaders(userId);
+    const headers = this.getHeaders(userId, workspaceId);
+    
+    // Fetch more candidates than needed when ranking them ourselves
+    const fetchLimit = rankLocally ? Math.max(limit, this.rankingCandidates) : limit;
     
     // Use the filtered team tasks endpoint to get recent tasks
-    let filterUrl = `${this.baseUrlV2}/team/${workspaceId}/task?page=0&limit=${limit}&order_by=updated&reverse=true`;
+    let filterUrl = `${this.baseUrlV2}/team/${workspaceId}/task?page=0&limit=${fetchLimit}&order_by=updated&reverse=true`;
     
     // Add contextual filtering if provided
-    if (context && context.query) {
+    if (context.query && searchMode === 'exact') {
       logger.debug(`Applying context filter to task query`, { query: context.query });
       filterUrl += `&search=${encodeURIComponent(context.query)}`;
     }
     
+    if (context.filters) {
+      filterUrl += buildTaskFilterQuery(context.filters);
+    }
+    
     logger.debug(`Using URL: ${filterUrl}`);
     const response = await this.fetchFromClickUp(filterUrl, 'GET', headers);
     
+    if (rankLocally && Array.isArray(response.tasks)) {
+      const candidates = response.tasks.length;
+      response.tasks = rankTasks(response.tasks, context.query, { limit });
+      logger.debug(`Ranked ${candidates} candidate tasks against the user message`, { returned: response.tasks.length });
+    }
+    
     logger.info(`Retrieved ${response.tasks ? response.tasks.length : 0} tasks`);
     return response;
   }
 
-  // Get a specific task
-  async getTask(taskId, userId) {
-    logger.info(`Fetching task ${taskId}`, { userId, taskId });
+  // Walk a workspace's spaces, folders and lists - this combines multiple API calls
+  // maxDepth 1 stops at spaces, 2 adds folders and folderless lists, 3 adds the
+  // lists inside folders. Only the first maxSpaces spaces are expanded.
+  async getHierarchy(workspaceId, userId, options = {}) {
+    const maxDepth = options.maxDepth || 3;
+    const maxSpaces = options.maxSpaces || 10;
+    
+    logger.info(`Fetching hierarchy for workspace ${workspaceId}`, { userId, workspaceId, maxDepth, maxSpaces });
+    
+    const spacesResponse = await this.getSpaces(workspaceId, userId);
+    const allSpaces = spacesResponse.spaces || [];
+    const expanded = maxDepth > 1 ? allSpaces.slice(0, maxSpaces) : [];
+    
+    const spaces = await Promise.all(expanded.map(async space => {
+      const [foldersResponse, listsResponse] = await Promise.all([
+        this.getFolders(space.id, userId),
+        this.getFolderlessLists(space.id, userId)
+      ]);
+      
+      return {
+        ...space,
+        expanded: true,
+        folders: foldersResponse.folders || [],
+        lists: listsResponse.lists || []
+      };
+    }));
+    
+    allSpaces.slice(expanded.length).forEach(space => {
+      spaces.push({ ...space, expanded: false, folders: [], lists: [] });
+    });
+    
+    return { spaces, maxDepth };
+  }
+
+  // Get the names and IDs of a workspace's spaces, folders, lists, members
+  // and statuses - this combines multiple API calls
+  async getWorkspaceCatalog(workspaceId, userId, maxSpaces = 10) {
+    logger.info(`Building entity catalog for workspace ${workspaceId}`, { userId, workspaceId, maxSpaces });
+    
+    const [hierarchy, teamsResponse] = await Promise.all([
+      this.getHierarchy(workspaceId, userId, { maxSpaces }),
+      this.getWorkspaces(userId)
+    ]);
+    
+    const spaces = hierarchy.spaces.filter(space => space.expanded);
+    const team = (teamsResponse.teams || []).find(t => String(t.id) === String(workspaceId));
+    
+    const catalog = {
+      spaces: spaces.map(space => ({ id: space.id, name: space.name })),
+      folders: [],
+      lists: [],
+      members: team && Array.isArray(team.members)
+        ? team.members.map(m => m.user || m).map(u => ({ id: u.id, username: u.username, email: u.email }))
+        : [],
+      statuses: []
+    };
+    
+    spaces.forEach(space => {
+      space.folders.forEach(folder => {
+        catalog.folders.push({ id: folder.id, name: folder.name, spaceId: space.id });
+        (folder.lists || []).forEach(list => {
+          catalog.lists.push({ id: list.id, name: list.name, spaceId: space.id, folderId: folder.id });
+        });
+      });
+      
+      space.lists.forEach(list => {
+        catalog.lists.push({ id: list.id, name: list.name, spaceId: space.id, folderId: null });
+      });
+      
+      (space.statuses || []).forEach(status => {
+        catalog.statuses.push({ status: status.status, type: status.type });
+      });
+    });
+    
+    logger.debug(`Built catalog with ${catalog.spaces.length} spaces, ${catalog.folders.length} folders, ${catalog.lists.length} lists`, { workspaceId });
+    return catalog;
+  }
+
+  // Get the ClickUp user that owns the token used for this user
+  async getAuthorizedUser(userId, headers = this.getHeaders(userId)) {
+    logger.info('Fetching authorized ClickUp user', { userId });
+    return this.fetchFromClickUp(`${this.baseUrlV2}/user`, 'GET', headers);
+  }
+
+  // Resolve a TypingMind user ID to a ClickUp member ID, from the configured
+  // mapping or else from the owner of the token currently used for the user
+  async resolveMemberId(userId) {
+    if (this.userMapping.has(userId)) {
+      return this.userMapping.get(userId);
+    }
+    
     const headers = this.getHeaders(userId);
-    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}`, 'GET', headers);
+    const credential = tokenIdentity(headers.Authorization);
+    if (!this.resolvedMembers.has(credential)) {
+      const response = await this.getAuthorizedUser(userId, headers);
+      if (!response.user || !response.user.id) {
+        throw new Error('Could not determine the ClickUp user for this token');
+      }
+      
+      this.resolvedMembers.set(credential, String(response.user.id));
+      logger.debug(`Resolved user ${userId} to ClickUp member ${response.user.id}`);
+    }
+    
+    return this.resolvedMembers.get(credential);
+  }
+
+  // Get the open tasks assigned to the calling user in a workspace
+  async getMyWork(workspaceId, userId) {
+    const memberId = await this.resolveMemberId(userId);
+    
+    logger.info(`Fetching assigned tasks for member ${memberId} in workspace ${workspaceId}`, { userId, workspaceId, memberId });
+    
+    const headers = this.getHeaders(userId, workspaceId);
+    const url = `${this.baseUrlV2}/team/${workspaceId}/task?page=0&order_by=due_date&subtasks=true`
+      + buildTaskFilterQuery({ assignees: [memberId] });
+    
+    const response = await this.fetchFromClickUp(url, 'GET', headers);
+    
+    logger.info(`Retrieved ${response.tasks ? response.tasks.length : 0} assigned tasks`, { memberId });
+    return { ...response, memberId };
+  }
+
+  // Get the tasks created, updated, completed or commented on since the last
+  // changes context served to this user for this workspace. The cursor that
+  // moves past them is returned with the changes and only saved, with
+  // saveChangesCursor, once the context has been rendered.
+  async getChanges(workspaceId, userId) {
+    const cursorKey = `${userId || 'anonymous'}:${workspaceId}`;
+    const cursor = await this.cursorStore.get(cursorKey);
+    
+    // Taken before fetching so changes made during the request are not missed next time
+    let servedAt = Date.now();
+    const since = cursor ? cursor.servedAt : servedAt - CHANGES_INITIAL_LOOKBACK_MS;
+    const previousStatuses = (cursor && cursor.statuses) || {};
+    
+    logger.info(`Fetching changes in workspace ${workspaceId} since ${new Date(since).toISOString()}`, { userId, workspaceId });
+    
+    // Oldest first, so that when there are more pages than are fetched the
+    // tasks left out are all newer than the ones served
+    const headers = this.getHeaders(userId, workspaceId);
+    const tasks = [];
+    let complete = false;
+    for (let page = 0; page < CHANGES_MAX_PAGES && !complete; page++) {
+      const url = `${this.baseUrlV2}/team/${workspaceId}/task?page=${page}&order_by=updated&subtasks=true`
+        + buildTaskFilterQuery({ includeClosed: true, dateUpdatedGt: since });
+      const response = await this.fetchFromClickUp(url, 'GET', headers);
+      const pageTasks = response.tasks || [];
+      tasks.push(...pageTasks);
+      complete = response.last_page === true || pageTasks.length < CHANGES_PAGE_SIZE;
+    }
+    
+    if (!complete && tasks.length > 0) {
+      // Start the next changes context at the last task served. A millisecond
+      // earlier, since tasks updated in the same millisecond may not all have been
+      // served, so that task is shown once more.
+      servedAt = Math.max(parseInt(tasks[tasks.length - 1].date_updated, 10) - 1, since);
+      logger.warn(`More than ${tasks.length} tasks changed in workspace ${workspaceId}, serving the oldest`, { userId, workspaceId });
+    }
+    const events = this.changeHistory.since(workspaceId, since);
+    
+    // New comments are not visible on the task itself, so look them up for
+    // the tasks webhooks reported comments on, then the most recently updated ones
+    const commented = new Set(events.filter(event => event.event === 'taskCommentPosted').map(event => event.taskId));
+    const newestFirst = [...tasks].sort((a, b) => parseInt(b.date_updated, 10) - parseInt(a.date_updated, 10));
+    const lookups = [...newestFirst.filter(task => commented.has(task.id)), ...newestFirst.filter(task => !commented.has(task.id))];
+    const comments = {};
+    await Promise.all(lookups.slice(0, CHANGES_MAX_COMMENT_LOOKUPS).map(async task => {
+      try {
+        const result = await this.getTaskComments(task.id, userId);
+        comments[task.id] = (result.comments || []).filter(comment => parseInt(comment.date, 10) > since);
+      } catch (error) {
+        logger.warn(`Could not fetch comments for task ${task.id}`, { error: error.message });
+      }
+    }));
+    
+    const statuses = { ...previousStatuses };
+    tasks.forEach(task => {
+      delete statuses[task.id];
+      statuses[task.id] = task.status && task.status.status;
+    });
+    const statusIds = Object.keys(statuses);
+    statusIds.slice(0, Math.max(statusIds.length - CHANGES_MAX_KNOWN_STATUSES, 0)).forEach(id => delete statuses[id]);
+    
+    // Webhook status changes give the status before for tasks the cursor had not seen
+    const statusesBefore = {};
+    events.filter(event => event.statusBefore).forEach(event => {
+      if (!(event.taskId in statusesBefore)) {
+        statusesBefore[event.taskId] = event.statusBefore;
+      }
+    });
+    
+    logger.info(`Retrieved ${tasks.length} changed tasks`, { workspaceId, firstRun: !cursor, complete, webhookEvents: events.length });
+    return {
+      since,
+      firstRun: !cursor,
+      tasks,
+      comments,
+      previousStatuses: { ...statusesBefore, ...previousStatuses },
+      cursor: { key: cursorKey, servedAt, statuses }
+    };
+  }
+
+  // Move a user's changes cursor past the changes from getChanges, once they
+  // have been rendered. A cursor that cannot be saved only means the same
+  // changes are shown again next time, so it does not fail the request.
+  async saveChangesCursor(changes) {
+    const { key, servedAt, statuses } = changes.cursor;
+    try {
+      await this.cursorStore.set(key, { servedAt, statuses });
+    } catch (error) {
+      logger.warn(`Could not save the changes cursor for ${key}`, { error: error.message });
+    }
+  }
+
+  // Get a specific task, optionally with its subtasks
+  async getTask(taskId, userId, includeSubtasks = false) {
+    logger.info(`Fetching task ${taskId}`, { userId, taskId, includeSubtasks });
+    const headers = this.getHeaders(userId);
+    const query = includeSubtasks ? '?include_subtasks=true' : '';
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}${query}`, 'GET', headers);
+  }
+
+  // Get a task by its custom task ID, which ClickUp only resolves within a workspace
+  async getTaskByCustomId(customTaskId, workspaceId, userId) {
+    logger.info(`Fetching task by custom ID ${customTaskId}`, { userId, customTaskId, workspaceId });
+    const headers = this.getHeaders(userId, workspaceId);
+    const query = `?custom_task_ids=true&team_id=${encodeURIComponent(workspaceId)}&include_subtasks=true`;
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${encodeURIComponent(customTaskId)}${query}`, 'GET', headers);
+  }
+
+  // Fetch the tasks, lists and spaces found in a user message - this combines multiple API calls.
+  // IDs that do not resolve are skipped, since a message can mention things that only look like IDs.
+  async getReferencedEntities(references, workspaceId, userId) {
+    logger.info(`Fetching ${references.count} entities referenced in the user message`, {
+      userId,
+      workspaceId,
+      taskIds: references.taskIds,
+      customTaskIds: references.customTaskIds,
+      listIds: references.listIds,
+      spaceIds: references.spaceIds
+    });
+    
+    const fetchOrSkip = (kind, id, request) => request.catch(error => {
+      logger.debug(`Skipping referenced ${kind} ${id}`, { error: error.message });
+      return null;
+    });
+    
+    // Custom task IDs need the workspace to resolve
+    const customTaskIds = workspaceId ? references.customTaskIds : [];
+    
+    const [tasks, customTasks, lists, spaces] = await Promise.all([
+      Promise.all(references.taskIds.map(id => fetchOrSkip('task', id, this.getTask(id, userId, true)))),
+      Promise.all(customTaskIds.map(id => fetchOrSkip('task', id, this.getTaskByCustomId(id, workspaceId, userId)))),
+      Promise.all(references.listIds.map(id => fetchOrSkip('list', id, this.getList(id, userId)))),
+      Promise.all(references.spaceIds.map(id => fetchOrSkip('space', id, this.getSpace(id, userId))))
+    ]);
+    
+    // A task can be mentioned both by its ID and its custom ID
+    const allTasks = [...tasks, ...customTasks].filter(Boolean)
+      .filter((task, index, found) => found.findIndex(other => other.id === task.id) === index);
+    
+    return {
+      tasks: allTasks,
+      lists: lists.filter(Boolean),
+      spaces: spaces.filter(Boolean)
+    };
+  }
+
+  // Get everything needed to describe one task in depth - this combines multiple API calls
+  async getTaskContext(taskId, userId) {
+    logger.info(`Fetching full context for task ${taskId}`, { userId, taskId });
+    
+    const [task, comments] = await Promise.all([
+      this.getTask(taskId, userId, true),
+      this.getTaskComments(taskId, userId)
+    ]);
+    
+    // The task only carries the space ID, so look up its name for the breadcrumb
+    let space = null;
+    if (task.space && task.space.id) {
+      try {
+        space = await this.getSpace(task.space.id, userId);
+      } catch (error) {
+        logger.warn(`Could not fetch space ${task.space.id} for task ${taskId}`, { error: error.message });
+      }
+    }
+    
+    return { task, comments, space };
   }
 
   // Create a task
@@ -289,13 +770,135 @@ class ClickUpService {
       { comment_text: commentText }
     );
   }
-}
 
-// Add a method to retrieve all user IDs to the TokenManager class
-if (!tokenManager.getAllUserIds) {
-  tokenManager.getAllUserIds = function() {
-    return Array.from(tokens.keys());
-  };
+  // Delete a task, with its subtasks
+  async deleteTask(taskId, userId) {
+    logger.info(`Deleting task ${taskId}`, { userId, taskId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}`, 'DELETE', headers);
+  }
+
+  // Create a subtask in its parent's list. ClickUp only accepts top-level
+  // tasks as parents.
+  async createSubtask(parentTaskId, taskData, userId) {
+    logger.info(`Creating subtask of task ${parentTaskId}`, { userId, parentTaskId });
+    const parent = await this.getTask(parentTaskId, userId);
+    if (parent.parent) {
+      throw new ValidationError(`Task ${parentTaskId} is a subtask itself, subtasks can only be created under top-level tasks`);
+    }
+    return this.createTask(parent.list.id, { ...taskData, parent: parent.id }, userId);
+  }
+
+  // Add a checklist to a task
+  async createChecklist(taskId, name, userId) {
+    logger.info(`Creating checklist on task ${taskId}`, { userId, taskId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/checklist`, 'POST', headers, { name });
+  }
+
+  // Add an item to a checklist, returning the whole checklist
+  async createChecklistItem(checklistId, itemData, userId) {
+    logger.info(`Adding item to checklist ${checklistId}`, { userId, checklistId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/checklist/${checklistId}/checklist_item`, 'POST', headers, itemData);
+  }
+
+  // Rename, assign or resolve a checklist item, returning the whole checklist
+  async updateChecklistItem(checklistId, itemId, itemData, userId) {
+    logger.info(`Updating item ${itemId} of checklist ${checklistId}`, { userId, checklistId, itemId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(
+      `${this.baseUrlV2}/checklist/${checklistId}/checklist_item/${itemId}`,
+      'PUT',
+      headers,
+      itemData
+    );
+  }
+
+  // Add a tag to a task. The tag must exist in the task's space.
+  async addTaskTag(taskId, tagName, userId) {
+    logger.info(`Adding tag to task ${taskId}`, { userId, taskId, tagName });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/tag/${encodeURIComponent(tagName)}`, 'POST', headers);
+  }
+
+  // Remove a tag from a task
+  async removeTaskTag(taskId, tagName, userId) {
+    logger.info(`Removing tag from task ${taskId}`, { userId, taskId, tagName });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/tag/${encodeURIComponent(tagName)}`, 'DELETE', headers);
+  }
+
+  // Make a task wait on another ({ depends_on }) or block another ({ dependency_of })
+  async addTaskDependency(taskId, dependency, userId) {
+    logger.info(`Adding dependency to task ${taskId}`, { userId, taskId, ...dependency });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/dependency`, 'POST', headers, dependency);
+  }
+
+  // Remove a dependency, given as for addTaskDependency
+  async removeTaskDependency(taskId, dependency, userId) {
+    logger.info(`Removing dependency from task ${taskId}`, { userId, taskId, ...dependency });
+    const headers = this.getHeaders(userId);
+    const query = Object.keys(dependency)
+      .map(field => `${field}=${encodeURIComponent(dependency[field])}`)
+      .join('&');
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/dependency?${query}`, 'DELETE', headers);
+  }
+
+  // Link a task to another, returning the task
+  async addTaskLink(taskId, linkedTaskId, userId) {
+    logger.info(`Linking task ${taskId} to task ${linkedTaskId}`, { userId, taskId, linkedTaskId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/link/${linkedTaskId}`, 'POST', headers);
+  }
+
+  // Remove the link between two tasks, returning the task
+  async removeTaskLink(taskId, linkedTaskId, userId) {
+    logger.info(`Unlinking task ${taskId} from task ${linkedTaskId}`, { userId, taskId, linkedTaskId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/link/${linkedTaskId}`, 'DELETE', headers);
+  }
+
+  // Set a custom field's value on a task, e.g. a dropdown option ID or a number.
+  // Some field types take value_options too, such as { time: true } for dates.
+  async setCustomFieldValue(taskId, fieldId, value, userId, valueOptions) {
+    logger.info(`Setting custom field ${fieldId} on task ${taskId}`, { userId, taskId, fieldId });
+    const headers = this.getHeaders(userId);
+    const body = valueOptions ? { value, value_options: valueOptions } : { value };
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/field/${fieldId}`, 'POST', headers, body);
+  }
+
+  // Clear a custom field's value on a task
+  async clearCustomFieldValue(taskId, fieldId, userId) {
+    logger.info(`Clearing custom field ${fieldId} on task ${taskId}`, { userId, taskId, fieldId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/task/${taskId}/field/${fieldId}`, 'DELETE', headers);
+  }
+
+  // Register a webhook for a workspace. ClickUp's response includes the
+  // secret that the webhook's events are signed with.
+  async createWebhook(workspaceId, webhookData, userId) {
+    logger.info(`Creating webhook in workspace ${workspaceId}`, { userId, workspaceId, events: webhookData.events });
+    const headers = this.getHeaders(userId, workspaceId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/team/${workspaceId}/webhook`, 'POST', headers, webhookData);
+  }
+
+  // Get the webhooks registered for a workspace
+  async getWebhooks(workspaceId, userId) {
+    logger.info(`Fetching webhooks for workspace ${workspaceId}`, { userId, workspaceId });
+    const headers = this.getHeaders(userId, workspaceId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/team/${workspaceId}/webhook`, 'GET', headers);
+  }
+
+  // Delete a webhook
+  async deleteWebhook(webhookId, userId) {
+    logger.info(`Deleting webhook ${webhookId}`, { userId, webhookId });
+    const headers = this.getHeaders(userId);
+    return this.fetchFromClickUp(`${this.baseUrlV2}/webhook/${webhookId}`, 'DELETE', headers);
+  }
 }
 
-module.exports = new ClickUpService(); 
\ No newline at end of file
+// The class is exported too, to build services with another base URL or transport
+module.exports = new ClickUpService();
+module.exports.ClickUpService = ClickUpService;
@@ -0,0 +1,379 @@
+const clickupService = require('./clickup.service');
+const { mirrorStore } = require('../utils/mirror-store');
+const { eventBus } = require('../utils/event-bus');
+const { WorkspaceMirror, MIRRORED_DATA_TYPES } = require('../utils/workspace-mirror');
+const { getLogger } = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+
+// Create a logger for workspace syncs
+const logger = getLogger('sync-service');
+
+// Closed tasks stay in the mirror for this long after their last update
+const CLOSED_TASK_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Comments are kept for this many of the most recently updated tasks
+const MAX_COMMENT_TASKS = 100;
+
+// Incremental syncs overlap the previous one by this much, so that tasks
+// updated while it ran, or on a ClickUp server with a skewed clock, are not missed
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Webhook events for a workspace are collected for this long before they
+// trigger one incremental sync
+const EVENT_SYNC_DELAY_MS = 5 * 1000;
+
+// ClickUp's task endpoints return at most this many tasks per page
+const TASK_PAGE_SIZE = 100;
+
+// Read the mirror settings from the environment
+function createMirrorConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+
+  return {
+    workspaces: (env.MIRROR_WORKSPACES || '').split(',').map(id => id.trim()).filter(Boolean),
+    syncUserId: env.MIRROR_SYNC_USER || 'default',
+    intervalMs: number(env.MIRROR_SYNC_INTERVAL_SECONDS, 300) * 1000,
+    fullSyncMs: number(env.MIRROR_FULL_SYNC_HOURS, 24) * 60 * 60 * 1000,
+    maxAgeMs: number(env.MIRROR_MAX_AGE_SECONDS, 900) * 1000
+  };
+}
+
+const isClosed = task => !!(task.status && task.status.type === 'closed');
+
+// Keeps local mirrors of ClickUp workspaces: their spaces, folders and lists,
+// their open and recently closed tasks, and the comments on recently updated
+// tasks. A mirror starts with a full crawl and then only fetches the tasks
+// updated since its last sync; tasks deleted in ClickUp leave it on the next
+// full crawl, or at once when a webhook reports them.
+class SyncService {
+  /**
+   * @param {object} options Collaborators and settings, replaceable for another setup
+   * @param {object} options.clickup The ClickUp service mirrors are synced through
+   * @param {object} options.store Where mirrors are kept
+   * @param {object} options.bus The event bus webhook events arrive on
+   * @param {object} options.config Mirror settings, see createMirrorConfig
+   */
+  constructor(options = {}) {
+    this.clickup = options.clickup || clickupService;
+    this.store = options.store || mirrorStore;
+    this.config = options.config || createMirrorConfig();
+
+    // Per workspace: the sync in progress, the last error and any sync
+    // scheduled by webhook events
+    this.runs = new Map();
+    this.interval = null;
+
+    (options.bus || eventBus).subscribe(event => this.handleEvent(event));
+  }
+
+  // Sync the configured workspaces now and then every interval
+  start() {
+    if (this.config.workspaces.length === 0 || this.config.intervalMs === 0) {
+      return;
+    }
+
+    logger.info(`Mirroring workspaces ${this.config.workspaces.join(', ')} every ${this.config.intervalMs / 1000}s`);
+
+    const syncAll = () => this.config.workspaces.reduce(
+      (previous, workspaceId) => previous.then(() => this.sync(workspaceId).catch(() => {})),
+      Promise.resolve()
+    );
+
+    syncAll();
+    this.interval = setInterval(syncAll, this.config.intervalMs);
+    this.interval.unref();
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    this.runs.forEach(run => clearTimeout(run.scheduled));
+  }
+
+  runOf(workspaceId) {
+    const key = String(workspaceId);
+    if (!this.runs.has(key)) {
+      this.runs.set(key, { promise: null, lastError: null, scheduled: null });
+    }
+    return this.runs.get(key);
+  }
+
+  // Sync a workspace with a user's credential, by default the sync user's.
+  // A full crawl is made for a new mirror, a mirror of another credential, when
+  // the last full crawl is too old or when asked for. A sync already running
+  // for the workspace is joined rather than started again.
+  sync(workspaceId, options = {}) {
+    const run = this.runOf(workspaceId);
+    if (run.promise) {
+      return run.promise;
+    }
+
+    const userId = options.userId || this.config.syncUserId;
+    run.promise = this.runSync(String(workspaceId), userId, !!options.full)
+      .then(mirror => {
+        run.lastError = null;
+        return mirror;
+      })
+      .catch(error => {
+        run.lastError = { message: error.message, at: new Date().toISOString() };
+        logger.error(`Sync of workspace ${workspaceId} failed`, { error: error.message, userId });
+        throw error;
+      })
+      .finally(() => {
+        run.promise = null;
+      });
+
+    return run.promise;
+  }
+
+  async runSync(workspaceId, userId, forceFull) {
+    const { identity } = this.clickup.tokenResolver.resolve(userId, { workspaceId });
+    const previous = this.store.getMirror(workspaceId);
+    const startedAt = Date.now();
+    const full = forceFull
+      || !previous
+      || previous.credential !== identity
+      || startedAt - previous.lastFullSyncAt >= this.config.fullSyncMs;
+
+    logger.info(`Starting ${full ? 'full' : 'incremental'} sync of workspace ${workspaceId}`, { userId, credential: identity });
+
+    const hierarchy = await this.fetchHierarchy(workspaceId, userId);
+    const tasks = full
+      ? await this.crawlTasks(hierarchy, userId, startedAt)
+      : await this.fetchUpdatedTasks(workspaceId, userId, previous, startedAt);
+    const comments = await this.fetchComments(tasks, userId, full ? null : previous);
+
+    const mirror = {
+      workspaceId,
+      userId,
+      credential: identity,
+      ...hierarchy,
+      tasks,
+      comments,
+      syncStartedAt: startedAt,
+      syncedAt: Date.now(),
+      lastFullSyncAt: full ? startedAt : previous.lastFullSyncAt,
+      counts: {
+        spaces: hierarchy.spaces.length,
+        lists: Object.values(hierarchy.folderlessLists).reduce((count, lists) => count + lists.length, 0)
+          + Object.values(hierarchy.folders).reduce((count, folders) => count
+            + folders.reduce((inFolders, folder) => inFolders + (folder.lists || []).length, 0), 0),
+        tasks: Object.keys(tasks).length,
+        commentedTasks: Object.keys(comments).length
+      }
+    };
+    await this.store.saveMirror(mirror);
+
+    logger.info(`Synced workspace ${workspaceId} in ${mirror.syncedAt - startedAt}ms`, { full, ...mirror.counts });
+    return mirror;
+  }
+
+  // Spaces, with their folders and folderless lists by space ID
+  async fetchHierarchy(workspaceId, userId) {
+    const { spaces = [] } = await this.clickup.getSpaces(workspaceId, userId);
+    const folders = {};
+    const folderlessLists = {};
+
+    for (const space of spaces) {
+      const [foldersResponse, listsResponse] = await Promise.all([
+        this.clickup.getFolders(space.id, userId),
+        this.clickup.getFolderlessLists(space.id, userId)
+      ]);
+      folders[space.id] = foldersResponse.folders || [];
+      folderlessLists[space.id] = listsResponse.lists || [];
+    }
+
+    return { spaces, folders, folderlessLists };
+  }
+
+  // Every open task and recently closed task, with subtasks, list by list
+  async crawlTasks(hierarchy, userId, startedAt) {
+    const lists = hierarchy.spaces.reduce((all, space) => all.concat(
+      hierarchy.folderlessLists[space.id],
+      ...hierarchy.folders[space.id].map(folder => folder.lists || [])
+    ), []);
+    const closedSince = startedAt - CLOSED_TASK_RETENTION_MS;
+    const tasks = {};
+
+    for (const list of lists) {
+      const passes = [
+        { subtasks: true },
+        { subtasks: true, includeClosed: true, dateUpdatedGt: closedSince }
+      ];
+      for (const filters of passes) {
+        await this.fetchAllPages(
+          page => this.clickup.getTasks(list.id, userId, page, TASK_PAGE_SIZE, filters),
+          task => { tasks[task.id] = task; }
+        );
+      }
+    }
+
+    return tasks;
+  }
+
+  // The previous mirror's tasks, updated with the tasks changed since it was synced
+  async fetchUpdatedTasks(workspaceId, userId, previous, startedAt) {
+    const tasks = { ...previous.tasks };
+    const since = previous.syncStartedAt - SYNC_OVERLAP_MS;
+    let updated = 0;
+
+    await this.fetchAllPages(
+      page => this.clickup.getUpdatedTasks(workspaceId, userId, since, page),
+      task => {
+        updated += 1;
+        if (task.archived) {
+          delete tasks[task.id];
+        } else {
+          tasks[task.id] = task;
+        }
+      }
+    );
+
+    const closedSince = startedAt - CLOSED_TASK_RETENTION_MS;
+    Object.values(tasks)
+      .filter(task => isClosed(task) && parseInt(task.date_updated, 10) <= closedSince)
+      .forEach(task => delete tasks[task.id]);
+
+    logger.debug(`${updated} tasks updated in workspace ${workspaceId} since the last sync`);
+    return tasks;
+  }
+
+  async fetchAllPages(fetchPage, onTask) {
+    for (let page = 0; ; page += 1) {
+      const response = await fetchPage(page);
+      const tasks = response.tasks || [];
+      tasks.forEach(onTask);
+      if (response.last_page === true || tasks.length < TASK_PAGE_SIZE) {
+        return;
+      }
+    }
+  }
+
+  // Comments on the most recently updated tasks. An incremental sync only
+  // fetches them for tasks updated since the previous sync and keeps the rest.
+  async fetchComments(tasks, userId, previous) {
+    const recent = Object.values(tasks)
+      .sort((a, b) => parseInt(b.date_updated, 10) - parseInt(a.date_updated, 10))
+      .slice(0, MAX_COMMENT_TASKS);
+    const comments = {};
+
+    for (const task of recent) {
+      const known = previous && previous.comments[task.id];
+      if (known && parseInt(task.date_updated, 10) < previous.syncStartedAt - SYNC_OVERLAP_MS) {
+        comments[task.id] = known;
+        continue;
+      }
+      try {
+        const response = await this.clickup.getTaskComments(task.id, userId);
+        comments[task.id] = response.comments || [];
+      } catch (error) {
+        // A task deleted during the sync has no comments to keep
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+      }
+    }
+
+    return comments;
+  }
+
+  // Webhook events keep mirrors current between syncs: deleted tasks leave
+  // the mirror at once and other changes bring the next incremental sync forward
+  handleEvent(event) {
+    const mirror = event.workspaceId && this.store.getMirror(event.workspaceId);
+    if (!mirror) {
+      return;
+    }
+
+    if (event.event === 'taskDeleted' && mirror.tasks[event.taskId]) {
+      const tasks = { ...mirror.tasks };
+      const comments = { ...mirror.comments };
+      delete tasks[event.taskId];
+      delete comments[event.taskId];
+      logger.info(`Removing deleted task ${event.taskId} from the mirror of workspace ${mirror.workspaceId}`);
+      this.store.saveMirror({ ...mirror, tasks, comments, counts: { ...mirror.counts, tasks: Object.keys(tasks).length } })
+        .catch(error => logger.error(`Could not save workspace mirror ${mirror.workspaceId}`, { error: error.message }));
+      return;
+    }
+
+    const run = this.runOf(mirror.workspaceId);
+    if (!run.scheduled) {
+      run.scheduled = setTimeout(() => {
+        run.scheduled = null;
+        this.sync(mirror.workspaceId, { userId: mirror.userId }).catch(() => {});
+      }, EVENT_SYNC_DELAY_MS);
+      run.scheduled.unref();
+    }
+  }
+
+  // Describe a workspace's sync state, or null if it was never synced nor is being synced
+  getStatus(workspaceId, now = Date.now()) {
+    const mirror = this.store.getMirror(workspaceId);
+    const run = this.runs.get(String(workspaceId));
+    if (!mirror && !run) {
+      return null;
+    }
+
+    const state = run && run.promise ? 'syncing' : run && run.lastError ? 'error' : 'idle';
+    const freshness = mirror ? new WorkspaceMirror(mirror).freshness(now) : null;
+
+    return {
+      workspaceId: String(workspaceId),
+      state,
+      credential: mirror ? mirror.credential : null,
+      syncedAt: freshness ? freshness.syncedAt : null,
+      ageSeconds: freshness ? freshness.ageSeconds : null,
+      fresh: !!mirror && now - mirror.syncedAt <= this.config.maxAgeMs,
+      lastFullSyncAt: mirror ? new Date(mirror.lastFullSyncAt).toISOString() : null,
+      lastError: run ? run.lastError : null,
+      counts: mirror ? mirror.counts : null
+    };
+  }
+
+  // Describe every workspace that is mirrored, configured or being synced
+  listStatuses() {
+    const workspaceIds = new Set([
+      ...this.config.workspaces,
+      ...this.store.listMirrors().map(mirror => String(mirror.workspaceId)),
+      ...this.runs.keys()
+    ]);
+    return Array.from(workspaceIds).map(workspaceId => this.getStatus(workspaceId)
+      || { workspaceId, state: 'pending', credential: null, syncedAt: null, ageSeconds: null, fresh: false, lastFullSyncAt: null, lastError: null, counts: null });
+  }
+
+  // Choose the mirror a context request may read from. Mirrors only serve the
+  // credential they were synced with. The mirror is preferred over ClickUp when
+  // the source is "mirror", or "auto" and the mirror is fresh; a mirror that is
+  // not preferred can still stand in while ClickUp is unavailable.
+  chooseMirror({ workspaceId, taskId, userId, source, dataType }) {
+    if (source === 'live' || !MIRRORED_DATA_TYPES.includes(dataType)) {
+      return { mirror: null, preferred: false };
+    }
+
+    const { identity } = this.clickup.tokenResolver.resolve(userId, { workspaceId });
+    const candidates = workspaceId
+      ? [this.store.getMirror(workspaceId)]
+      : this.store.listMirrors().filter(data => taskId && data.tasks[taskId]);
+    const data = candidates.find(candidate => candidate && candidate.credential === identity);
+
+    if (!data) {
+      if (source === 'mirror') {
+        throw new NotFoundError(workspaceId
+          ? `Workspace ${workspaceId} is not mirrored for this credential`
+          : `Task ${taskId} is not in a workspace mirrored for this credential`);
+      }
+      return { mirror: null, preferred: false };
+    }
+
+    const mirror = new WorkspaceMirror(data, { rankingCandidates: this.clickup.rankingCandidates });
+    const preferred = source === 'mirror' || Date.now() - data.syncedAt <= this.config.maxAgeMs;
+    return { mirror, preferred };
+  }
+}
+
+module.exports = new SyncService();
+module.exports.SyncService = SyncService;
+module.exports.createMirrorConfig = createMirrorConfig;
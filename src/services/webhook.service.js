@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const clickupService = require('./clickup.service');
+const { webhookStore } = require('../utils/webhook-store');
+const { eventBus } = require('../utils/event-bus');
+const { changeHistory } = require('../utils/change-history');
+const { getLogger } = require('../utils/logger');
+const { AuthError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Create a logger for ClickUp webhooks
+const logger = getLogger('webhook-service');
+
+// How many recent event IDs are remembered to drop ClickUp's redeliveries
+const MAX_SEEN_EVENTS = 5000;
+
+// Events ClickUp can send to a webhook
+const WEBHOOK_EVENTS = [
+  'taskCreated', 'taskUpdated', 'taskDeleted', 'taskPriorityUpdated', 'taskStatusUpdated',
+  'taskAssigneeUpdated', 'taskDueDateUpdated', 'taskTagUpdated', 'taskMoved',
+  'taskCommentPosted', 'taskCommentUpdated', 'taskTimeEstimateUpdated', 'taskTimeTrackedUpdated',
+  'listCreated', 'listUpdated', 'listDeleted',
+  'folderCreated', 'folderUpdated', 'folderDeleted',
+  'spaceCreated', 'spaceUpdated', 'spaceDeleted',
+  'goalCreated', 'goalUpdated', 'goalDeleted', 'keyResultCreated', 'keyResultUpdated', 'keyResultDeleted'
+];
+
+// Identify an event for de-duplication. ClickUp redelivers the same history
+// items when it retries, so their IDs identify the event.
+function eventIdOf(payload, rawBody) {
+  const historyIds = (payload.history_items || []).map(item => item.id).filter(Boolean);
+  return historyIds.length > 0
+    ? `${payload.webhook_id}:${historyIds.join(',')}`
+    : crypto.createHash('sha256').update(rawBody).digest('hex');
+}
+
+// Compare an X-Signature header with the body's HMAC-SHA256 in constant time
+function hasValidSignature(rawBody, signature, secret) {
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return typeof signature === 'string'
+    && signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Receives the events ClickUp pushes to POST /webhooks/clickup and manages
+// the workspace webhooks that send them
+class WebhookService {
+  /**
+   * @param {object} options Collaborators, replaceable for another setup
+   * @param {object} options.clickup The ClickUp service used to manage webhooks
+   * @param {object} options.store Where webhooks and their secrets are kept
+   * @param {object} options.bus The event bus verified events are published on
+   * @param {object} options.history The change history fed with the events
+   * @param {string} options.fallbackSecret Secret for webhooks registered outside this service
+   */
+  constructor(options = {}) {
+    this.clickup = options.clickup || clickupService;
+    this.store = options.store || webhookStore;
+    this.bus = options.bus || eventBus;
+    this.fallbackSecret = options.fallbackSecret || process.env.CLICKUP_WEBHOOK_SECRET || null;
+
+    // Event IDs already published, oldest first
+    this.seenEvents = new Set();
+
+    // Every verified event drops the cached responses it makes out of date and
+    // is added to the change history
+    const history = options.history || changeHistory;
+    this.bus.subscribe(event => this.clickup.cache.invalidateForEvent(event.event));
+    this.bus.subscribe(event => history.record(event));
+  }
+
+  // Verify, de-duplicate and publish an event ClickUp sent to the webhook
+  // endpoint. Returns whether it was published or dropped as a redelivery.
+  receiveEvent(rawBody, signature) {
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new ValidationError('The webhook body is not valid JSON');
+    }
+
+    if (!payload || !payload.event || !payload.webhook_id) {
+      throw new ValidationError('The webhook body needs an event and a webhook_id');
+    }
+
+    const webhook = this.store.getWebhook(payload.webhook_id);
+    const secret = (webhook && webhook.secret) || this.fallbackSecret;
+    if (!secret) {
+      logger.warn(`Event for unknown webhook ${payload.webhook_id}`, { event: payload.event });
+      throw new AuthError('Unknown webhook');
+    }
+    if (!hasValidSignature(rawBody, signature, secret)) {
+      logger.warn(`Invalid signature on ${payload.event} event for webhook ${payload.webhook_id}`);
+      throw new AuthError('Invalid webhook signature');
+    }
+
+    const id = eventIdOf(payload, rawBody);
+    if (this.seenEvents.has(id)) {
+      logger.info(`Dropping redelivered ${payload.event} event ${id}`);
+      return { id, duplicate: true };
+    }
+    this.rememberEvent(id);
+
+    const event = {
+      id,
+      event: payload.event,
+      webhookId: payload.webhook_id,
+      workspaceId: webhook ? webhook.workspaceId : payload.team_id || null,
+      taskId: payload.task_id || null,
+      receivedAt: Date.now(),
+      historyItems: payload.history_items || []
+    };
+    logger.info(`Received ${event.event} event ${id}`, { webhookId: event.webhookId, taskId: event.taskId });
+    this.bus.publish(event);
+
+    return { id, duplicate: false };
+  }
+
+  rememberEvent(id) {
+    this.seenEvents.add(id);
+    if (this.seenEvents.size > MAX_SEEN_EVENTS) {
+      this.seenEvents.delete(this.seenEvents.values().next().value);
+    }
+  }
+
+  // Check the body of a webhook registration, returning the problems found
+  validateRegistration(body) {
+    const problems = [];
+    const { endpoint, events } = body || {};
+
+    if (typeof endpoint !== 'string' || !/^https?:\/\//.test(endpoint)) {
+      problems.push('endpoint must be an http(s) URL, usually this service\'s /webhooks/clickup');
+    }
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        problems.push('events must be a non-empty array');
+      } else {
+        events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))
+          .forEach(event => problems.push(`Unknown event "${event}"`));
+      }
+    }
+    ['space_id', 'folder_id', 'list_id', 'task_id'].forEach(field => {
+      if (body && body[field] !== undefined && typeof body[field] !== 'string' && typeof body[field] !== 'number') {
+        problems.push(`${field} must be an ID`);
+      }
+    });
+
+    return problems;
+  }
+
+  // Register a webhook for a workspace through ClickUp and keep its secret
+  async registerWebhook(workspaceId, body, userId) {
+    const problems = this.validateRegistration(body);
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid webhook', problems);
+    }
+
+    const request = { endpoint: body.endpoint, events: body.events || ['*'] };
+    ['space_id', 'folder_id', 'list_id', 'task_id'].forEach(field => {
+      if (body[field] !== undefined) {
+        request[field] = body[field];
+      }
+    });
+
+    const { webhook } = await this.clickup.createWebhook(workspaceId, request, userId);
+    await this.store.saveWebhook({
+      id: webhook.id,
+      workspaceId,
+      endpoint: webhook.endpoint,
+      events: webhook.events,
+      secret: webhook.secret,
+      createdAt: new Date().toISOString()
+    });
+
+    return this.describe(webhook, true);
+  }
+
+  // List a workspace's webhooks, marking those whose events can be verified
+  async listWebhooks(workspaceId, userId) {
+    const { webhooks } = await this.clickup.getWebhooks(workspaceId, userId);
+    return (webhooks || []).map(webhook => this.describe(webhook, !!this.store.getWebhook(webhook.id)));
+  }
+
+  // Delete a webhook in ClickUp and forget its secret
+  async deleteWebhook(webhookId, userId) {
+    try {
+      await this.clickup.deleteWebhook(webhookId, userId);
+    } catch (error) {
+      // A webhook deleted in ClickUp already only needs forgetting here
+      if (!(error instanceof NotFoundError) || !this.store.getWebhook(webhookId)) {
+        throw error;
+      }
+    }
+    await this.store.removeWebhook(webhookId);
+  }
+
+  // Describe a webhook without its secret
+  describe(webhook, secretStored) {
+    return {
+      id: webhook.id,
+      endpoint: webhook.endpoint,
+      events: webhook.events,
+      spaceId: webhook.space_id || null,
+      folderId: webhook.folder_id || null,
+      listId: webhook.list_id || null,
+      taskId: webhook.task_id || null,
+      health: webhook.health || null,
+      secretStored
+    };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WebhookService = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -2,23 +2,37 @@
  * Authentication helper functions
  */
 
+const { ValidationError } = require('./errors');
+
 /**
  * Extract the user ID from a request
  * Checks both the headers and query parameters
  * 
  * @param {object} req - Express request object
- * @returns {string|null} - The user ID or null if not found
+ * @returns {string} - The user ID
+ * @throws {ValidationError} When the request has no user ID
  */
 function getUserIdFromRequest(req) {
   const userId = req.userId || req.headers['x-user-id'] || req.query.user_id;
   
   if (!userId) {
-    throw new Error('User ID not found in request');
+    throw new ValidationError('x-user-id header or user_id query parameter is required');
   }
   
   return userId;
 }
 
+/**
+ * Extract the API key from a request
+ * Checks both the headers and query parameters
+ * 
+ * @param {object} req - Express request object
+ * @returns {string|null} - The API key or null if not found
+ */
+function getApiKeyFromRequest(req) {
+  return req.headers['x-api-key'] || req.query.api_key || null;
+}
+
 /**
  * Generate a random API key for testing
  * Note: Not for production use
@@ -38,5 +52,6 @@ function generateApiKey() {
 
 module.exports = {
   getUserIdFromRequest,
+  getApiKeyFromRequest,
   generateApiKey
 }; 
\ No newline at end of file
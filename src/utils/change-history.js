@@ -0,0 +1,67 @@
+/**
+ * Recent ClickUp events per workspace, as pushed by webhooks
+ *
+ * The "changes" context still polls ClickUp for changed tasks. Where webhooks
+ * are registered, the history adds what polling cannot see: the status a task
+ * had before it changed, and which tasks were commented on. Events are kept in
+ * process memory, so they are lost on restart.
+ */
+
+const DEFAULT_MAX_EVENTS = 500;
+
+// Status changes are reported as history items on the status field
+function statusChange(historyItems) {
+  const item = (historyItems || []).find(history => history.field === 'status');
+  return item
+    ? { before: item.before && item.before.status, after: item.after && item.after.status }
+    : null;
+}
+
+class ChangeHistory {
+  /**
+   * @param {number} maxEvents The most events kept per workspace, the oldest are dropped first
+   */
+  constructor(maxEvents = DEFAULT_MAX_EVENTS) {
+    this.maxEvents = maxEvents;
+    this.workspaces = new Map();
+  }
+
+  /**
+   * Add an event from the event bus
+   * @param {object} event The event, see event-bus.js
+   */
+  record(event) {
+    if (!event.workspaceId) {
+      return;
+    }
+
+    const workspaceId = String(event.workspaceId);
+    const events = this.workspaces.get(workspaceId) || [];
+    const status = statusChange(event.historyItems);
+    events.push({
+      id: event.id,
+      event: event.event,
+      taskId: event.taskId || null,
+      at: event.receivedAt,
+      statusBefore: status ? status.before : null,
+      statusAfter: status ? status.after : null
+    });
+
+    this.workspaces.set(workspaceId, events.slice(-this.maxEvents));
+  }
+
+  /**
+   * Get a workspace's events since a time, oldest first
+   * @param {string} workspaceId The ClickUp workspace
+   * @param {number} since Epoch milliseconds
+   * @returns {object[]} The events, with id, event, taskId, at, statusBefore and statusAfter
+   */
+  since(workspaceId, since) {
+    return (this.workspaces.get(String(workspaceId)) || []).filter(event => event.at > since);
+  }
+}
+
+module.exports = {
+  ChangeHistory,
+  changeHistory: new ChangeHistory(parseInt(process.env.CHANGE_HISTORY_MAX_EVENTS || String(DEFAULT_MAX_EVENTS), 10))
+};
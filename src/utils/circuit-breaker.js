@@ -0,0 +1,174 @@
+/**
+ * Circuit breakers for ClickUp calls, one per endpoint family
+ * After repeated failures a family's breaker opens and its calls fail at once
+ * instead of waiting on ClickUp. Once the cool-down has passed a single trial
+ * call is let through, and the breaker closes again if ClickUp answers it.
+ */
+
+const { getLogger } = require('./logger');
+const { UnavailableError } = require('./errors');
+const logger = getLogger('circuit-breaker');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+function readCount(value, fallback) {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count >= 0 ? count : fallback;
+}
+
+/**
+ * Build the circuit breaker settings, by default from the environment
+ *
+ * @param {object} env Settings, usually process.env
+ * @returns {{failureThreshold: number, openMs: number}} Consecutive failures that open
+ *   a breaker (0 disables breaking) and how long it stays open before a trial call
+ */
+function createBreakerConfig(env = process.env) {
+  return {
+    failureThreshold: readCount(env.CLICKUP_BREAKER_FAILURE_THRESHOLD, 5),
+    openMs: readCount(env.CLICKUP_BREAKER_OPEN_SECONDS, 30) * 1000
+  };
+}
+
+// Failures that mean ClickUp is unavailable. Any other response, even a 404
+// or a 429, shows that ClickUp is up.
+function isOutage(error) {
+  return !!error.isNetworkError || error.upstreamStatus >= 500;
+}
+
+class CircuitBreaker {
+  /**
+   * @param {object} config Settings from createBreakerConfig
+   */
+  constructor(config = createBreakerConfig()) {
+    this.config = config;
+    // Breaker state by endpoint family, kept in memory only
+    this.families = new Map();
+  }
+
+  breakerFor(family) {
+    if (!this.families.has(family)) {
+      this.families.set(family, {
+        state: STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        lastError: null,
+        trialInFlight: false
+      });
+    }
+    return this.families.get(family);
+  }
+
+  /**
+   * Make a call through a family's breaker
+   *
+   * Calls rejected while the breaker is open fail with an UnavailableError,
+   * whose retryAfterMs says when a trial call is due.
+   *
+   * @param {string} family The endpoint family, e.g. tasks or hierarchy
+   * @param {function} call Makes the call, returning a promise
+   * @param {string} requestId Optional request ID for logging
+   * @returns {Promise<object>} The call's result
+   */
+  async run(family, call, requestId) {
+    if (!this.config.failureThreshold) {
+      return call();
+    }
+
+    const breaker = this.breakerFor(family);
+
+    if (breaker.state === STATES.OPEN) {
+      if (Date.now() < breaker.openedAt + this.config.openMs) {
+        throw this.openError(family, breaker);
+      }
+      breaker.state = STATES.HALF_OPEN;
+      logger.info(`Circuit breaker for ${family} is half open, sending a trial call`, { requestId });
+    }
+
+    // Only one trial call at a time, the others fail fast until it settles
+    if (breaker.state === STATES.HALF_OPEN && breaker.trialInFlight) {
+      throw this.openError(family, breaker);
+    }
+
+    const isTrial = breaker.state === STATES.HALF_OPEN;
+    breaker.trialInFlight = isTrial;
+
+    try {
+      const result = await call();
+      this.recordSuccess(family, breaker, requestId);
+      return result;
+    } catch (error) {
+      if (isOutage(error)) {
+        this.recordFailure(family, breaker, error, requestId);
+      } else {
+        this.recordSuccess(family, breaker, requestId);
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        breaker.trialInFlight = false;
+      }
+    }
+  }
+
+  recordSuccess(family, breaker, requestId) {
+    if (breaker.state !== STATES.CLOSED) {
+      logger.info(`Circuit breaker for ${family} closed, ClickUp is answering again`, { requestId });
+    }
+    breaker.state = STATES.CLOSED;
+    breaker.failures = 0;
+    breaker.openedAt = null;
+  }
+
+  recordFailure(family, breaker, error, requestId) {
+    breaker.failures += 1;
+    breaker.lastError = error.message;
+
+    if (breaker.state === STATES.HALF_OPEN || breaker.failures >= this.config.failureThreshold) {
+      breaker.state = STATES.OPEN;
+      breaker.openedAt = Date.now();
+      logger.warn(`Circuit breaker for ${family} opened after ${breaker.failures} failed ClickUp calls`, {
+        requestId,
+        error: error.message,
+        openForMs: this.config.openMs
+      });
+    }
+  }
+
+  openError(family, breaker) {
+    return new UnavailableError(`ClickUp unavailable: ${family} calls are paused after repeated failures`, {
+      retryAfterMs: Math.max(breaker.openedAt + this.config.openMs - Date.now(), 0)
+    });
+  }
+
+  /**
+   * Describe each family's breaker, for health checks
+   * @returns {Object<string, object>} State, consecutive failures, the last error and when a trial call is due
+   */
+  getState() {
+    const state = {};
+    const now = Date.now();
+
+    this.families.forEach((breaker, family) => {
+      const retryAt = breaker.openedAt ? breaker.openedAt + this.config.openMs : null;
+      state[family] = {
+        state: breaker.state === STATES.OPEN && now >= retryAt ? STATES.HALF_OPEN : breaker.state,
+        consecutiveFailures: breaker.failures,
+        lastError: breaker.lastError,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt: breaker.state === STATES.OPEN ? new Date(retryAt).toISOString() : null
+      };
+    });
+
+    return state;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  createBreakerConfig
+};
@@ -0,0 +1,497 @@
+/**
+ * Output renderers for TypingMind dynamic context
+ * Each renderer turns described items (a title plus labelled fields), groups
+ * of them or a tree of nodes into one layout, since different models do
+ * better with different layouts
+ */
+
+const FORMATS = ['text', 'markdown', 'json', 'xml'];
+const DEFAULT_FORMAT = 'text';
+
+const OVERVIEW_SUMMARY = 'Use this information as context for your responses about ClickUp projects and tasks.';
+
+/**
+ * Parse an output format from a header or query value
+ * @param {string|undefined} value The raw value
+ * @returns {string|undefined} The format, or undefined when not supported
+ */
+function parseFormat(value) {
+  if (!value) {
+    return DEFAULT_FORMAT;
+  }
+
+  const format = String(value).trim().toLowerCase();
+  return FORMATS.includes(format) ? format : undefined;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Section title for a data type, e.g. "my-work" becomes "My Work"
+function sectionTitle(dataType) {
+  return dataType.split('-').map(capitalize).join(' ');
+}
+
+function omittedMessage(dataType, omittedCount) {
+  return `${omittedCount} more ${dataType} omitted to fit the context budget.`;
+}
+
+// Header line the text layout starts each section with
+function textSectionHeader(dataType) {
+  return `ClickUp ${sectionTitle(dataType)}:\n\n`;
+}
+
+/**
+ * Plain text layout, the original numbered list format
+ */
+const textRenderer = {
+  renderSection(dataType, entries, omittedCount) {
+    let formattedText = textSectionHeader(dataType);
+    formattedText += renderTextEntries(entries);
+
+    if (omittedCount > 0) {
+      formattedText += `...${omittedMessage(dataType, omittedCount)}\n`;
+    }
+
+    return formattedText;
+  },
+
+  renderGroups(dataType, groups, omittedCount) {
+    let formattedText = textSectionHeader(dataType);
+
+    groups.forEach(group => {
+      formattedText += `${group.title} (${group.entries.length}):\n`;
+      formattedText += renderTextEntries(group.entries);
+    });
+
+    if (omittedCount > 0) {
+      formattedText += `...${omittedMessage(dataType, omittedCount)}\n`;
+    }
+
+    return formattedText;
+  },
+
+  renderTree(dataType, nodes, omittedCount) {
+    let formattedText = textSectionHeader(dataType);
+
+    const renderNode = (node, depth) => {
+      formattedText += `${'  '.repeat(depth)}${node.label}: ${node.title} [ID: ${node.id}]`;
+      formattedText += node.note ? ` (${node.note})\n` : '\n';
+      (node.children || []).forEach(child => renderNode(child, depth + 1));
+    };
+    nodes.forEach(node => renderNode(node, 0));
+
+    if (omittedCount > 0) {
+      formattedText += `\n...${omittedMessage(dataType, omittedCount)}\n`;
+    }
+
+    return formattedText;
+  },
+
+  renderEmpty(dataType, message) {
+    return message;
+  },
+
+  renderNotice(text, message) {
+    return `${message}\n\n${text}`;
+  },
+
+  combineSections(sections, dataTypes) {
+    let combinedText = 'ClickUp Workspace Overview:\n\n';
+
+    sections.forEach(({ dataType, text }) => {
+      // Replace the header the section was rendered with by our own; text
+      // from templates or notices has no such header and is kept whole
+      let textContent = text || '';
+      const header = textSectionHeader(dataType);
+      if (textContent.startsWith(header)) {
+        textContent = textContent.slice(header.length);
+      }
+
+      combinedText += `== ${dataType.toUpperCase()} ==\n\n`;
+      combinedText += textContent;
+      combinedText += '\n\n';
+    });
+
+    combinedText += `== SUMMARY ==\n\n`;
+    combinedText += `This overview includes information from ${dataTypes.join(', ')}.\n`;
+    combinedText += `${OVERVIEW_SUMMARY}\n\n`;
+
+    return combinedText;
+  }
+};
+
+function renderTextEntries(entries) {
+  let formattedText = '';
+
+  entries.forEach((entry, index) => {
+    formattedText += `${index + 1}. ${entry.label}: ${entry.title}\n`;
+
+    entry.fields.forEach(field => {
+      if (Array.isArray(field.value)) {
+        formattedText += `   ${field.label}:\n`;
+        field.value.forEach(value => {
+          formattedText += `      - ${value}\n`;
+        });
+      } else {
+        formattedText += `   ${field.label}: ${field.value}\n`;
+      }
+    });
+
+    formattedText += '\n';
+  });
+
+  return formattedText;
+}
+
+/**
+ * Markdown layout, one table per data type
+ */
+const markdownRenderer = {
+  renderSection(dataType, entries, omittedCount) {
+    let formattedText = `## ClickUp ${sectionTitle(dataType)}\n\n`;
+    formattedText += renderMarkdownTable(entries);
+
+    if (omittedCount > 0) {
+      formattedText += `\n_${omittedMessage(dataType, omittedCount)}_\n`;
+    }
+
+    return formattedText;
+  },
+
+  renderGroups(dataType, groups, omittedCount) {
+    let formattedText = `## ClickUp ${sectionTitle(dataType)}\n\n`;
+
+    groups.forEach(group => {
+      formattedText += `### ${group.title} (${group.entries.length})\n\n`;
+      formattedText += `${renderMarkdownTable(group.entries)}\n`;
+    });
+
+    if (omittedCount > 0) {
+      formattedText += `_${omittedMessage(dataType, omittedCount)}_\n`;
+    }
+
+    return formattedText;
+  },
+
+  renderTree(dataType, nodes, omittedCount) {
+    let formattedText = `## ClickUp ${sectionTitle(dataType)}\n\n`;
+
+    const renderNode = (node, depth) => {
+      formattedText += `${'  '.repeat(depth)}- **${node.label}**: ${node.title} (ID: ${node.id}`;
+      formattedText += node.note ? `, ${node.note})\n` : ')\n';
+      (node.children || []).forEach(child => renderNode(child, depth + 1));
+    };
+    nodes.forEach(node => renderNode(node, 0));
+
+    if (omittedCount > 0) {
+      formattedText += `\n_${omittedMessage(dataType, omittedCount)}_\n`;
+    }
+
+    return formattedText;
+  },
+
+  renderEmpty(dataType, message) {
+    return `## ClickUp ${sectionTitle(dataType)}\n\n${message}\n`;
+  },
+
+  renderNotice(text, message) {
+    return `> **${message}**\n\n${text}`;
+  },
+
+  combineSections(sections, dataTypes) {
+    let combinedText = '# ClickUp Workspace Overview\n\n';
+
+    sections.forEach(({ text }) => {
+      combinedText += `${text.trim()}\n\n`;
+    });
+
+    combinedText += '## Summary\n\n';
+    combinedText += `This overview includes information from ${dataTypes.join(', ')}. ${OVERVIEW_SUMMARY}\n`;
+
+    return combinedText;
+  }
+};
+
+function renderMarkdownTable(entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+
+  // Use every field that appears on at least one entry as a column
+  const columns = [];
+  entries.forEach(entry => {
+    entry.fields.forEach(field => {
+      if (!columns.some(column => column.key === field.key)) {
+        columns.push({ key: field.key, label: field.label });
+      }
+    });
+  });
+
+  const header = ['#', entries[0].label, ...columns.map(column => column.label)];
+  let formattedText = `| ${header.join(' | ')} |\n`;
+  formattedText += `| ${header.map(() => '---').join(' | ')} |\n`;
+
+  entries.forEach((entry, index) => {
+    const cells = columns.map(column => {
+      const field = entry.fields.find(f => f.key === column.key);
+      return field ? escapeMarkdownCell(field.value) : '';
+    });
+
+    formattedText += `| ${[index + 1, escapeMarkdownCell(entry.title), ...cells].join(' | ')} |\n`;
+  });
+
+  return formattedText;
+}
+
+function escapeMarkdownCell(value) {
+  if (Array.isArray(value)) {
+    value = value.join('; ');
+  }
+
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * JSON layout, for models that handle structured data best
+ */
+const jsonRenderer = {
+  renderSection(dataType, entries, omittedCount) {
+    const section = { dataType, items: entries.map(toJsonItem) };
+
+    if (omittedCount > 0) {
+      section.omittedItems = omittedCount;
+      section.note = omittedMessage(dataType, omittedCount);
+    }
+
+    return JSON.stringify(section, null, 2);
+  },
+
+  renderGroups(dataType, groups, omittedCount) {
+    const section = {
+      dataType,
+      groups: groups.map(group => ({ group: group.title, items: group.entries.map(toJsonItem) }))
+    };
+
+    if (omittedCount > 0) {
+      section.omittedItems = omittedCount;
+      section.note = omittedMessage(dataType, omittedCount);
+    }
+
+    return JSON.stringify(section, null, 2);
+  },
+
+  renderTree(dataType, nodes, omittedCount) {
+    const toItem = node => {
+      const item = { [node.kind]: node.title, id: node.id };
+      if (node.note) {
+        item.note = node.note;
+      }
+      if (node.children && node.children.length > 0) {
+        item.children = node.children.map(toItem);
+      }
+      return item;
+    };
+
+    const section = { dataType, items: nodes.map(toItem) };
+
+    if (omittedCount > 0) {
+      section.omittedItems = omittedCount;
+      section.note = omittedMessage(dataType, omittedCount);
+    }
+
+    return JSON.stringify(section, null, 2);
+  },
+
+  renderEmpty(dataType, message) {
+    return JSON.stringify({ dataType, items: [], message }, null, 2);
+  },
+
+  renderNotice(text, message) {
+    try {
+      return JSON.stringify({ notice: message, ...JSON.parse(text) }, null, 2);
+    } catch (e) {
+      return JSON.stringify({ notice: message, message: text }, null, 2);
+    }
+  },
+
+  combineSections(sections, dataTypes) {
+    const overview = { overview: {}, dataTypes, note: OVERVIEW_SUMMARY };
+
+    sections.forEach(({ dataType, text }) => {
+      try {
+        overview.overview[dataType] = JSON.parse(text);
+      } catch (e) {
+        overview.overview[dataType] = { dataType, message: text };
+      }
+    });
+
+    return JSON.stringify(overview, null, 2);
+  }
+};
+
+function toJsonItem(entry) {
+  const item = { [entry.kind]: entry.title };
+  entry.fields.forEach(field => {
+    item[field.key] = field.value;
+  });
+  return item;
+}
+
+/**
+ * XML-tagged layout, for models trained to attend to tagged sections
+ */
+const xmlRenderer = {
+  renderSection(dataType, entries, omittedCount) {
+    const tag = `clickup_${toTagName(dataType)}`;
+    let formattedText = `<${tag} count="${entries.length}">\n`;
+
+    entries.forEach((entry, index) => {
+      formattedText += renderXmlEntry(entry, index, '  ');
+    });
+
+    if (omittedCount > 0) {
+      formattedText += `  <omitted count="${omittedCount}">${omittedMessage(dataType, omittedCount)}</omitted>\n`;
+    }
+
+    return `${formattedText}</${tag}>\n`;
+  },
+
+  renderGroups(dataType, groups, omittedCount) {
+    const tag = `clickup_${toTagName(dataType)}`;
+    let formattedText = `<${tag}>\n`;
+
+    groups.forEach(group => {
+      formattedText += `  <group name="${escapeXml(group.title)}" count="${group.entries.length}">\n`;
+      group.entries.forEach((entry, index) => {
+        formattedText += renderXmlEntry(entry, index, '    ');
+      });
+      formattedText += '  </group>\n';
+    });
+
+    if (omittedCount > 0) {
+      formattedText += `  <omitted count="${omittedCount}">${omittedMessage(dataType, omittedCount)}</omitted>\n`;
+    }
+
+    return `${formattedText}</${tag}>\n`;
+  },
+
+  renderTree(dataType, nodes, omittedCount) {
+    const tag = `clickup_${toTagName(dataType)}`;
+    let formattedText = `<${tag} count="${nodes.length}">\n`;
+
+    const renderNode = (node, depth) => {
+      const indent = '  '.repeat(depth + 1);
+      const attributes = `id="${escapeXml(node.id)}" name="${escapeXml(node.title)}"`
+        + (node.note ? ` note="${escapeXml(node.note)}"` : '');
+
+      if (node.children && node.children.length > 0) {
+        formattedText += `${indent}<${node.kind} ${attributes}>\n`;
+        node.children.forEach(child => renderNode(child, depth + 1));
+        formattedText += `${indent}</${node.kind}>\n`;
+      } else {
+        formattedText += `${indent}<${node.kind} ${attributes}/>\n`;
+      }
+    };
+    nodes.forEach(node => renderNode(node, 0));
+
+    if (omittedCount > 0) {
+      formattedText += `  <omitted count="${omittedCount}">${omittedMessage(dataType, omittedCount)}</omitted>\n`;
+    }
+
+    return `${formattedText}</${tag}>\n`;
+  },
+
+  renderEmpty(dataType, message) {
+    const tag = `clickup_${toTagName(dataType)}`;
+    return `<${tag} count="0">${escapeXml(message)}</${tag}>\n`;
+  },
+
+  renderNotice(text, message) {
+    return `<notice>${escapeXml(message)}</notice>\n${text}`;
+  },
+
+  combineSections(sections, dataTypes) {
+    let combinedText = '<clickup_overview>\n';
+
+    sections.forEach(({ text }) => {
+      combinedText += text.trim() + '\n';
+    });
+
+    combinedText += `<summary>This overview includes information from ${escapeXml(dataTypes.join(', '))}. ${OVERVIEW_SUMMARY}</summary>\n`;
+
+    return `${combinedText}</clickup_overview>\n`;
+  }
+};
+
+function renderXmlEntry(entry, index, indent) {
+  let formattedText = `${indent}<${entry.kind} index="${index + 1}">\n`;
+  formattedText += `${indent}  <name>${escapeXml(entry.title)}</name>\n`;
+
+  entry.fields.forEach(field => {
+    const fieldTag = toTagName(field.key);
+
+    if (Array.isArray(field.value)) {
+      formattedText += `${indent}  <${fieldTag}>\n`;
+      field.value.forEach(value => {
+        formattedText += `${indent}    <item>${escapeXml(value)}</item>\n`;
+      });
+      formattedText += `${indent}  </${fieldTag}>\n`;
+    } else {
+      formattedText += `${indent}  <${fieldTag}>${escapeXml(field.value)}</${fieldTag}>\n`;
+    }
+  });
+
+  return `${formattedText}${indent}</${entry.kind}>\n`;
+}
+
+// XML element name for a field or section, e.g. "Story Points" becomes
+// story_points. XML names cannot start with a digit, so those are prefixed,
+// "2025 budget" becomes field_2025_budget, and a name without any letters or
+// digits becomes field.
+function toTagName(name) {
+  const tag = String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+
+  if (!tag) {
+    return 'field';
+  }
+  return /^[0-9]/.test(tag) ? `field_${tag}` : tag;
+}
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const RENDERERS = {
+  text: textRenderer,
+  markdown: markdownRenderer,
+  json: jsonRenderer,
+  xml: xmlRenderer
+};
+
+/**
+ * Get the renderer for an output format, falling back to plain text
+ * @param {string} format One of FORMATS
+ */
+function getRenderer(format) {
+  return RENDERERS[format] || RENDERERS[DEFAULT_FORMAT];
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  parseFormat,
+  getRenderer,
+  sectionTitle
+};
@@ -0,0 +1,106 @@
+/**
+ * Last successfully rendered context per workspace and profile
+ *
+ * When ClickUp is unavailable the context endpoints serve the last context
+ * they rendered for the same request, in the same format and within the same
+ * token budget, marked as out of date, rather than failing. Snapshots are kept
+ * in process memory, so they are lost on restart.
+ */
+
+const { startOfDay, formatZonedDate, formatZonedTime } = require('./dates');
+
+const DEFAULT_MAX_SNAPSHOTS = 500;
+
+/**
+ * Build the key a context is stored under
+ *
+ * @param {object} parts What the context was rendered for
+ * @param {string} parts.endpoint The context endpoint's path
+ * @param {string} parts.apiKey The API key the request was made with
+ * @param {string} parts.userId The TypingMind user
+ * @param {string} parts.workspaceId The ClickUp workspace
+ * @param {string} parts.profile The context profile, if any
+ * @param {string} parts.dataType Optional data type, for single data type contexts
+ * @param {string} parts.taskId Optional task, for task-scoped contexts
+ * @param {string} parts.format The output format the context was rendered in
+ * @param {string} parts.template The template it was rendered with, if any
+ * @param {number} parts.maxTokens The token budget it was fitted to, if any
+ * @param {string} parts.timeZone The time zone its dates were shown in
+ * @returns {string} The key
+ */
+function snapshotKey(parts) {
+  const { endpoint, apiKey, userId, workspaceId, profile, dataType, taskId, format, template, maxTokens, timeZone } = parts;
+  return JSON.stringify([
+    endpoint,
+    apiKey,
+    userId,
+    workspaceId,
+    profile || null,
+    dataType || null,
+    taskId || null,
+    format || null,
+    template || null,
+    maxTokens || null,
+    timeZone || null
+  ]);
+}
+
+/**
+ * Describe a snapshot as out of date, e.g. "Data as of 09:00 UTC, ClickUp unavailable."
+ * Snapshots from before today also get their date.
+ *
+ * @param {number} savedAt When the snapshot was rendered, in milliseconds
+ * @param {string} timeZone IANA time zone to show the time in
+ * @param {Date} now Reference time
+ * @returns {string} The notice
+ */
+function unavailableNotice(savedAt, timeZone, now = new Date()) {
+  const asOf = savedAt >= startOfDay(now, timeZone)
+    ? formatZonedTime(savedAt, timeZone)
+    : formatZonedDate(savedAt, timeZone);
+  return `Data as of ${asOf}, ClickUp unavailable.`;
+}
+
+class ContextSnapshotStore {
+  /**
+   * @param {number} maxEntries The most snapshots kept, the oldest are dropped first
+   */
+  constructor(maxEntries = DEFAULT_MAX_SNAPSHOTS) {
+    this.maxEntries = maxEntries;
+    this.snapshots = new Map();
+  }
+
+  /**
+   * Keep a rendered context as the last good one for its key
+   * @param {string} key From snapshotKey
+   * @param {object} context The formatted response
+   */
+  save(key, context) {
+    // Re-inserting moves the key to the end, so the oldest snapshots are dropped first
+    this.snapshots.delete(key);
+    this.snapshots.set(key, { context: JSON.stringify(context), savedAt: Date.now() });
+
+    while (this.snapshots.size > this.maxEntries) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the last good context for a key
+   * @param {string} key From snapshotKey
+   * @returns {{context: object, savedAt: number}|null} The context and when it was rendered
+   */
+  get(key) {
+    const snapshot = this.snapshots.get(key);
+    return snapshot ? { context: JSON.parse(snapshot.context), savedAt: snapshot.savedAt } : null;
+  }
+}
+
+module.exports = {
+  ContextSnapshotStore,
+  contextSnapshotStore: new ContextSnapshotStore(
+    parseInt(process.env.CONTEXT_SNAPSHOT_MAX_ENTRIES || String(DEFAULT_MAX_SNAPSHOTS), 10)
+  ),
+  snapshotKey,
+  unavailableNotice
+};
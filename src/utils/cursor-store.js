@@ -0,0 +1,121 @@
+/**
+ * Cursor stores for the "changes" context
+ *
+ * A cursor records when a user was last served changes for a workspace and
+ * the task statuses seen at the time, so the next request can report only
+ * what changed since. Any object with async get(key) and set(key, cursor)
+ * methods can be used as a store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+const logger = getLogger('cursor-store');
+
+const CURSOR_STORE_TYPES = ['memory', 'file'];
+const DEFAULT_CURSOR_FILE = path.join(process.cwd(), 'data', 'cursors.json');
+
+/**
+ * Keeps cursors in process memory, so they are lost on restart
+ */
+class MemoryCursorStore {
+  constructor() {
+    this.cursors = new Map();
+  }
+
+  async get(key) {
+    return this.cursors.get(key) || null;
+  }
+
+  async set(key, cursor) {
+    this.cursors.set(key, cursor);
+  }
+}
+
+/**
+ * Keeps cursors in a JSON file so they survive restarts
+ */
+class FileCursorStore {
+  /**
+   * @param {string} filePath Path of the JSON file, created on first write
+   */
+  constructor(filePath = DEFAULT_CURSOR_FILE) {
+    this.filePath = filePath;
+    this.cursors = null;
+    // Writes are chained so that concurrent requests never interleave
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Read the file once, sharing the read between concurrent callers
+  load() {
+    if (!this.cursors) {
+      this.cursors = fs.promises.readFile(this.filePath, 'utf8')
+        .then(content => {
+          const cursors = JSON.parse(content);
+          logger.info(`Loaded ${Object.keys(cursors).length} cursors from ${this.filePath}`);
+          return cursors;
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            logger.warn(`Could not read cursor file ${this.filePath}, starting empty`, { error: error.message });
+          }
+          return {};
+        });
+    }
+
+    return this.cursors;
+  }
+
+  async get(key) {
+    const cursors = await this.load();
+    return cursors[key] || null;
+  }
+
+  async set(key, cursor) {
+    const cursors = await this.load();
+    cursors[key] = cursor;
+
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      // Write to a temporary file first so a crash never leaves a partial file
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(cursors));
+      await fs.promises.rename(tempPath, this.filePath);
+    }).catch(error => {
+      logger.error(`Could not write cursor file ${this.filePath}`, { error: error.message });
+    });
+
+    return this.pendingWrite;
+  }
+}
+
+/**
+ * Create a cursor store of the given type
+ * @param {string} type The store type: memory (default) or file
+ * @param {object} options Store options
+ * @param {string} options.filePath The JSON file used by the file store
+ * @returns {MemoryCursorStore|FileCursorStore} The store
+ */
+function createCursorStore(type, options = {}) {
+  const storeType = (type || 'memory').trim().toLowerCase();
+
+  if (!CURSOR_STORE_TYPES.includes(storeType)) {
+    logger.warn(`Unknown cursor store type "${type}", using memory`);
+    return new MemoryCursorStore();
+  }
+
+  if (storeType === 'file') {
+    const store = new FileCursorStore(options.filePath || DEFAULT_CURSOR_FILE);
+    logger.info(`Using file cursor store at ${store.filePath}`);
+    return store;
+  }
+
+  return new MemoryCursorStore();
+}
+
+module.exports = {
+  MemoryCursorStore,
+  FileCursorStore,
+  createCursorStore,
+  cursorStore: createCursorStore(process.env.CURSOR_STORE, { filePath: process.env.CURSOR_STORE_FILE })
+};
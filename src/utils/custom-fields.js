@@ -0,0 +1,170 @@
+/**
+ * Decoding of ClickUp custom field values into human-readable text
+ * ClickUp returns dropdowns as option indexes, labels as option IDs, money
+ * as bare numbers and dates as timestamps, none of which read well in context
+ */
+
+const { DEFAULT_TIME_ZONE, formatZonedDate } = require('./dates');
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// Find a dropdown or label option by ID, or by its index for older dropdown values
+function optionName(field, value) {
+  const options = (field.type_config && field.type_config.options) || [];
+  const option = options.find(o => o.id === value || String(o.orderindex) === String(value));
+  return option ? (option.name || option.label) : String(value);
+}
+
+// Names of linked tasks, lists or users
+function linkedNames(values) {
+  return (Array.isArray(values) ? values : [values])
+    .map(v => (v && typeof v === 'object' ? (v.name || v.username || v.email || v.title || v.id) : v))
+    .filter(v => !isEmpty(v))
+    .join(', ');
+}
+
+// Decoders by ClickUp custom field type, each returning text or null
+const DECODERS = {
+  drop_down: (field) => optionName(field, field.value),
+
+  labels: (field) => (Array.isArray(field.value) ? field.value : [field.value])
+    .map(value => optionName(field, value))
+    .join(', '),
+
+  number: (field) => {
+    const number = toNumber(field.value);
+    const precision = field.type_config && field.type_config.precision;
+    return number === null ? null : (Number.isInteger(precision) ? number.toFixed(precision) : String(number));
+  },
+
+  currency: (field) => {
+    const number = toNumber(field.value);
+    if (number === null) {
+      return null;
+    }
+
+    const currency = (field.type_config && field.type_config.currency_type) || 'USD';
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(number);
+    } catch (error) {
+      return `${number} ${currency}`;
+    }
+  },
+
+  date: (field, options) => {
+    const timestamp = parseInt(field.value, 10);
+    if (isNaN(timestamp)) {
+      return null;
+    }
+
+    // Date fields only carry a time of day when ClickUp says so
+    const hasTime = !!(field.value_options && field.value_options.time);
+    return formatZonedDate(timestamp, options.timeZone || DEFAULT_TIME_ZONE, !hasTime);
+  },
+
+  checkbox: (field) => (field.value === true || field.value === 'true' ? 'Yes' : 'No'),
+
+  emoji: (field) => {
+    const count = field.type_config && field.type_config.count;
+    return count ? `${field.value}/${count}` : String(field.value);
+  },
+
+  automatic_progress: (field) => progress(field.value),
+  manual_progress: (field) => progress(field.value),
+
+  location: (field) => (typeof field.value === 'object' ? field.value.formatted_address : String(field.value)),
+
+  users: (field) => linkedNames(field.value),
+  tasks: (field) => linkedNames(field.value),
+  list_relationship: (field) => linkedNames(field.value),
+  attachment: (field) => linkedNames(field.value)
+};
+
+function progress(value) {
+  const percent = value && typeof value === 'object' ? value.percent_completed : value;
+  return isEmpty(percent) ? null : `${Math.round(percent)}%`;
+}
+
+/**
+ * Decode one custom field value into readable text
+ * @param {object} field A ClickUp custom field with its value
+ * @param {object} options Decoding options
+ * @param {string} options.timeZone IANA time zone for date fields
+ * @returns {string|null} The readable value, or null when the field is empty
+ */
+function decodeCustomField(field, options = {}) {
+  if (!field || isEmpty(field.value)) {
+    return null;
+  }
+
+  const decoder = DECODERS[field.type];
+  if (decoder) {
+    const value = decoder(field, options);
+    return isEmpty(value) ? null : value;
+  }
+
+  if (Array.isArray(field.value) || typeof field.value === 'object') {
+    return linkedNames(field.value) || null;
+  }
+
+  return String(field.value);
+}
+
+/**
+ * Decode a task's custom fields, keeping only the ones with a value
+ *
+ * @param {Array} fields The task's custom_fields
+ * @param {object} options Decoding options
+ * @param {string} options.timeZone IANA time zone for date fields
+ * @param {string[]} options.customFields Optional allowlist of field names or IDs
+ * @returns {Array<{id: string, name: string, type: string, value: string}>} The decoded fields
+ */
+function decodeCustomFields(fields, options = {}) {
+  const allowlist = Array.isArray(options.customFields)
+    ? options.customFields.map(entry => String(entry).toLowerCase())
+    : null;
+
+  return (Array.isArray(fields) ? fields : [])
+    .filter(field => !allowlist
+      || allowlist.includes(String(field.id).toLowerCase())
+      || allowlist.includes(String(field.name).toLowerCase()))
+    .map(field => ({
+      id: field.id,
+      name: field.name || field.id,
+      type: field.type,
+      value: decodeCustomField(field, options)
+    }))
+    .filter(field => field.value !== null);
+}
+
+/**
+ * Add readable custom field values to a raw task for API responses
+ * @param {object} task A raw ClickUp task
+ * @returns {object} The task with custom_field_values keyed by field name
+ */
+function withReadableCustomFields(task) {
+  if (!task || !Array.isArray(task.custom_fields)) {
+    return task;
+  }
+
+  const values = {};
+  decodeCustomFields(task.custom_fields).forEach(field => {
+    values[field.name] = field.value;
+  });
+
+  return { ...task, custom_field_values: values };
+}
+
+module.exports = {
+  decodeCustomField,
+  decodeCustomFields,
+  withReadableCustomFields
+};
@@ -0,0 +1,246 @@
+/**
+ * Date helpers shared by the context formatters and the intent analyzer
+ *
+ * Functions that take a time zone work in that IANA zone; without one they
+ * use the server's local time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Intl formatters are slow to create, so keep one per time zone
+const zoneFormatters = new Map();
+
+/**
+ * Parse a time zone from a header or query value
+ * @param {string|undefined} value The raw value, an IANA zone such as Europe/Berlin
+ * @returns {string|undefined} The time zone, the server default when not provided, or undefined when invalid
+ */
+function parseTimeZone(value) {
+  if (!value) {
+    return DEFAULT_TIME_ZONE;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: String(value).trim() }).resolvedOptions().timeZone;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Get the calendar fields of a timestamp in a time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number, zoneName: string}}
+ *   The fields, with month from 1 and weekday from 0 for Monday
+ */
+function zonedParts(timestamp, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+      timeZoneName: 'short'
+    }));
+  }
+
+  const parts = {};
+  zoneFormatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    zoneName: parts.timeZoneName
+  };
+}
+
+// How far a time zone is ahead of UTC at a given moment
+function zoneOffset(timestamp, timeZone) {
+  const parts = zonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Get the timestamp of midnight on a calendar date in a time zone
+ * Days and months may overflow, e.g. day 0 is the last day of the previous month.
+ */
+function zonedMidnight(year, month, day, timeZone) {
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  // A second pass corrects for a daylight saving change between the two moments
+  const guess = midnightUtc - zoneOffset(midnightUtc, timeZone);
+  return midnightUtc - zoneOffset(guess, timeZone);
+}
+
+/**
+ * Get the start of the day containing a date, in milliseconds
+ * @param {Date} date The reference date
+ * @param {string} timeZone Optional IANA time zone
+ * @returns {number} Timestamp of midnight
+ */
+function startOfDay(date, timeZone) {
+  if (!timeZone) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  }
+
+  const parts = zonedParts(date.getTime(), timeZone);
+  return zonedMidnight(parts.year, parts.month, parts.day, timeZone);
+}
+
+/**
+ * Get the start of the week containing a date, in milliseconds
+ * Weeks start on Monday.
+ * @param {Date} date The reference date
+ * @param {string} timeZone Optional IANA time zone
+ * @returns {number} Timestamp of Monday's midnight
+ */
+function startOfWeek(date, timeZone) {
+  if (!timeZone) {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    return startOfDay(date) - daysSinceMonday * DAY_MS;
+  }
+
+  const parts = zonedParts(date.getTime(), timeZone);
+  return zonedMidnight(parts.year, parts.month, parts.day - parts.weekday, timeZone);
+}
+
+/**
+ * Get the start of the month containing a date, or of a later month
+ * @param {Date} date The reference date
+ * @param {string} timeZone Optional IANA time zone
+ * @param {number} monthsAhead How many months after the date's month
+ * @returns {number} Timestamp of midnight on the first of the month
+ */
+function startOfMonth(date, timeZone, monthsAhead = 0) {
+  if (!timeZone) {
+    return new Date(date.getFullYear(), date.getMonth() + monthsAhead, 1).getTime();
+  }
+
+  const parts = zonedParts(date.getTime(), timeZone);
+  return zonedMidnight(parts.year, parts.month + monthsAhead, 1, timeZone);
+}
+
+/**
+ * Count the calendar days from one timestamp to another in a time zone
+ * @returns {number} Positive when timestamp is on a later day than from
+ */
+function calendarDaysBetween(from, timestamp, timeZone) {
+  const a = zonedParts(from, timeZone);
+  const b = zonedParts(timestamp, timeZone);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Render a timestamp in a time zone, e.g. "Fri 2025-03-07 09:00 GMT+1"
+ * @param {number} timestamp The timestamp in milliseconds
+ * @param {string} timeZone The IANA time zone
+ * @param {boolean} allDay Render only the date, for dates without a time
+ * @returns {string} The rendered date
+ */
+function formatZonedDate(timestamp, timeZone, allDay = false) {
+  const parts = zonedParts(timestamp, timeZone);
+  const date = `${WEEKDAYS[parts.weekday]} ${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  return allDay ? date : `${date} ${pad(parts.hour)}:${pad(parts.minute)} ${parts.zoneName}`;
+}
+
+/**
+ * Render the time of day of a timestamp in a time zone, e.g. "09:00 GMT+1"
+ * @param {number} timestamp The timestamp in milliseconds
+ * @param {string} timeZone The IANA time zone
+ * @returns {string} The rendered time
+ */
+function formatZonedTime(timestamp, timeZone) {
+  const parts = zonedParts(timestamp, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)} ${parts.zoneName}`;
+}
+
+function plural(count, unit) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Describe a length of time in the largest unit that keeps it readable
+function describeDuration(ms) {
+  if (ms < HOUR_MS) {
+    return plural(Math.max(Math.round(ms / MINUTE_MS), 1), 'minute');
+  }
+  if (ms < 2 * DAY_MS) {
+    return plural(Math.round(ms / HOUR_MS), 'hour');
+  }
+  return plural(Math.round(ms / DAY_MS), 'day');
+}
+
+/**
+ * Describe a timestamp relative to now, e.g. "due in 2 days", "overdue by
+ * 3 hours", "starts tomorrow" or "4 hours ago"
+ *
+ * Dates without a time are compared by calendar day in the time zone, so a
+ * task due today is not overdue until the day is over.
+ *
+ * @param {number} timestamp The timestamp in milliseconds
+ * @param {object} options Description options
+ * @param {string} options.kind "due", "start" or "past"
+ * @param {number} options.now The reference time in milliseconds
+ * @param {string} options.timeZone The IANA time zone for calendar days
+ * @param {boolean} options.allDay Whether the timestamp is a date without a time
+ * @returns {string} The description
+ */
+function describeRelative(timestamp, options) {
+  const { kind, now, timeZone, allDay } = options;
+
+  if (kind === 'past') {
+    const elapsed = now - timestamp;
+    return elapsed < MINUTE_MS ? 'just now' : `${describeDuration(elapsed)} ago`;
+  }
+
+  const [future, today, tomorrow, past] = kind === 'start'
+    ? ['starts in', 'starts today', 'starts tomorrow', count => `started ${count} ago`]
+    : ['due in', 'due today', 'due tomorrow', count => `overdue by ${count}`];
+
+  if (allDay) {
+    const days = calendarDaysBetween(now, timestamp, timeZone);
+    if (days === 0) {
+      return today;
+    }
+    if (days === 1) {
+      return tomorrow;
+    }
+    return days > 0 ? `${future} ${plural(days, 'day')}` : past(plural(-days, 'day'));
+  }
+
+  return timestamp >= now
+    ? `${future} ${describeDuration(timestamp - now)}`
+    : past(describeDuration(now - timestamp));
+}
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_TIME_ZONE,
+  parseTimeZone,
+  startOfDay,
+  startOfWeek,
+  startOfMonth,
+  formatZonedDate,
+  formatZonedTime,
+  describeRelative
+};
@@ -0,0 +1,91 @@
+/**
+ * Detection of ClickUp entities referenced in TypingMind's last user message
+ * Finds pasted task, list and space URLs, "#86abc123" style task IDs and
+ * custom task IDs such as "DEV-123", so they can be fetched directly
+ */
+
+// Upper bound on entities fetched for one message
+const MAX_REFERENCES = 5;
+
+const CLICKUP_URL_PATTERN = /https?:\/\/app\.clickup\.com\/[^\s<>()"']+/gi;
+
+// Task URLs are /t/{taskId}, or /t/{workspaceId}/{customTaskId} for custom IDs
+const TASK_URL_PATTERN = /\/t\/(?:(\d+)\/)?([A-Za-z0-9_-]+)/;
+// List and space views live under /{workspaceId}/v/..., e.g. /v/li/{listId} or /v/o/s/{spaceId}
+const LIST_URL_PATTERN = /\/\d+\/v\/(?:[a-z]+\/)*li\/(\d+)/;
+const SPACE_URL_PATTERN = /\/\d+\/v\/(?:[a-z]+\/)*s\/(\d+)/;
+
+// ClickUp task IDs are short alphanumeric strings mixing letters and digits, which
+// keeps "#123456" order numbers and "#urgent" hashtags from being taken for tasks
+const TASK_ID_MENTION_PATTERN = /(?:^|[\s(,])(?:#|\btask\s+#?)([a-z0-9]{6,12})\b/gi;
+const CUSTOM_TASK_ID_PATTERN = /\b([A-Z][A-Z0-9]{1,9}-\d{1,7})\b/g;
+
+const isTaskId = id => /^[a-z0-9]+$/.test(id) && /\d/.test(id) && /[a-z]/.test(id);
+const isCustomTaskId = id => /^[A-Z][A-Z0-9]{1,9}-\d{1,7}$/.test(id);
+
+function addUnique(list, value) {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+}
+
+/**
+ * Find the ClickUp entities a message refers to
+ *
+ * @param {string} message The user message
+ * @param {object} options Detection options
+ * @param {string[]} options.exclude IDs to leave out, such as the task a context is already about
+ * @returns {{taskIds: string[], customTaskIds: string[], listIds: string[], spaceIds: string[], count: number}}
+ *   The referenced IDs of each kind in the order they appear, at most MAX_REFERENCES in total
+ */
+function findEntityReferences(message, options = {}) {
+  const exclude = (options.exclude || []).filter(Boolean);
+  const references = { taskIds: [], customTaskIds: [], listIds: [], spaceIds: [] };
+  const text = String(message || '');
+
+  // URLs first, then look for bare IDs in what is left so that the same
+  // task is not picked up twice
+  const remaining = text.replace(CLICKUP_URL_PATTERN, url => {
+    const path = url.replace(/^https?:\/\/app\.clickup\.com/i, '');
+    const task = path.match(TASK_URL_PATTERN);
+    const list = path.match(LIST_URL_PATTERN);
+    const space = path.match(SPACE_URL_PATTERN);
+
+    if (task && task[1] && isCustomTaskId(task[2])) {
+      addUnique(references.customTaskIds, task[2]);
+    } else if (task && !task[1]) {
+      addUnique(references.taskIds, task[2]);
+    } else if (list) {
+      addUnique(references.listIds, list[1]);
+    } else if (space) {
+      addUnique(references.spaceIds, space[1]);
+    }
+
+    return ' ';
+  });
+
+  for (const match of remaining.matchAll(TASK_ID_MENTION_PATTERN)) {
+    const id = match[1].toLowerCase();
+    if (isTaskId(id)) {
+      addUnique(references.taskIds, id);
+    }
+  }
+
+  for (const match of remaining.matchAll(CUSTOM_TASK_ID_PATTERN)) {
+    addUnique(references.customTaskIds, match[1]);
+  }
+
+  // When there are too many, tasks are kept ahead of lists and spaces
+  let budget = MAX_REFERENCES;
+  ['taskIds', 'customTaskIds', 'listIds', 'spaceIds'].forEach(key => {
+    references[key] = references[key].filter(id => !exclude.includes(id)).slice(0, budget);
+    budget -= references[key].length;
+  });
+
+  references.count = MAX_REFERENCES - budget;
+  return references;
+}
+
+module.exports = {
+  findEntityReferences
+};
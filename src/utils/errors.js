@@ -0,0 +1,129 @@
+/**
+ * Error types with the HTTP status they are reported with
+ *
+ * Routes throw (or pass to next) one of these, and the error middleware turns
+ * it into a problem+json response. Errors caused by a ClickUp response also
+ * carry ClickUp's HTTP status and ECODE.
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message What went wrong, sent to the client as the problem detail
+   * @param {object} options Extra details
+   * @param {number} options.upstreamStatus ClickUp's HTTP status, when ClickUp returned the error
+   * @param {string} options.ecode ClickUp's error code, e.g. OAUTH_025 or ITEM_013
+   * @param {number} options.retryAfterMs When the call may be retried, in milliseconds
+   * @param {boolean} options.isNetworkError Whether ClickUp could not be reached at all
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = 500;
+    this.title = 'Internal server error';
+    this.type = 'internal';
+    this.upstreamStatus = options.upstreamStatus || null;
+    this.ecode = options.ecode || null;
+    this.retryAfterMs = Number.isFinite(options.retryAfterMs) ? options.retryAfterMs : null;
+    this.isNetworkError = !!options.isNetworkError;
+  }
+}
+
+// A request that is missing or has invalid parameters
+class ValidationError extends AppError {
+  /**
+   * @param {string} message What is wrong with the request
+   * @param {string[]} errors Optional individual problems, e.g. one per invalid filter
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.status = 400;
+    this.title = 'Invalid request';
+    this.type = 'validation';
+    this.errors = errors;
+  }
+}
+
+// A missing or rejected API key or ClickUp token
+class AuthError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.status = 401;
+    this.title = 'Not authorized';
+    this.type = 'auth';
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.status = 404;
+    this.title = 'Not found';
+    this.type = 'not-found';
+  }
+}
+
+// ClickUp's rate limit for the token is used up
+class RateLimitedError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.status = 429;
+    this.title = 'Rate limited';
+    this.type = 'rate-limited';
+  }
+}
+
+// ClickUp is not being called while its circuit breaker is open
+class UnavailableError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.status = 503;
+    this.title = 'ClickUp unavailable';
+    this.type = 'unavailable';
+  }
+}
+
+// Any other failed ClickUp call. ClickUp's 5xx responses and network
+// failures are reported as a bad gateway, its 4xx responses as they are.
+class ClickUpApiError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.status = this.upstreamStatus && this.upstreamStatus < 500 ? this.upstreamStatus : 502;
+    this.title = 'ClickUp API error';
+    this.type = 'clickup-api';
+  }
+}
+
+/**
+ * Build the error for a failed ClickUp response
+ *
+ * @param {number} upstreamStatus ClickUp's HTTP status
+ * @param {object} body ClickUp's error body, e.g. { err: 'Token invalid', ECODE: 'OAUTH_025' }
+ * @param {number|null} retryAfterMs Time until the rate limit resets, if ClickUp said
+ * @returns {AppError} The typed error
+ */
+function fromClickUpResponse(upstreamStatus, body, retryAfterMs) {
+  const message = (body && body.err) || `ClickUp responded with HTTP ${upstreamStatus}`;
+  const options = { upstreamStatus, ecode: body && body.ECODE };
+
+  switch (upstreamStatus) {
+    case 401:
+      return new AuthError(message, options);
+    case 404:
+      return new NotFoundError(message, options);
+    case 429:
+      return new RateLimitedError(message, { ...options, retryAfterMs });
+    default:
+      return new ClickUpApiError(message, options);
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  RateLimitedError,
+  UnavailableError,
+  ClickUpApiError,
+  fromClickUpResponse
+};
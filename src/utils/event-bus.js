@@ -0,0 +1,46 @@
+/**
+ * In-process bus for changes ClickUp pushes through webhooks
+ *
+ * The webhook receiver publishes each verified event once, and subscribers
+ * such as the response cache and the change history react to it. Events have
+ * the shape:
+ *
+ *   { id, event, webhookId, workspaceId, taskId, receivedAt, historyItems }
+ *
+ * where event is ClickUp's event name, e.g. taskUpdated or taskCommentPosted.
+ */
+
+const { EventEmitter } = require('events');
+const { getLogger } = require('./logger');
+const logger = getLogger('event-bus');
+
+class EventBus extends EventEmitter {
+  /**
+   * Publish an event to every subscriber. A failing subscriber is logged and
+   * does not keep the event from the others.
+   * @param {object} event The event
+   */
+  publish(event) {
+    this.listeners('event').forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(`Event subscriber failed on ${event.event} event ${event.id}`, { error: error.stack });
+      }
+    });
+  }
+
+  /**
+   * Subscribe to every published event
+   * @param {function} listener Called with each event
+   */
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+module.exports = {
+  EventBus,
+  eventBus: new EventBus()
+};
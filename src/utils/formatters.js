@@ -5,23 +5,46 @@
  */
 
 const { getLogger } = require('./logger');
+const { estimateTokens, fitToBudget, allocateTokenBudget } = require('./token-budget');
+const { getRenderer, sectionTitle } = require('./context-renderers');
+const { DAY_MS, DEFAULT_TIME_ZONE, startOfDay, startOfWeek, formatZonedDate, describeRelative } = require('./dates');
+const { decodeCustomFields } = require('./custom-fields');
 const logger = getLogger('formatters');
 
 /**
  * Main formatter function that dispatches to specific formatters based on data type
+ *
+ * @param {object} data Raw ClickUp API response
+ * @param {string} dataType The data type being formatted
+ * @param {object} options Rendering options
+ * @param {number|null} options.maxTokens Optional token budget for the rendered text
+ * @param {string} options.format Output format: text, markdown, json or xml
+ * @param {object} options.template Optional compiled user template for text and markdown output
+ * @param {string} options.timeZone IANA time zone that dates are rendered in
+ * @param {Date} options.now Reference time for relative dates such as "due in 2 days"
+ * @param {string[]} options.customFields Optional allowlist of custom field names or IDs to show on tasks
  */
-function formatResponseForTypingMind(data, dataType) {
+function formatResponseForTypingMind(data, dataType, options = {}) {
   logger.debug(`Formatting ${dataType} data for TypingMind`);
   
   if (!data) {
     logger.warn(`No data provided for formatting (dataType: ${dataType})`);
-    return { text: `No ${dataType} data available.` };
+    return withTokenEstimate({ text: getRenderer(options.format).renderEmpty(dataType, `No ${dataType} data available.`) });
+  }
+  
+  // The hierarchy is a tree and my-work is grouped rather than a list of items
+  if (dataType === 'hierarchy' || dataType === 'my-work') {
+    const context = dataType === 'hierarchy'
+      ? convertHierarchyToTypingMindContext(data, options)
+      : convertMyWorkToTypingMindContext(data, options);
+    logger.info(`Formatted ${dataType} for TypingMind context (${context.text.length} chars, ~${context.estimatedTokens} tokens)`);
+    return context;
   }
   
   let formattedData;
   switch (dataType) {
     case 'tasks':
-      formattedData = formatTasksForTypingMind(data);
+      formattedData = formatTasksForTypingMind(data, options);
       break;
     case 'spaces':
       formattedData = formatSpacesForTypingMind(data);
@@ -35,136 +58,505 @@ function formatResponseForTypingMind(data, dataType) {
     case 'comments':
       formattedData = formatCommentsForTypingMind(data);
       break;
+    case 'task':
+      formattedData = formatTaskDossierForTypingMind(data, options);
+      break;
+    case 'changes':
+      formattedData = formatChangesForTypingMind(data);
+      break;
+    case 'references':
+      formattedData = formatReferencesForTypingMind(data, options);
+      break;
     default:
       logger.warn(`Unknown data type: ${dataType}, using generic formatter`);
       formattedData = formatGenericForTypingMind(data, dataType);
   }
   
   // Convert the structured data to a text format for TypingMind context
-  const context = convertToTypingMindContext(formattedData, dataType);
+  const context = convertToTypingMindContext(formattedData, dataType, options);
   
-  logger.info(`Formatted ${dataType} items for TypingMind context (${context.text.length} chars)`);
+  logger.info(`Formatted ${dataType} items for TypingMind context (${context.text.length} chars, ~${context.estimatedTokens} tokens)`);
   return context;
 }
 
 /**
- * Convert structured data to text format for TypingMind context
+ * Attach an estimated token count to a rendered context
  */
-function convertToTypingMindContext(data, dataType) {
+function withTokenEstimate(context) {
+  return { ...context, estimatedTokens: estimateTokens(context.text) };
+}
+
+// User templates produce free text, so they only replace these formats
+const TEMPLATE_FORMATS = ['text', 'markdown'];
+
+/**
+ * Convert structured data to the requested output format for TypingMind context
+ *
+ * A user template, when given, renders the section from the formatted items
+ * instead of the built-in layout. If it fails, the built-in layout is used.
+ */
+function convertToTypingMindContext(data, dataType, options = {}) {
+  const renderer = getRenderer(options.format);
+  
   try {
     if (!Array.isArray(data)) {
-      return { text: `No ${dataType} data available.` };
+      return withTokenEstimate({ text: renderer.renderEmpty(dataType, `No ${dataType} data available.`) });
     }
     
     if (data.length === 0) {
-      return { text: `No ${dataType} found.` };
+      return withTokenEstimate({ text: renderer.renderEmpty(dataType, `No ${dataType} found.`) });
     }
     
-    let formattedText = `ClickUp ${dataType.charAt(0).toUpperCase() + dataType.slice(1)}:\n\n`;
+    const entries = data.map(item => ({ ...describeItem(item, dataType, options), item }));
     
-    switch (dataType) {
-      case 'tasks':
-        data.forEach((task, index) => {
-          formattedText += `${index + 1}. Task: ${task.name}\n`;
-          formattedText += `   ID: ${task.id}\n`;
-          
-          if (task.status && task.status.status) {
-            formattedText += `   Status: ${task.status.status}\n`;
-          }
-          
-          if (task.dueDate) {
-            formattedText += `   Due: ${task.dueDate}\n`;
-          }
-          
-          if (task.description) {
-            // Truncate description if it's too long and remove markdown formatting
-            const cleanDescription = task.description
-              .replace(/\*\*/g, '')
-              .replace(/\*/g, '')
-              .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
-              .replace(/#{1,6}\s?/g, '');
-            
-            const truncatedDescription = cleanDescription.length > 100 
-              ? cleanDescription.substring(0, 100) + '...' 
-              : cleanDescription;
-            
-            formattedText += `   Description: ${truncatedDescription}\n`;
-          }
-          
-          if (task.assignees && task.assignees.length > 0) {
-            const assigneeNames = task.assignees
-              .map(a => a.username || a.email || 'Unknown user')
-              .join(', ');
-            
-            formattedText += `   Assigned to: ${assigneeNames}\n`;
-          }
-          
-          if (task.tags && task.tags.length > 0) {
-            const tagNames = task.tags
-              .map(t => t.name || t)
-              .join(', ');
-            
-            formattedText += `   Tags: ${tagNames}\n`;
-          }
-          
-          formattedText += '\n';
-        });
-        break;
-        
-      case 'spaces':
-        data.forEach((space, index) => {
-          formattedText += `${index + 1}. Space: ${space.name}\n`;
-          formattedText += `   ID: ${space.id}\n`;
-          
-          if (space.statuses && space.statuses.length > 0) {
-            const statusNames = space.statuses.map(s => s.name).join(', ');
-            formattedText += `   Statuses: ${statusNames}\n`;
-          }
-          
-          formattedText += '\n';
-        });
-        break;
-        
-      case 'lists':
-        data.forEach((list, index) => {
-          formattedText += `${index + 1}. List: ${list.name}\n`;
-          formattedText += `   ID: ${list.id}\n`;
-          
-          if (list.status) {
-            formattedText += `   Status: ${list.status}\n`;
-          }
-          
-          formattedText += '\n';
-        });
-        break;
-        
-      case 'folders':
-        data.forEach((folder, index) => {
-          formattedText += `${index + 1}. Folder: ${folder.name}\n`;
-          formattedText += `   ID: ${folder.id}\n`;
-          formattedText += '\n';
-        });
-        break;
-        
-      default:
-        data.forEach((item, index) => {
-          formattedText += `${index + 1}. Item: ${item.name || 'Unknown'}\n`;
-          formattedText += `   ID: ${item.id || 'No ID'}\n`;
-          formattedText += '\n';
-        });
+    const render = (visibleEntries, detail, omittedCount) => renderer.renderSection(
+      dataType,
+      visibleEntries.map(entry => ({ ...entry, fields: getVisibleFields(entry, detail) })),
+      omittedCount
+    );
+    
+    const context = renderWithTemplate(entries, dataType, options) || fitToBudget(entries, render, options.maxTokens);
+    
+    if (context.omittedItems > 0) {
+      logger.debug(`Omitted ${context.omittedItems} ${dataType} to fit ${options.maxTokens} tokens`);
     }
     
-    return { text: formattedText };
+    return context;
   } catch (error) {
     logger.error(`Error converting to TypingMind context: ${error.message}`, { error: error.stack });
-    return { text: `Error formatting ${dataType} data: ${error.message}` };
+    return withTokenEstimate({ text: `Error formatting ${dataType} data: ${error.message}` });
   }
 }
 
+/**
+ * Render a section's entries with the user template from the options
+ *
+ * The template sees dataType, title, items, omittedCount, timeZone and is.<dataType>.
+ * Only whole items are dropped to fit a token budget, since the template
+ * decides which fields are shown.
+ *
+ * @returns {object|null} The rendered context, or null when there is no usable template
+ */
+function renderWithTemplate(entries, dataType, options) {
+  const format = options.format || 'text';
+  if (!options.template || !TEMPLATE_FORMATS.includes(format)) {
+    return null;
+  }
+  
+  const render = (visibleEntries, detail, omittedCount) => options.template.render({
+    dataType,
+    title: sectionTitle(dataType),
+    items: visibleEntries.map(entry => entry.item),
+    omittedCount,
+    timeZone: options.timeZone || DEFAULT_TIME_ZONE,
+    is: { [dataType]: true }
+  });
+  
+  try {
+    return fitToBudget(entries, render, options.maxTokens);
+  } catch (error) {
+    logger.warn(`Template "${options.template.name}" failed for ${dataType}, using built-in rendering`, { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Convert a workspace hierarchy to an indented tree for TypingMind context
+ *
+ * When a token budget is tight, the lists inside folders are collapsed into
+ * a count on their folder first, then whole spaces are dropped from the end.
+ *
+ * @param {object} data The hierarchy from ClickUpService.getHierarchy
+ */
+function convertHierarchyToTypingMindContext(data, options = {}) {
+  const renderer = getRenderer(options.format);
+  
+  try {
+    const spaces = Array.isArray(data.spaces) ? data.spaces : [];
+    
+    if (spaces.length === 0) {
+      return withTokenEstimate({ text: renderer.renderEmpty('hierarchy', 'No spaces found.') });
+    }
+    
+    const maxDepth = data.maxDepth || 3;
+    const render = (visibleSpaces, detail, omittedCount) => renderer.renderTree(
+      'hierarchy',
+      visibleSpaces.map(space => buildSpaceNode(space, maxDepth, detail)),
+      omittedCount
+    );
+    
+    return fitToBudget(spaces, render, options.maxTokens);
+  } catch (error) {
+    logger.error(`Error converting hierarchy to TypingMind context: ${error.message}`, { error: error.stack });
+    return withTokenEstimate({ text: `Error formatting hierarchy data: ${error.message}` });
+  }
+}
+
+// ClickUp priorities from most to least urgent
+const PRIORITY_ORDER = { urgent: 1, high: 2, normal: 3, low: 4 };
+
+/**
+ * Convert the calling user's assigned tasks to due-date groups for TypingMind context
+ *
+ * Tasks are grouped into Overdue, Due today, Due this week, Due later and
+ * No due date, and sorted by priority within each group. When a token budget
+ * is tight, tasks are dropped from the least urgent groups first.
+ *
+ * @param {object} data The assigned tasks from ClickUpService.getMyWork
+ * @param {object} options Rendering options, see formatResponseForTypingMind
+ */
+function convertMyWorkToTypingMindContext(data, options = {}) {
+  const renderer = getRenderer(options.format);
+  
+  try {
+    const tasks = formatTasksForTypingMind(data, options);
+    
+    if (tasks.length === 0) {
+      return withTokenEstimate({ text: renderer.renderEmpty('my-work', 'No open tasks are assigned to you.') });
+    }
+    
+    const now = options.now || new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const endOfToday = startOfDay(now, timeZone) + DAY_MS;
+    const endOfWeek = startOfWeek(now, timeZone) + 7 * DAY_MS;
+    
+    // Dates without a time are due by the end of their day
+    const dueBy = task => {
+      if (!task.dueDate) {
+        return null;
+      }
+      const due = Date.parse(task.dueDate);
+      return task.dueDateAllDay ? startOfDay(new Date(due), timeZone) + DAY_MS - 1 : due;
+    };
+    
+    const groups = [
+      { title: 'Overdue', matches: due => due !== null && due < now.getTime() },
+      { title: 'Due today', matches: due => due !== null && due < endOfToday },
+      { title: 'Due this week', matches: due => due !== null && due < endOfWeek },
+      { title: 'Due later', matches: due => due !== null },
+      { title: 'No due date', matches: () => true }
+    ];
+    
+    const byPriority = (a, b) => (priorityRank(a.task) - priorityRank(b.task)) || ((a.due || 0) - (b.due || 0));
+    
+    const entries = [];
+    const grouped = tasks.map(task => ({ task, due: dueBy(task) }));
+    groups.forEach(group => {
+      grouped
+        .filter(item => !item.group && group.matches(item.due))
+        .sort(byPriority)
+        .forEach(item => {
+          item.group = group.title;
+          const entry = describeItem(item.task, 'tasks', options);
+          entry.fields.splice(2, 0, {
+            key: 'priority',
+            label: 'Priority',
+            value: item.task.priority && item.task.priority.priority
+          });
+          entries.push({ ...entry, group: group.title });
+        });
+    });
+    
+    const render = (visibleEntries, detail, omittedCount) => renderer.renderGroups(
+      'my-work',
+      groups
+        .map(group => ({
+          title: group.title,
+          entries: visibleEntries
+            .filter(entry => entry.group === group.title)
+            .map(entry => ({ ...entry, fields: getVisibleFields(entry, detail) }))
+        }))
+        .filter(group => group.entries.length > 0),
+      omittedCount
+    );
+    
+    return fitToBudget(entries, render, options.maxTokens);
+  } catch (error) {
+    logger.error(`Error converting my-work to TypingMind context: ${error.message}`, { error: error.stack });
+    return withTokenEstimate({ text: `Error formatting my-work data: ${error.message}` });
+  }
+}
+
+function priorityRank(task) {
+  const priority = task.priority && task.priority.priority;
+  return PRIORITY_ORDER[priority] || Object.keys(PRIORITY_ORDER).length + 1;
+}
+
+/**
+ * Build the tree node for one space with its folders and lists
+ */
+function buildSpaceNode(space, maxDepth, detail) {
+  const node = { kind: 'space', label: 'Space', title: space.name, id: space.id, note: null, children: [] };
+  
+  if (!space.expanded) {
+    node.note = maxDepth > 1 ? 'not expanded' : null;
+    return node;
+  }
+  
+  const listNode = list => ({
+    kind: 'list',
+    label: 'List',
+    title: list.name,
+    id: list.id,
+    note: list.task_count !== undefined && list.task_count !== null ? pluralize(list.task_count, 'task') : null,
+    children: []
+  });
+  
+  const collapseFolders = maxDepth < 3 || detail.dropLowPriority;
+  
+  (space.folders || []).forEach(folder => {
+    const lists = folder.lists || [];
+    node.children.push({
+      kind: 'folder',
+      label: 'Folder',
+      title: folder.name,
+      id: folder.id,
+      note: collapseFolders ? pluralize(lists.length, 'list') : null,
+      children: collapseFolders ? [] : lists.map(listNode)
+    });
+  });
+  
+  (space.lists || []).forEach(list => node.children.push(listNode(list)));
+  
+  return node;
+}
+
+// Custom fields become fields of their own, named after the ClickUp field.
+// Names that clash with a built-in field key are prefixed with "custom_".
+const BUILT_IN_FIELD_KEYS = ['id', 'url', 'location', 'status', 'priority', 'due', 'start', 'assignees', 'tags',
+  'description', 'checklists', 'subtasks', 'dependencies', 'comments'];
+
+function describeCustomFields(item) {
+  return (item.customFields || []).map(field => ({
+    key: BUILT_IN_FIELD_KEYS.includes(field.name.toLowerCase()) ? `custom_${field.name}` : field.name,
+    label: field.name,
+    value: field.value,
+    lowPriority: true
+  }));
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${Number(count) === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describe a formatted item as a title plus labelled fields
+ *
+ * Fields flagged as lowPriority are the first to go when a token budget is
+ * tight, and fields flagged as description are shortened next.
+ */
+function describeItem(item, dataType, options = {}) {
+  switch (dataType) {
+    case 'tasks':
+      return {
+        kind: 'task',
+        label: 'Task',
+        title: item.name,
+        fields: [
+          { key: 'id', label: 'ID', value: item.id },
+          { key: 'status', label: 'Status', value: item.status && item.status.status },
+          { key: 'due', label: 'Due', value: renderDate(item.dueDate, options, 'due', item.dueDateAllDay) },
+          { key: 'description', label: 'Description', value: cleanMarkdown(item.description), description: true, maxLength: 100 },
+          {
+            key: 'assignees',
+            label: 'Assigned to',
+            value: (item.assignees || []).map(a => a.username || a.email || 'Unknown user').join(', '),
+            lowPriority: true
+          },
+          {
+            key: 'tags',
+            label: 'Tags',
+            value: (item.tags || []).map(t => t.name || t).join(', '),
+            lowPriority: true
+          },
+          ...describeCustomFields(item)
+        ]
+      };
+      
+    case 'task':
+      return {
+        kind: 'task',
+        label: 'Task',
+        title: item.name,
+        fields: [
+          { key: 'id', label: 'ID', value: item.id },
+          { key: 'url', label: 'URL', value: item.url, lowPriority: true },
+          { key: 'location', label: 'Location', value: item.location },
+          { key: 'status', label: 'Status', value: item.status && item.status.status },
+          { key: 'priority', label: 'Priority', value: item.priority && item.priority.priority },
+          { key: 'due', label: 'Due', value: renderDate(item.dueDate, options, 'due', item.dueDateAllDay) },
+          { key: 'start', label: 'Start', value: renderDate(item.startDate, options, 'start', item.startDateAllDay), lowPriority: true },
+          {
+            key: 'assignees',
+            label: 'Assigned to',
+            value: (item.assignees || []).map(a => a.username || a.email || 'Unknown user').join(', ')
+          },
+          { key: 'tags', label: 'Tags', value: (item.tags || []).map(t => t.name || t).join(', '), lowPriority: true },
+          { key: 'description', label: 'Description', value: cleanMarkdown(item.description), description: true, maxLength: 1000 },
+          ...describeCustomFields(item),
+          { key: 'checklists', label: 'Checklists', value: item.checklists },
+          { key: 'subtasks', label: 'Subtasks', value: item.subtasks },
+          { key: 'dependencies', label: 'Dependencies', value: item.dependencies },
+          { key: 'comments', label: 'Recent comments', value: item.comments, description: true, maxLength: 300 }
+        ]
+      };
+      
+    case 'references':
+      // Referenced entities are described like their own data type
+      return describeItem(item, item.referenceType, options);
+      
+    case 'changes':
+      return {
+        kind: 'change',
+        label: 'Task',
+        title: item.name,
+        fields: [
+          { key: 'id', label: 'ID', value: item.id },
+          { key: 'change', label: 'Change', value: item.changes.join(', ') },
+          { key: 'status', label: 'Status', value: item.statusChange },
+          { key: 'updated', label: 'Updated', value: renderDate(item.updatedAt, options, 'past'), lowPriority: true },
+          { key: 'comments', label: 'New comments', value: item.newComments, description: true, maxLength: 200 },
+          { key: 'url', label: 'URL', value: item.url, lowPriority: true }
+        ]
+      };
+      
+    case 'spaces':
+      return {
+        kind: 'space',
+        label: 'Space',
+        title: item.name,
+        fields: [
+          { key: 'id', label: 'ID', value: item.id },
+          { key: 'statuses', label: 'Statuses', value: item.statuses.join(', '), lowPriority: true }
+        ]
+      };
+      
+    case 'lists':
+      return {
+        kind: 'list',
+        label: 'List',
+        title: item.name,
+        fields: [
+          { key: 'id', label: 'ID', value: item.id },
+          { key: 'status', label: 'Status', value: item.status, lowPriority: true },
+          { key: 'taskCount', label: 'Task Count', value: item.taskCount, lowPriority: true }
+        ]
+      };
+      
+    case 'folders':
+      return {
+        kind: 'folder',
+        label: 'Folder',
+        title: item.name,
+        fields: [
+          { key: 'id', label: 'ID', value: item.id },
+          { key: 'lists', label: 'Lists', value: item.lists.map(list => `${list.name} [ID: ${list.id}]`), lowPriority: true }
+        ]
+      };
+      
+    case 'comments':
+      return {
+        kind: 'comment',
+        label: 'Comment by',
+        title: item.author,
+        fields: [
+          { key: 'date', label: 'Date', value: renderDate(item.date, options, 'past') },
+          { key: 'text', label: 'Text', value: item.text, description: true }
+        ]
+      };
+      
+    default:
+      return {
+        kind: 'item',
+        label: 'Item',
+        title: item.name || 'Unknown',
+        fields: [
+          { key: 'id', label: 'ID', value: item.id || 'No ID' }
+        ]
+      };
+  }
+}
+
+/**
+ * Render an ISO date from a formatted item in the requested time zone, with
+ * a phrase relative to now such as "due in 2 days" or "4 hours ago"
+ * @param {string|null} value The ISO date
+ * @param {object} options Rendering options with timeZone and now
+ * @param {string} kind "due", "start" or "past"
+ * @param {boolean} allDay Whether ClickUp marks the date as having no time
+ * @returns {string|null} The rendered date, or null when there is none
+ */
+function renderDate(value, options, kind, allDay = false) {
+  const timestamp = value ? Date.parse(value) : NaN;
+  if (isNaN(timestamp)) {
+    return null;
+  }
+  
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const now = options.now ? new Date(options.now).getTime() : Date.now();
+  
+  return `${formatZonedDate(timestamp, timeZone, allDay)} (${describeRelative(timestamp, { kind, now, timeZone, allDay })})`;
+}
+
+/**
+ * Resolve the fields of a described item that should be rendered at a given detail level
+ */
+function getVisibleFields(entry, detail) {
+  return entry.fields
+    .filter(field => field.value !== null && field.value !== undefined && field.value !== '')
+    .filter(field => !(Array.isArray(field.value) && field.value.length === 0))
+    .filter(field => !(field.lowPriority && detail.dropLowPriority))
+    .map(field => {
+      if (!field.description) {
+        return { key: field.key, label: field.label, value: field.value };
+      }
+      
+      // List values such as comments are shortened one entry at a time
+      const limits = [field.maxLength, detail.descriptionLength].filter(Boolean);
+      const maxLength = limits.length > 0 ? Math.min(...limits) : null;
+      const shorten = value => truncate(String(value), maxLength);
+      
+      return {
+        key: field.key,
+        label: field.label,
+        value: Array.isArray(field.value) ? field.value.map(shorten) : shorten(field.value)
+      };
+    });
+}
+
+/**
+ * Remove markdown formatting so descriptions read as plain text
+ */
+function cleanMarkdown(text) {
+  if (!text) {
+    return '';
+  }
+  
+  return text
+    .replace(/\*\*/g, '')
+    .replace(/\*/g, '')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/#{1,6}\s?/g, '');
+}
+
+/**
+ * Truncate text to a maximum length, adding an ellipsis when shortened
+ */
+function truncate(text, maxLength) {
+  if (!maxLength || text.length <= maxLength) {
+    return text;
+  }
+  
+  return text.substring(0, maxLength) + '...';
+}
+
 /**
  * Format tasks data for TypingMind
+ *
+ * @param {object} data The tasks response
+ * @param {object} options Rendering options, see formatResponseForTypingMind
  */
-function formatTasksForTypingMind(data) {
+function formatTasksForTypingMind(data, options = {}) {
   logger.debug('Starting task formatting');
   
   // Handle both formats that ClickUp might return
@@ -187,8 +579,8 @@ function formatTasksForTypingMind(data) {
       const safeDate = (timestamp) => {
         if (!timestamp) return null;
         try {
-          // Handle both string timestamps and numeric timestamps
-          const date = typeof timestamp === 'string' 
+          // Handle date strings and numeric timestamps (ClickUp sends milliseconds as strings)
+          const date = typeof timestamp === 'string' && !/^\d+$/.test(timestamp)
             ? new Date(timestamp) 
             : new Date(parseInt(timestamp));
           
@@ -255,8 +647,12 @@ function formatTasksForTypingMind(data) {
         updatedAt: safeDate(get(task, 'date_updated')),
         dueDate: safeDate(get(task, 'due_date')),
         startDate: safeDate(get(task, 'start_date')),
+        // ClickUp sets these flags to false for dates without a time of day
+        dueDateAllDay: get(task, 'due_date_time') === false,
+        startDateAllDay: get(task, 'start_date_time') === false,
         assignees: assignees,
         tags: Array.isArray(get(task, 'tags')) ? get(task, 'tags') : [],
+        customFields: decodeCustomFields(get(task, 'custom_fields'), options),
         url: get(task, 'url')
       };
     } catch (error) {
@@ -301,101 +697,205 @@ function get(obj, path, defaultValue = null) {
  * Format spaces data for TypingMind
  */
 function formatSpacesForTypingMind(data) {
-  if (!data.spaces) {
-    return { text: 'No spaces found.' };
+  if (!Array.isArray(data.spaces)) {
+    return [];
   }
 
-  const spaces = data.spaces;
-  let formattedText = 'ClickUp Spaces:\n\n';
-
-  spaces.forEach((space, index) => {
-    formattedText += `${index + 1}. Space: ${space.name}\n`;
-    formattedText += `   ID: ${space.id}\n`;
-    
-    if (space.statuses && space.statuses.length > 0) {
-      const statusNames = space.statuses.map(s => s.status).join(', ');
-      formattedText += `   Statuses: ${statusNames}\n`;
-    }
-    
-    formattedText += '\n';
-  });
-
-  return { text: formattedText };
+  return data.spaces.map(space => ({
+    id: get(space, 'id', 'unknown-id'),
+    name: get(space, 'name', 'Unnamed Space'),
+    statuses: (get(space, 'statuses', []) || []).map(s => s.status || s.name)
+  }));
 }
 
 /**
  * Format lists data for TypingMind
  */
 function formatListsForTypingMind(data) {
-  if (!data.lists) {
-    return { text: 'No lists found.' };
+  if (!Array.isArray(data.lists)) {
+    return [];
   }
 
-  const lists = data.lists;
-  let formattedText = 'ClickUp Lists:\n\n';
-
-  lists.forEach((list, index) => {
-    formattedText += `${index + 1}. List: ${list.name}\n`;
-    formattedText += `   ID: ${list.id}\n`;
-    
-    if (list.status) {
-      formattedText += `   Status: ${list.status}\n`;
-    }
-    
-    if (list.task_count !== undefined) {
-      formattedText += `   Task Count: ${list.task_count}\n`;
-    }
-    
-    formattedText += '\n';
-  });
-
-  return { text: formattedText };
+  return data.lists.map(list => ({
+    id: get(list, 'id', 'unknown-id'),
+    name: get(list, 'name', 'Unnamed List'),
+    // ClickUp returns the list status as an object, older payloads as a string
+    status: get(list, 'status.status') || (typeof list.status === 'string' ? list.status : null),
+    taskCount: get(list, 'task_count')
+  }));
 }
 
 /**
  * Format folders data for TypingMind
  */
 function formatFoldersForTypingMind(data) {
-  if (!data.folders) {
-    return { text: 'No folders found.' };
+  if (!Array.isArray(data.folders)) {
+    return [];
+  }
+
+  return data.folders.map(folder => ({
+    id: get(folder, 'id', 'unknown-id'),
+    name: get(folder, 'name', 'Unnamed Folder'),
+    lists: (Array.isArray(folder.lists) ? folder.lists : []).map(list => ({ id: list.id, name: list.name }))
+  }));
+}
+
+/**
+ * Format comments data for TypingMind
+ */
+function formatCommentsForTypingMind(data) {
+  if (!Array.isArray(data.comments)) {
+    return [];
   }
 
-  const folders = data.folders;
-  let formattedText = 'ClickUp Folders:\n\n';
+  return data.comments.map(comment => ({
+    id: get(comment, 'id'),
+    author: get(comment, 'user.username', 'Unknown'),
+    date: comment.date ? new Date(parseInt(comment.date, 10)).toISOString() : null,
+    text: (comment.comment_text || '').replace(/\*\*/g, '').replace(/\*/g, '')
+  }));
+}
+
+// Only the latest new comments on a changed task are shown
+const CHANGES_MAX_COMMENTS = 3;
 
-  folders.forEach((folder, index) => {
-    formattedText += `${index + 1}. Folder: ${folder.name}\n`;
-    formattedText += `   ID: ${folder.id}\n`;
+/**
+ * Format the tasks changed since a user's cursor for TypingMind
+ *
+ * Each task is marked as created, completed, commented or otherwise updated,
+ * with its status shown as before -> after when the status seen at the
+ * previous cursor is known and differs.
+ *
+ * @param {object} data The changes from ClickUpService.getChanges
+ */
+function formatChangesForTypingMind(data) {
+  const tasks = Array.isArray(data.tasks) ? data.tasks : [];
+  const summaries = formatTasksForTypingMind({ tasks });
+  const previousStatuses = data.previousStatuses || {};
+  const since = data.since || 0;
+  
+  return tasks.map((task, index) => {
+    const summary = summaries[index];
+    const newComments = (data.comments && data.comments[task.id]) || [];
     
-    if (folder.lists && folder.lists.length > 0) {
-      formattedText += `   Lists: ${folder.lists.length}\n`;
+    const changes = [];
+    if (parseInt(task.date_created, 10) > since) {
+      changes.push('created');
+    }
+    if (parseInt(task.date_closed || task.date_done, 10) > since) {
+      changes.push('completed');
+    }
+    if (newComments.length > 0) {
+      changes.push('commented');
+    }
+    if (changes.length === 0) {
+      changes.push('updated');
     }
     
-    formattedText += '\n';
+    const before = previousStatuses[task.id];
+    const after = summary.status && summary.status.status;
+    
+    return {
+      ...summary,
+      changes,
+      statusChange: before && after && before !== after ? `${before} -> ${after}` : after,
+      newComments: formatCommentsForTypingMind({ comments: newComments })
+        .slice(0, CHANGES_MAX_COMMENTS)
+        .map(comment => `${comment.author}: ${comment.text}`)
+    };
   });
-
-  return { text: formattedText };
 }
 
 /**
- * Format comments data for TypingMind
+ * Format the tasks, lists and spaces referenced in the user's message
+ *
+ * Tasks get the full dossier, without comments, since the user is asking
+ * about them specifically.
+ *
+ * @param {object} data The entities from ClickUpService.getReferencedEntities
+ * @param {object} options Rendering options, see formatResponseForTypingMind
  */
-function formatCommentsForTypingMind(data) {
-  if (!data.comments) {
-    return { text: 'No comments found.' };
-  }
+function formatReferencesForTypingMind(data, options = {}) {
+  const tasks = (data.tasks || [])
+    .map(task => formatTaskDossierForTypingMind({ task }, options)[0])
+    .map(task => ({ ...task, referenceType: 'task' }));
+  const lists = formatListsForTypingMind({ lists: data.lists || [] })
+    .map(list => ({ ...list, referenceType: 'lists' }));
+  const spaces = formatSpacesForTypingMind({ spaces: data.spaces || [] })
+    .map(space => ({ ...space, referenceType: 'spaces' }));
+  
+  return [...tasks, ...lists, ...spaces];
+}
 
-  const comments = data.comments;
-  let formattedText = 'ClickUp Comments:\n\n';
+// Upper bounds that keep a single-task dossier to one bounded block
+const DOSSIER_MAX_SUBTASKS = 20;
+const DOSSIER_MAX_COMMENTS = 10;
+const DOSSIER_MAX_CHECKLIST_ITEMS = 15;
 
-  comments.forEach((comment, index) => {
-    formattedText += `${index + 1}. Comment by: ${comment.user ? comment.user.username : 'Unknown'}\n`;
-    formattedText += `   Date: ${new Date(comment.date).toLocaleString()}\n`;
-    formattedText += `   Text: ${comment.comment_text.replace(/\*\*/g, '').replace(/\*/g, '')}\n`;
-    formattedText += '\n';
+/**
+ * Format a single task with its comments, subtasks, checklists, custom
+ * fields, dependencies and location for TypingMind
+ *
+ * @param {object} data The task context from ClickUpService.getTaskContext
+ * @param {object} options Rendering options, see formatResponseForTypingMind
+ */
+function formatTaskDossierForTypingMind(data, options = {}) {
+  const task = data.task;
+  if (!task) {
+    return [];
+  }
+  
+  const [summary] = formatTasksForTypingMind({ tasks: [task] }, options);
+  
+  // Breadcrumb from space down to list, skipping ClickUp's hidden folder
+  // that holds folderless lists
+  const location = [
+    get(data, 'space.name') || get(task, 'space.name') || (get(task, 'space.id') ? `Space ${get(task, 'space.id')}` : null),
+    get(task, 'folder.hidden') ? null : get(task, 'folder.name'),
+    get(task, 'list.name')
+  ].filter(Boolean).join(' > ');
+  
+  const checklists = (task.checklists || []).map(checklist => {
+    const items = checklist.items || [];
+    const resolved = items.filter(item => item.resolved).length;
+    const shown = items.slice(0, DOSSIER_MAX_CHECKLIST_ITEMS)
+      .map(item => `[${item.resolved ? 'x' : ' '}] ${item.name}`);
+    if (items.length > shown.length) {
+      shown.push(`...${items.length - shown.length} more`);
+    }
+    return `${checklist.name} (${resolved}/${items.length}): ${shown.join(', ')}`;
   });
-
-  return { text: formattedText };
+  
+  const allSubtasks = task.subtasks || [];
+  const subtasks = allSubtasks.slice(0, DOSSIER_MAX_SUBTASKS)
+    .map(subtask => `${subtask.name} (${get(subtask, 'status.status', 'Unknown')}) [${subtask.id}]`);
+  if (allSubtasks.length > subtasks.length) {
+    subtasks.push(`...${allSubtasks.length - subtasks.length} more subtasks`);
+  }
+  
+  const dependencies = [
+    ...(task.dependencies || []).map(dependency => (dependency.task_id === task.id
+      ? `Waiting on ${dependency.depends_on}`
+      : `Blocking ${dependency.task_id}`)),
+    ...(task.linked_tasks || []).map(link => `Linked to ${link.task_id === task.id ? link.link_id : link.task_id}`)
+  ];
+  
+  // ClickUp returns the newest comments first
+  const comments = formatCommentsForTypingMind(data.comments || {})
+    .slice(0, DOSSIER_MAX_COMMENTS)
+    .map(comment => {
+      const date = renderDate(comment.date, options, 'past');
+      return `${comment.author}${date ? ` on ${date}` : ''}: ${comment.text}`;
+    });
+  
+  return [{
+    ...summary,
+    location,
+    checklists,
+    subtasks,
+    dependencies,
+    comments
+  }];
 }
 
 /**
@@ -404,79 +904,159 @@ function formatCommentsForTypingMind(data) {
 function formatGenericForTypingMind(data, dataType) {
   // If the data is empty or undefined
   if (!data || Object.keys(data).length === 0) {
-    return { text: `No ${dataType} data found.` };
+    logger.debug(`No ${dataType} data found for generic formatting`);
+    return [];
   }
 
-  // Convert the data to a readable format
-  let formattedText = `ClickUp ${dataType} data:\n\n`;
-  formattedText += JSON.stringify(data, null, 2);
+  // Use the first array in the response, or treat the response as a single item
+  const items = Array.isArray(data)
+    ? data
+    : (Object.values(data).find(value => Array.isArray(value)) || [data]);
 
-  return { text: formattedText };
+  return items.map(item => ({
+    id: get(item, 'id'),
+    name: get(item, 'name')
+  }));
 }
 
 /**
  * Combine multiple formatted responses into a single comprehensive response
+ *
+ * @param {Object<string, object>} results Formatted context keyed by data type
+ * @param {object} options Rendering options
+ * @param {string} options.format Output format the sections were rendered in
  */
-function combineFormattedResponses(results) {
+function combineFormattedResponses(results, options = {}) {
   logger.debug('Combining multiple formatted responses');
   
+  const renderer = getRenderer(options.format);
+  const noData = () => withTokenEstimate({ text: renderer.renderEmpty('overview', 'No ClickUp data available.') });
+  
   try {
-    // Extract text content from each result
-    let combinedText = "ClickUp Workspace Overview:\n\n";
-    
     // Get all the data types that were successfully retrieved
     const dataTypes = Object.keys(results);
     
     if (dataTypes.length === 0) {
-      return { text: "No ClickUp data available." };
+      return noData();
     }
     
-    // Process each data type and add it to the combined text
-    dataTypes.forEach(dataType => {
-      const result = results[dataType];
-      
-      // Skip if there's no result or it has an error
-      if (!result || result.error) {
-        return;
-      }
-      
-      // Extract the text content, skipping the header
-      let textContent = result.text || '';
-      
-      // Strip the header (first line) and add our own section header
-      if (textContent.includes('\n\n')) {
-        textContent = textContent.split('\n\n').slice(1).join('\n\n');
-      }
-      
-      // Add section header for this data type
-      combinedText += `== ${dataType.toUpperCase()} ==\n\n`;
-      combinedText += textContent;
-      
-      // Add a separator between sections
-      combinedText += '\n\n';
-    });
+    // Skip results that are missing or have an error
+    const sections = dataTypes
+      .filter(dataType => results[dataType] && !results[dataType].error)
+      .map(dataType => ({ dataType, text: results[dataType].text || '' }));
     
     // Check if we actually have any content
-    if (combinedText === "ClickUp Workspace Overview:\n\n") {
-      return { text: "No ClickUp data available." };
+    if (sections.length === 0) {
+      return noData();
     }
     
-    // Add a summary at the end
-    combinedText += `== SUMMARY ==\n\n`;
-    combinedText += `This overview includes information from ${dataTypes.join(', ')}.\n`;
-    combinedText += `Use this information as context for your responses about ClickUp projects and tasks.\n\n`;
+    const combinedText = renderer.combineSections(sections, dataTypes);
     
     logger.info(`Combined ${dataTypes.length} data types into comprehensive response`);
-    return { text: combinedText };
+    return withTokenEstimate({ text: combinedText });
   } catch (error) {
     logger.error(`Error combining formatted responses: ${error.message}`, { error: error.stack });
-    return { text: "Error combining ClickUp data: " + error.message };
+    return withTokenEstimate({ text: "Error combining ClickUp data: " + error.message });
+  }
+}
+
+/**
+ * Format several data types for the combined overview
+ *
+ * When a token budget is given it is split between the sections, after
+ * reserving room for the overview's own headers and summary, so that the
+ * combined response stays within it. Budget a section does not use is passed
+ * on to the sections fitted after it.
+ *
+ * @param {Object<string, object>} dataByType Raw ClickUp data keyed by data type
+ * @param {object} options Rendering options, see formatResponseForTypingMind
+ * @returns {Object<string, object>} Formatted context keyed by data type
+ */
+function formatSectionsForTypingMind(dataByType, options = {}) {
+  const dataTypes = Object.keys(dataByType);
+  const results = {};
+  
+  dataTypes.forEach(dataType => {
+    results[dataType] = formatResponseForTypingMind(dataByType[dataType], dataType, { ...options, maxTokens: null });
+  });
+  
+  if (!options.maxTokens || dataTypes.length === 0) {
+    return results;
+  }
+  
+  const renderer = getRenderer(options.format);
+  const skeleton = {};
+  const sizes = {};
+  dataTypes.forEach(dataType => {
+    skeleton[dataType] = { text: renderer.renderEmpty(dataType, '') };
+    sizes[dataType] = results[dataType].estimatedTokens;
+  });
+  
+  const overhead = estimateTokens(combineFormattedResponses(skeleton, options).text);
+  let remaining = options.maxTokens - overhead;
+  
+  // Sections are fitted smallest first and the budget is split again before
+  // each one, so that what a section leaves unused, such as the room of an
+  // item too large to keep, goes to the sections after it
+  const pending = dataTypes.slice().sort((a, b) => sizes[a] - sizes[b]);
+  while (pending.length > 0) {
+    const budgets = allocateTokenBudget(
+      pending.reduce((pendingSizes, dataType) => ({ ...pendingSizes, [dataType]: sizes[dataType] }), {}),
+      remaining
+    );
+    const dataType = pending.shift();
+    
+    if (results[dataType].estimatedTokens > budgets[dataType]) {
+      results[dataType] = formatResponseForTypingMind(dataByType[dataType], dataType, {
+        ...options,
+        maxTokens: budgets[dataType]
+      });
+    }
+    remaining -= results[dataType].estimatedTokens;
   }
+  
+  // Section estimates include what the overview drops from them, such as their
+  // own headers, so budget still unused once they are combined goes to the
+  // sections that had items omitted, largest last
+  dataTypes.slice().sort((a, b) => sizes[a] - sizes[b])
+    .filter(dataType => results[dataType].omittedItems > 0)
+    .forEach(dataType => {
+      const unused = options.maxTokens - estimateTokens(combineFormattedResponses(results, options).text);
+      if (unused <= 0) {
+        return;
+      }
+      
+      const fitted = results[dataType];
+      results[dataType] = formatResponseForTypingMind(dataByType[dataType], dataType, {
+        ...options,
+        maxTokens: fitted.estimatedTokens + unused
+      });
+      if (estimateTokens(combineFormattedResponses(results, options).text) > options.maxTokens) {
+        results[dataType] = fitted;
+      }
+    });
+  
+  return results;
+}
+
+/**
+ * Put a notice, such as a warning that the data is out of date, ahead of a formatted response
+ *
+ * @param {object} context A formatted response
+ * @param {string} message The notice
+ * @param {object} options Rendering options
+ * @param {string} options.format Output format the response was rendered in
+ */
+function addNotice(context, message, options = {}) {
+  const renderer = getRenderer(options.format);
+  return withTokenEstimate({ ...context, text: renderer.renderNotice(context.text || '', message) });
 }
 
 module.exports = {
   formatResponseForTypingMind,
   formatters: {
-    combineFormattedResponses
+    addNotice,
+    combineFormattedResponses,
+    formatSectionsForTypingMind
   }
 }; 
\ No newline at end of file
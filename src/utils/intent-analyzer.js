@@ -0,0 +1,295 @@
+/**
+ * Rule-based intent analysis for TypingMind's last user message
+ * Works out which ClickUp data types and task filters a message is about,
+ * using only local pattern matching against a catalog of workspace entities
+ */
+
+const { getLogger } = require('./logger');
+const { DAY_MS, startOfDay, startOfWeek, startOfMonth } = require('./dates');
+const logger = getLogger('intent-analyzer');
+
+// Words that ask for a particular data type
+const DATA_TYPE_PATTERNS = {
+  tasks: /\b(tasks?|to-?dos?|tickets?|issues?|bugs?|work(ing)? on|assigned|due|deadlines?)\b/,
+  'my-work': /\b(my (tasks?|work|plate|day)|assigned to me|should i (work on|do)|on my plate)\b/,
+  changes: /\b(what('s| has| is)? (changed|new)|changes|since (last time|yesterday|then)|catch me up)\b/,
+  spaces: /\bspaces\b/,
+  folders: /\bfolders\b/,
+  lists: /\blists\b/,
+  hierarchy: /\b(hierarchy|structure|structured|organi[sz]ed)\b|\bwhere\b.*\blives?\b/
+};
+
+// Time phrases in priority order, only the first match is used
+const TIME_PHRASES = [
+  {
+    name: 'overdue',
+    pattern: /\b(overdue|past due|late)\b/,
+    filters: now => ({ dueDateLt: now.getTime() })
+  },
+  {
+    name: 'due today',
+    pattern: /\btoday\b/,
+    filters: (now, zone) => ({ dueDateGt: startOfDay(now, zone), dueDateLt: startOfDay(now, zone) + DAY_MS })
+  },
+  {
+    name: 'due tomorrow',
+    pattern: /\btomorrow\b/,
+    filters: (now, zone) => ({ dueDateGt: startOfDay(now, zone) + DAY_MS, dueDateLt: startOfDay(now, zone) + 2 * DAY_MS })
+  },
+  {
+    name: 'due next week',
+    pattern: /\bnext week\b/,
+    filters: (now, zone) => ({ dueDateGt: startOfWeek(now, zone) + 7 * DAY_MS, dueDateLt: startOfWeek(now, zone) + 14 * DAY_MS })
+  },
+  {
+    name: 'due this week',
+    pattern: /\bthis week\b/,
+    filters: (now, zone) => ({ dueDateGt: startOfWeek(now, zone), dueDateLt: startOfWeek(now, zone) + 7 * DAY_MS })
+  },
+  {
+    name: 'due this month',
+    pattern: /\bthis month\b/,
+    filters: (now, zone) => ({
+      dueDateGt: startOfMonth(now, zone),
+      dueDateLt: startOfMonth(now, zone, 1)
+    })
+  },
+  {
+    name: 'updated since yesterday',
+    pattern: /\byesterday\b/,
+    filters: (now, zone) => ({ dateUpdatedGt: startOfDay(now, zone) - DAY_MS })
+  },
+  {
+    name: 'updated in the last days',
+    pattern: /\b(?:last|past) (\d{1,3}) days?\b/,
+    filters: (now, zone, match) => ({ dateUpdatedGt: now.getTime() - parseInt(match[1], 10) * DAY_MS })
+  },
+  {
+    name: 'updated recently',
+    pattern: /\b(recent|recently|lately|latest)\b/,
+    filters: now => ({ dateUpdatedGt: now.getTime() - 7 * DAY_MS })
+  }
+];
+
+// Task-state words, resolved to the workspace's own status names
+const TASK_STATES = [
+  {
+    name: 'closed',
+    pattern: /\b(done|complete|completed|closed|finished|resolved)\b/,
+    statusTypes: ['closed', 'done'],
+    includeClosed: true
+  },
+  {
+    name: 'in progress',
+    pattern: /\b(in progress|ongoing|started|wip)\b/,
+    statusNames: ['progress', 'doing', 'active']
+  },
+  {
+    name: 'blocked',
+    pattern: /\b(blocked|stuck|on hold|waiting)\b/,
+    statusNames: ['block', 'hold', 'waiting']
+  },
+  {
+    name: 'in review',
+    pattern: /\b(review|reviewing|qa|testing)\b/,
+    statusNames: ['review', 'qa', 'test']
+  },
+  {
+    name: 'open',
+    pattern: /\b(open|to ?do|not started|backlog)\b/,
+    statusTypes: ['open']
+  }
+];
+
+// Entity names shorter than this are too likely to match ordinary words
+const MIN_ENTITY_NAME_LENGTH = 3;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find catalog entities whose names appear in the message
+ */
+function findEntityMentions(message, catalog) {
+  const candidates = [];
+
+  ['space', 'folder', 'list'].forEach(type => {
+    (catalog[`${type}s`] || []).forEach(entity => {
+      if (entity.name && entity.name.length >= MIN_ENTITY_NAME_LENGTH) {
+        candidates.push({ type, id: entity.id, name: entity.name });
+      }
+    });
+  });
+
+  const mentions = candidates.filter(candidate => {
+    const pattern = new RegExp(`\\b${escapeRegExp(candidate.name.toLowerCase())}\\b`);
+    return pattern.test(message);
+  });
+
+  return mentions
+    // Drop names that are only part of a longer mention ("Marketing" in "Marketing Ops")
+    .filter(mention => !mentions.some(other => other.name.length > mention.name.length
+      && other.name.toLowerCase().includes(mention.name.toLowerCase())))
+    // When the same name exists as several entity types, prefer the one the
+    // message names explicitly ("the Marketing space")
+    .filter((mention, index, all) => {
+      const sameName = all.filter(m => m.name.toLowerCase() === mention.name.toLowerCase());
+      const explicit = sameName.filter(m => message.includes(`${m.name.toLowerCase()} ${m.type}`));
+      return explicit.length === 0 || explicit.includes(mention);
+    });
+}
+
+/**
+ * Find workspace members the message refers to by username, first name or email
+ */
+function findAssigneeMentions(message, catalog) {
+  const assignees = [];
+
+  (catalog.members || []).forEach(member => {
+    const names = [member.username, member.email]
+      .filter(Boolean)
+      .map(name => name.toLowerCase());
+
+    if (member.username && member.username.includes(' ')) {
+      names.push(member.username.split(' ')[0].toLowerCase());
+    }
+
+    const mentioned = names.some(name => name.length >= MIN_ENTITY_NAME_LENGTH
+      && new RegExp(`\\b${escapeRegExp(name)}(?:'s)?\\b`).test(message));
+
+    if (mentioned) {
+      assignees.push({ id: member.id, name: member.username || member.email });
+    }
+  });
+
+  return assignees;
+}
+
+/**
+ * Resolve a task-state word to status names that exist in the workspace
+ */
+function resolveStatuses(state, catalog) {
+  const statuses = catalog.statuses || [];
+
+  return statuses
+    .filter(status => {
+      const name = (status.status || '').toLowerCase();
+      if (state.statusTypes && state.statusTypes.includes(status.type)) {
+        return true;
+      }
+      return !!state.statusNames && state.statusNames.some(part => name.includes(part));
+    })
+    .map(status => status.status)
+    .filter((name, index, all) => all.indexOf(name) === index);
+}
+
+/**
+ * Analyze a user message and decide which data types and filters to fetch
+ *
+ * @param {string} message The last user message from TypingMind
+ * @param {object} catalog Known workspace entities: spaces, folders, lists, members and statuses
+ * @param {object} options Analysis options
+ * @param {Date} options.now The reference time for relative time phrases
+ * @param {string} options.timeZone IANA time zone that days and weeks start in, server local time when not given
+ * @returns {object} The plan: dataTypes (null when nothing was recognised),
+ *   filters for the task query, recognised entities, time phrase, states,
+ *   the query to rank tasks against and the reasons behind each decision
+ */
+function analyzeIntent(message, catalog = {}, options = {}) {
+  const now = options.now || new Date();
+  const text = (message || '').toLowerCase();
+
+  const plan = {
+    dataTypes: null,
+    filters: {},
+    entities: [],
+    timePhrase: null,
+    states: [],
+    query: message || null,
+    reasons: []
+  };
+
+  if (!text.trim()) {
+    return plan;
+  }
+
+  const dataTypes = new Set();
+
+  Object.keys(DATA_TYPE_PATTERNS).forEach(dataType => {
+    if (DATA_TYPE_PATTERNS[dataType].test(text)) {
+      dataTypes.add(dataType);
+      plan.reasons.push(`message asks about ${dataType}`);
+    }
+  });
+
+  // Spaces, folders and lists named in the message narrow the task query
+  const entities = findEntityMentions(text, catalog);
+  const filterKeys = { space: 'spaceIds', folder: 'folderIds', list: 'listIds' };
+
+  entities.forEach(entity => {
+    const key = filterKeys[entity.type];
+    plan.filters[key] = [...(plan.filters[key] || []), entity.id];
+    plan.entities.push(entity);
+    plan.reasons.push(`matched ${entity.type} "${entity.name}"`);
+  });
+
+  const assignees = findAssigneeMentions(text, catalog);
+  if (assignees.length > 0) {
+    plan.filters.assignees = assignees.map(assignee => assignee.id);
+    assignees.forEach(assignee => {
+      plan.entities.push({ type: 'assignee', id: assignee.id, name: assignee.name });
+      plan.reasons.push(`matched assignee "${assignee.name}"`);
+    });
+  }
+
+  // Names of matched entities are not read as time phrases or task states,
+  // so a list called "Backlog" does not also ask for open tasks
+  const phraseText = entities.reduce(
+    (remaining, entity) => remaining.replace(new RegExp(`\\b${escapeRegExp(entity.name.toLowerCase())}\\b`, 'g'), ' '),
+    text
+  );
+
+  const timePhrase = TIME_PHRASES.find(phrase => phrase.pattern.test(phraseText));
+  if (timePhrase) {
+    plan.timePhrase = timePhrase.name;
+    Object.assign(plan.filters, timePhrase.filters(now, options.timeZone, phraseText.match(timePhrase.pattern)));
+    plan.reasons.push(`time phrase "${timePhrase.name}"`);
+  }
+
+  TASK_STATES.filter(state => state.pattern.test(phraseText)).forEach(state => {
+    plan.states.push(state.name);
+
+    if (state.includeClosed) {
+      plan.filters.includeClosed = true;
+    }
+
+    const statuses = resolveStatuses(state, catalog);
+    if (statuses.length > 0) {
+      plan.filters.statuses = [...(plan.filters.statuses || []), ...statuses];
+    }
+
+    plan.reasons.push(`task state "${state.name}"${statuses.length > 0 ? ` (${statuses.join(', ')})` : ''}`);
+  });
+
+  // Anything that narrows tasks means the message is about tasks
+  if (entities.length > 0 || assignees.length > 0 || timePhrase || plan.states.length > 0) {
+    dataTypes.add('tasks');
+  }
+
+  if (dataTypes.size > 0) {
+    plan.dataTypes = Array.from(dataTypes);
+  }
+
+  logger.debug('Analyzed user message intent', {
+    dataTypes: plan.dataTypes,
+    filters: Object.keys(plan.filters),
+    reasons: plan.reasons
+  });
+
+  return plan;
+}
+
+module.exports = {
+  analyzeIntent
+};
@@ -3,6 +3,8 @@
  * Provides structured logging with timestamps, log levels, and request tracking
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+
 const LOG_LEVELS = {
   ERROR: 0,
   WARN: 1,
@@ -17,13 +19,19 @@ const DEFAULT_LOG_LEVEL = process.env.NODE_ENV === 'production'
   : LOG_LEVELS.DEBUG;
 
 // Get configured log level from environment or use default
-const CURRENT_LOG_LEVEL = process.env.LOG_LEVEL 
-  ? (LOG_LEVELS[process.env.LOG_LEVEL.toUpperCase()] || DEFAULT_LOG_LEVEL)
+const CURRENT_LOG_LEVEL = process.env.LOG_LEVEL && LOG_LEVELS[process.env.LOG_LEVEL.toUpperCase()] !== undefined
+  ? LOG_LEVELS[process.env.LOG_LEVEL.toUpperCase()]
   : DEFAULT_LOG_LEVEL;
 
 // Store request contexts by ID
 const requestContexts = new Map();
 
+// The request being handled, available to code that is not passed the request
+const requestStorage = new AsyncLocalStorage();
+
+// Request IDs accepted from callers, anything else is replaced so it is safe to log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 /**
  * Main logger class
  */
@@ -154,9 +162,13 @@ function requestLoggerMiddleware() {
   const logger = new Logger('http');
   
   return (req, res, next) => {
-    // Generate a unique ID for this request
-    const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    // Keep the caller's request ID, e.g. from a proxy, or generate a unique one,
+    // and send it back so the caller can find the request in the logs
+    const requestId = REQUEST_ID_PATTERN.test(req.get('x-request-id') || '')
+      ? req.get('x-request-id')
+      : Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
     req.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
     
     // Store the start time
     const startTime = Date.now();
@@ -171,19 +183,41 @@ function requestLoggerMiddleware() {
       url: req.originalUrl || req.url
     });
     
-    // Log response when finished
+    // Shared with the code handling the request, which may add to it
+    const context = { requestId };
+    
+    // Log response when finished, with the ClickUp credential that served it
     res.on('finish', () => {
       const responseTime = Date.now() - startTime;
-      logger.logResponse(res, responseTime, { requestId });
+      const meta = context.credential ? { requestId, credential: context.credential } : { requestId };
+      logger.logResponse(res, responseTime, meta);
       
       // Clean up request context
       requestContexts.delete(requestId);
     });
     
-    next();
+    requestStorage.run(context, next);
   };
 }
 
+/**
+ * Get the context of the request being handled, which code deep inside a
+ * service can read or add per-request details to
+ * @returns {object|null} The context with its requestId, or null outside a request
+ */
+function getRequestContext() {
+  return requestStorage.getStore() || null;
+}
+
+/**
+ * Get the ID of the request being handled, e.g. for logging deep inside a service
+ * @returns {string|null} The request ID, or null outside a request
+ */
+function getCurrentRequestId() {
+  const context = getRequestContext();
+  return context ? context.requestId : null;
+}
+
 /**
  * Create a logger for a specific module
  */
@@ -194,5 +228,7 @@ function getLogger(module) {
 module.exports = {
   getLogger,
   requestLoggerMiddleware,
+  getRequestContext,
+  getCurrentRequestId,
   LOG_LEVELS
 }; 
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Mirror Store for local copies of ClickUp workspaces
+ *
+ * Each workspace mirror is kept in its own JSON file, named after the
+ * workspace ID, so that a mirror survives restarts and one workspace's sync
+ * never rewrites another's file. Mirrors hold task data and should be
+ * protected like the ClickUp account they were synced with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+const logger = getLogger('mirror-store');
+
+const DEFAULT_MIRROR_DIR = path.join(process.cwd(), 'data', 'mirror');
+
+class MirrorStore {
+  /**
+   * @param {string} dirPath Directory of the mirror files, created on first write
+   */
+  constructor(dirPath = DEFAULT_MIRROR_DIR) {
+    this.dirPath = dirPath;
+    this.mirrors = this.load();
+    // Writes are chained so that syncs never interleave their writes
+    this.pendingWrite = Promise.resolve();
+    logger.info(`MirrorStore initialized with ${this.mirrors.size} workspace mirrors from ${this.dirPath}`);
+  }
+
+  load() {
+    const mirrors = new Map();
+    let files = [];
+
+    try {
+      files = fs.readdirSync(this.dirPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Could not read mirror directory ${this.dirPath}`, { error: error.message });
+      }
+    }
+
+    files.forEach(file => {
+      try {
+        const mirror = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8'));
+        mirrors.set(String(mirror.workspaceId), mirror);
+      } catch (error) {
+        logger.error(`Could not read mirror file ${file}, skipping it`, { error: error.message });
+      }
+    });
+
+    return mirrors;
+  }
+
+  fileFor(workspaceId) {
+    return path.join(this.dirPath, `${String(workspaceId).replace(/[^\w-]/g, '_')}.json`);
+  }
+
+  /**
+   * Store a workspace mirror, replacing the previous one
+   * @param {object} mirror The mirror, with its workspaceId
+   */
+  async saveMirror(mirror) {
+    const workspaceId = String(mirror.workspaceId);
+    const filePath = this.fileFor(workspaceId);
+    const content = JSON.stringify(mirror);
+    this.mirrors.set(workspaceId, mirror);
+
+    // A failed write is reported to its caller and does not block later ones
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(this.dirPath, { recursive: true });
+      await fs.promises.writeFile(tempPath, content, { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    });
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Get a workspace mirror
+   * @param {string} workspaceId The ClickUp workspace
+   * @returns {object|null} The mirror or null if the workspace is not mirrored
+   */
+  getMirror(workspaceId) {
+    return this.mirrors.get(String(workspaceId)) || null;
+  }
+
+  /**
+   * List the mirrored workspaces
+   * @returns {object[]} The mirrors
+   */
+  listMirrors() {
+    return Array.from(this.mirrors.values());
+  }
+}
+
+// Export a singleton instance
+module.exports = {
+  MirrorStore,
+  mirrorStore: new MirrorStore(process.env.MIRROR_DIR || DEFAULT_MIRROR_DIR)
+};
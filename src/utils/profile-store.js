@@ -0,0 +1,186 @@
+/**
+ * Profile Store for named context profiles
+ *
+ * A profile bundles the context endpoint parameters (workspace, data types,
+ * filters, limit, format, token budget, ...) under a name, so TypingMind
+ * clients only need to send x-context-profile. Profiles are kept in a JSON
+ * config file keyed by profile name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+const { ValidationError } = require('./errors');
+const { parseMaxTokens } = require('./token-budget');
+const { parseFormat, FORMATS } = require('./context-renderers');
+const { parseSearchMode, SEARCH_MODES } = require('./task-ranker');
+const { parseTimeZone } = require('./dates');
+const { FILTER_QUERY_PARAMS, parseTaskFilters } = require('./task-filters');
+const { parseContextSource, CONTEXT_SOURCES } = require('./workspace-mirror');
+const logger = getLogger('profile-store');
+
+const DEFAULT_PROFILES_FILE = path.join(process.cwd(), 'config', 'profiles.json');
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const isPositiveInteger = value => Number.isInteger(Number(value)) && Number(value) > 0;
+
+// Checks for each profile field, returning an error message when the value is invalid
+const PROFILE_FIELDS = {
+  workspaceId: value => (typeof value === 'string' || typeof value === 'number' ? null : 'must be a string'),
+  dataType: value => (typeof value === 'string' ? null : 'must be a string'),
+  dataTypes: value => (Array.isArray(value) && value.every(type => typeof type === 'string') ? null : 'must be an array of strings'),
+  // Filters use the request query parameter names and are resolved per request,
+  // so relative dates such as "7d" stay relative
+  filters: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    const params = Object.keys(FILTER_QUERY_PARAMS);
+    const unknown = Object.keys(value).filter(key => !params.includes(key));
+    if (unknown.length > 0) {
+      return `has unknown keys: ${unknown.join(', ')}; expected: ${params.join(', ')}`;
+    }
+    const { errors } = parseTaskFilters(value);
+    return errors.length > 0 ? `are invalid: ${errors.join(', ')}` : null;
+  },
+  limit: value => (isPositiveInteger(value) ? null : 'must be a positive integer'),
+  maxTokens: value => (parseMaxTokens(value) ? null : 'must be a positive integer'),
+  format: value => (parseFormat(value) ? null : `must be one of: ${FORMATS.join(', ')}`),
+  searchMode: value => (parseSearchMode(value) ? null : `must be one of: ${SEARCH_MODES.join(', ')}`),
+  source: value => (value && parseContextSource(value) ? null : `must be one of: ${CONTEXT_SOURCES.join(', ')}`),
+  template: value => (typeof value === 'string' ? null : 'must be a template name'),
+  depth: value => ([1, 2, 3].includes(Number(value)) ? null : 'must be 1, 2 or 3'),
+  timezone: value => (value && parseTimeZone(value) ? null : 'must be an IANA time zone such as Europe/Berlin'),
+  customFields: value => (Array.isArray(value) && value.every(field => typeof field === 'string' && field)
+    ? null
+    : 'must be an array of custom field names or IDs'),
+  description: value => (typeof value === 'string' ? null : 'must be a string')
+};
+
+class ProfileStore {
+  /**
+   * @param {string} filePath Path of the JSON config file, created on first write
+   */
+  constructor(filePath = DEFAULT_PROFILES_FILE) {
+    this.filePath = filePath;
+    this.profiles = this.load();
+    // Writes are chained so that concurrent requests never interleave
+    this.pendingWrite = Promise.resolve();
+    logger.info(`ProfileStore initialized with ${Object.keys(this.profiles).length} profiles from ${this.filePath}`);
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Could not read profiles file ${this.filePath}`, { error: error.message });
+      }
+      return {};
+    }
+  }
+
+  persist() {
+    const content = JSON.stringify(this.profiles, null, 2);
+
+    // A failed write is reported to its caller and does not block later ones
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, content);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Check that a profile name is usable
+   * @param {string} name The profile name
+   * @returns {boolean} True if the name is valid
+   */
+  isValidName(name) {
+    return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Check a profile, returning the problems found
+   * @param {object} profile The profile fields
+   * @returns {string[]} Error messages, empty when the profile is valid
+   */
+  validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return ['Profile must be a JSON object'];
+    }
+
+    return Object.keys(profile).map(field => {
+      if (!PROFILE_FIELDS[field]) {
+        return `Unknown field "${field}"`;
+      }
+      const problem = PROFILE_FIELDS[field](profile[field]);
+      return problem ? `${field} ${problem}` : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Validate and store a profile, replacing any profile with the same name
+   * @param {string} name The profile name
+   * @param {object} profile The profile fields
+   * @throws {ValidationError} When the name or the profile is invalid
+   * @throws {Error} When the file cannot be written
+   */
+  async saveProfile(name, profile) {
+    if (!this.isValidName(name)) {
+      throw new ValidationError('Profile name must be 1-64 letters, digits, dashes or underscores');
+    }
+
+    const problems = this.validateProfile(profile);
+    if (problems.length > 0) {
+      throw new ValidationError('Invalid profile', problems);
+    }
+
+    this.profiles[name] = profile;
+    await this.persist();
+    logger.info(`Profile "${name}" stored`);
+    return true;
+  }
+
+  /**
+   * Get a profile
+   * @param {string} name The profile name
+   * @returns {object|null} The profile or null if not found
+   */
+  getProfile(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name) ? this.profiles[name] : null;
+  }
+
+  /**
+   * List all profiles
+   * @returns {Array<object>} The profiles with their names
+   */
+  listProfiles() {
+    return Object.keys(this.profiles).map(name => ({ name, ...this.profiles[name] }));
+  }
+
+  /**
+   * Remove a profile
+   * @param {string} name The profile name
+   * @returns {Promise<boolean>} True if the profile was removed, false otherwise
+   */
+  async removeProfile(name) {
+    if (!this.getProfile(name)) {
+      return false;
+    }
+
+    delete this.profiles[name];
+    await this.persist();
+    logger.info(`Profile "${name}" removed`);
+    return true;
+  }
+}
+
+// Export a singleton instance
+module.exports = {
+  ProfileStore,
+  profileStore: new ProfileStore(process.env.CONTEXT_PROFILES_FILE || DEFAULT_PROFILES_FILE)
+};
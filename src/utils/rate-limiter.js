@@ -0,0 +1,166 @@
+/**
+ * Client-side rate limiting for ClickUp API calls
+ * ClickUp limits requests per token per minute, so each credential gets a
+ * token bucket and calls queue for it before the limit is hit, instead of
+ * being rejected with a 429. Buckets are kept by credential fingerprint, never
+ * the token itself, and dropped once they have been idle for a while.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * A token bucket that hands out tokens to queued callers in order
+ */
+class TokenBucket {
+  /**
+   * @param {number} requestsPerMinute Sustained rate, which is also the burst size
+   */
+  constructor(requestsPerMinute) {
+    this.capacity = requestsPerMinute;
+    this.tokens = requestsPerMinute;
+    this.refillPerMs = requestsPerMinute / MINUTE_MS;
+    this.lastRefill = Date.now();
+    // No tokens are handed out before this time, set when ClickUp reports the limit reached
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  refill(now) {
+    // ClickUp's limit is a fixed window, so the full allowance is back once it resets
+    if (this.pausedUntil && now >= this.pausedUntil) {
+      this.tokens = this.capacity;
+      this.pausedUntil = 0;
+      this.lastRefill = now;
+      return;
+    }
+
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} Resolves when the caller may send its request
+   */
+  take() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop handing out tokens until a time, e.g. the rate limit reset ClickUp reported
+   * @param {number} until Timestamp in milliseconds
+   */
+  pauseUntil(until) {
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+    this.tokens = 0;
+  }
+
+  /**
+   * Whether the bucket is back to its full allowance with nothing waiting, so
+   * that dropping it and starting a new one later changes nothing
+   * @param {number} now Reference time
+   * @returns {boolean}
+   */
+  isIdle(now) {
+    if (this.queue.length > 0 || this.timer || now < this.pausedUntil) {
+      return false;
+    }
+
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    const now = Date.now();
+    this.refill(now);
+
+    while (this.queue.length > 0 && this.tokens >= 1 && now >= this.pausedUntil) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length > 0) {
+      const wait = Math.max(this.pausedUntil - now, (1 - this.tokens) / this.refillPerMs, 1);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.ceil(wait));
+    }
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {number} requestsPerMinute Requests allowed per credential per minute, 0 disables limiting
+   */
+  constructor(requestsPerMinute) {
+    this.requestsPerMinute = requestsPerMinute;
+    // Buckets keyed by credential fingerprint, kept in memory only
+    this.buckets = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  bucketFor(credential) {
+    this.evictIdle();
+
+    if (!this.buckets.has(credential)) {
+      this.buckets.set(credential, new TokenBucket(this.requestsPerMinute));
+    }
+    return this.buckets.get(credential);
+  }
+
+  // Drop the buckets of credentials that have not been used for a while, at
+  // most once a minute
+  evictIdle(now = Date.now()) {
+    if (now - this.lastSweep < MINUTE_MS) {
+      return;
+    }
+
+    this.lastSweep = now;
+    this.buckets.forEach((bucket, credential) => {
+      if (bucket.isIdle(now)) {
+        this.buckets.delete(credential);
+      }
+    });
+  }
+
+  /**
+   * Wait until a request may be sent with a credential
+   * @param {string} credential Fingerprint of the ClickUp token, see tokenIdentity
+   * @returns {Promise<number>} How long the caller waited, in milliseconds
+   */
+  async acquire(credential) {
+    if (!this.requestsPerMinute || !credential) {
+      return 0;
+    }
+
+    const startTime = Date.now();
+    await this.bucketFor(credential).take();
+    return Date.now() - startTime;
+  }
+
+  /**
+   * Hold back a credential's requests until ClickUp's rate limit resets
+   * @param {string} credential Fingerprint of the ClickUp token, see tokenIdentity
+   * @param {number} resetInMs Milliseconds until the reset
+   */
+  pause(credential, resetInMs) {
+    if (!this.requestsPerMinute || !credential) {
+      return;
+    }
+
+    this.bucketFor(credential).pauseUntil(Date.now() + resetInMs);
+  }
+}
+
+module.exports = {
+  RateLimiter
+};
@@ -0,0 +1,56 @@
+/**
+ * In-flight request coalescing ("singleflight") for ClickUp reads
+ * Identical calls made while one is already running wait for that call
+ * instead of sending their own, and share its result or its error
+ */
+
+const { getLogger } = require('./logger');
+const logger = getLogger('request-coalescer');
+
+class RequestCoalescer {
+  constructor() {
+    // Promises of the calls in flight, by key
+    this.inflight = new Map();
+    this.metrics = { calls: 0, coalesced: 0 };
+  }
+
+  /**
+   * Run a call, or join the identical call already in flight
+   *
+   * Joining callers get their own copy of the result, since callers may
+   * modify what they get back.
+   *
+   * @param {string} key Identifies identical calls, e.g. token identity plus URL
+   * @param {function} call Starts the call, returning a promise
+   * @param {string} requestId Optional request ID for logging
+   * @returns {Promise<object>} The call's result
+   */
+  run(key, call, requestId) {
+    this.metrics.calls += 1;
+
+    if (this.inflight.has(key)) {
+      this.metrics.coalesced += 1;
+      logger.debug('Joined an identical ClickUp call already in flight', { requestId });
+      return this.inflight.get(key).then(data => JSON.parse(JSON.stringify(data)));
+    }
+
+    const promise = Promise.resolve()
+      .then(call)
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Report how many calls were made and how many of them joined another call
+   * @returns {{calls: number, coalesced: number, inFlight: number}} The counts since startup
+   */
+  getMetrics() {
+    return { ...this.metrics, inFlight: this.inflight.size };
+  }
+}
+
+module.exports = {
+  RequestCoalescer
+};
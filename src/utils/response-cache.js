@@ -0,0 +1,221 @@
+/**
+ * Cache for ClickUp GET responses
+ *
+ * Entries are keyed by the API token's identity and the URL, so users never
+ * see data fetched with someone else's token. Each URL belongs to a resource
+ * kind with its own TTL: the workspace hierarchy rarely changes, tasks and
+ * comments often do. Expired entries are still served for a while as stale
+ * data while a background refresh fetches a fresh copy.
+ */
+
+const crypto = require('crypto');
+const { getLogger, getRequestContext } = require('./logger');
+const logger = getLogger('response-cache');
+
+// Resource kinds by URL path, the first match wins
+const RESOURCE_KINDS = [
+  // Webhooks have no TTL, so they are never cached
+  { kind: 'webhooks', pattern: /\/webhook(\/|\?|$)/ },
+  { kind: 'comments', pattern: /\/(task|list|view)\/[^/]+\/comment/ },
+  // Checklists are part of their task
+  { kind: 'tasks', pattern: /\/(task|checklist)(\/|\?|$)/ },
+  { kind: 'user', pattern: /\/user(\?|$)/ },
+  { kind: 'hierarchy', pattern: /\/(team|space|folder|list)(\/|\?|$)/ }
+];
+
+// ClickUp webhook events by the kind of resource they change, the first match wins
+const EVENT_KINDS = [
+  { kind: 'comments', pattern: /^taskComment/ },
+  { kind: 'tasks', pattern: /^task/ },
+  { kind: 'hierarchy', pattern: /^(list|folder|space)/ }
+];
+
+// Writes to one kind of resource leave cached copies of these kinds out of date
+const INVALIDATES = {
+  tasks: ['tasks', 'comments'],
+  comments: ['comments'],
+  hierarchy: ['hierarchy', 'tasks'],
+  user: ['user']
+};
+
+function readSeconds(value, fallback) {
+  const seconds = parseInt(value, 10);
+  return Number.isInteger(seconds) && seconds >= 0 ? seconds : fallback;
+}
+
+/**
+ * Build the cache settings, by default from the environment
+ *
+ * @param {object} env Settings, usually process.env
+ * @returns {{ttlMs: object, staleMs: number, maxEntries: number}} TTLs per kind, 0 disables caching that kind
+ */
+function createCacheConfig(env = process.env) {
+  const hierarchyTtl = readSeconds(env.CLICKUP_CACHE_HIERARCHY_TTL_SECONDS, 600) * 1000;
+  const tasksTtl = readSeconds(env.CLICKUP_CACHE_TASKS_TTL_SECONDS, 30) * 1000;
+
+  return {
+    ttlMs: {
+      hierarchy: hierarchyTtl,
+      user: hierarchyTtl,
+      tasks: tasksTtl,
+      comments: tasksTtl
+    },
+    staleMs: readSeconds(env.CLICKUP_CACHE_STALE_SECONDS, 300) * 1000,
+    maxEntries: readSeconds(env.CLICKUP_CACHE_MAX_ENTRIES, 1000)
+  };
+}
+
+/**
+ * Get the resource kind of a ClickUp API URL
+ * @returns {string|null} hierarchy, tasks, comments, user or webhooks, or null when not cacheable
+ */
+function resourceKind(url) {
+  const path = url.replace(/^https?:\/\/[^/]+/, '');
+  const match = RESOURCE_KINDS.find(({ pattern }) => pattern.test(path));
+  return match ? match.kind : null;
+}
+
+// Identify a token in cache keys without keeping it in them
+function tokenIdentity(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex').substring(0, 16);
+}
+
+// Count a cache outcome against the request being handled, for the X-Cache header
+function recordOutcome(outcome) {
+  const context = getRequestContext();
+  if (context) {
+    context.cache = context.cache || { hit: 0, stale: 0, miss: 0 };
+    context.cache[outcome] += 1;
+  }
+}
+
+class ResponseCache {
+  /**
+   * @param {object} config Settings from createCacheConfig
+   */
+  constructor(config = createCacheConfig()) {
+    this.config = config;
+    // Responses are stored serialized so that callers can modify what they get
+    this.entries = new Map();
+    this.refreshing = new Set();
+    // Bumped on every invalidation, so that a load started before a write
+    // does not put the old data back into the cache
+    this.generation = 0;
+  }
+
+  /**
+   * Get a response from the cache, or load and cache it
+   *
+   * @param {string} url The ClickUp API URL
+   * @param {string} token The API token the request is made with
+   * @param {function} load Fetches the response from ClickUp
+   * @param {string} requestId Optional request ID for logging
+   * @returns {Promise<object>} The response data
+   */
+  async fetch(url, token, load, requestId) {
+    const kind = resourceKind(url);
+    const ttlMs = kind ? this.config.ttlMs[kind] : 0;
+
+    if (!ttlMs) {
+      return load();
+    }
+
+    const key = `${tokenIdentity(token)} ${url}`;
+    const entry = this.entries.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expiresAt) {
+      logger.debug(`Cache hit for ${url}`, { requestId, kind });
+      recordOutcome('hit');
+      return JSON.parse(entry.value);
+    }
+
+    if (entry && now < entry.expiresAt + this.config.staleMs) {
+      logger.debug(`Serving stale cache entry for ${url} while refreshing it`, { requestId, kind });
+      recordOutcome('stale');
+      this.refresh(key, kind, load, requestId);
+      return JSON.parse(entry.value);
+    }
+
+    logger.debug(`Cache miss for ${url}`, { requestId, kind });
+    recordOutcome('miss');
+    const generation = this.generation;
+    const data = await load();
+    this.store(key, kind, data, generation);
+    return data;
+  }
+
+  store(key, kind, data, generation) {
+    if (generation !== this.generation) {
+      return;
+    }
+
+    // Re-inserting moves the key to the end, so the oldest entries are evicted first
+    this.entries.delete(key);
+    this.entries.set(key, {
+      kind,
+      value: JSON.stringify(data),
+      expiresAt: Date.now() + this.config.ttlMs[kind]
+    });
+
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  refresh(key, kind, load, requestId) {
+    if (this.refreshing.has(key)) {
+      return;
+    }
+
+    this.refreshing.add(key);
+    const generation = this.generation;
+    load()
+      .then(data => this.store(key, kind, data, generation))
+      .catch(error => logger.warn(`Background cache refresh failed, keeping the stale entry`, { requestId, error: error.message }))
+      .finally(() => this.refreshing.delete(key));
+  }
+
+  /**
+   * Drop the cached responses that a write to a URL makes out of date, for all tokens
+   * @param {string} url The ClickUp API URL that was written to
+   * @returns {number} How many entries were dropped
+   */
+  invalidate(url) {
+    return this.dropKinds(INVALIDATES[resourceKind(url)] || [], `a write to ${url}`);
+  }
+
+  /**
+   * Drop the cached responses that a change ClickUp pushed through a webhook makes out of date, for all tokens
+   * @param {string} eventName The webhook event, e.g. taskUpdated or taskCommentPosted
+   * @returns {number} How many entries were dropped
+   */
+  invalidateForEvent(eventName) {
+    const match = EVENT_KINDS.find(({ pattern }) => pattern.test(eventName || ''));
+    return this.dropKinds(match ? INVALIDATES[match.kind] : [], `a ${eventName} event`);
+  }
+
+  dropKinds(kinds, reason) {
+    let dropped = 0;
+    this.generation += 1;
+
+    this.entries.forEach((entry, key) => {
+      if (kinds.includes(entry.kind)) {
+        this.entries.delete(key);
+        dropped += 1;
+      }
+    });
+
+    if (dropped > 0) {
+      logger.debug(`Invalidated ${dropped} cache entries after ${reason}`, { kinds });
+    }
+    return dropped;
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  createCacheConfig,
+  resourceKind,
+  tokenIdentity
+};
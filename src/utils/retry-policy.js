@@ -0,0 +1,102 @@
+/**
+ * Retry policy for ClickUp API calls
+ * Rate-limited (429) and failed (5xx, network) calls are retried with
+ * exponential backoff and jitter, waiting for ClickUp's rate limit reset
+ * when the response says when that is
+ */
+
+// Calls that create something are only retried when ClickUp rejected them
+// outright with a 429, since a 5xx or dropped connection may hide a success
+const NON_IDEMPOTENT_METHODS = ['POST'];
+
+function readInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Build a retry policy, by default from the environment
+ *
+ * @param {object} env Settings, usually process.env
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number}} The policy
+ */
+function createRetryPolicy(env = process.env) {
+  return {
+    // Retries after the first attempt, 0 disables retrying
+    maxRetries: readInteger(env.CLICKUP_RETRY_MAX_RETRIES, 3),
+    baseDelayMs: readInteger(env.CLICKUP_RETRY_BASE_DELAY_MS, 500),
+    // Longest single wait, including waits for a rate limit reset
+    maxDelayMs: readInteger(env.CLICKUP_RETRY_MAX_DELAY_MS, 60000)
+  };
+}
+
+/**
+ * Work out from ClickUp's response headers when its rate limit resets
+ *
+ * Retry-After holds seconds or an HTTP date, X-RateLimit-Reset the Unix
+ * time in seconds.
+ *
+ * @param {object} headers The response headers, with a get(name) method
+ * @param {number} now The current time in milliseconds
+ * @returns {number|null} Milliseconds until the reset, or null when not given
+ */
+function parseRateLimitReset(headers, now = Date.now()) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const resetAt = isNaN(seconds) ? Date.parse(retryAfter) : now + seconds * 1000;
+    if (!isNaN(resetAt)) {
+      return Math.max(resetAt - now, 0);
+    }
+  }
+
+  const reset = Number(headers.get('x-ratelimit-reset'));
+  if (reset > 0) {
+    return Math.max(reset * 1000 - now, 0);
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether a failed call is retried, and after how long
+ *
+ * @param {Error} error The failure, with upstreamStatus, retryAfterMs and isNetworkError where known
+ * @param {number} attempt How many retries have been made already
+ * @param {string} method The HTTP method
+ * @param {object} policy The retry policy
+ * @param {function} random Source of jitter, returning a number in [0, 1)
+ * @returns {number|null} The delay in milliseconds, or null when the call should not be retried
+ */
+function getRetryDelay(error, attempt, method, policy, random = Math.random) {
+  if (attempt >= policy.maxRetries) {
+    return null;
+  }
+
+  const rateLimited = error.upstreamStatus === 429;
+  const failed = error.isNetworkError || error.upstreamStatus >= 500;
+  if (!rateLimited && !(failed && !NON_IDEMPOTENT_METHODS.includes(method))) {
+    return null;
+  }
+
+  // Waiting for the reset is enough, the jitter only spreads out the callers
+  // that were all waiting for it
+  if (rateLimited && Number.isFinite(error.retryAfterMs)) {
+    const delay = error.retryAfterMs + Math.round(random() * policy.baseDelayMs);
+    return delay <= policy.maxDelayMs ? delay : null;
+  }
+
+  // Exponential backoff with equal jitter: half the backoff, plus up to the other half
+  const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+module.exports = {
+  createRetryPolicy,
+  parseRateLimitReset,
+  getRetryDelay
+};
@@ -0,0 +1,300 @@
+/**
+ * Task filters for ClickUp's team task endpoint
+ * Filters are plain objects keyed by the names below, shared by the intent
+ * analyzer and the task queries in ClickUpService. Requests and context
+ * profiles set them with the query parameters in FILTER_QUERY_PARAMS.
+ */
+
+// Task filters and the team task query parameters they map to
+const TASK_FILTER_PARAMS = {
+  spaceIds: 'space_ids[]',
+  folderIds: 'project_ids[]',
+  listIds: 'list_ids[]',
+  assignees: 'assignees[]',
+  statuses: 'statuses[]',
+  tags: 'tags[]',
+  includeClosed: 'include_closed',
+  subtasks: 'subtasks',
+  dueDateGt: 'due_date_gt',
+  dueDateLt: 'due_date_lt',
+  dateUpdatedGt: 'date_updated_gt',
+  dateUpdatedLt: 'date_updated_lt'
+};
+
+const TASK_FILTER_KEYS = Object.keys(TASK_FILTER_PARAMS);
+
+// The kind of value each filter holds
+const FILTER_TYPES = {
+  spaceIds: 'ids',
+  folderIds: 'ids',
+  listIds: 'ids',
+  assignees: 'memberIds',
+  statuses: 'names',
+  tags: 'names',
+  includeClosed: 'boolean',
+  subtasks: 'boolean',
+  dueDateGt: 'date',
+  dueDateLt: 'date',
+  dateUpdatedGt: 'date',
+  dateUpdatedLt: 'date'
+};
+
+// Request query parameters and the filters they set
+const FILTER_QUERY_PARAMS = {
+  space_ids: 'spaceIds',
+  folder_ids: 'folderIds',
+  list_ids: 'listIds',
+  assignees: 'assignees',
+  statuses: 'statuses',
+  tags: 'tags',
+  include_closed: 'includeClosed',
+  subtasks: 'subtasks',
+  due_after: 'dueDateGt',
+  due_before: 'dueDateLt',
+  updated_after: 'dateUpdatedGt',
+  updated_before: 'dateUpdatedLt'
+};
+
+// Date ranges that must not end before they start
+const DATE_RANGES = [
+  ['dueDateGt', 'dueDateLt'],
+  ['dateUpdatedGt', 'dateUpdatedLt']
+];
+
+const RELATIVE_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const MAX_FILTER_VALUES = 50;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Parse a filter date: epoch milliseconds, an ISO 8601 date, "now", or an
+ * offset from now such as "7d", "-3d", "12h" or "2w"
+ * @returns {number|null} Epoch milliseconds, or null when not a date
+ */
+function parseFilterDate(value, now = Date.now()) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'now') {
+    return now;
+  }
+
+  // A "+" in a query string arrives as a space, so the sign is optional
+  const offset = text.match(/^([+-]?)(\d{1,4})([hdw])$/);
+  if (offset) {
+    const amount = parseInt(offset[2], 10) * RELATIVE_UNITS_MS[offset[3]];
+    return offset[1] === '-' ? now - amount : now + amount;
+  }
+
+  if (/^\d{10,13}$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
+  }
+
+  return null;
+}
+
+/**
+ * Split a query value into a list, accepting repeated and comma-separated values
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .reduce((all, item) => all.concat(String(item).split(',')), [])
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check one filter value, returning an error message when it is invalid
+ */
+function checkFilterValue(type, value) {
+  switch (type) {
+    case 'ids':
+    case 'memberIds':
+    case 'names': {
+      if (!Array.isArray(value) || value.length === 0) {
+        return 'must be a non-empty list';
+      }
+      if (value.length > MAX_FILTER_VALUES) {
+        return `must have at most ${MAX_FILTER_VALUES} values`;
+      }
+      if (type === 'memberIds' && !value.every(id => /^\d+$/.test(String(id)))) {
+        return 'must be numeric ClickUp member IDs';
+      }
+      if (type === 'ids' && !value.every(id => /^[\w-]+$/.test(String(id)))) {
+        return 'must be ClickUp IDs (letters, digits, dashes and underscores)';
+      }
+      if (type === 'names' && !value.every(name => typeof name === 'string' && name.length <= MAX_NAME_LENGTH)) {
+        return `must be names of at most ${MAX_NAME_LENGTH} characters`;
+      }
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'date':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a date';
+    default:
+      return 'is not supported';
+  }
+}
+
+/**
+ * Validate a structured filter object
+ * @param {object} filters The task filters
+ * @param {object} names Optional display names for filter keys in error messages
+ * @returns {string[]} Error messages, empty when the filters are valid
+ */
+function validateTaskFilters(filters, names = {}) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['filters must be an object'];
+  }
+
+  const errors = [];
+
+  Object.keys(filters).forEach(key => {
+    if (!FILTER_TYPES[key]) {
+      errors.push(`Unknown filter "${key}", expected one of: ${TASK_FILTER_KEYS.join(', ')}`);
+      return;
+    }
+
+    const problem = checkFilterValue(FILTER_TYPES[key], filters[key]);
+    if (problem) {
+      errors.push(`${names[key] || key} ${problem}`);
+    }
+  });
+
+  DATE_RANGES.forEach(([start, end]) => {
+    if (Number.isInteger(filters[start]) && Number.isInteger(filters[end]) && filters[start] >= filters[end]) {
+      errors.push(`${names[start] || start} must be before ${names[end] || end}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read task filters from request query parameters
+ *
+ * List parameters accept comma-separated or repeated values, dates accept
+ * anything parseFilterDate does and booleans accept true/false or 1/0.
+ * Query parameters that are not filters are ignored.
+ *
+ * @param {object} query The request query parameters
+ * @param {object} options Parsing options
+ * @param {number} options.now Reference time for relative dates
+ * @returns {{filters: object, errors: string[]}} The filters and any validation errors
+ */
+function parseTaskFilters(query = {}, options = {}) {
+  const now = options.now || Date.now();
+  const filters = {};
+  const errors = [];
+  const names = {};
+
+  Object.keys(FILTER_QUERY_PARAMS).forEach(param => {
+    const raw = query[param];
+    if (raw === undefined || raw === '') {
+      return;
+    }
+
+    const key = FILTER_QUERY_PARAMS[param];
+    names[key] = param;
+
+    switch (FILTER_TYPES[key]) {
+      case 'date': {
+        const timestamp = parseFilterDate(Array.isArray(raw) ? raw[0] : raw, now);
+        if (timestamp === null) {
+          errors.push(`${param} must be a date: epoch milliseconds, ISO 8601, "now" or an offset such as 7d or -12h`);
+          return;
+        }
+        filters[key] = timestamp;
+        break;
+      }
+      case 'boolean': {
+        const text = String(Array.isArray(raw) ? raw[0] : raw).trim().toLowerCase();
+        if (!['true', 'false', '1', '0'].includes(text)) {
+          errors.push(`${param} must be true or false`);
+          return;
+        }
+        filters[key] = text === 'true' || text === '1';
+        break;
+      }
+      default:
+        filters[key] = toList(raw);
+    }
+  });
+
+  errors.push(...validateTaskFilters(filters, names));
+
+  return { filters, errors };
+}
+
+/**
+ * Build the query string for task filters on the team task endpoint
+ * @param {object} filters The task filters
+ * @returns {string} The query string, starting with "&", or an empty string
+ */
+function buildTaskFilterQuery(filters = {}) {
+  const params = [];
+
+  TASK_FILTER_KEYS.forEach(key => {
+    const value = filters[key];
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach(v => {
+      params.push(`${encodeURIComponent(TASK_FILTER_PARAMS[key])}=${encodeURIComponent(v)}`);
+    });
+  });
+
+  return params.length > 0 ? `&${params.join('&')}` : '';
+}
+
+/**
+ * Check a task against task filters the way ClickUp's team task endpoint
+ * applies them, for filtering tasks held locally. As in ClickUp, closed tasks
+ * and subtasks only match when includeClosed or subtasks is set.
+ *
+ * @param {object} task A task as ClickUp returns it
+ * @param {object} filters The task filters
+ * @returns {boolean} True if the task matches every filter
+ */
+function matchesTaskFilters(task, filters = {}) {
+  const includes = (values, value) => value !== undefined && value !== null
+    && values.some(v => String(v).toLowerCase() === String(value).toLowerCase());
+  const idOf = entity => entity && entity.id;
+  const inRange = (value, after, before) => {
+    const time = parseInt(value, 10);
+    return (after === undefined || time > after) && (before === undefined || time < before);
+  };
+
+  if (task.archived) return false;
+  if (task.status && task.status.type === 'closed' && !filters.includeClosed) return false;
+  if (task.parent && !filters.subtasks) return false;
+  if (filters.spaceIds && !includes(filters.spaceIds, idOf(task.space))) return false;
+  if (filters.folderIds && !includes(filters.folderIds, idOf(task.folder))) return false;
+  if (filters.listIds && !includes(filters.listIds, idOf(task.list))) return false;
+  if (filters.statuses && !includes(filters.statuses, task.status && task.status.status)) return false;
+  if (filters.assignees && !(task.assignees || []).some(assignee => includes(filters.assignees, assignee.id))) return false;
+  if (filters.tags && !(task.tags || []).some(tag => includes(filters.tags, tag.name))) return false;
+
+  return inRange(task.due_date, filters.dueDateGt, filters.dueDateLt)
+    && inRange(task.date_updated, filters.dateUpdatedGt, filters.dateUpdatedLt);
+}
+
+module.exports = {
+  FILTER_QUERY_PARAMS,
+  buildTaskFilterQuery,
+  matchesTaskFilters,
+  parseTaskFilters,
+  parseFilterDate
+};
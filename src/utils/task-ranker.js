@@ -0,0 +1,165 @@
+/**
+ * Local relevance ranking of ClickUp tasks against a user's message
+ * BM25 over the task name, description, tags and list name, with a boost
+ * for recently updated tasks
+ */
+
+const SEARCH_MODES = ['rank', 'exact'];
+const DEFAULT_SEARCH_MODE = 'rank';
+
+// BM25 tuning parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// How many times a field's terms count towards a task's document
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  list: 2,
+  description: 1
+};
+
+// Recently updated tasks get up to this much extra score, halving every week
+const RECENCY_WEIGHT = 0.5;
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can',
+  'could', 'did', 'do', 'does', 'for', 'from', 'get', 'give', 'has', 'have', 'how', 'i', 'in',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'show', 'so', 'some', 'tell',
+  'that', 'the', 'their', 'them', 'there', 'these', 'this', 'those', 'to', 'us', 'was', 'we',
+  'what', 'whats', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  'task', 'tasks'
+]);
+
+/**
+ * Parse a search mode from a header or query value
+ * @param {string|undefined} value The raw value
+ * @returns {string|undefined} The search mode, or undefined when not supported
+ */
+function parseSearchMode(value) {
+  if (!value) {
+    return DEFAULT_SEARCH_MODE;
+  }
+
+  const mode = String(value).trim().toLowerCase();
+  return SEARCH_MODES.includes(mode) ? mode : undefined;
+}
+
+/**
+ * Split text into lowercase search terms, dropping stopwords
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  return String(text)
+    .toLowerCase()
+    .replace(/'s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Build the weighted list of terms that represents a task
+ */
+function taskTerms(task) {
+  const fields = {
+    name: task.name,
+    description: task.text_content || task.description,
+    tags: (task.tags || []).map(tag => tag.name || tag).join(' '),
+    list: task.list && task.list.name
+  };
+
+  const terms = [];
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    const fieldTerms = tokenize(fields[field]);
+    for (let i = 0; i < FIELD_WEIGHTS[field]; i++) {
+      terms.push(...fieldTerms);
+    }
+  });
+
+  return terms;
+}
+
+function recencyBoost(task, now) {
+  const updated = parseInt(task.date_updated || task.date_created, 10);
+  if (isNaN(updated)) {
+    return 0;
+  }
+
+  const ageDays = Math.max(now - updated, 0) / DAY_MS;
+  return RECENCY_WEIGHT * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Rank tasks by relevance to a query and return the best matches
+ *
+ * Tasks that match none of the query terms are still returned after the
+ * matching ones, ordered by how recently they were updated.
+ *
+ * @param {Array} tasks Raw ClickUp tasks
+ * @param {string} query The user's message
+ * @param {object} options Ranking options
+ * @param {number} options.limit Maximum number of tasks to return
+ * @param {number} options.now Reference time for the recency boost
+ * @returns {Array} The top tasks, best first
+ */
+function rankTasks(tasks, query, options = {}) {
+  const limit = options.limit || tasks.length;
+  const now = options.now || Date.now();
+  const queryTerms = Array.from(new Set(tokenize(query)));
+
+  if (tasks.length === 0 || queryTerms.length === 0) {
+    return tasks.slice(0, limit);
+  }
+
+  const documents = tasks.map(task => {
+    const terms = taskTerms(task);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { task, length: terms.length, frequencies };
+  });
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+  const inverseFrequencies = {};
+  queryTerms.forEach(term => {
+    const documentFrequency = documents.filter(doc => doc.frequencies.has(term)).length;
+    inverseFrequencies[term] = Math.log(1 + (documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  });
+
+  const scored = documents.map((doc, index) => {
+    let score = 0;
+
+    queryTerms.forEach(term => {
+      const frequency = doc.frequencies.get(term) || 0;
+      if (frequency > 0) {
+        score += inverseFrequencies[term] * (frequency * (K1 + 1))
+          / (frequency + K1 * (1 - B + B * (doc.length / averageLength)));
+      }
+    });
+
+    return {
+      task: doc.task,
+      relevant: score > 0,
+      score: score + recencyBoost(doc.task, now),
+      index
+    };
+  });
+
+  scored.sort((a, b) => (b.relevant - a.relevant) || (b.score - a.score) || (a.index - b.index));
+
+  return scored.slice(0, limit).map(entry => entry.task);
+}
+
+module.exports = {
+  SEARCH_MODES,
+  DEFAULT_SEARCH_MODE,
+  parseSearchMode,
+  tokenize,
+  rankTasks
+};
@@ -0,0 +1,142 @@
+/**
+ * Validation of task lifecycle requests
+ *
+ * Each check returns the problems found in a request, an empty list when it
+ * is valid, so that routes can reject it with all of them at once before
+ * anything is sent to ClickUp.
+ */
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isId = value => isNonEmptyString(value) || (Number.isInteger(value) && value > 0);
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the body of a subtask to create
+ * @param {object} body The task fields, as for creating a task
+ * @returns {string[]} The problems found
+ */
+function validateSubtask(body) {
+  if (!isObject(body)) {
+    return ['The body must be an object of task fields'];
+  }
+
+  const problems = [];
+  if (!isNonEmptyString(body.name)) {
+    problems.push('name is required');
+  }
+  if (body.parent !== undefined) {
+    problems.push('parent is taken from the URL and must not be set');
+  }
+  return problems;
+}
+
+/**
+ * Check the body of a checklist to create
+ * @param {object} body The checklist, with its name
+ * @returns {string[]} The problems found
+ */
+function validateChecklist(body) {
+  return isObject(body) && isNonEmptyString(body.name) ? [] : ['name is required'];
+}
+
+/**
+ * Check the body of a checklist item to create or update
+ * @param {object} body The item's name, assignee (a ClickUp member ID, null to unassign) and resolved flag
+ * @param {object} options
+ * @param {boolean} options.update Whether an existing item is updated, which makes every field optional
+ * @returns {string[]} The problems found
+ */
+function validateChecklistItem(body, options = {}) {
+  if (!isObject(body)) {
+    return ['The body must be an object'];
+  }
+
+  const problems = [];
+  if (options.update ? body.name !== undefined && !isNonEmptyString(body.name) : !isNonEmptyString(body.name)) {
+    problems.push(options.update ? 'name must be a non-empty string' : 'name is required');
+  }
+  if (body.assignee !== undefined && body.assignee !== null && !/^[1-9]\d*$/.test(String(body.assignee))) {
+    problems.push('assignee must be a ClickUp member ID, or null to unassign');
+  }
+  if (body.resolved !== undefined && typeof body.resolved !== 'boolean') {
+    problems.push('resolved must be true or false');
+  }
+  if (options.update && ['name', 'assignee', 'resolved'].every(field => body[field] === undefined)) {
+    problems.push('Set at least one of name, assignee or resolved');
+  }
+  return problems;
+}
+
+/**
+ * Check a tag name
+ * @param {string} tagName The tag, which must exist in the task's space
+ * @returns {string[]} The problems found
+ */
+function validateTagName(tagName) {
+  return isNonEmptyString(tagName) ? [] : ['The tag name must not be empty'];
+}
+
+/**
+ * Check a dependency between a task and another
+ * @param {string} taskId The task the dependency is added to or removed from
+ * @param {object} dependency Either depends_on, the task it waits on, or dependency_of, the task it blocks
+ * @returns {string[]} The problems found
+ */
+function validateDependency(taskId, dependency) {
+  if (!isObject(dependency)) {
+    return ['Either depends_on or dependency_of is required'];
+  }
+
+  const { depends_on: dependsOn, dependency_of: dependencyOf } = dependency;
+  if ((dependsOn === undefined) === (dependencyOf === undefined)) {
+    return ['Either depends_on or dependency_of is required, not both'];
+  }
+
+  const otherTaskId = dependsOn !== undefined ? dependsOn : dependencyOf;
+  const field = dependsOn !== undefined ? 'depends_on' : 'dependency_of';
+  if (!isId(otherTaskId)) {
+    return [`${field} must be a task ID`];
+  }
+  return String(otherTaskId) === String(taskId) ? ['A task cannot depend on itself'] : [];
+}
+
+/**
+ * Check a link between a task and another
+ * @param {string} taskId The task the link is added to or removed from
+ * @param {string} linkedTaskId The other task
+ * @returns {string[]} The problems found
+ */
+function validateLink(taskId, linkedTaskId) {
+  return String(taskId) === String(linkedTaskId) ? ['A task cannot be linked to itself'] : [];
+}
+
+/**
+ * Check the body that sets a custom field value. The value's type depends on
+ * the field, e.g. a dropdown option ID or a number, and is checked by ClickUp.
+ * @param {object} body The value, with value_options for fields that take them
+ * @returns {string[]} The problems found
+ */
+function validateCustomFieldValue(body) {
+  if (!isObject(body) || body.value === undefined) {
+    return ['value is required'];
+  }
+
+  const problems = [];
+  if (body.value === null) {
+    problems.push('value must not be null, delete the value to clear the field');
+  }
+  if (body.value_options !== undefined && !isObject(body.value_options)) {
+    problems.push('value_options must be an object');
+  }
+  return problems;
+}
+
+module.exports = {
+  validateChecklist,
+  validateChecklistItem,
+  validateCustomFieldValue,
+  validateDependency,
+  validateLink,
+  validateSubtask,
+  validateTagName
+};
@@ -0,0 +1,366 @@
+/**
+ * A small Mustache-like template engine for user-defined context layouts
+ *
+ * Supported tags:
+ *   {{name}} or {{task.status.status}}     insert a value
+ *   {{truncate description 80}}            call a helper with paths or "literal" arguments
+ *   {{#each items}} ... {{/each}}          loop, with {{this}}, {{@index}} and {{@number}} inside
+ *   {{#if dueDate}} ... {{else}} ... {{/if}}
+ *   {{#unless tags}} ... {{/unless}}
+ *   {{! a comment }}
+ *
+ * Names are looked up in the current item first and then in the enclosing
+ * ones. Block and comment tags that sit alone on a line do not leave a blank
+ * line behind.
+ */
+
+const BLOCK_TYPES = ['each', 'if', 'unless'];
+
+// Templates are written by hand, so anything larger is almost certainly a mistake
+const MAX_TEMPLATE_LENGTH = 20000;
+
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const date = typeof value === 'number' || /^\d+$/.test(String(value))
+    ? new Date(parseInt(value, 10))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toText).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+const HELPERS = {
+  // {{date dueDate}} gives 2024-05-01, {{date dueDate "datetime"}} gives 2024-05-01 14:30,
+  // in UTC unless a time zone is passed, e.g. {{date dueDate "datetime" timeZone}}
+  date(value, style = 'date', timeZone = 'UTC') {
+    const date = toDate(value);
+    if (!date) {
+      return '';
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return style === 'datetime' ? `${day} ${parts.hour}:${parts.minute}` : day;
+  },
+
+  // {{truncate description 100}}
+  truncate(value, length) {
+    const text = toText(value);
+    const maxLength = parseInt(length, 10);
+    if (!maxLength || text.length <= maxLength) {
+      return text;
+    }
+
+    return text.substring(0, maxLength) + '...';
+  },
+
+  // {{join tags ", "}} or {{join assignees ", " "username"}}
+  join(values, separator = ', ', property = null) {
+    if (!Array.isArray(values)) {
+      return toText(values);
+    }
+
+    return values
+      .map(value => (property && value && typeof value === 'object' ? value[property] : value))
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(toText)
+      .join(separator);
+  },
+
+  // {{default priority.priority "none"}}
+  default(value, fallback) {
+    return value === null || value === undefined || value === '' ? fallback : value;
+  },
+
+  // {{#if eq dataType "tasks"}}
+  eq(a, b) {
+    return toText(a) === toText(b);
+  },
+
+  // {{count items}}
+  count(values) {
+    return Array.isArray(values) ? values.length : 0;
+  }
+};
+
+/**
+ * Work out the line number of a position in the template, for error messages
+ */
+function lineAt(source, position) {
+  return source.substring(0, position).split('\n').length;
+}
+
+/**
+ * Parse the inside of a tag into a path lookup or a helper call
+ */
+function parseExpression(text, source, position) {
+  const parts = text.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+
+  const toArgument = part => {
+    if (/^(["']).*\1$/.test(part)) {
+      return { literal: part.slice(1, -1) };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(part)) {
+      return { literal: Number(part) };
+    }
+    return { path: part };
+  };
+
+  if (parts.length === 0) {
+    throw new Error(`Empty tag on line ${lineAt(source, position)}`);
+  }
+
+  if (parts.length === 1) {
+    return toArgument(parts[0]);
+  }
+
+  if (!HELPERS[parts[0]]) {
+    throw new Error(`Unknown helper "${parts[0]}" on line ${lineAt(source, position)}`);
+  }
+
+  return { helper: parts[0], args: parts.slice(1).map(toArgument) };
+}
+
+/**
+ * Split a template into text and tag tokens, removing the lines left empty
+ * by standalone block tags
+ */
+function tokenize(source) {
+  const tokens = [];
+  const tagPattern = /{{([\s\S]*?)}}/g;
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    tokens.push({ type: 'text', value: source.substring(last, match.index) });
+    tokens.push({ type: 'tag', value: match[1].trim(), position: match.index });
+    last = tagPattern.lastIndex;
+  }
+
+  const rest = source.substring(last);
+  if (rest.includes('{{')) {
+    throw new Error(`Unclosed tag on line ${lineAt(source, last + rest.indexOf('{{'))}`);
+  }
+  tokens.push({ type: 'text', value: rest });
+
+  // Tokens alternate text, tag, text, ... so a tag's neighbours are its surrounding text
+  let textStartsLine = true;
+  for (let i = 1; i < tokens.length; i += 2) {
+    const isStandalone = /^[#/!]|^else$/.test(tokens[i].value);
+    const before = tokens[i - 1].value;
+    const after = tokens[i + 1].value;
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const atLineStart = /^[ \t]*$/.test(before.substring(lineStart)) && (lineStart > 0 || textStartsLine);
+    const lineEnd = after.search(/\r?\n|$/);
+    const atLineEnd = /^[ \t]*$/.test(after.substring(0, lineEnd));
+
+    textStartsLine = isStandalone && atLineStart && atLineEnd;
+    if (textStartsLine) {
+      tokens[i - 1].value = before.substring(0, lineStart);
+      const newline = after.substring(lineEnd).match(/^\r?\n/);
+      tokens[i + 1].value = after.substring(lineEnd + (newline ? newline[0].length : 0));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build the node tree for a template, checking that blocks are balanced
+ */
+function parse(source) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+
+  tokenize(source).forEach(token => {
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      if (token.value) {
+        current.target.push({ type: 'text', value: token.value });
+      }
+      return;
+    }
+
+    const tag = token.value;
+
+    if (tag.startsWith('!')) {
+      return;
+    }
+
+    if (tag.startsWith('#')) {
+      const [, blockType, expression] = tag.substring(1).trim().match(/^(\S*)\s*([\s\S]*)$/);
+      if (!BLOCK_TYPES.includes(blockType)) {
+        throw new Error(`Unknown block "#${blockType}" on line ${lineAt(source, token.position)}, expected one of: ${BLOCK_TYPES.join(', ')}`);
+      }
+
+      const node = {
+        type: blockType,
+        expression: parseExpression(expression, source, token.position),
+        children: [],
+        inverse: [],
+        position: token.position
+      };
+      current.target.push(node);
+      stack.push({ node, target: node.children });
+      return;
+    }
+
+    if (tag === 'else') {
+      if (stack.length === 1 || current.target === current.node.inverse) {
+        throw new Error(`Unexpected {{else}} on line ${lineAt(source, token.position)}`);
+      }
+      current.target = current.node.inverse;
+      return;
+    }
+
+    if (tag.startsWith('/')) {
+      const blockType = tag.substring(1).trim();
+      if (stack.length === 1 || current.node.type !== blockType) {
+        throw new Error(`Unexpected {{/${blockType}}} on line ${lineAt(source, token.position)}`);
+      }
+      stack.pop();
+      return;
+    }
+
+    current.target.push({ type: 'value', expression: parseExpression(tag, source, token.position) });
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new Error(`Unclosed {{#${open.type}}} on line ${lineAt(source, open.position)}`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Look a dotted path up in the current scope, then in the enclosing scopes
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    let value;
+
+    if (head === 'this') {
+      value = scope.value;
+    } else if (head.startsWith('@')) {
+      value = scope.meta ? scope.meta[head.substring(1)] : undefined;
+      if (value === undefined) {
+        continue;
+      }
+    } else if (scope.value !== null && typeof scope.value === 'object' && head in scope.value) {
+      value = scope.value[head];
+    } else {
+      continue;
+    }
+
+    return rest.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+  }
+
+  return undefined;
+}
+
+function evaluate(expression, scopes) {
+  const resolve = argument => ('literal' in argument ? argument.literal : lookup(argument.path, scopes));
+
+  if (expression.helper) {
+    return HELPERS[expression.helper](...expression.args.map(resolve));
+  }
+
+  return resolve(expression);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'value':
+        return toText(evaluate(node.expression, scopes));
+
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(evaluate(node.expression, scopes));
+        return renderNodes(truthy === (node.type === 'if') ? node.children : node.inverse, scopes);
+      }
+
+      case 'each': {
+        const values = evaluate(node.expression, scopes);
+        if (!Array.isArray(values) || values.length === 0) {
+          return renderNodes(node.inverse, scopes);
+        }
+        return values
+          .map((value, index) => renderNodes(node.children, [...scopes, { value, meta: { index, number: index + 1 } }]))
+          .join('');
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Compile a template, throwing an Error that names the line of the first problem
+ * @param {string} source The template source
+ * @returns {{source: string, render: Function}} The compiled template, render(data) returns text
+ */
+function compileTemplate(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Template must be a non-empty string');
+  }
+
+  if (source.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(`Template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const nodes = parse(source);
+
+  return {
+    source,
+    render: data => renderNodes(nodes, [{ value: data }])
+  };
+}
+
+module.exports = {
+  compileTemplate,
+  HELPERS
+};
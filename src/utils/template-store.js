@@ -0,0 +1,101 @@
+/**
+ * Template Store for user-defined context templates
+ *
+ * Templates are kept per API key. A template named "default" is used for
+ * every context request made with that key unless another one is selected
+ * with the x-template header.
+ *
+ * Templates only live in memory, so they are lost when the service restarts.
+ */
+
+const { getLogger } = require('./logger');
+const { compileTemplate } = require('./template-engine');
+const logger = getLogger('template-store');
+
+const DEFAULT_TEMPLATE_NAME = 'default';
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// In-memory template storage, keyed by API key and then by template name
+const templates = new Map();
+
+class TemplateStore {
+  constructor() {
+    logger.info('TemplateStore initialized');
+  }
+
+  /**
+   * Check that a template name is usable
+   * @param {string} name The template name
+   * @returns {boolean} True if the name is valid
+   */
+  isValidName(name) {
+    return typeof name === 'string' && TEMPLATE_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Validate, compile and store a template
+   * @param {string} apiKey The API key that owns the template
+   * @param {string} name The template name
+   * @param {string} source The template source
+   * @throws {Error} When the name or the template is invalid
+   */
+  saveTemplate(apiKey, name, source) {
+    if (!this.isValidName(name)) {
+      throw new Error('Template name must be 1-64 letters, digits, dashes or underscores');
+    }
+
+    const compiled = compileTemplate(source);
+
+    if (!templates.has(apiKey)) {
+      templates.set(apiKey, new Map());
+    }
+
+    templates.get(apiKey).set(name, { ...compiled, name, updatedAt: new Date().toISOString() });
+    logger.info(`Template "${name}" stored (${source.length} chars)`);
+    return true;
+  }
+
+  /**
+   * Get a compiled template
+   * @param {string} apiKey The API key that owns the template
+   * @param {string} name The template name, defaults to the key's default template
+   * @returns {object|null} The compiled template or null if not found
+   */
+  getTemplate(apiKey, name = DEFAULT_TEMPLATE_NAME) {
+    const keyTemplates = templates.get(apiKey);
+    return (keyTemplates && keyTemplates.get(name)) || null;
+  }
+
+  /**
+   * List the templates stored for an API key
+   * @param {string} apiKey The API key
+   * @returns {Array<{name: string, length: number, updatedAt: string}>} The templates
+   */
+  listTemplates(apiKey) {
+    const keyTemplates = templates.get(apiKey) || new Map();
+    return Array.from(keyTemplates.values()).map(template => ({
+      name: template.name,
+      length: template.source.length,
+      updatedAt: template.updatedAt
+    }));
+  }
+
+  /**
+   * Remove a template
+   * @param {string} apiKey The API key that owns the template
+   * @param {string} name The template name
+   * @returns {boolean} True if the template was removed, false otherwise
+   */
+  removeTemplate(apiKey, name) {
+    const keyTemplates = templates.get(apiKey);
+    const removed = !!keyTemplates && keyTemplates.delete(name);
+    logger.info(`Template "${name}" ${removed ? 'removed' : 'not found'}`);
+    return removed;
+  }
+}
+
+// Export a singleton instance
+module.exports = {
+  DEFAULT_TEMPLATE_NAME,
+  templateStore: new TemplateStore()
+};
@@ -0,0 +1,143 @@
+/**
+ * Token budgeting for TypingMind dynamic context
+ * Estimates how much of the model's context window a rendered context uses
+ * and progressively degrades the rendering until it fits a given budget
+ */
+
+// Rough average for English text with the BPE tokenizers used by most models
+const CHARS_PER_TOKEN = 4;
+
+// Detail levels tried in order before whole items start being dropped
+const DETAIL_LEVELS = [
+  { dropLowPriority: false, descriptionLength: null },
+  { dropLowPriority: true, descriptionLength: null },
+  { dropLowPriority: true, descriptionLength: 40 }
+];
+
+/**
+ * Estimate the number of tokens a piece of text will use
+ * @param {string} text The rendered text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Parse a token budget from a header or query value
+ * @param {string|number|undefined} value The raw value
+ * @returns {number|null|undefined} The budget, null when not provided, or undefined when invalid
+ */
+function parseMaxTokens(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const maxTokens = Number(value);
+  if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+    return undefined;
+  }
+
+  return maxTokens;
+}
+
+/**
+ * Render a list of items so that the result fits within a token budget
+ *
+ * Low-priority fields are dropped first, then descriptions are shortened,
+ * then items are dropped from the end and reported as omitted.
+ *
+ * @param {Array} items The items to render
+ * @param {Function} render Called as render(visibleItems, detail, omittedCount) and returns text
+ * @param {number|null} maxTokens The token budget, or null for no limit
+ * @returns {{text: string, estimatedTokens: number, omittedItems: number}}
+ */
+function fitToBudget(items, render, maxTokens) {
+  const result = (text, omittedItems) => ({
+    text,
+    estimatedTokens: estimateTokens(text),
+    omittedItems
+  });
+
+  const fullText = render(items, DETAIL_LEVELS[0], 0);
+  const unlimited = maxTokens === null || maxTokens === undefined;
+  if (unlimited || estimateTokens(fullText) <= maxTokens) {
+    return result(fullText, 0);
+  }
+
+  for (const detail of DETAIL_LEVELS.slice(1)) {
+    const text = render(items, detail, 0);
+    if (estimateTokens(text) <= maxTokens) {
+      return result(text, 0);
+    }
+  }
+
+  // Still too large at the lowest detail level, so find the largest
+  // prefix of items that fits together with the omission footer
+  const detail = DETAIL_LEVELS[DETAIL_LEVELS.length - 1];
+  let best = render([], detail, items.length);
+  let bestCount = 0;
+  let low = 1;
+  let high = items.length - 1;
+
+  while (low <= high) {
+    const count = Math.floor((low + high) / 2);
+    const text = render(items.slice(0, count), detail, items.length - count);
+
+    if (estimateTokens(text) <= maxTokens) {
+      best = text;
+      bestCount = count;
+      low = count + 1;
+    } else {
+      high = count - 1;
+    }
+  }
+
+  return result(best, items.length - bestCount);
+}
+
+/**
+ * Split a token budget across several sections
+ *
+ * Sections smaller than their fair share keep their full size and the
+ * leftover budget is shared between the larger ones.
+ *
+ * @param {Object<string, number>} sizes Full-size token estimate per section
+ * @param {number} maxTokens The total budget
+ * @returns {Object<string, number>} Token budget per section
+ */
+function allocateTokenBudget(sizes, maxTokens) {
+  const allocation = {};
+  const pending = Object.keys(sizes).sort((a, b) => sizes[a] - sizes[b]);
+  let remaining = Math.max(maxTokens, 0);
+
+  while (pending.length > 0) {
+    const share = Math.floor(remaining / pending.length);
+    const smallest = pending[0];
+
+    if (sizes[smallest] > share) {
+      pending.forEach(section => {
+        allocation[section] = share;
+      });
+      break;
+    }
+
+    allocation[smallest] = sizes[smallest];
+    remaining -= sizes[smallest];
+    pending.shift();
+  }
+
+  return allocation;
+}
+
+module.exports = {
+  estimateTokens,
+  parseMaxTokens,
+  fitToBudget,
+  allocateTokenBudget,
+  DETAIL_LEVELS
+};
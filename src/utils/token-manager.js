@@ -21,20 +21,35 @@ class TokenManager {
    * Store a user's ClickUp API token
    * @param {string} userId The user ID
    * @param {string} token The ClickUp API token
+   * @param {object} options Optional details about the token
+   * @param {string} options.type personal for a pk_ token (default), oauth for an OAuth access token
+   * @param {object[]} options.workspaces The workspaces an OAuth token was authorised for, as { id, name }
    */
-  storeToken(userId, token) {
+  storeToken(userId, token, options = {}) {
+    const type = options.type || 'personal';
+    
     if (!userId) {
       logger.error('Cannot store token: User ID is required');
       throw new Error('User ID is required');
     }
     
-    if (!token || !token.startsWith('pk_')) {
+    if (type === 'personal' && (!token || !token.startsWith('pk_'))) {
       logger.error(`Invalid token format provided for user ${userId}`);
       throw new Error('Invalid ClickUp API token format. Token should start with "pk_"');
     }
     
-    tokens.set(userId, token);
-    logger.info(`Token stored for user ${userId}`);
+    if (type === 'oauth' && !token) {
+      logger.error(`Empty OAuth access token provided for user ${userId}`);
+      throw new Error('OAuth access token is required');
+    }
+    
+    tokens.set(userId, {
+      token,
+      type,
+      workspaces: options.workspaces || null,
+      storedAt: new Date().toISOString()
+    });
+    logger.info(`${type === 'oauth' ? 'OAuth token' : 'Token'} stored for user ${userId}`);
     return true;
   }
   
@@ -49,14 +64,29 @@ class TokenManager {
       return null;
     }
     
-    const token = tokens.get(userId);
-    if (!token) {
+    const stored = tokens.get(userId);
+    if (!stored) {
       logger.warn(`No token found for user ${userId}`);
     } else {
-      logger.debug(`Retrieved token for user ${userId}`);
+      logger.debug(`Retrieved ${stored.type} token for user ${userId}`);
+    }
+    
+    return stored ? stored.token : null;
+  }
+  
+  /**
+   * Describe a user's stored token without the token itself
+   * @param {string} userId The user ID
+   * @returns {{type: string, workspaces: object[]|null, storedAt: string}|null} The token's
+   *   type, the workspaces an OAuth token was authorised for and when it was stored
+   */
+  getTokenDetails(userId) {
+    const stored = tokens.get(userId);
+    if (!stored) {
+      return null;
     }
     
-    return token || null;
+    return { type: stored.type, workspaces: stored.workspaces, storedAt: stored.storedAt };
   }
   
   /**
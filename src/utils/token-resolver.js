@@ -0,0 +1,153 @@
+/**
+ * Choosing the ClickUp token a call is made with
+ *
+ * CLICKUP_TOKEN_MODE decides whether calls use the environment token
+ * (CLICKUP_API_TOKEN), the token the user registered, or the user's token with
+ * the environment token as fallback. Either may be a personal pk_ token or an
+ * OAuth access token. The credential that served a call is described by where
+ * it came from and a fingerprint, never the token itself.
+ */
+
+const { getLogger, getRequestContext } = require('./logger');
+const { AuthError } = require('./errors');
+const { tokenIdentity } = require('./response-cache');
+const logger = getLogger('token-resolver');
+
+const TOKEN_MODES = {
+  ENV: 'env',
+  USER: 'user',
+  USER_THEN_ENV: 'user-then-env'
+};
+
+const DEFAULT_TOKEN_MODE = TOKEN_MODES.USER_THEN_ENV;
+
+/**
+ * Read the token mode, falling back to the default for unknown values
+ * @param {string} value The configured mode, usually CLICKUP_TOKEN_MODE
+ * @returns {string} One of TOKEN_MODES
+ */
+function parseTokenMode(value) {
+  if (!value) {
+    return DEFAULT_TOKEN_MODE;
+  }
+
+  const mode = value.trim().toLowerCase();
+  if (Object.values(TOKEN_MODES).includes(mode)) {
+    return mode;
+  }
+
+  logger.warn(`Unknown CLICKUP_TOKEN_MODE "${value}", using ${DEFAULT_TOKEN_MODE}`);
+  return DEFAULT_TOKEN_MODE;
+}
+
+/**
+ * Describe a credential without revealing it, e.g. "user:alice#3f2a9c1b0d4e5f6a" or "env#..."
+ * @param {string} source Where the token came from, env or user
+ * @param {string} userId The user whose token it is, for user tokens
+ * @param {string} token The token
+ * @returns {string} The credential identity
+ */
+function credentialIdentity(source, userId, token) {
+  const owner = source === 'user' ? `user:${userId}` : 'env';
+  return `${owner}#${tokenIdentity(token)}`;
+}
+
+/**
+ * Build the Authorization header value for a token. Personal tokens are sent
+ * as they are, OAuth access tokens as bearer tokens.
+ * @param {string} token A pk_ personal token or an OAuth access token
+ * @returns {string} The header value
+ */
+function authorizationHeader(token) {
+  return token.startsWith('pk_') ? token : `Bearer ${token}`;
+}
+
+class TokenResolver {
+  /**
+   * @param {object} options
+   * @param {string} options.mode One of TOKEN_MODES
+   * @param {string} options.envToken The environment token, if any
+   * @param {object} options.tokenStore Registered user tokens, with getToken(userId) and getTokenDetails(userId)
+   */
+  constructor({ mode, envToken, tokenStore }) {
+    this.mode = mode;
+    this.envToken = envToken || null;
+    this.tokenStore = tokenStore;
+  }
+
+  /**
+   * Resolve the token for a user by the configured mode
+   *
+   * The identity is recorded on the request being handled, so that its
+   * response and log line can say which credential served it.
+   *
+   * @param {string} userId The user the call is made for, if any
+   * @param {object} options
+   * @param {string} options.workspaceId The workspace the call is about, checked against the
+   *   workspaces the user's OAuth token was authorised for
+   * @returns {{token: string, source: string, identity: string}} The token, env or user, and its identity
+   * @throws {AuthError} When the mode allows no token for the user, or the user's OAuth
+   *   token was not authorised for the workspace
+   */
+  resolve(userId, options = {}) {
+    const userToken = this.mode !== TOKEN_MODES.ENV && userId ? this.tokenStore.getToken(userId) : null;
+    let resolved = null;
+
+    if (userToken) {
+      resolved = { token: userToken, source: 'user' };
+    } else if (this.mode !== TOKEN_MODES.USER && this.envToken) {
+      resolved = { token: this.envToken, source: 'env' };
+    }
+
+    if (!resolved) {
+      logger.error(`No ClickUp API token available for user ${userId || '(none)'} in ${this.mode} token mode`);
+      throw new AuthError(this.missingTokenMessage(userId));
+    }
+
+    if (resolved.source === 'user' && options.workspaceId) {
+      this.checkWorkspace(userId, options.workspaceId);
+    }
+
+    resolved.identity = credentialIdentity(resolved.source, userId, resolved.token);
+    logger.debug(`Using ClickUp credential ${resolved.identity}`, { userId });
+
+    const context = getRequestContext();
+    if (context) {
+      context.credential = resolved.identity;
+    }
+
+    return resolved;
+  }
+
+  // An OAuth token only sees the workspaces the user authorised the app for,
+  // so calls about other workspaces are refused before they reach ClickUp
+  checkWorkspace(userId, workspaceId) {
+    const details = this.tokenStore.getTokenDetails(userId);
+    if (!details || details.type !== 'oauth' || !details.workspaces) {
+      return;
+    }
+
+    if (!details.workspaces.some(workspace => String(workspace.id) === String(workspaceId))) {
+      logger.warn(`ClickUp OAuth token of user ${userId} is not authorised for workspace ${workspaceId}`);
+      throw new AuthError(`The ClickUp authorisation for this user does not cover workspace ${workspaceId}; authorise the app for it again`);
+    }
+  }
+
+  missingTokenMessage(userId) {
+    if (this.mode === TOKEN_MODES.ENV) {
+      return 'No ClickUp API token is configured on the server';
+    }
+    if (!userId) {
+      return 'No ClickUp API token available: a user ID is required';
+    }
+    return 'No ClickUp API token registered for this user';
+  }
+}
+
+module.exports = {
+  TOKEN_MODES,
+  TokenResolver,
+  parseTokenMode,
+  credentialIdentity,
+  authorizationHeader
+};
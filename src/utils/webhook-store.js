@@ -0,0 +1,104 @@
+/**
+ * Webhook Store for the ClickUp webhooks registered through this service
+ *
+ * ClickUp signs each webhook's events with a secret it returns when the
+ * webhook is created. The secret is kept here, together with the webhook's
+ * workspace, to verify the events as they arrive. Webhooks are kept in a JSON
+ * file keyed by webhook ID; the file holds secrets and should not be shared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLogger } = require('./logger');
+const logger = getLogger('webhook-store');
+
+const DEFAULT_WEBHOOKS_FILE = path.join(process.cwd(), 'data', 'webhooks.json');
+
+class WebhookStore {
+  /**
+   * @param {string} filePath Path of the JSON file, created on first write
+   */
+  constructor(filePath = DEFAULT_WEBHOOKS_FILE) {
+    this.filePath = filePath;
+    this.webhooks = this.load();
+    // Writes are chained so that concurrent requests never interleave
+    this.pendingWrite = Promise.resolve();
+    logger.info(`WebhookStore initialized with ${Object.keys(this.webhooks).length} webhooks from ${this.filePath}`);
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Could not read webhooks file ${this.filePath}`, { error: error.message });
+      }
+      return {};
+    }
+  }
+
+  persist() {
+    const content = JSON.stringify(this.webhooks, null, 2);
+
+    // A failed write is reported to its caller and does not block later ones
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, content, { mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Store a webhook, replacing any webhook with the same ID
+   * @param {object} webhook The webhook, with id, workspaceId, endpoint, events and secret
+   */
+  async saveWebhook(webhook) {
+    this.webhooks[webhook.id] = { ...webhook, workspaceId: String(webhook.workspaceId) };
+    await this.persist();
+    logger.info(`Webhook ${webhook.id} stored for workspace ${webhook.workspaceId}`);
+    return true;
+  }
+
+  /**
+   * Get a webhook, including its secret
+   * @param {string} id The ClickUp webhook ID
+   * @returns {object|null} The webhook or null if not found
+   */
+  getWebhook(id) {
+    return Object.prototype.hasOwnProperty.call(this.webhooks, id) ? this.webhooks[id] : null;
+  }
+
+  /**
+   * List a workspace's webhooks, including their secrets
+   * @param {string} workspaceId The ClickUp workspace
+   * @returns {Array<object>} The webhooks
+   */
+  listWebhooks(workspaceId) {
+    return Object.values(this.webhooks).filter(webhook => webhook.workspaceId === String(workspaceId));
+  }
+
+  /**
+   * Remove a webhook
+   * @param {string} id The ClickUp webhook ID
+   * @returns {Promise<boolean>} True if the webhook was removed, false otherwise
+   */
+  async removeWebhook(id) {
+    if (!this.getWebhook(id)) {
+      return false;
+    }
+
+    delete this.webhooks[id];
+    await this.persist();
+    logger.info(`Webhook ${id} removed`);
+    return true;
+  }
+}
+
+// Export a singleton instance
+module.exports = {
+  WebhookStore,
+  webhookStore: new WebhookStore(process.env.CLICKUP_WEBHOOKS_FILE || DEFAULT_WEBHOOKS_FILE)
+};
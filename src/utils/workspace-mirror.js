@@ -0,0 +1,163 @@
+/**
+ * Reading context data from a local workspace mirror
+ *
+ * A WorkspaceMirror answers the same calls as ClickUpService for the data
+ * types it holds, with responses shaped like ClickUp's, so context endpoints
+ * can read from either. Data the mirror does not hold, such as comments on
+ * tasks that were not recently updated, is reported as not found, so that it
+ * can be fetched from ClickUp instead.
+ */
+
+const { NotFoundError } = require('./errors');
+const { matchesTaskFilters } = require('./task-filters');
+const { rankTasks, DEFAULT_SEARCH_MODE } = require('./task-ranker');
+
+// Where context endpoints read from: the mirror when it is fresh enough
+// (auto), always the mirror, or always ClickUp
+const CONTEXT_SOURCES = ['auto', 'mirror', 'live'];
+
+// Data types a mirror can serve; the others always come from ClickUp
+const MIRRORED_DATA_TYPES = ['tasks', 'spaces', 'lists', 'folders', 'hierarchy', 'task', 'comments'];
+
+const DEFAULT_RANKING_CANDIDATES = 100;
+
+/**
+ * Read a context source
+ * @param {string} value The requested source, auto when not given
+ * @returns {string|null} The source, or null when invalid
+ */
+function parseContextSource(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'auto';
+  }
+  const source = String(value).trim().toLowerCase();
+  return CONTEXT_SOURCES.includes(source) ? source : null;
+}
+
+const byUpdatedDesc = (a, b) => parseInt(b.date_updated, 10) - parseInt(a.date_updated, 10);
+
+class WorkspaceMirror {
+  /**
+   * @param {object} data The mirror as stored by the sync service
+   * @param {object} options Reading options
+   * @param {number} options.rankingCandidates How many recent tasks are ranked against a query
+   */
+  constructor(data, options = {}) {
+    this.data = data;
+    this.rankingCandidates = options.rankingCandidates || DEFAULT_RANKING_CANDIDATES;
+  }
+
+  get workspaceId() {
+    return this.data.workspaceId;
+  }
+
+  /**
+   * Describe how fresh the mirror is
+   * @param {number} now Reference time
+   * @returns {{syncedAt: string, ageSeconds: number}} When the last sync finished and how long ago
+   */
+  freshness(now = Date.now()) {
+    return {
+      syncedAt: new Date(this.data.syncedAt).toISOString(),
+      ageSeconds: Math.max(Math.round((now - this.data.syncedAt) / 1000), 0)
+    };
+  }
+
+  hasTask(taskId) {
+    return Object.prototype.hasOwnProperty.call(this.data.tasks, taskId);
+  }
+
+  async getSpaces() {
+    return { spaces: this.data.spaces };
+  }
+
+  async getSpace(spaceId) {
+    const space = this.data.spaces.find(candidate => String(candidate.id) === String(spaceId));
+    if (!space) {
+      throw new NotFoundError(`Space ${spaceId} is not in the mirror`);
+    }
+    return space;
+  }
+
+  async getFolders(spaceId) {
+    return { folders: this.data.folders[spaceId] || [] };
+  }
+
+  async getFolderlessLists(spaceId) {
+    return { lists: this.data.folderlessLists[spaceId] || [] };
+  }
+
+  async getLists(folderId) {
+    const folders = Object.values(this.data.folders).reduce((all, spaceFolders) => all.concat(spaceFolders), []);
+    const folder = folders.find(candidate => String(candidate.id) === String(folderId));
+    if (!folder) {
+      throw new NotFoundError(`Folder ${folderId} is not in the mirror`);
+    }
+    return { lists: folder.lists || [] };
+  }
+
+  // Same shape and limits as ClickUpService.getHierarchy
+  async getHierarchy(workspaceId, userId, options = {}) {
+    const maxDepth = options.maxDepth || 3;
+    const maxSpaces = options.maxSpaces || 10;
+    const expandedCount = maxDepth > 1 ? maxSpaces : 0;
+
+    const spaces = this.data.spaces.map((space, index) => (index < expandedCount
+      ? { ...space, expanded: true, folders: this.data.folders[space.id] || [], lists: this.data.folderlessLists[space.id] || [] }
+      : { ...space, expanded: false, folders: [], lists: [] }));
+
+    return { spaces, maxDepth };
+  }
+
+  // Same arguments and ranking as ClickUpService.getRecentTasks, with the
+  // filters applied locally
+  async getRecentTasks(workspaceId, userId, limit = 10, context = {}) {
+    const searchMode = context.searchMode || DEFAULT_SEARCH_MODE;
+    let tasks = Object.values(this.data.tasks)
+      .filter(task => matchesTaskFilters(task, context.filters || {}))
+      .sort(byUpdatedDesc);
+
+    if (context.query && searchMode === 'exact') {
+      const query = context.query.toLowerCase();
+      tasks = tasks.filter(task => `${task.name} ${task.text_content || ''}`.toLowerCase().includes(query));
+    }
+
+    if (context.query && searchMode === 'rank') {
+      return { tasks: rankTasks(tasks.slice(0, Math.max(limit, this.rankingCandidates)), context.query, { limit }) };
+    }
+
+    return { tasks: tasks.slice(0, limit) };
+  }
+
+  async getTask(taskId) {
+    if (!this.hasTask(taskId)) {
+      throw new NotFoundError(`Task ${taskId} is not in the mirror`);
+    }
+
+    const subtasks = Object.values(this.data.tasks).filter(task => task.parent === taskId);
+    return { ...this.data.tasks[taskId], subtasks };
+  }
+
+  async getTaskComments(taskId) {
+    if (!Object.prototype.hasOwnProperty.call(this.data.comments, taskId)) {
+      throw new NotFoundError(`Comments on task ${taskId} are not in the mirror`);
+    }
+    return { comments: this.data.comments[taskId] };
+  }
+
+  // Same shape as ClickUpService.getTaskContext
+  async getTaskContext(taskId) {
+    const [task, comments] = await Promise.all([this.getTask(taskId), this.getTaskComments(taskId)]);
+    const space = task.space
+      ? this.data.spaces.find(candidate => String(candidate.id) === String(task.space.id)) || null
+      : null;
+    return { task, comments, space };
+  }
+}
+
+module.exports = {
+  CONTEXT_SOURCES,
+  MIRRORED_DATA_TYPES,
+  WorkspaceMirror,
+  parseContextSource
+};
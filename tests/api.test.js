@@ -0,0 +1,451 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+// The bundled fixtures with enough extra tasks in the Backlog list to need a second page
+function paginatedFixtures() {
+  const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, '../mock/fixtures/clickup.json'), 'utf8'));
+  for (let index = 0; index < 120; index++) {
+    fixtures.tasks.push({
+      id: `86page${String(index).padStart(3, '0')}`,
+      list_id: '301',
+      name: `Backlog chore ${index}`,
+      status: 'to do',
+      assignees: [],
+      tags: [],
+      date_created: `now-${index + 1}h`,
+      date_updated: `now-${index + 1}h`
+    });
+  }
+  return fixtures;
+}
+
+describe('ClickUp API routes against the mock ClickUp API', () => {
+  let service;
+  const api = () => request(service.app);
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice' };
+
+  beforeAll(async () => {
+    service = await startService({ mock: { fixtures: paginatedFixtures() } });
+  });
+
+  afterAll(() => service.close());
+
+  describe('reads', () => {
+    test('lists the workspaces of the token', async () => {
+      const res = await api().get('/api/clickup/workspaces').set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.teams.map(team => team.id)).toEqual(['9000', '9001']);
+      expect(res.headers['x-clickup-credential']).toMatch(/^env#/);
+    });
+
+    test('walks spaces, folders and lists', async () => {
+      const spaces = await api().get('/api/clickup/workspaces/9000/spaces').set(headers);
+      expect(spaces.status).toBe(200);
+      expect(spaces.body.spaces.map(space => space.name)).toEqual(['Engineering', 'Marketing']);
+
+      const folders = await api().get('/api/clickup/spaces/100/folders').set(headers);
+      expect(folders.status).toBe(200);
+      expect(folders.body.folders.map(folder => folder.id)).toEqual(['200']);
+
+      const folderLists = await api().get('/api/clickup/folders/200/lists').set(headers);
+      expect(folderLists.body.lists.map(list => list.name)).toEqual(['Sprint 1']);
+
+      const folderless = await api().get('/api/clickup/spaces/100/lists').set(headers);
+      expect(folderless.body.lists.map(list => list.name)).toEqual(['Backlog']);
+    });
+
+    test('gets a task with readable custom fields', async () => {
+      const res = await api().get('/api/clickup/tasks/86abc001').set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.name).toBe('Fix login redirect loop');
+      expect(res.body.custom_fields[0]).toMatchObject({ name: 'Stage' });
+    });
+
+    test('gets the comments on a task', async () => {
+      const res = await api().get('/api/clickup/tasks/86abc001/comments').set(headers);
+
+      expect(res.status).toBe(200);
+      expect(Array.isArray(res.body.comments)).toBe(true);
+    });
+
+    test('filters recent tasks and rejects invalid filters', async () => {
+      const res = await api().get('/api/clickup/workspaces/9000/recent-tasks?tags=bug').set(headers);
+      expect(res.status).toBe(200);
+      expect(res.body.tasks.length).toBeGreaterThan(0);
+      res.body.tasks.forEach(task => expect(task.tags.map(tag => tag.name || tag)).toContain('bug'));
+
+      const invalid = await api().get('/api/clickup/workspaces/9000/recent-tasks?due_before=someday').set(headers);
+      expect(invalid.status).toBe(400);
+      expect(invalid.headers['content-type']).toMatch(/application\/problem\+json/);
+      expect(invalid.body.type).toBe('/problems/validation');
+    });
+  });
+
+  describe('member lookup', () => {
+    const myWork = () => api()
+      .get('/context/clickup')
+      .set({ 'x-api-key': API_KEY, 'x-user-id': 'bob', 'x-workspace-id': '9000', 'x-data-type': 'my-work', 'x-format': 'json' });
+    const taskNames = res => JSON.parse(res.body.text).groups
+      .reduce((items, group) => items.concat(group.items), [])
+      .map(item => item.task);
+
+    test('looks the member up again once the user registers their own token', async () => {
+      // Without a token of their own, bob's calls use the environment token, which is alice's
+      const shared = await myWork();
+      expect(shared.status).toBe(200);
+      expect(taskNames(shared)).toContain('Fix login redirect loop');
+
+      await api().post('/api/register-token').set({ 'x-api-key': API_KEY }).send({ userId: 'bob', token: 'pk_mock_bob' });
+
+      const own = await myWork();
+      expect(own.status).toBe(200);
+      expect(taskNames(own)).toContain('Upgrade the build pipeline');
+      expect(taskNames(own)).not.toContain('Fix login redirect loop');
+    });
+  });
+
+  describe('pagination', () => {
+    test('pages through the tasks of a list', async () => {
+      const first = await api().get('/api/clickup/lists/301/tasks?page=0').set(headers);
+      expect(first.status).toBe(200);
+      expect(first.body.tasks).toHaveLength(100);
+      expect(first.body.last_page).toBe(false);
+
+      const second = await api().get('/api/clickup/lists/301/tasks?page=1').set(headers);
+      expect(second.status).toBe(200);
+      expect(second.body.last_page).toBe(true);
+
+      // Every open task comes once, on one of the two pages
+      const ids = new Set([...first.body.tasks, ...second.body.tasks].map(task => task.id));
+      expect(second.body.tasks.length).toBeGreaterThanOrEqual(20);
+      expect(ids.size).toBe(first.body.tasks.length + second.body.tasks.length);
+      expect(ids.has('86page119')).toBe(true);
+    });
+  });
+
+  describe('search', () => {
+    const context = extra => api()
+      .get('/context/clickup')
+      .set({ ...headers, 'x-workspace-id': '9000', 'x-format': 'json', ...extra });
+
+    test('exact search only returns tasks containing the message', async () => {
+      const res = await context({ 'x-search-mode': 'exact', 'x-last-user-message': 'login redirect' });
+
+      expect(res.status).toBe(200);
+      const items = JSON.parse(res.body.text).items;
+      expect(items.map(item => item.task)).toEqual(['Fix login redirect loop']);
+    });
+
+    test('ranked search puts the best match first', async () => {
+      const res = await context({ 'x-search-mode': 'rank', 'x-last-user-message': 'what is left for the spring launch campaign?' });
+
+      expect(res.status).toBe(200);
+      const items = JSON.parse(res.body.text).items;
+      expect(items[0].task).toBe('Plan the spring launch campaign');
+    });
+
+    test('the combined context covers each requested data type', async () => {
+      const res = await api()
+        .get('/context/clickup-all')
+        .set({ ...headers, 'x-workspace-id': '9000', 'x-data-types': 'tasks,spaces', 'x-intent': 'off' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toContain('== TASKS ==');
+      expect(res.body.text).toContain('== SPACES ==');
+      expect(res.headers['x-context-source']).toBe('live');
+    });
+  });
+
+  describe('errors', () => {
+    test('401 without a valid API key', async () => {
+      const res = await api().get('/api/clickup/workspaces').set({ 'x-api-key': 'wrong', 'x-user-id': 'alice' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.type).toBe('/problems/auth');
+    });
+
+    test('401 when ClickUp rejects the user\'s token', async () => {
+      const registered = await api()
+        .post('/api/register-token')
+        .set({ 'x-api-key': API_KEY })
+        .send({ userId: 'mallory', token: 'pk_not_a_mock_token' });
+      expect(registered.status).toBe(200);
+
+      const res = await api().get('/api/clickup/workspaces').set({ 'x-api-key': API_KEY, 'x-user-id': 'mallory' });
+
+      expect(res.status).toBe(401);
+      expect(res.body).toMatchObject({ type: '/problems/auth', upstreamStatus: 401 });
+    });
+
+    test('404 for a task ClickUp does not have', async () => {
+      const res = await api().get('/api/clickup/tasks/86missing').set(headers);
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ type: '/problems/not-found', upstreamStatus: 404 });
+    });
+
+    test('404 for a route that does not exist', async () => {
+      const res = await api().get('/api/clickup/nothing-here').set(headers);
+
+      expect(res.status).toBe(404);
+      expect(res.body.detail).toBe('No route for GET /api/clickup/nothing-here');
+    });
+
+    test('400 without a user ID', async () => {
+      const res = await api().get('/api/clickup/workspaces').set({ 'x-api-key': API_KEY });
+
+      expect(res.status).toBe(400);
+      expect(res.body.type).toBe('/problems/validation');
+    });
+  });
+
+  describe('writes', () => {
+    test('creates a task in a list', async () => {
+      const res = await api()
+        .post('/api/clickup/lists/300/tasks')
+        .set(headers)
+        .send({ name: 'Write the end-to-end tests' });
+
+      expect(res.status).toBe(201);
+      expect(service.state.tasks.find(task => task.id === res.body.id)).toMatchObject({
+        name: 'Write the end-to-end tests',
+        list_id: '300'
+      });
+    });
+
+    test('updates a task, and reads see the change', async () => {
+      const before = await api().get('/api/clickup/tasks/86abc004').set(headers);
+      expect(before.status).toBe(200);
+
+      const res = await api()
+        .put('/api/clickup/tasks/86abc004')
+        .set(headers)
+        .send({ name: 'Upgrade the build pipeline to Node 20' });
+      expect(res.status).toBe(200);
+      expect(service.state.tasks.find(task => task.id === '86abc004').name).toBe('Upgrade the build pipeline to Node 20');
+
+      const after = await api().get('/api/clickup/tasks/86abc004').set(headers);
+      expect(after.body.name).toBe('Upgrade the build pipeline to Node 20');
+    });
+
+    test('adds a comment to a task', async () => {
+      const res = await api()
+        .post('/api/clickup/tasks/86abc002/comments')
+        .set(headers)
+        .send({ comment_text: 'Headers are in review' });
+
+      expect(res.status).toBe(201);
+      expect(service.state.comments.find(comment => comment.id === res.body.id)).toMatchObject({
+        task_id: '86abc002',
+        comment_text: 'Headers are in review'
+      });
+    });
+
+    test('400 for a comment without text', async () => {
+      const res = await api().post('/api/clickup/tasks/86abc002/comments').set(headers).send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.detail).toBe('comment_text is required');
+    });
+  });
+
+  describe('health and metrics', () => {
+    test('checks the connection to ClickUp', async () => {
+      const res = await api().get('/health/clickup').set({ 'x-api-key': API_KEY });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ status: 'OK', configurationStatus: { tokenMode: 'user-then-env', environmentToken: true } });
+    });
+
+    test('reports the ClickUp call metrics', async () => {
+      const res = await api().get('/metrics').set({ 'x-api-key': API_KEY });
+
+      expect(res.status).toBe(200);
+      expect(res.body.requestCoalescing).toEqual(expect.any(Object));
+    });
+
+    test('both need an API key', async () => {
+      expect((await api().get('/health/clickup')).status).toBe(401);
+      expect((await api().get('/metrics')).status).toBe(401);
+    });
+  });
+
+  describe('context data types and formats', () => {
+    const context = extra => api()
+      .get('/context/clickup')
+      .set({ ...headers, 'x-workspace-id': '9000', 'x-intent': 'off', ...extra });
+
+    test('hierarchy walks spaces, folders and lists', async () => {
+      const res = await context({ 'x-data-type': 'hierarchy' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toContain('Engineering');
+      expect(res.body.text).toContain('Sprint 1');
+      expect(res.body.text).toContain('Campaigns');
+    });
+
+    test('changes reports recently updated tasks', async () => {
+      const res = await context({ 'x-data-type': 'changes', 'x-user-id': 'changes-reader' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toContain('Fix login redirect loop');
+    });
+
+    test('task gives one task with its comments', async () => {
+      const res = await context({ 'x-data-type': 'task', 'x-task-id': '86abc001' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toContain('Fix login redirect loop');
+    });
+
+    test('comments lists the comments on a task', async () => {
+      const comments = service.state.comments.filter(comment => comment.task_id === '86abc001');
+      expect(comments.length).toBeGreaterThan(0);
+
+      const res = await context({ 'x-data-type': 'comments', 'x-task-id': '86abc001' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toContain(comments[0].comment_text);
+    });
+
+    test('task-scoped types need a task ID', async () => {
+      const res = await context({ 'x-data-type': 'comments' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.detail).toBe('taskId is required in headers or query params for comments');
+    });
+
+    test('renders markdown', async () => {
+      const res = await context({ 'x-format': 'markdown', 'x-data-type': 'spaces' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toMatch(/^## /m);
+      expect(res.body.text).toContain('Engineering');
+    });
+
+    test('renders XML', async () => {
+      const res = await context({ 'x-format': 'xml', 'x-data-type': 'spaces' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.text).toMatch(/^<\w+/);
+      expect(res.body.text).toContain('Engineering');
+    });
+  });
+
+  describe('profiles', () => {
+    test('stores, lists, applies and deletes a profile', async () => {
+      const saved = await api()
+        .put('/api/profiles/eng-spaces')
+        .set({ 'x-api-key': API_KEY })
+        .send({ workspaceId: '9000', dataType: 'spaces', format: 'json' });
+      expect(saved.status).toBe(200);
+
+      const listed = await api().get('/api/profiles').set({ 'x-api-key': API_KEY });
+      expect(listed.body.profiles).toContainEqual({ name: 'eng-spaces', workspaceId: '9000', dataType: 'spaces', format: 'json' });
+
+      const context = await api().get('/context/clickup').set({ ...headers, 'x-context-profile': 'eng-spaces' });
+      expect(context.status).toBe(200);
+      expect(JSON.parse(context.body.text).dataType).toBe('spaces');
+
+      expect((await api().delete('/api/profiles/eng-spaces').set({ 'x-api-key': API_KEY })).status).toBe(204);
+      expect((await api().get('/api/profiles/eng-spaces').set({ 'x-api-key': API_KEY })).status).toBe(404);
+    });
+
+    test('rejects an invalid profile', async () => {
+      const res = await api().put('/api/profiles/broken').set({ 'x-api-key': API_KEY }).send({ colour: 'blue' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ detail: 'Invalid profile', errors: ['Unknown field "colour"'] });
+    });
+  });
+
+  describe('templates', () => {
+    test('stores, lists, reads and deletes a template', async () => {
+      const saved = await api()
+        .put('/api/templates/compact')
+        .set({ 'x-api-key': API_KEY })
+        .send({ template: '{{#each items}}* {{name}}\n{{/each}}' });
+      expect(saved.status).toBe(200);
+
+      const listed = await api().get('/api/templates').set({ 'x-api-key': API_KEY });
+      expect(listed.body.templates.map(template => template.name)).toContain('compact');
+
+      const read = await api().get('/api/templates/compact').set({ 'x-api-key': API_KEY });
+      expect(read.body.template).toBe('{{#each items}}* {{name}}\n{{/each}}');
+
+      expect((await api().delete('/api/templates/compact').set({ 'x-api-key': API_KEY })).status).toBe(204);
+      expect((await api().get('/api/templates/compact').set({ 'x-api-key': API_KEY })).status).toBe(404);
+    });
+  });
+
+  describe('webhooks', () => {
+    test('registers, lists and deletes a webhook', async () => {
+      const registered = await api()
+        .post('/api/clickup/workspaces/9000/webhooks')
+        .set(headers)
+        .send({ endpoint: 'http://127.0.0.1:9/webhooks/clickup', events: ['taskCreated'] });
+      expect(registered.status).toBe(201);
+      expect(registered.body).toMatchObject({ events: ['taskCreated'], secretStored: true });
+      expect(registered.body).not.toHaveProperty('secret');
+      expect(service.state.webhooks.map(webhook => webhook.id)).toEqual([registered.body.id]);
+
+      const listed = await api().get('/api/clickup/workspaces/9000/webhooks').set(headers);
+      expect(listed.status).toBe(200);
+      expect(listed.body.webhooks).toEqual([expect.objectContaining({ id: registered.body.id, secretStored: true })]);
+
+      const deleted = await api().delete(`/api/clickup/webhooks/${registered.body.id}`).set(headers);
+      expect(deleted.status).toBe(204);
+      expect(service.state.webhooks).toEqual([]);
+    });
+
+    test('rejects an invalid registration', async () => {
+      const res = await api()
+        .post('/api/clickup/workspaces/9000/webhooks')
+        .set(headers)
+        .send({ endpoint: 'ftp://example.com', events: ['taskExploded'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        'endpoint must be an http(s) URL, usually this service\'s /webhooks/clickup',
+        'Unknown event "taskExploded"'
+      ]);
+    });
+
+    test('receives an event signed with the webhook\'s secret', async () => {
+      const registered = await api()
+        .post('/api/clickup/workspaces/9000/webhooks')
+        .set(headers)
+        .send({ endpoint: 'http://127.0.0.1:9/webhooks/clickup' });
+      const { secret } = service.state.webhooks.find(webhook => webhook.id === registered.body.id);
+      const body = JSON.stringify({ event: 'taskUpdated', webhook_id: registered.body.id, task_id: '86abc001', history_items: [{ id: '1' }] });
+
+      const res = await api()
+        .post('/webhooks/clickup')
+        .set({ 'Content-Type': 'application/json', 'X-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex') })
+        .send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true, id: `${registered.body.id}:1`, duplicate: false });
+      await api().delete(`/api/clickup/webhooks/${registered.body.id}`).set(headers);
+    });
+  });
+
+  // Workspace 9001 has no spaces, so mirroring it leaves the contexts above on live data
+  describe('sync', () => {
+    test('syncs a workspace on request and reports its state', async () => {
+      expect((await api().get('/api/sync/9001').set(headers)).status).toBe(404);
+
+      const synced = await api().post('/api/sync/9001?wait=true').set(headers);
+      expect(synced.status).toBe(200);
+      expect(synced.body).toMatchObject({ workspaceId: '9001', state: 'idle', fresh: true });
+
+      const listed = await api().get('/api/sync').set(headers);
+      expect(listed.body.mirrors).toEqual([expect.objectContaining({ workspaceId: '9001' })]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+// The default fixtures plus 560 tasks updated over the last ten hours, more
+// than one changes context fetches
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock', 'fixtures', 'clickup.json'), 'utf8'));
+const bulkTasks = Array.from({ length: 560 }, (_, index) => ({
+  id: `bulk${String(index).padStart(3, '0')}`,
+  list_id: '300',
+  name: `Bulk task ${index}`,
+  status: 'to do',
+  assignees: [],
+  tags: [],
+  date_created: 'now-30d',
+  date_updated: `now-${index + 1}m`
+}));
+fixtures.tasks.push(...bulkTasks);
+
+describe('Changes context', () => {
+  let service;
+  let formatters;
+  let teamTaskPages = [];
+  const headers = { 'x-api-key': API_KEY, 'x-workspace-id': '9000', 'x-data-type': 'changes', 'x-format': 'json' };
+  const changes = userId => request(service.app).get('/context/clickup').set({ ...headers, 'x-user-id': userId });
+  const taskIds = res => JSON.parse(res.body.text).items.map(item => item.id);
+
+  beforeAll(async () => {
+    // Spied on before the server is loaded, so that a test can make rendering fail
+    formatters = require('../src/utils/formatters');
+    jest.spyOn(formatters, 'formatResponseForTypingMind');
+    service = await startService({ mock: { fixtures } });
+
+    const clickupService = require('../src/services/clickup.service');
+    const send = clickupService.transport;
+    clickupService.transport = (url, options) => {
+      const teamTasks = url.match(/\/team\/9000\/task\?page=(\d+)/);
+      if (teamTasks) {
+        teamTaskPages.push(Number(teamTasks[1]));
+      }
+      return send(url, options);
+    };
+  });
+
+  afterAll(() => service.close());
+
+  beforeEach(() => {
+    teamTaskPages = [];
+  });
+
+  test('pages through the changed tasks and picks up next time where a capped context stopped', async () => {
+    const first = await changes('paging-reader');
+
+    expect(first.status).toBe(200);
+    expect(teamTaskPages).toEqual([0, 1, 2, 3, 4]);
+    const served = taskIds(first);
+    expect(served).toHaveLength(500);
+    // The oldest are served first
+    expect(served[0]).toBe('bulk559');
+
+    teamTaskPages = [];
+    const second = await changes('paging-reader');
+
+    expect(second.status).toBe(200);
+    expect(teamTaskPages).toEqual([0]);
+    const next = taskIds(second);
+    // The last task served is shown once more, in case others were updated in the same millisecond
+    expect(next[0]).toBe(served[served.length - 1]);
+    expect(new Set([...served, ...next])).toEqual(new Set([
+      ...bulkTasks.map(task => task.id),
+      ...fixtures.tasks.filter(task => /^now-\d+[mh]$/.test(task.date_updated)).map(task => task.id)
+    ]));
+
+    const third = await changes('paging-reader');
+    expect(taskIds(third)).toEqual([]);
+  });
+
+  test('does not move the cursor past changes that failed to render', async () => {
+    formatters.formatResponseForTypingMind.mockImplementationOnce(() => {
+      throw new Error('Render failed');
+    });
+
+    const failed = await changes('render-reader');
+    expect(failed.status).toBe(500);
+
+    const retried = await changes('render-reader');
+    expect(retried.status).toBe(200);
+    expect(taskIds(retried)).toHaveLength(500);
+
+    const caughtUp = await changes('render-reader');
+    expect(taskIds(caughtUp).length).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,164 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { CircuitBreaker } = require('../src/utils/circuit-breaker');
+const { ClickUpApiError, NotFoundError, UnavailableError } = require('../src/utils/errors');
+
+const outage = () => Promise.reject(new ClickUpApiError('ClickUp responded with HTTP 503', { upstreamStatus: 503 }));
+
+describe('CircuitBreaker', () => {
+  const realNow = Date.now;
+  let clockOffset;
+  let breaker;
+
+  beforeEach(() => {
+    // A clock that only moves when a test moves it
+    const start = realNow();
+    clockOffset = 0;
+    Date.now = () => start + clockOffset;
+    breaker = new CircuitBreaker({ failureThreshold: 2, openMs: 30000 });
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  // Fail enough calls in a row to open the breaker for a family
+  async function open(family) {
+    await expect(breaker.run(family, outage)).rejects.toBeInstanceOf(ClickUpApiError);
+    await expect(breaker.run(family, outage)).rejects.toBeInstanceOf(ClickUpApiError);
+  }
+
+  test('opens after repeated failures and then fails fast', async () => {
+    await open('tasks');
+    const call = jest.fn();
+
+    const error = await breaker.run('tasks', call).catch(e => e);
+
+    expect(error).toBeInstanceOf(UnavailableError);
+    expect(error.retryAfterMs).toBe(30000);
+    expect(call).not.toHaveBeenCalled();
+    expect(breaker.getState().tasks).toMatchObject({ state: 'open', consecutiveFailures: 2 });
+  });
+
+  test('keeps each endpoint family apart', async () => {
+    await open('tasks');
+
+    await expect(breaker.run('hierarchy', async () => 'spaces')).resolves.toBe('spaces');
+  });
+
+  test('does not count responses that show ClickUp is up', async () => {
+    const notFound = () => Promise.reject(new NotFoundError('Task not found', { upstreamStatus: 404 }));
+
+    await expect(breaker.run('tasks', outage)).rejects.toBeInstanceOf(ClickUpApiError);
+    await expect(breaker.run('tasks', notFound)).rejects.toBeInstanceOf(NotFoundError);
+    await expect(breaker.run('tasks', outage)).rejects.toBeInstanceOf(ClickUpApiError);
+
+    expect(breaker.getState().tasks).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+  });
+
+  test('half-opens after the cool-down and closes when the trial call succeeds', async () => {
+    await open('tasks');
+    clockOffset = 30000;
+    expect(breaker.getState().tasks.state).toBe('half_open');
+
+    let finishTrial;
+    const trial = breaker.run('tasks', () => new Promise(resolve => { finishTrial = resolve; }));
+    // Only the trial call reaches ClickUp until it settles
+    await expect(breaker.run('tasks', async () => 'second')).rejects.toBeInstanceOf(UnavailableError);
+    finishTrial('first');
+
+    await expect(trial).resolves.toBe('first');
+    expect(breaker.getState().tasks).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    await expect(breaker.run('tasks', async () => 'third')).resolves.toBe('third');
+  });
+
+  test('opens again at once when the trial call fails', async () => {
+    await open('tasks');
+    clockOffset = 30000;
+
+    await expect(breaker.run('tasks', outage)).rejects.toBeInstanceOf(ClickUpApiError);
+
+    expect(breaker.getState().tasks.state).toBe('open');
+    await expect(breaker.run('tasks', async () => 'too soon')).rejects.toBeInstanceOf(UnavailableError);
+  });
+});
+
+describe('Context while ClickUp is unavailable', () => {
+  let service;
+  let clickupService;
+  let workingTransport;
+  const realNow = Date.now;
+  let clockOffset = 0;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice', 'x-workspace-id': '9000', 'x-format': 'json' };
+  const readTasks = extra => request(service.app).get('/context/clickup').set({ ...headers, ...extra });
+
+  beforeAll(async () => {
+    service = await startService({
+      env: {
+        CLICKUP_BREAKER_FAILURE_THRESHOLD: '2',
+        CLICKUP_BREAKER_OPEN_SECONDS: '30',
+        // Every read goes to ClickUp, so only the snapshot can stand in for it
+        CLICKUP_CACHE_TASKS_TTL_SECONDS: '0',
+        CLICKUP_CACHE_HIERARCHY_TTL_SECONDS: '0'
+      }
+    });
+    clickupService = require('../src/services/clickup.service');
+    workingTransport = clickupService.transport;
+    Date.now = () => realNow() + clockOffset;
+  });
+
+  afterAll(() => {
+    Date.now = realNow;
+    clickupService.transport = workingTransport;
+    return service.close();
+  });
+
+  test('serves the last good context once the breaker is open, and only then', async () => {
+    const live = await readTasks();
+    expect(live.status).toBe(200);
+    expect(live.headers['x-context-source']).toBe('live');
+
+    const failingTransport = jest.fn(async () => new Response(JSON.stringify({ err: 'Service unavailable' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    clickupService.transport = failingTransport;
+
+    // Failed calls are reported as they are until the breaker opens
+    const failed = await readTasks();
+    expect(failed.status).toBe(502);
+    expect(failed.body).toMatchObject({ type: '/problems/clickup-api', upstreamStatus: 503 });
+    expect(failed.body.degraded).toBeUndefined();
+
+    await readTasks();
+    expect(clickupService.circuitBreaker.getState().tasks.state).toBe('open');
+    const callsBefore = failingTransport.mock.calls.length;
+
+    const degraded = await readTasks();
+    expect(degraded.status).toBe(200);
+    expect(degraded.body).toMatchObject({ degraded: true, asOf: expect.any(String) });
+    expect(degraded.body.text).toContain('ClickUp unavailable.');
+    expect(degraded.body.text).toContain('Fix login redirect loop');
+    expect(failingTransport).toHaveBeenCalledTimes(callsBefore);
+  });
+
+  test('answers 503 with Retry-After where there is no snapshot for the request', async () => {
+    const res = await readTasks({ 'x-format': 'markdown' });
+
+    expect(res.status).toBe(503);
+    expect(res.body.type).toBe('/problems/unavailable');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('goes back to ClickUp once the breaker half-opens and ClickUp answers', async () => {
+    clickupService.transport = workingTransport;
+    clockOffset += 31 * 1000;
+
+    const res = await readTasks();
+
+    expect(res.status).toBe(200);
+    expect(res.body.degraded).toBeUndefined();
+    expect(res.headers['x-context-source']).toBe('live');
+    expect(clickupService.circuitBreaker.getState().tasks.state).toBe('closed');
+  });
+});
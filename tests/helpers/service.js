@@ -0,0 +1,56 @@
+/**
+ * Run the service against the mock ClickUp API
+ *
+ * The mock listens on a free port and the service is loaded against it. Jest
+ * gives every test file its own module registry, so each file that starts the
+ * service once gets its own ClickUp state, token store, cache and rate limiter.
+ */
+
+const { createMockClickUpServer } = require('../../mock/clickup-mock-server');
+
+const API_KEY = 'test-key';
+
+/**
+ * Start the mock ClickUp API and load the service app against it
+ * @param {object} options
+ * @param {object} options.mock Options for createMockClickUpServer, e.g. fixtures or rateLimitPerMinute
+ * @param {object|Function} options.env Environment variables the service is loaded with, or a
+ *   function of the mock's URL that returns them
+ * @returns {Promise<{app: object, state: object, mockUrl: string, close: Function}>} The service
+ *   app, the mock's state, the mock's URL and a function that stops the mock and restores the environment
+ */
+async function startService(options = {}) {
+  const mock = createMockClickUpServer(options.mock);
+  const server = await new Promise(resolve => {
+    const listening = mock.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const mockUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const extraEnv = typeof options.env === 'function' ? options.env(mockUrl) : options.env;
+  const env = { CLICKUP_API_BASE_URL: `${mockUrl}/api/v2`, ...extraEnv };
+  const previousEnv = {};
+  Object.keys(env).forEach(name => {
+    previousEnv[name] = process.env[name];
+    process.env[name] = env[name];
+  });
+
+  const app = require('../../src/server');
+
+  const close = () => {
+    Object.keys(previousEnv).forEach(name => {
+      if (previousEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previousEnv[name];
+      }
+    });
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  return { app, state: mock.locals.state, mockUrl, close };
+}
+
+module.exports = {
+  API_KEY,
+  startService
+};
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { analyzeIntent } = require('../src/utils/intent-analyzer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The workspace as getWorkspaceCatalog describes the mock's fixtures, plus a
+// list named after a space to tell the two apart
+const catalog = {
+  spaces: [{ id: '100', name: 'Engineering' }, { id: '101', name: 'Marketing' }],
+  folders: [{ id: '200', name: 'Sprints' }],
+  lists: [
+    { id: '300', name: 'Sprint 1' },
+    { id: '301', name: 'Backlog' },
+    { id: '302', name: 'Campaigns' },
+    { id: '303', name: 'Marketing' },
+    { id: '304', name: 'Marketing Ops' }
+  ],
+  members: [
+    { id: 1001, username: 'Alice Example', email: 'alice@example.com' },
+    { id: 1002, username: 'Bob Example', email: 'bob@example.com' }
+  ],
+  statuses: [
+    { status: 'to do', type: 'open' },
+    { status: 'in progress', type: 'custom' },
+    { status: 'blocked', type: 'custom' },
+    { status: 'complete', type: 'closed' },
+    { status: 'open', type: 'open' },
+    { status: 'closed', type: 'closed' }
+  ]
+};
+
+// Wednesday 2026-03-11 15:00 UTC
+const now = new Date(Date.UTC(2026, 2, 11, 15, 0, 0));
+const analyze = message => analyzeIntent(message, catalog, { now, timeZone: 'UTC' });
+
+describe('analyzeIntent', () => {
+  test('finds nothing to go on in small talk', () => {
+    expect(analyze('Thanks, that helps!')).toMatchObject({ dataTypes: null, filters: {}, entities: [] });
+    expect(analyze('')).toMatchObject({ dataTypes: null, query: null });
+  });
+
+  test('plans overdue tasks for a named member', () => {
+    const plan = analyze('Which of Bob\'s tasks are overdue?');
+
+    expect(plan).toMatchObject({
+      dataTypes: ['tasks'],
+      filters: { assignees: [1002], dueDateLt: now.getTime() },
+      entities: [{ type: 'assignee', id: 1002, name: 'Bob Example' }],
+      timePhrase: 'overdue',
+      query: 'Which of Bob\'s tasks are overdue?'
+    });
+  });
+
+  test('narrows tasks due this week to a space, in the requested time zone', () => {
+    const plan = analyze('What is due this week in Engineering?');
+    const monday = Date.UTC(2026, 2, 9);
+
+    expect(plan.dataTypes).toEqual(['tasks']);
+    expect(plan.filters).toEqual({ spaceIds: ['100'], dueDateGt: monday, dueDateLt: monday + 7 * DAY_MS });
+    expect(plan.reasons).toEqual(['message asks about tasks', 'matched space "Engineering"', 'time phrase "due this week"']);
+  });
+
+  test('resolves task-state words to the workspace\'s status names', () => {
+    // "Backlog" names the list here, it does not ask for open tasks
+    expect(analyze('Show me the blocked tickets in the Backlog').filters).toEqual({ listIds: ['301'], statuses: ['blocked'] });
+    expect(analyze('Which tickets are still in the backlog?').filters).toEqual({ listIds: ['301'] });
+
+    const done = analyze('What got completed in the last 3 days?');
+    expect(done.filters).toEqual({
+      dateUpdatedGt: now.getTime() - 3 * DAY_MS,
+      includeClosed: true,
+      statuses: ['complete', 'closed']
+    });
+    expect(done.states).toEqual(['closed']);
+    expect(done.dataTypes).toEqual(['tasks']);
+  });
+
+  test('prefers the entity type the message names and the longest matching name', () => {
+    expect(analyze('How is the Marketing space organized?')).toMatchObject({
+      dataTypes: ['hierarchy', 'tasks'],
+      filters: { spaceIds: ['101'] }
+    });
+    expect(analyze('Anything open in Marketing Ops?').filters).toEqual({ listIds: ['304'], statuses: ['to do', 'open'] });
+  });
+
+  test('picks the personal and catch-up data types', () => {
+    expect(analyze('What is on my plate?').dataTypes).toEqual(['my-work']);
+    expect(analyze('Catch me up').dataTypes).toEqual(['changes']);
+    // A time phrase narrows tasks, so the tasks come along
+    expect(analyze('Catch me up on what changed since yesterday')).toMatchObject({
+      dataTypes: ['changes', 'tasks'],
+      filters: { dateUpdatedGt: Date.UTC(2026, 2, 10) }
+    });
+    expect(analyze('List the spaces and folders').dataTypes).toEqual(['spaces', 'folders']);
+  });
+});
+
+describe('Intent analysis on /context/clickup-all', () => {
+  let service;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice', 'x-workspace-id': '9000', 'x-format': 'json' };
+  const contextAll = extra => request(service.app).get('/context/clickup-all').set({ ...headers, ...extra });
+
+  beforeAll(async () => {
+    service = await startService();
+  });
+
+  afterAll(() => service.close());
+
+  test('fetches only the data types and tasks the message is about', async () => {
+    const res = await contextAll({ 'x-data-types': 'spaces,tasks', 'x-last-user-message': 'Is anything blocked in the Backlog?' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.intent).toMatchObject({ dataTypes: ['tasks'], filters: { listIds: ['301'], statuses: ['blocked'] } });
+    const overview = JSON.parse(res.body.text).overview;
+    expect(Object.keys(overview)).toEqual(['tasks']);
+    expect(overview.tasks.items.map(item => item.task)).toEqual(['Upgrade the build pipeline']);
+  });
+
+  test('keeps the requested data types when the message names none of them, or intent is off', async () => {
+    const smallTalk = await contextAll({ 'x-data-types': 'spaces,tasks', 'x-last-user-message': 'Good morning!' });
+    expect(smallTalk.body.intent.dataTypes).toBeNull();
+    expect(Object.keys(JSON.parse(smallTalk.body.text).overview)).toEqual(['spaces', 'tasks']);
+
+    const off = await contextAll({ 'x-data-types': 'spaces,tasks', 'x-last-user-message': 'Is anything blocked?', 'x-intent': 'off' });
+    expect(off.body.intent).toBeUndefined();
+    expect(Object.keys(JSON.parse(off.body.text).overview)).toEqual(['spaces', 'tasks']);
+  });
+});
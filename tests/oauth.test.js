@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+const REDIRECT_URI = 'http://localhost/auth/clickup/callback';
+
+describe('ClickUp OAuth flow against the mock ClickUp API', () => {
+  let service;
+  const api = () => request(service.app);
+
+  beforeAll(async () => {
+    service = await startService({
+      env: mockUrl => ({
+        CLICKUP_OAUTH_CLIENT_ID: 'mock_client_id',
+        CLICKUP_OAUTH_CLIENT_SECRET: 'mock_client_secret',
+        CLICKUP_OAUTH_REDIRECT_URI: REDIRECT_URI,
+        CLICKUP_OAUTH_AUTHORIZE_URL: `${mockUrl}/api`,
+        // Only the user's own token may be used, never the environment's
+        CLICKUP_TOKEN_MODE: 'user'
+      })
+    });
+  });
+
+  afterAll(() => service.close());
+
+  // Start a flow for a user and return the ClickUp authorisation URL
+  async function start(userId) {
+    const res = await api().get(`/auth/clickup/start?user_id=${userId}`).set({ 'x-api-key': API_KEY });
+
+    expect(res.status).toBe(302);
+    const authorizeUrl = new URL(res.headers.location);
+    expect(authorizeUrl.origin + authorizeUrl.pathname).toBe(`${service.mockUrl}/api`);
+    expect(authorizeUrl.searchParams.get('client_id')).toBe('mock_client_id');
+    expect(authorizeUrl.searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+    return authorizeUrl;
+  }
+
+  // Approve (or deny) the app on the mock's authorisation page and return the
+  // query that ClickUp sends back to the callback
+  async function authorize(authorizeUrl, params) {
+    Object.entries(params).forEach(([name, value]) => authorizeUrl.searchParams.set(name, value));
+    const res = await fetch(authorizeUrl, { redirect: 'manual' });
+
+    expect(res.status).toBe(302);
+    const callbackUrl = new URL(res.headers.get('location'));
+    expect(callbackUrl.origin + callbackUrl.pathname).toBe(REDIRECT_URI);
+    return callbackUrl.search;
+  }
+
+  test('exchanges the code for a token that only covers the authorised workspaces', async () => {
+    const callbackQuery = await authorize(await start('alice'), { user: '1001', teams: '9001' });
+
+    const res = await api().get(`/auth/clickup/callback${callbackQuery}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, userId: 'alice', workspaces: [{ id: '9001' }] });
+
+    // The mock only takes the client credentials and code as query parameters,
+    // so an issued grant means the exchange sent them that way
+    const grants = Object.values(service.state.oauthGrants);
+    expect(grants).toEqual([{ userId: '1001', teams: ['9001'] }]);
+    expect(service.state.oauthCodes).toEqual({});
+
+    const authorised = await api()
+      .get('/api/clickup/workspaces/9001/spaces')
+      .set({ 'x-api-key': API_KEY, 'x-user-id': 'alice' });
+    expect(authorised.status).toBe(200);
+
+    const unauthorised = await api()
+      .get('/api/clickup/workspaces/9000/spaces')
+      .set({ 'x-api-key': API_KEY, 'x-user-id': 'alice' });
+    expect(unauthorised.status).toBe(401);
+    expect(unauthorised.body.type).toBe('/problems/auth');
+    expect(unauthorised.body.detail).toContain('does not cover workspace 9000');
+  });
+
+  test('rejects a replayed callback, as its state was used up', async () => {
+    const callbackQuery = await authorize(await start('bob'), { user: '1002' });
+
+    expect((await api().get(`/auth/clickup/callback${callbackQuery}`)).status).toBe(200);
+    const replay = await api().get(`/auth/clickup/callback${callbackQuery}`);
+
+    expect(replay.status).toBe(400);
+    expect(replay.body.type).toBe('/problems/validation');
+    expect(replay.body.detail).toBe('Unknown or expired OAuth state, please start the authorisation again');
+  });
+
+  test('rejects a callback whose state does not match a started flow', async () => {
+    const callbackQuery = new URLSearchParams(await authorize(await start('carol'), { user: '1001' }));
+    callbackQuery.set('state', 'not-the-state-we-sent');
+
+    const res = await api().get(`/auth/clickup/callback?${callbackQuery}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.detail).toBe('Unknown or expired OAuth state, please start the authorisation again');
+    // The code was never exchanged
+    expect(Object.keys(service.state.oauthCodes)).toEqual([callbackQuery.get('code')]);
+  });
+
+  test('does not log the client secret or code of a failed token exchange', async () => {
+    const callbackQuery = new URLSearchParams(await authorize(await start('erin'), { user: '1001' }));
+    callbackQuery.set('code', 'mock_code_not_issued');
+    const errorLog = jest.spyOn(console, 'error');
+
+    const res = await api().get(`/auth/clickup/callback?${callbackQuery}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ upstreamStatus: 400, ecode: 'OAUTH_014' });
+    const logged = errorLog.mock.calls.flat().join('\n');
+    errorLog.mockRestore();
+    expect(logged).toContain('client_secret=****');
+    expect(logged).not.toContain('mock_client_secret');
+    expect(logged).not.toContain('mock_code_not_issued');
+  });
+
+  test('reports a denied authorisation', async () => {
+    const callbackQuery = await authorize(await start('dave'), { deny: '1' });
+
+    const res = await api().get(`/auth/clickup/callback${callbackQuery}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.detail).toBe('ClickUp authorisation was not granted: access_denied');
+  });
+});
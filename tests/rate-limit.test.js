@@ -0,0 +1,30 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+describe('ClickUp rate limiting', () => {
+  let service;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice' };
+
+  beforeAll(async () => {
+    // The mock allows two calls per token per minute, and the service does not
+    // queue calls itself, so the third call reaches ClickUp and is refused
+    service = await startService({
+      mock: { rateLimitPerMinute: 2 },
+      env: { CLICKUP_RATE_LIMIT_PER_MINUTE: '0' }
+    });
+  });
+
+  afterAll(() => service.close());
+
+  test('answers 429 with Retry-After once ClickUp\'s limit is used up', async () => {
+    expect((await request(service.app).get('/api/clickup/spaces/100/folders').set(headers)).status).toBe(200);
+    expect((await request(service.app).get('/api/clickup/spaces/100/lists').set(headers)).status).toBe(200);
+
+    const res = await request(service.app).get('/api/clickup/folders/200/lists').set(headers);
+
+    expect(res.status).toBe(429);
+    expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+    expect(res.body.type).toBe('/problems/rate-limited');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
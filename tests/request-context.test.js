@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+describe('Request IDs and coalesced ClickUp calls', () => {
+  let service;
+  let clickupService;
+  let getCurrentRequestId;
+  const api = () => request(service.app);
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice' };
+
+  // The ClickUp calls made during the current test, with the
+  // request ID of the request each was made for, as the service sees it
+  let clickUpCalls = [];
+
+  beforeAll(async () => {
+    service = await startService();
+    clickupService = require('../src/services/clickup.service');
+    ({ getCurrentRequestId } = require('../src/utils/logger'));
+    const send = clickupService.transport;
+    clickupService.transport = (url, options) => {
+      clickUpCalls.push({ path: url.replace(/^.*\/api\/v2/, ''), requestId: getCurrentRequestId() });
+      return send(url, options);
+    };
+  });
+
+  afterAll(() => service.close());
+
+  beforeEach(() => {
+    clickUpCalls = [];
+  });
+
+  test('keeps the caller\'s X-Request-Id and carries it down to the ClickUp calls', async () => {
+    const res = await api().get('/api/clickup/tasks/86abc001').set({ ...headers, 'x-request-id': 'typingmind-42.a:b' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-request-id']).toBe('typingmind-42.a:b');
+    expect(clickUpCalls).toEqual([{ path: '/task/86abc001', requestId: 'typingmind-42.a:b' }]);
+  });
+
+  test('generates an ID when there is none or it is not safe to log', async () => {
+    const generated = await api().get('/health');
+    expect(generated.headers['x-request-id']).toMatch(/^[a-z0-9]+$/);
+
+    const unsafe = await api().get('/health').set('x-request-id', 'id with spaces; and=more');
+    expect(unsafe.headers['x-request-id']).toMatch(/^[a-z0-9]+$/);
+    expect((await api().get('/health').set('x-request-id', 'x'.repeat(129))).headers['x-request-id']).not.toBe('x'.repeat(129));
+  });
+
+  test('reports the ID in problem+json bodies', async () => {
+    const res = await api().get('/api/clickup/tasks/86abc999').set({ ...headers, 'x-request-id': 'trace-404' });
+
+    expect(res.status).toBe(404);
+    expect(res.headers['x-request-id']).toBe('trace-404');
+    expect(res.body).toMatchObject({ type: '/problems/not-found', requestId: 'trace-404' });
+
+    const unauthorized = await api().get('/api/clickup/workspaces').set('x-request-id', 'trace-401');
+    expect(unauthorized.status).toBe(401);
+    expect(unauthorized.body.requestId).toBe('trace-401');
+  });
+
+  test('identical reads in flight together share one ClickUp call', async () => {
+    const before = clickupService.coalescer.getMetrics();
+    const read = requestId => api().get('/api/clickup/lists/302/tasks').set({ ...headers, 'x-request-id': requestId });
+
+    const [first, second] = await Promise.all([read('reader-1'), read('reader-2')]);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect([first.headers['x-request-id'], second.headers['x-request-id']]).toEqual(['reader-1', 'reader-2']);
+    expect(clickUpCalls.filter(call => call.path.startsWith('/list/302/task'))).toHaveLength(1);
+    expect(clickupService.coalescer.getMetrics().coalesced).toBe(before.coalesced + 1);
+  });
+});
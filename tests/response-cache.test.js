@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { ResponseCache } = require('../src/utils/response-cache');
+
+describe('Response cache behind the context endpoint', () => {
+  let service;
+  let clickupService;
+  // The clock the service sees, moved forward to expire cache entries. It
+  // never goes back, as rate limit windows and token buckets expect.
+  const realNow = Date.now;
+  let clockOffset = 0;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice', 'x-workspace-id': '9000', 'x-format': 'json' };
+
+  const readTasks = () => request(service.app).get('/context/clickup').set(headers);
+  const taskNames = res => JSON.parse(res.body.text).items.map(item => item.task);
+  // The X-Cache header as counts, e.g. { hit: 1, stale: 0, miss: 0 }
+  const cacheOutcome = res => Object.fromEntries(res.headers['x-cache'].split(', ').map(part => {
+    const [outcome, count] = part.split('=');
+    return [outcome, Number(count)];
+  }));
+
+  beforeAll(async () => {
+    service = await startService();
+    clickupService = require('../src/services/clickup.service');
+    Date.now = () => realNow() + clockOffset;
+  });
+
+  afterAll(() => {
+    Date.now = realNow;
+    return service.close();
+  });
+
+  test('serves a repeated read from the cache', async () => {
+    const first = await readTasks();
+    expect(first.status).toBe(200);
+    expect(cacheOutcome(first)).toMatchObject({ hit: 0, miss: 1 });
+
+    const second = await readTasks();
+    expect(cacheOutcome(second)).toEqual({ hit: 1, stale: 0, miss: 0 });
+    expect(second.body.text).toBe(first.body.text);
+  });
+
+  test('serves an expired entry as stale while refreshing it in the background', async () => {
+    service.state.tasks.find(task => task.id === '86abc001').name = 'Fix the login redirect loop, again';
+
+    // Past the 30 second task TTL, within the 5 minute stale window
+    clockOffset += 31 * 1000;
+
+    const stale = await readTasks();
+    expect(cacheOutcome(stale)).toEqual({ hit: 0, stale: 1, miss: 0 });
+    expect(taskNames(stale)).toContain('Fix login redirect loop');
+
+    await waitFor(() => clickupService.cache.refreshing.size === 0);
+
+    const refreshed = await readTasks();
+    expect(cacheOutcome(refreshed)).toEqual({ hit: 1, stale: 0, miss: 0 });
+    expect(taskNames(refreshed)).toContain('Fix the login redirect loop, again');
+  });
+
+  test('goes back to ClickUp once an entry is past the stale window', async () => {
+    expect(cacheOutcome(await readTasks())).toMatchObject({ hit: 1 });
+
+    clockOffset += 10 * 60 * 1000;
+
+    const res = await readTasks();
+
+    expect(cacheOutcome(res)).toEqual({ hit: 0, stale: 0, miss: 1 });
+  });
+
+  test('a write drops the cached reads it makes out of date', async () => {
+    expect(cacheOutcome(await readTasks())).toMatchObject({ miss: 0 });
+
+    const updated = await request(service.app)
+      .put('/api/clickup/tasks/86abc002')
+      .set(headers)
+      .send({ name: 'Add rate limit headers everywhere' });
+    expect(updated.status).toBe(200);
+
+    const res = await readTasks();
+    expect(cacheOutcome(res)).toEqual({ hit: 0, stale: 0, miss: 1 });
+    expect(taskNames(res)).toContain('Add rate limit headers everywhere');
+  });
+});
+
+describe('ResponseCache', () => {
+  const config = { ttlMs: { tasks: 30000, hierarchy: 600000 }, staleMs: 300000, maxEntries: 2 };
+  const url = 'https://clickup.test/api/v2/task/86abc001';
+
+  test('does not store a load that started before an invalidation', async () => {
+    const cache = new ResponseCache(config);
+    let finishLoad;
+    const pending = cache.fetch(url, 'pk_mock_alice', () => new Promise(resolve => { finishLoad = resolve; }));
+
+    cache.invalidate('https://clickup.test/api/v2/task/86abc001');
+    finishLoad({ name: 'Before the write' });
+
+    await expect(pending).resolves.toEqual({ name: 'Before the write' });
+    expect(cache.entries.size).toBe(0);
+  });
+
+  test('keeps entries apart per token', async () => {
+    const cache = new ResponseCache(config);
+    await cache.fetch(url, 'pk_mock_alice', async () => ({ seenBy: 'alice' }));
+
+    await expect(cache.fetch(url, 'pk_mock_bob', async () => ({ seenBy: 'bob' }))).resolves.toEqual({ seenBy: 'bob' });
+    await expect(cache.fetch(url, 'pk_mock_alice', async () => ({ seenBy: 'nobody' }))).resolves.toEqual({ seenBy: 'alice' });
+  });
+
+  test('evicts the oldest entries beyond the maximum', async () => {
+    const cache = new ResponseCache(config);
+    for (const taskId of ['86abc001', '86abc002', '86abc003']) {
+      await cache.fetch(`https://clickup.test/api/v2/task/${taskId}`, 'pk_mock_alice', async () => ({ id: taskId }));
+    }
+
+    expect(Array.from(cache.entries.keys()).map(key => key.split('/').pop())).toEqual(['86abc002', '86abc003']);
+  });
+});
+
+// Wait for a condition that background work makes true, by polling a few times
+async function waitFor(condition, attempts = 100) {
+  for (let attempt = 0; !condition(); attempt++) {
+    if (attempt >= attempts) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
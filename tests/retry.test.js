@@ -0,0 +1,183 @@
+const fetch = require('node-fetch');
+const { createMockClickUpServer } = require('../mock/clickup-mock-server');
+const { ClickUpService } = require('../src/services/clickup.service');
+const { RateLimiter } = require('../src/utils/rate-limiter');
+const { tokenIdentity } = require('../src/utils/response-cache');
+const { getRetryDelay, parseRateLimitReset } = require('../src/utils/retry-policy');
+
+const policy = { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 60000 };
+
+// A ClickUp response as the transport returns it
+const clickUpResponse = (status, body = {}, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+describe('getRetryDelay', () => {
+  test('does not retry once the retries are used up', () => {
+    expect(getRetryDelay({ upstreamStatus: 503 }, 2, 'GET', policy)).not.toBeNull();
+    expect(getRetryDelay({ upstreamStatus: 503 }, 3, 'GET', policy)).toBeNull();
+    expect(getRetryDelay({ upstreamStatus: 503 }, 0, 'GET', { ...policy, maxRetries: 0 })).toBeNull();
+  });
+
+  test('backs off exponentially with equal jitter, up to the longest wait', () => {
+    [0, 1, 2].forEach(attempt => {
+      const backoff = Math.min(policy.baseDelayMs * 2 ** attempt, policy.maxDelayMs);
+      expect(getRetryDelay({ upstreamStatus: 502 }, attempt, 'GET', policy, () => 0)).toBe(backoff / 2);
+      expect(getRetryDelay({ upstreamStatus: 502 }, attempt, 'GET', policy, () => 0.999999)).toBe(backoff);
+    });
+
+    const capped = { maxRetries: 10, baseDelayMs: 500, maxDelayMs: 2000 };
+    expect(getRetryDelay({ isNetworkError: true }, 8, 'GET', capped, () => 0.999999)).toBe(2000);
+  });
+
+  test('waits for the rate limit reset, plus jitter', () => {
+    const error = { upstreamStatus: 429, retryAfterMs: 4000 };
+
+    expect(getRetryDelay(error, 0, 'GET', policy, () => 0)).toBe(4000);
+    expect(getRetryDelay(error, 0, 'GET', policy, () => 0.999999)).toBe(4500);
+  });
+
+  test('gives up when the reset is further away than the longest wait', () => {
+    expect(getRetryDelay({ upstreamStatus: 429, retryAfterMs: 61000 }, 0, 'GET', policy)).toBeNull();
+  });
+
+  test('only retries a POST that ClickUp rejected with a 429', () => {
+    expect(getRetryDelay({ upstreamStatus: 503 }, 0, 'POST', policy)).toBeNull();
+    expect(getRetryDelay({ isNetworkError: true }, 0, 'POST', policy)).toBeNull();
+    expect(getRetryDelay({ upstreamStatus: 429, retryAfterMs: 1000 }, 0, 'POST', policy)).not.toBeNull();
+    expect(getRetryDelay({ upstreamStatus: 503 }, 0, 'PUT', policy)).not.toBeNull();
+  });
+
+  test('does not retry client errors', () => {
+    [400, 401, 404].forEach(upstreamStatus => {
+      expect(getRetryDelay({ upstreamStatus }, 0, 'GET', policy)).toBeNull();
+    });
+  });
+});
+
+describe('parseRateLimitReset', () => {
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+  const headers = values => new Headers(values);
+
+  test('reads X-RateLimit-Reset as Unix seconds', () => {
+    expect(parseRateLimitReset(headers({ 'X-RateLimit-Reset': String(now / 1000 + 42) }), now)).toBe(42000);
+    expect(parseRateLimitReset(headers({ 'X-RateLimit-Reset': String(now / 1000 - 5) }), now)).toBe(0);
+  });
+
+  test('prefers Retry-After, in seconds or as a date', () => {
+    expect(parseRateLimitReset(headers({ 'Retry-After': '7', 'X-RateLimit-Reset': String(now / 1000 + 42) }), now)).toBe(7000);
+    expect(parseRateLimitReset(headers({ 'Retry-After': new Date(now + 3000).toUTCString() }), now)).toBe(3000);
+  });
+
+  test('is null without either header', () => {
+    expect(parseRateLimitReset(headers({}), now)).toBeNull();
+  });
+});
+
+describe('ClickUp calls that fail', () => {
+  const url = 'https://clickup.test/api/v2/task/86abc001';
+  const headers = { Authorization: 'pk_mock_alice', 'Content-Type': 'application/json' };
+
+  // A service whose transport answers with the given responses in turn
+  function serviceAnswering(...responses) {
+    const transport = jest.fn(async () => {
+      const next = responses.length > 1 ? responses.shift() : responses[0];
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next();
+    });
+    const service = new ClickUpService({ baseUrl: 'https://clickup.test/api/v2', transport });
+    service.retryPolicy = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5000 };
+    return { service, transport };
+  }
+
+  test('retries a GET after a 5xx or a dropped connection', async () => {
+    const { service, transport } = serviceAnswering(
+      () => clickUpResponse(503, { err: 'Unavailable' }),
+      new Error('socket hang up'),
+      () => clickUpResponse(200, { id: '86abc001' })
+    );
+
+    await expect(service.requestFromClickUp(url, 'GET', headers)).resolves.toEqual({ id: '86abc001' });
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops after the last retry', async () => {
+    const { service, transport } = serviceAnswering(() => clickUpResponse(502, { err: 'Bad gateway' }));
+
+    await expect(service.requestFromClickUp(url, 'GET', headers)).rejects.toMatchObject({ upstreamStatus: 502 });
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry a POST that may have succeeded', async () => {
+    const { service, transport } = serviceAnswering(() => clickUpResponse(500, { err: 'Internal error' }));
+
+    await expect(service.requestFromClickUp(`${url}/comment`, 'POST', headers, { comment_text: 'Once' }))
+      .rejects.toMatchObject({ upstreamStatus: 500 });
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a rate-limited POST once X-RateLimit-Reset has passed', async () => {
+    const resetAt = (Math.floor(Date.now() / 1000) + 1) * 1000;
+    const { service, transport } = serviceAnswering(
+      () => clickUpResponse(429, { err: 'Rate limit reached', ECODE: 'APP_002' }, { 'X-RateLimit-Reset': String(resetAt / 1000) }),
+      () => clickUpResponse(200, { id: 'comment-1' })
+    );
+
+    await expect(service.requestFromClickUp(`${url}/comment`, 'POST', headers, { comment_text: 'Once' }))
+      .resolves.toEqual({ id: 'comment-1' });
+    expect(transport).toHaveBeenCalledTimes(2);
+    // Allow for timers firing a little early
+    expect(Date.now()).toBeGreaterThanOrEqual(resetAt - 20);
+  });
+});
+
+describe('ClickUp rate limits with the mock ClickUp API', () => {
+  let server;
+  let baseUrl;
+  const headers = { Authorization: 'pk_mock_alice', 'Content-Type': 'application/json' };
+
+  beforeEach(async () => {
+    // A fresh mock for each test, so each starts with a new rate limit window
+    const mock = createMockClickUpServer({ rateLimitPerMinute: 2 });
+    server = await new Promise(resolve => {
+      const listening = mock.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v2`;
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  test('holds back further calls until X-RateLimit-Reset once the limit is used up', async () => {
+    const transport = jest.fn(fetch);
+    const service = new ClickUpService({ baseUrl, transport });
+    service.rateLimiter = new RateLimiter(100);
+
+    await service.requestFromClickUp(`${baseUrl}/team`, 'GET', headers);
+    const response = await transport.mock.results[0].value;
+    expect(response.headers.get('x-ratelimit-remaining')).toBe('1');
+    await service.requestFromClickUp(`${baseUrl}/user`, 'GET', headers);
+
+    const reset = Number((await transport.mock.results[1].value).headers.get('x-ratelimit-reset'));
+    const bucket = service.rateLimiter.buckets.get(tokenIdentity('pk_mock_alice'));
+    expect(bucket.tokens).toBe(0);
+    expect(Math.abs(bucket.pausedUntil - reset * 1000)).toBeLessThan(1000);
+  });
+
+  test('passes on a 429 whose reset is further away than the longest wait', async () => {
+    const transport = jest.fn(fetch);
+    const service = new ClickUpService({ baseUrl, transport });
+    service.rateLimiter = new RateLimiter(0);
+    service.retryPolicy = { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 1000 };
+
+    await service.requestFromClickUp(`${baseUrl}/team`, 'GET', headers);
+    await service.requestFromClickUp(`${baseUrl}/user`, 'GET', headers);
+    const error = await service.requestFromClickUp(`${baseUrl}/space/100/folder`, 'GET', headers).catch(e => e);
+
+    expect(error).toMatchObject({ upstreamStatus: 429, ecode: 'APP_002' });
+    expect(error.retryAfterMs).toBeGreaterThan(1000);
+    expect(transport).toHaveBeenCalledTimes(3);
+  });
+});
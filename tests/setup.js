@@ -0,0 +1,21 @@
+// Environment shared by every test file. Stores that persist to disk write to
+// a temporary directory, and failed ClickUp calls are not retried so that
+// error paths answer at once.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clickup-typingmind-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  API_KEYS: 'test-key',
+  CLICKUP_API_TOKEN: 'pk_mock_alice',
+  CLICKUP_TOKEN_MODE: 'user-then-env',
+  CLICKUP_RETRY_MAX_RETRIES: '0',
+  CONTEXT_PROFILES_FILE: path.join(dataDir, 'profiles.json'),
+  CLICKUP_WEBHOOKS_FILE: path.join(dataDir, 'webhooks.json'),
+  CURSOR_STORE_FILE: path.join(dataDir, 'cursors.json'),
+  MIRROR_DIR: path.join(dataDir, 'mirror')
+});
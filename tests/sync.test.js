@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+describe('Workspace mirror syncs against the mock ClickUp API', () => {
+  let service;
+  let clickupService;
+  let transport;
+  let firstSync;
+  let secondSync;
+  const api = () => request(service.app);
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice' };
+
+  // The ClickUp paths, with their query, requested since the transport was last cleared
+  const requestedPaths = () => transport.mock.calls.map(([url]) => url.replace(/^.*\/api\/v2/, ''));
+
+  beforeAll(async () => {
+    service = await startService();
+    clickupService = require('../src/services/clickup.service');
+    const send = clickupService.transport;
+    transport = jest.fn((url, options) => send(url, options));
+    clickupService.transport = transport;
+  });
+
+  afterAll(() => service.close());
+
+  test('the first sync crawls every list of the workspace', async () => {
+    const res = await api().post('/api/sync/9000?wait=true').set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      workspaceId: '9000',
+      state: 'idle',
+      fresh: true,
+      counts: { spaces: 2, lists: 3, tasks: service.state.tasks.length }
+    });
+    expect(Date.parse(res.body.lastFullSyncAt)).toBeLessThanOrEqual(Date.parse(res.body.syncedAt));
+
+    const paths = requestedPaths();
+    ['300', '301', '302'].forEach(listId => {
+      expect(paths.some(path => path.startsWith(`/list/${listId}/task?`))).toBe(true);
+    });
+    expect(paths.some(path => path.startsWith('/team/9000/task?'))).toBe(false);
+    firstSync = res.body;
+  });
+
+  test('a second sync only asks for the tasks updated since the first', async () => {
+    const task = service.state.tasks.find(candidate => candidate.id === '86abc004');
+    task.name = 'Upgrade the build pipeline to Node 20';
+    task.date_updated = String(Date.now());
+    transport.mockClear();
+
+    const res = await api().post('/api/sync/9000?wait=true').set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.lastFullSyncAt).toBe(firstSync.lastFullSyncAt);
+    expect(res.body.counts.tasks).toBe(firstSync.counts.tasks);
+
+    const taskQueries = requestedPaths().filter(path => /\/task\?/.test(path));
+    expect(taskQueries).toHaveLength(1);
+    expect(taskQueries[0]).toMatch(/^\/team\/9000\/task\?/);
+    // Since the first sync started, less the minute of overlap that catches updates made while it ran
+    const query = new URL(`http://clickup.test${taskQueries[0]}`).searchParams;
+    expect(Number(query.get('date_updated_gt'))).toBe(Date.parse(firstSync.lastFullSyncAt) - 60 * 1000);
+    secondSync = res.body;
+  });
+
+  test('context is then served from the mirror', async () => {
+    transport.mockClear();
+
+    const res = await api()
+      .get('/context/clickup')
+      .set({ ...headers, 'x-workspace-id': '9000', 'x-format': 'json' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-context-source']).toBe('mirror');
+    expect(res.body).toMatchObject({ source: 'mirror', syncedAt: secondSync.syncedAt });
+    expect(JSON.parse(res.body.text).items.map(item => item.task)).toContain('Upgrade the build pipeline to Node 20');
+    expect(requestedPaths().filter(path => /\/task\?/.test(path))).toEqual([]);
+  });
+
+  test('x-context-source: live still goes to ClickUp', async () => {
+    const res = await api()
+      .get('/context/clickup')
+      .set({ ...headers, 'x-workspace-id': '9000', 'x-context-source': 'live' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-context-source']).toBe('live');
+  });
+
+  test('a full sync can be asked for', async () => {
+    transport.mockClear();
+
+    const res = await api().post('/api/sync/9000?wait=true&full=true').set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.lastFullSyncAt).not.toBe(firstSync.lastFullSyncAt);
+    expect(requestedPaths().some(path => path.startsWith('/list/300/task?'))).toBe(true);
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { buildTaskFilterQuery, matchesTaskFilters, parseFilterDate, parseTaskFilters } = require('../src/utils/task-filters');
+
+const now = Date.UTC(2026, 2, 11, 12, 0, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('parseTaskFilters', () => {
+  test('reads lists, booleans and dates from query parameters', () => {
+    const { filters, errors } = parseTaskFilters({
+      list_ids: '300,301',
+      assignees: ['1001', '1002'],
+      statuses: 'to do, in progress',
+      include_closed: '1',
+      subtasks: 'false',
+      due_after: '-7d',
+      due_before: '2026-04-01',
+      updated_after: '1767225600000',
+      limit: '5'
+    }, { now });
+
+    expect(errors).toEqual([]);
+    expect(filters).toEqual({
+      listIds: ['300', '301'],
+      assignees: ['1001', '1002'],
+      statuses: ['to do', 'in progress'],
+      includeClosed: true,
+      subtasks: false,
+      dueDateGt: now - 7 * DAY_MS,
+      dueDateLt: Date.parse('2026-04-01'),
+      dateUpdatedGt: 1767225600000
+    });
+  });
+
+  test('lists every problem, under the query parameter names', () => {
+    const { errors } = parseTaskFilters({
+      assignees: 'alice',
+      space_ids: '100;drop',
+      include_closed: 'maybe',
+      due_after: 'next tuesday',
+      updated_after: '7d',
+      updated_before: '-7d',
+      tags: Array.from({ length: 51 }, (_, index) => `tag-${index}`)
+    }, { now });
+
+    expect(errors).toEqual([
+      'include_closed must be true or false',
+      'due_after must be a date: epoch milliseconds, ISO 8601, "now" or an offset such as 7d or -12h',
+      'space_ids must be ClickUp IDs (letters, digits, dashes and underscores)',
+      'assignees must be numeric ClickUp member IDs',
+      'tags must have at most 50 values',
+      'updated_after must be before updated_before'
+    ]);
+  });
+
+  test('ignores empty values and parameters that are not filters', () => {
+    expect(parseTaskFilters({ statuses: '', source: 'live' })).toEqual({ filters: {}, errors: [] });
+  });
+});
+
+describe('parseFilterDate', () => {
+  test('accepts now, signed offsets, epoch milliseconds and ISO dates', () => {
+    expect(parseFilterDate('now', now)).toBe(now);
+    expect(parseFilterDate('12h', now)).toBe(now + 12 * 60 * 60 * 1000);
+    // A "+" in a query string arrives as a space
+    expect(parseFilterDate(' 2w', now)).toBe(now + 14 * DAY_MS);
+    expect(parseFilterDate('-3d', now)).toBe(now - 3 * DAY_MS);
+    expect(parseFilterDate('1767225600000', now)).toBe(1767225600000);
+    expect(parseFilterDate('2026-03-01T09:30:00Z', now)).toBe(Date.UTC(2026, 2, 1, 9, 30));
+    expect(parseFilterDate('2026-13-45', now)).toBeNull();
+    expect(parseFilterDate('soon', now)).toBeNull();
+  });
+});
+
+describe('buildTaskFilterQuery', () => {
+  test('maps filters to ClickUp\'s team task query parameters', () => {
+    expect(buildTaskFilterQuery({ listIds: ['300', '301'], statuses: ['to do'], includeClosed: true, dueDateLt: 1767225600000 }))
+      .toBe('&list_ids%5B%5D=300&list_ids%5B%5D=301&statuses%5B%5D=to%20do&include_closed=true&due_date_lt=1767225600000');
+    expect(buildTaskFilterQuery({})).toBe('');
+  });
+});
+
+describe('matchesTaskFilters', () => {
+  const task = {
+    list: { id: '300' },
+    status: { status: 'In Progress', type: 'custom' },
+    assignees: [{ id: 1001 }],
+    tags: [{ name: 'bug' }],
+    due_date: String(now + DAY_MS),
+    date_updated: String(now - DAY_MS)
+  };
+
+  test('applies filters the way ClickUp does', () => {
+    expect(matchesTaskFilters(task, { listIds: ['300'], statuses: ['in progress'], assignees: ['1001'], tags: ['BUG'] })).toBe(true);
+    expect(matchesTaskFilters(task, { dueDateGt: now, dueDateLt: now + 2 * DAY_MS, dateUpdatedGt: now - 2 * DAY_MS })).toBe(true);
+    expect(matchesTaskFilters(task, { listIds: ['301'] })).toBe(false);
+    expect(matchesTaskFilters(task, { dueDateLt: now })).toBe(false);
+  });
+
+  test('leaves out closed tasks and subtasks unless asked for', () => {
+    const closed = { ...task, status: { status: 'complete', type: 'closed' } };
+    const subtask = { ...task, parent: '86abc002' };
+
+    expect(matchesTaskFilters(closed, {})).toBe(false);
+    expect(matchesTaskFilters(closed, { includeClosed: true })).toBe(true);
+    expect(matchesTaskFilters(subtask, {})).toBe(false);
+    expect(matchesTaskFilters(subtask, { subtasks: true })).toBe(true);
+  });
+});
+
+describe('Task filters on the context and recent-tasks endpoints', () => {
+  let service;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice', 'x-workspace-id': '9000' };
+
+  beforeAll(async () => {
+    service = await startService();
+  });
+
+  afterAll(() => service.close());
+
+  test('the context endpoint filters tasks', async () => {
+    const res = await request(service.app)
+      .get('/context/clickup?tags=infra&include_closed=true')
+      .set({ ...headers, 'x-format': 'json' });
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body.text).items.map(item => item.task)).toEqual(['Upgrade the build pipeline']);
+  });
+
+  test('the context endpoint answers invalid filters with a 400 problem listing each one', async () => {
+    const res = await request(service.app)
+      .get('/context/clickup?assignees=alice&due_before=someday')
+      .set(headers);
+
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toMatchObject({
+      type: '/problems/validation',
+      status: 400,
+      detail: 'Invalid task filters',
+      instance: '/context/clickup?assignees=alice&due_before=someday',
+      errors: [
+        'due_before must be a date: epoch milliseconds, ISO 8601, "now" or an offset such as 7d or -12h',
+        'assignees must be numeric ClickUp member IDs'
+      ]
+    });
+  });
+
+  test('recent-tasks rejects invalid filters the same way', async () => {
+    const res = await request(service.app)
+      .get('/api/clickup/workspaces/9000/recent-tasks?include_closed=yes')
+      .set(headers);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ detail: 'Invalid task filters', errors: ['include_closed must be true or false'] });
+  });
+
+  test('recent-tasks accepts a limit from 1 to 100 and rejects any other', async () => {
+    const limited = await request(service.app)
+      .get('/api/clickup/workspaces/9000/recent-tasks?limit=2')
+      .set(headers);
+    expect(limited.status).toBe(200);
+
+    for (const limit of ['abc', '-5', '0', '2.5', '101']) {
+      const res = await request(service.app)
+        .get(`/api/clickup/workspaces/9000/recent-tasks?limit=${limit}`)
+        .set(headers);
+
+      expect(res.status).toBe(400);
+      expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(res.body).toMatchObject({ type: '/problems/validation', detail: 'limit must be an integer from 1 to 100' });
+    }
+  });
+});
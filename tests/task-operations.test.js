@@ -0,0 +1,245 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+describe('Task lifecycle routes against the mock ClickUp API', () => {
+  let service;
+  const api = () => request(service.app);
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice' };
+  const mockTask = taskId => service.state.tasks.find(task => task.id === taskId);
+
+  beforeAll(async () => {
+    service = await startService();
+  });
+
+  afterAll(() => service.close());
+
+  // Expect a 400 problem+json response listing the given problems
+  function expectInvalid(res, detail, errors) {
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/application\/problem\+json/);
+    expect(res.body).toMatchObject({ type: '/problems/validation', status: 400, detail, errors });
+  }
+
+  describe('subtasks', () => {
+    test('creates a subtask in the parent task\'s list', async () => {
+      const res = await api().post('/api/clickup/tasks/86abc001/subtasks').set(headers).send({ name: 'Reproduce the loop' });
+
+      expect(res.status).toBe(201);
+      expect(mockTask(res.body.id)).toMatchObject({ name: 'Reproduce the loop', parent: '86abc001', list_id: '300' });
+    });
+
+    test('refuses a subtask of a subtask', async () => {
+      const count = service.state.tasks.length;
+
+      const res = await api().post('/api/clickup/tasks/86abc003/subtasks').set(headers).send({ name: 'Too deep' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        type: '/problems/validation',
+        detail: 'Task 86abc003 is a subtask itself, subtasks can only be created under top-level tasks'
+      });
+      expect(service.state.tasks).toHaveLength(count);
+    });
+
+    test('rejects a subtask without a name or with its own parent', async () => {
+      const res = await api().post('/api/clickup/tasks/86abc001/subtasks').set(headers).send({ parent: '86abc002' });
+
+      expectInvalid(res, 'Invalid subtask', ['name is required', 'parent is taken from the URL and must not be set']);
+    });
+  });
+
+  describe('deleting tasks', () => {
+    test('deletes a task with its subtasks and comments', async () => {
+      const parent = await api().post('/api/clickup/lists/301/tasks').set(headers).send({ name: 'Short-lived' });
+      const subtask = await api().post(`/api/clickup/tasks/${parent.body.id}/subtasks`).set(headers).send({ name: 'Shorter-lived' });
+      await api().post(`/api/clickup/tasks/${parent.body.id}/comments`).set(headers).send({ comment_text: 'Soon gone' });
+
+      const res = await api().delete(`/api/clickup/tasks/${parent.body.id}`).set(headers);
+
+      expect(res.status).toBe(204);
+      expect(mockTask(parent.body.id)).toBeUndefined();
+      expect(mockTask(subtask.body.id)).toBeUndefined();
+      expect(service.state.comments.filter(comment => comment.task_id === parent.body.id)).toEqual([]);
+    });
+
+    test('404 for a task that does not exist', async () => {
+      const res = await api().delete('/api/clickup/tasks/86missing').set(headers);
+
+      expect(res.status).toBe(404);
+      expect(res.body.type).toBe('/problems/not-found');
+    });
+  });
+
+  describe('checklists', () => {
+    let checklistId;
+
+    test('adds a checklist and items to a task', async () => {
+      const checklist = await api().post('/api/clickup/tasks/86abc002/checklists').set(headers).send({ name: 'Release' });
+      expect(checklist.status).toBe(201);
+      checklistId = checklist.body.checklist.id;
+
+      const res = await api()
+        .post(`/api/clickup/checklists/${checklistId}/items`)
+        .set(headers)
+        .send({ name: 'Update the changelog', assignee: 1001 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.checklist.items.map(item => item.name)).toEqual(['Update the changelog']);
+      expect(mockTask('86abc002').checklists).toEqual([
+        expect.objectContaining({
+          id: checklistId,
+          name: 'Release',
+          items: [expect.objectContaining({ name: 'Update the changelog', assignee: 1001, resolved: false })]
+        })
+      ]);
+    });
+
+    test('resolves a checklist item', async () => {
+      const itemId = mockTask('86abc002').checklists[0].items[0].id;
+
+      const res = await api().put(`/api/clickup/checklists/${checklistId}/items/${itemId}`).set(headers).send({ resolved: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body.checklist.resolved).toBe(1);
+      expect(mockTask('86abc002').checklists[0].items[0].resolved).toBe(true);
+    });
+
+    test('rejects a checklist without a name', async () => {
+      const res = await api().post('/api/clickup/tasks/86abc002/checklists').set(headers).send({ name: ' ' });
+
+      expectInvalid(res, 'Invalid checklist', ['name is required']);
+      expect(mockTask('86abc002').checklists).toHaveLength(1);
+    });
+
+    test('rejects invalid checklist items', async () => {
+      const created = await api()
+        .post(`/api/clickup/checklists/${checklistId}/items`)
+        .set(headers)
+        .send({ assignee: 'alice', resolved: 'yes' });
+      expectInvalid(created, 'Invalid checklist item', [
+        'name is required',
+        'assignee must be a ClickUp member ID, or null to unassign',
+        'resolved must be true or false'
+      ]);
+
+      const itemId = mockTask('86abc002').checklists[0].items[0].id;
+      const updated = await api().put(`/api/clickup/checklists/${checklistId}/items/${itemId}`).set(headers).send({});
+      expectInvalid(updated, 'Invalid checklist item', ['Set at least one of name, assignee or resolved']);
+
+      expect(mockTask('86abc002').checklists[0].items).toHaveLength(1);
+    });
+  });
+
+  describe('tags', () => {
+    test('adds and removes a tag', async () => {
+      const added = await api().post('/api/clickup/tasks/86abc002/tags/Urgent').set(headers);
+      expect(added.status).toBe(204);
+      expect(mockTask('86abc002').tags).toEqual(['api', 'urgent']);
+
+      const removed = await api().delete('/api/clickup/tasks/86abc002/tags/urgent').set(headers);
+      expect(removed.status).toBe(204);
+      expect(mockTask('86abc002').tags).toEqual(['api']);
+    });
+
+    test('rejects a blank tag name', async () => {
+      const res = await api().post('/api/clickup/tasks/86abc002/tags/%20').set(headers);
+
+      expectInvalid(res, 'Invalid tag', ['The tag name must not be empty']);
+      expect(mockTask('86abc002').tags).toEqual(['api']);
+    });
+  });
+
+  describe('dependencies', () => {
+    const dependency = { task_id: '86abc004', depends_on: '86abc005' };
+
+    test('adds a dependency to both tasks and removes it again', async () => {
+      const added = await api().post('/api/clickup/tasks/86abc004/dependencies').set(headers).send({ depends_on: '86abc005' });
+      expect(added.status).toBe(204);
+      expect(mockTask('86abc004').dependencies).toEqual([expect.objectContaining(dependency)]);
+      expect(mockTask('86abc005').dependencies).toEqual([expect.objectContaining(dependency)]);
+
+      const removed = await api().delete('/api/clickup/tasks/86abc005/dependencies?dependency_of=86abc004').set(headers);
+      expect(removed.status).toBe(204);
+      expect(mockTask('86abc004').dependencies).toEqual([]);
+      expect(mockTask('86abc005').dependencies).toEqual([]);
+    });
+
+    test('rejects invalid dependencies', async () => {
+      const neither = await api().post('/api/clickup/tasks/86abc004/dependencies').set(headers).send({});
+      expectInvalid(neither, 'Invalid dependency', ['Either depends_on or dependency_of is required, not both']);
+
+      const both = await api()
+        .post('/api/clickup/tasks/86abc004/dependencies')
+        .set(headers)
+        .send({ depends_on: '86abc005', dependency_of: '86abc001' });
+      expectInvalid(both, 'Invalid dependency', ['Either depends_on or dependency_of is required, not both']);
+
+      const notAnId = await api().post('/api/clickup/tasks/86abc004/dependencies').set(headers).send({ dependency_of: {} });
+      expectInvalid(notAnId, 'Invalid dependency', ['dependency_of must be a task ID']);
+
+      const itself = await api().delete('/api/clickup/tasks/86abc004/dependencies?depends_on=86abc004').set(headers);
+      expectInvalid(itself, 'Invalid dependency', ['A task cannot depend on itself']);
+
+      expect(mockTask('86abc004').dependencies).toEqual([]);
+    });
+  });
+
+  describe('links', () => {
+    test('links two tasks and unlinks them', async () => {
+      const linked = await api().post('/api/clickup/tasks/86abc001/links/86abc006').set(headers);
+      expect(linked.status).toBe(200);
+      expect(linked.body.id).toBe('86abc001');
+      expect(linked.body.linked_tasks).toEqual([expect.objectContaining({ task_id: '86abc001', link_id: '86abc006' })]);
+      expect(mockTask('86abc006').linked_tasks).toHaveLength(1);
+
+      const unlinked = await api().delete('/api/clickup/tasks/86abc006/links/86abc001').set(headers);
+      expect(unlinked.status).toBe(200);
+      expect(unlinked.body.linked_tasks).toEqual([]);
+      expect(mockTask('86abc001').linked_tasks).toEqual([]);
+    });
+
+    test('rejects a link from a task to itself', async () => {
+      const res = await api().post('/api/clickup/tasks/86abc001/links/86abc001').set(headers);
+
+      expectInvalid(res, 'Invalid link', ['A task cannot be linked to itself']);
+    });
+  });
+
+  describe('custom fields', () => {
+    const stageOf = taskId => mockTask(taskId).custom_fields.find(field => field.id === 'cf-stage');
+
+    test('sets a list\'s custom field on another task of the list and clears it', async () => {
+      const set = await api().put('/api/clickup/tasks/86abc002/custom-fields/cf-stage').set(headers).send({ value: 'opt-2' });
+      expect(set.status).toBe(204);
+      expect(stageOf('86abc002')).toMatchObject({ name: 'Stage', value: 1 });
+
+      const cleared = await api().delete('/api/clickup/tasks/86abc002/custom-fields/cf-stage').set(headers);
+      expect(cleared.status).toBe(204);
+      expect(stageOf('86abc002')).not.toHaveProperty('value');
+    });
+
+    test('rejects invalid values', async () => {
+      const missing = await api().put('/api/clickup/tasks/86abc001/custom-fields/cf-stage').set(headers).send({});
+      expectInvalid(missing, 'Invalid custom field value', ['value is required']);
+
+      const invalid = await api()
+        .put('/api/clickup/tasks/86abc001/custom-fields/cf-stage')
+        .set(headers)
+        .send({ value: null, value_options: 'time' });
+      expectInvalid(invalid, 'Invalid custom field value', [
+        'value must not be null, delete the value to clear the field',
+        'value_options must be an object'
+      ]);
+
+      expect(stageOf('86abc001').value).toBe(1);
+    });
+
+    test('passes on ClickUp\'s rejection of an unknown option', async () => {
+      const res = await api().put('/api/clickup/tasks/86abc001/custom-fields/cf-stage').set(headers).send({ value: 'opt-9' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ upstreamStatus: 400, ecode: 'FIELD_009' });
+      expect(stageOf('86abc001').value).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { parseSearchMode, rankTasks, tokenize } = require('../src/utils/task-ranker');
+
+const now = Date.UTC(2026, 2, 11);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A raw ClickUp task updated the given number of days ago
+const task = (id, fields, ageDays = 30) => ({ id, date_updated: String(now - ageDays * DAY_MS), tags: [], ...fields });
+
+const ids = tasks => tasks.map(ranked => ranked.id);
+
+describe('tokenize', () => {
+  test('lowercases, splits on punctuation and drops stopwords and possessives', () => {
+    expect(tokenize('What\'s the status of Alice\'s LOGIN-redirect task?')).toEqual(['status', 'alice', 'login', 'redirect']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('rankTasks', () => {
+  test('orders tasks by BM25 score, rarer terms counting for more', () => {
+    const tasks = [
+      task('notes', { name: 'Release notes' }),
+      task('both', { name: 'Release the login fix' }),
+      task('none', { name: 'Plan the offsite' }),
+      task('checklist', { name: 'Release checklist' }),
+      task('login', { name: 'Login page copy' })
+    ];
+
+    expect(ids(rankTasks(tasks, 'login release', { now }))).toEqual(['both', 'login', 'notes', 'checklist', 'none']);
+  });
+
+  test('weighs a match in the name above the same match in the description', () => {
+    const tasks = [
+      task('in-description', { name: 'Sprint chores', text_content: 'Look into the flaky webhook retries' }),
+      task('in-name', { name: 'Flaky webhook retries', text_content: 'Seen in CI twice this week' })
+    ];
+
+    expect(ids(rankTasks(tasks, 'webhook', { now }))).toEqual(['in-name', 'in-description']);
+  });
+
+  test('matches tags and the list name too', () => {
+    const tasks = [
+      task('untagged', { name: 'Write the changelog' }),
+      task('tagged', { name: 'Write the changelog', tags: [{ name: 'docs' }] }),
+      task('listed', { name: 'Write the changelog', list: { name: 'Docs' } })
+    ];
+
+    expect(ids(rankTasks(tasks, 'docs', { now })).slice(2)).toEqual(['untagged']);
+  });
+
+  test('breaks ties with recency and keeps unmatched tasks last, newest first', () => {
+    const tasks = [
+      task('old-match', { name: 'Deploy checklist' }, 60),
+      task('new-other', { name: 'Budget review' }, 0),
+      task('new-match', { name: 'Deploy checklist' }, 1),
+      task('old-other', { name: 'Team lunch' }, 90)
+    ];
+
+    expect(ids(rankTasks(tasks, 'deploy', { now }))).toEqual(['new-match', 'old-match', 'new-other', 'old-other']);
+  });
+
+  test('keeps the order when the query has no search terms, and applies the limit', () => {
+    const tasks = [task('a', { name: 'Alpha' }), task('b', { name: 'Beta' }), task('c', { name: 'Gamma' })];
+
+    expect(ids(rankTasks(tasks, 'what is there for me?', { now }))).toEqual(['a', 'b', 'c']);
+    expect(ids(rankTasks(tasks, 'gamma', { now, limit: 2 }))).toEqual(['c', 'a']);
+  });
+});
+
+describe('parseSearchMode', () => {
+  test('defaults to rank and rejects unknown modes', () => {
+    expect(parseSearchMode(undefined)).toBe('rank');
+    expect(parseSearchMode('EXACT')).toBe('exact');
+    expect(parseSearchMode('fuzzy')).toBeUndefined();
+  });
+});
+
+describe('Ranking on the context endpoint', () => {
+  let service;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice', 'x-workspace-id': '9000', 'x-format': 'json' };
+  const taskNames = res => JSON.parse(res.body.text).items.map(item => item.task);
+
+  beforeAll(async () => {
+    service = await startService();
+  });
+
+  afterAll(() => service.close());
+
+  test('puts the tasks the user\'s message is about first', async () => {
+    const res = await request(service.app)
+      .get('/context/clickup')
+      .set({ ...headers, 'x-last-user-message': 'How is the build pipeline upgrade going?' });
+
+    expect(res.status).toBe(200);
+    expect(taskNames(res)[0]).toBe('Upgrade the build pipeline');
+    expect(taskNames(res).length).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { compileTemplate } = require('../src/utils/template-engine');
+
+describe('compileTemplate', () => {
+  const render = (source, data) => compileTemplate(source).render(data);
+
+  test('inserts values, looking names up in enclosing items too', () => {
+    expect(render('{{task.status.status}} for {{owner}}', { task: { status: { status: 'open' } }, owner: 'alice' }))
+      .toBe('open for alice');
+    expect(render('{{#each items}}{{title}}: {{name}}\n{{/each}}', { title: 'Tasks', items: [{ name: 'One' }, { name: 'Two' }] }))
+      .toBe('Tasks: One\nTasks: Two\n');
+    expect(render('[{{missing.path}}]', {})).toBe('[]');
+  });
+
+  test('loops with @index and @number, and renders the else of an empty loop', () => {
+    const source = '{{#each items}}{{@number}}/{{@index}} {{this}}\n{{else}}Nothing\n{{/each}}';
+
+    expect(render(source, { items: ['a', 'b'] })).toBe('1/0 a\n2/1 b\n');
+    expect(render(source, { items: [] })).toBe('Nothing\n');
+  });
+
+  test('picks the branch of if and unless, and calls helpers', () => {
+    const source = [
+      '{{#if eq dataType "tasks"}}Tasks{{else}}Other{{/if}}',
+      '{{#unless tags}}untagged{{/unless}}',
+      '{{truncate description 5}} {{join labels "+"}} {{default priority "none"}} {{count tags}}',
+      '{{date due "datetime" "Europe/Berlin"}}'
+    ].join('\n');
+
+    expect(render(source, { dataType: 'tasks', tags: [], labels: ['bug', 'api'], description: 'Redirects forever', due: '1714570200000' }))
+      .toBe('Tasks\nuntagged\nRedir... bug+api none 0\n2024-05-01 15:30');
+  });
+
+  test('does not leave blank lines behind standalone block and comment tags', () => {
+    const source = '{{! one line per item }}\n{{#each items}}\n  - {{this}}\n{{/each}}\nDone';
+
+    expect(render(source, { items: ['a', 'b'] })).toBe('  - a\n  - b\nDone');
+  });
+
+  test('names the line of the first problem', () => {
+    const compileError = source => {
+      try {
+        compileTemplate(source);
+      } catch (error) {
+        return error.message;
+      }
+      return null;
+    };
+
+    expect(compileError('{{#each items}}\n{{name}}')).toBe('Unclosed {{#each}} on line 1');
+    expect(compileError('ok\n{{/if}}')).toBe('Unexpected {{/if}} on line 2');
+    expect(compileError('{{#if a}}{{else}}{{else}}{{/if}}')).toBe('Unexpected {{else}} on line 1');
+    expect(compileError('\n\n{{shout name}}')).toBe('Unknown helper "shout" on line 3');
+    expect(compileError('{{#with task}}{{/with}}')).toBe('Unknown block "#with" on line 1, expected one of: each, if, unless');
+    expect(compileError('{{name}}\n{{name')).toBe('Unclosed tag on line 2');
+    expect(compileError('{{ }}')).toBe('Empty tag on line 1');
+    expect(compileError('  ')).toBe('Template must be a non-empty string');
+    expect(compileError('x'.repeat(20001))).toBe('Template is longer than 20000 characters');
+  });
+});
+
+describe('Context templates against the mock ClickUp API', () => {
+  let service;
+  const api = () => request(service.app);
+  const keyHeaders = { 'x-api-key': API_KEY };
+  const context = extra => api()
+    .get('/context/clickup')
+    .set({ ...keyHeaders, 'x-user-id': 'alice', 'x-workspace-id': '9000', ...extra });
+  const saveTemplate = (name, template) => api().put(`/api/templates/${name}`).set(keyHeaders).send({ template });
+
+  beforeAll(async () => {
+    service = await startService();
+  });
+
+  afterAll(() => service.close());
+
+  test('rejects an upload that is not a valid template with 400', async () => {
+    const missing = await api().put('/api/templates/compact').set(keyHeaders).send({ template: 42 });
+    expect(missing.status).toBe(400);
+    expect(missing.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(missing.body).toMatchObject({
+      type: '/problems/validation',
+      detail: 'template is required as a string in the request body'
+    });
+
+    const unbalanced = await saveTemplate('compact', '{{#each items}}\n* {{name}}\n');
+    expect(unbalanced.status).toBe(400);
+    expect(unbalanced.body.detail).toBe('Invalid template: Unclosed {{#each}} on line 1');
+
+    const badName = await saveTemplate('not a name', '{{title}}');
+    expect(badName.status).toBe(400);
+    expect(badName.body.detail).toBe('Invalid template: Template name must be 1-64 letters, digits, dashes or underscores');
+
+    expect((await api().get('/api/templates').set(keyHeaders)).body.templates).toEqual([]);
+  });
+
+  test('renders text context with the key\'s default template', async () => {
+    expect((await context({ 'x-format': 'text' })).body.text).not.toMatch(/^> /m);
+
+    expect((await saveTemplate('default', '{{#each items}}\n> {{name}}\n{{/each}}')).status).toBe(200);
+    const res = await context({ 'x-format': 'text' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.text).toContain('> Fix login redirect loop\n');
+  });
+
+  test('uses the template named by x-template instead, and 400s for an unknown one', async () => {
+    await saveTemplate('numbered', '{{#each items}}\n{{@number}}. {{name}}\n{{/each}}');
+
+    const res = await context({ 'x-format': 'markdown', 'x-template': 'numbered' });
+    expect(res.status).toBe(200);
+    expect(res.body.text).toMatch(/^1\. /m);
+    expect(res.body.text).not.toMatch(/^> /m);
+
+    const unknown = await context({ 'x-template': 'missing' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.detail).toBe('Unknown template: missing');
+  });
+
+  test('falls back to the built-in layout when the template fails to render', async () => {
+    await saveTemplate('broken', '{{#each items}}\n{{name}} {{date date_created "date" "Mars/Olympus_Mons"}}\n{{/each}}');
+
+    const res = await context({ 'x-format': 'text', 'x-template': 'broken' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.text).toContain('Fix login redirect loop');
+    expect(res.body.text).not.toContain('Mars');
+  });
+
+  test('leaves the structured formats to the built-in renderers', async () => {
+    const res = await context({ 'x-format': 'json' });
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body.text).items.map(item => item.task)).toContain('Fix login redirect loop');
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+const { allocateTokenBudget, estimateTokens, fitToBudget, parseMaxTokens, DETAIL_LEVELS } = require('../src/utils/token-budget');
+
+// Items with a low-priority field and a long description, rendered one per line
+const items = Array.from({ length: 10 }, (_, index) => ({
+  name: `Task ${index}`,
+  description: `Description ${index} `.repeat(5),
+  url: `https://app.clickup.com/t/86abc${String(index).padStart(3, '0')}`
+}));
+
+function render(visibleItems, detail, omittedCount) {
+  const lines = visibleItems.map(item => {
+    const description = detail.descriptionLength ? item.description.substring(0, detail.descriptionLength) : item.description;
+    return detail.dropLowPriority ? `${item.name}: ${description}` : `${item.name}: ${description} ${item.url}`;
+  });
+  if (omittedCount > 0) {
+    lines.push(`...${omittedCount} more tasks omitted to fit the context budget.`);
+  }
+  return lines.join('\n');
+}
+
+describe('fitToBudget', () => {
+  const fullTokens = estimateTokens(render(items, DETAIL_LEVELS[0], 0));
+
+  test('renders everything in full without a budget or within it', () => {
+    expect(fitToBudget(items, render, null)).toEqual({ text: render(items, DETAIL_LEVELS[0], 0), estimatedTokens: fullTokens, omittedItems: 0 });
+    expect(fitToBudget(items, render, fullTokens).omittedItems).toBe(0);
+  });
+
+  test('drops low-priority fields, then shortens descriptions, before dropping items', () => {
+    const withoutUrls = fitToBudget(items, render, fullTokens - 1);
+    expect(withoutUrls.text).not.toContain('https://');
+    expect(withoutUrls.text).toContain(items[0].description);
+    expect(withoutUrls.omittedItems).toBe(0);
+
+    const shortened = fitToBudget(items, render, estimateTokens(render(items, DETAIL_LEVELS[2], 0)));
+    expect(shortened.text).not.toContain(items[0].description);
+    expect(shortened.omittedItems).toBe(0);
+  });
+
+  test('keeps the longest prefix of items that fits with the omission footer', () => {
+    const budget = estimateTokens(render(items.slice(0, 4), DETAIL_LEVELS[2], 6));
+
+    const fitted = fitToBudget(items, render, budget);
+
+    expect(fitted.omittedItems).toBe(6);
+    expect(fitted.text).toBe(render(items.slice(0, 4), DETAIL_LEVELS[2], 6));
+    expect(fitted.text).toMatch(/6 more tasks omitted to fit the context budget\.$/);
+    expect(fitted.estimatedTokens).toBeLessThanOrEqual(budget);
+  });
+
+  test('falls back to the footer alone when not even one item fits', () => {
+    const fitted = fitToBudget(items, render, 1);
+
+    expect(fitted).toMatchObject({ text: '...10 more tasks omitted to fit the context budget.', omittedItems: 10 });
+  });
+});
+
+describe('allocateTokenBudget', () => {
+  test('gives small sections their full size and shares the rest between the large ones', () => {
+    expect(allocateTokenBudget({ spaces: 100, tasks: 5000, comments: 3000 }, 3000))
+      .toEqual({ spaces: 100, tasks: 1450, comments: 1450 });
+  });
+
+  test('gives every section its full size when they all fit', () => {
+    expect(allocateTokenBudget({ spaces: 100, tasks: 500 }, 3000)).toEqual({ spaces: 100, tasks: 500 });
+  });
+
+  test('never hands out more than the budget', () => {
+    const allocation = allocateTokenBudget({ spaces: 40, lists: 70, tasks: 900 }, 101);
+
+    expect(allocation).toEqual({ spaces: 33, lists: 33, tasks: 33 });
+    expect(allocateTokenBudget({ tasks: 900 }, 0)).toEqual({ tasks: 0 });
+  });
+});
+
+describe('parseMaxTokens', () => {
+  test('accepts positive integers only', () => {
+    expect(parseMaxTokens('1500')).toBe(1500);
+    expect(parseMaxTokens(undefined)).toBeNull();
+    ['0', '-5', '2.5', 'lots'].forEach(value => expect(parseMaxTokens(value)).toBeUndefined());
+  });
+});
+
+describe('Token budgets on the context endpoints', () => {
+  let service;
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice', 'x-workspace-id': '9000' };
+  const context = (path, extra) => request(service.app).get(path).set({ ...headers, ...extra });
+
+  beforeAll(async () => {
+    service = await startService();
+  });
+
+  afterAll(() => service.close());
+
+  test('a tiny X-Max-Tokens leaves only the omission footer', async () => {
+    const res = await context('/context/clickup', { 'x-max-tokens': '1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.omittedItems).toBeGreaterThan(0);
+    expect(res.body.text).toContain(`${res.body.omittedItems} more tasks omitted to fit the context budget.`);
+    expect(res.body.text).not.toContain('Fix login redirect loop');
+  });
+
+  test('a budget stays within X-Max-Tokens once there is room for content', async () => {
+    const full = await context('/context/clickup');
+    const budget = Math.floor(full.body.estimatedTokens / 2);
+
+    const res = await context('/context/clickup', { 'x-max-tokens': String(budget) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.estimatedTokens).toBeLessThanOrEqual(budget);
+    expect(res.headers['x-estimated-tokens']).toBe(String(res.body.estimatedTokens));
+  });
+
+  test('splits the budget between the sections of /context/clickup-all', async () => {
+    const spaces = await context('/context/clickup', { 'x-data-type': 'spaces' });
+    const tasks = await context('/context/clickup');
+    // Room for the spaces in full and part of the tasks
+    const budget = spaces.body.estimatedTokens * 2 + 10;
+    expect(budget).toBeLessThan(spaces.body.estimatedTokens + tasks.body.estimatedTokens);
+
+    const res = await context('/context/clickup-all', { 'x-data-types': 'spaces,tasks', 'x-max-tokens': String(budget) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.text).toContain('Engineering');
+    expect(res.body.text).toMatch(/more tasks omitted to fit the context budget\./);
+  });
+
+  test('rejects an X-Max-Tokens that is not a positive integer', async () => {
+    const res = await context('/context/clickup', { 'x-max-tokens': '0' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ type: '/problems/validation', detail: 'x-max-tokens must be a positive integer' });
+  });
+});
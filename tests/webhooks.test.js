@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { API_KEY, startService } = require('./helpers/service');
+
+describe('ClickUp webhook events delivered by the mock ClickUp API', () => {
+  let service;
+  let server;
+  let webhookId;
+  let eventBus;
+  let receiveEvent;
+  const api = () => request(service.app);
+  const headers = { 'x-api-key': API_KEY, 'x-user-id': 'alice' };
+
+  // Resolve with the next event the receiver publishes
+  const nextEvent = () => new Promise(resolve => {
+    const unsubscribe = eventBus.subscribe(event => {
+      unsubscribe();
+      resolve(event);
+    });
+  });
+
+  // Change a task in ClickUp directly, as someone using ClickUp would, so the
+  // service only learns about it through the webhook
+  const renameInClickUp = (taskId, name) => fetch(`${service.mockUrl}/api/v2/task/${taskId}`, {
+    method: 'PUT',
+    headers: { Authorization: 'pk_mock_bob', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name })
+  });
+
+  const cacheOutcome = res => res.headers['x-cache'];
+
+  beforeAll(async () => {
+    service = await startService();
+    ({ eventBus } = require('../src/utils/event-bus'));
+    receiveEvent = jest.spyOn(require('../src/services/webhook.service'), 'receiveEvent');
+
+    // The mock delivers events over HTTP, so the service has to listen too
+    server = await new Promise(resolve => {
+      const listening = service.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const registered = await api()
+      .post('/api/clickup/workspaces/9000/webhooks')
+      .set(headers)
+      .send({ endpoint: `http://127.0.0.1:${server.address().port}/webhooks/clickup` });
+    expect(registered.status).toBe(201);
+    webhookId = registered.body.id;
+  });
+
+  afterAll(async () => {
+    receiveEvent.mockRestore();
+    await new Promise(resolve => server.close(resolve));
+    await service.close();
+  });
+
+  test('accepts a delivery signed with the webhook\'s secret', async () => {
+    const received = nextEvent();
+    await renameInClickUp('86abc002', 'Add rate limit headers to every API response');
+
+    const event = await received;
+
+    expect(event).toMatchObject({ event: 'taskUpdated', webhookId, workspaceId: '9000', taskId: '86abc002' });
+    expect(receiveEvent).toHaveReturnedWith({ id: event.id, duplicate: false });
+  });
+
+  test('ignores a redelivered event', async () => {
+    const received = nextEvent();
+    await renameInClickUp('86abc002', 'Add rate limit headers');
+    await received;
+    const [rawBody, signature] = receiveEvent.mock.calls[receiveEvent.mock.calls.length - 1];
+    const published = jest.fn();
+    const unsubscribe = eventBus.subscribe(published);
+
+    const res = await api()
+      .post('/webhooks/clickup')
+      .set({ 'Content-Type': 'application/json', 'X-Signature': signature })
+      .send(rawBody.toString('utf8'));
+    unsubscribe();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, duplicate: true });
+    expect(published).not.toHaveBeenCalled();
+  });
+
+  test('rejects a tampered body or a missing signature with 401', async () => {
+    const received = nextEvent();
+    await renameInClickUp('86abc004', 'Upgrade the build pipeline to Node 20');
+    await received;
+    const [rawBody, signature] = receiveEvent.mock.calls[receiveEvent.mock.calls.length - 1];
+    const tampered = rawBody.toString('utf8').replace('"86abc004"', '"86abc005"');
+    expect(tampered).not.toBe(rawBody.toString('utf8'));
+
+    const forged = await api()
+      .post('/webhooks/clickup')
+      .set({ 'Content-Type': 'application/json', 'X-Signature': signature })
+      .send(tampered);
+    expect(forged.status).toBe(401);
+    expect(forged.body).toMatchObject({ type: '/problems/auth', detail: 'Invalid webhook signature' });
+
+    const unsigned = await api()
+      .post('/webhooks/clickup')
+      .set({ 'Content-Type': 'application/json' })
+      .send(tampered);
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.body.detail).toBe('Invalid webhook signature');
+  });
+
+  test('a task event drops the cached task, so the next read goes to ClickUp', async () => {
+    const first = await api().get('/api/clickup/tasks/86abc001').set(headers);
+    const second = await api().get('/api/clickup/tasks/86abc001').set(headers);
+    expect(cacheOutcome(second)).toBe('hit=1, stale=0, miss=0');
+    expect(second.body.name).toBe(first.body.name);
+
+    const received = nextEvent();
+    await renameInClickUp('86abc001', 'Fix the login redirect loop for good');
+    await received;
+
+    const after = await api().get('/api/clickup/tasks/86abc001').set(headers);
+    expect(cacheOutcome(after)).toBe('hit=0, stale=0, miss=1');
+    expect(after.body.name).toBe('Fix the login redirect loop for good');
+  });
+});